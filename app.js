@@ -6,8 +6,12 @@ const bodyParser = require('body-parser');
 
 const Scheduler = require('./lib/scheduler');
 const ScheduledJobs = require('./lib/scheduled-jobs');
+const PublishWorker = require('./lib/publish-worker');
 
 Scheduler.runEvery('0.5 days', ScheduledJobs.cleanEbooks);
+Scheduler.runEvery('1 day', ScheduledJobs.cleanContent);
+Scheduler.runEvery('1 day', ScheduledJobs.cleanStatuses);
+Scheduler.runEvery('1 day', ScheduledJobs.cleanHttpCache);
 
 const AppErrors = require('./lib/app-errors');
 const index = require('./routes/index');
@@ -15,6 +19,7 @@ const users = require('./routes/users');
 const booksBeta = require('./routes/api/books-beta');
 const booksV1 = require('./routes/api/books-v1');
 const version = require('./routes/api/version');
+const admin = require('./routes/api/admin');
 
 const app = express();
 
@@ -25,6 +30,7 @@ app.set('view engine', 'jade');
 // uncomment after placing your favicon in /public
 if (process.env.NODE_ENV !== 'test') {
     app.use(logger('dev'));
+    new PublishWorker().start();
 } else {
     Scheduler.clearIntervals();
 }
@@ -58,6 +64,7 @@ app.use('/api/books', booksBeta);
 app.use('/api/v1/books', booksV1);
 app.use('/api/version', version);
 app.use('/api/v1/version', version);
+app.use('/api/v1/admin', admin);
 
 // catch 404 and forward to error handler
 app.use((req, res, next) => {
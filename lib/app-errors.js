@@ -53,6 +53,47 @@ AppErrors.api = {
     },
     NO_SECTIONS_SPECIFIED: { status: '400', message: 'No sections provided.' },
     NOT_FOUND: { status: '404', message: 'Not found.' },
+    UNAUTHORIZED: { status: '401', message: 'Missing or invalid admin token.' },
+    SECTION_FAILED: {
+        status: '422',
+        message: 'A section of the book could not be downloaded or extracted.',
+    },
+    NO_CONTENT_FOUND: {
+        status: '422',
+        message: 'No content could be extracted from any section.',
+    },
+    FEED_FAILED: {
+        status: '422',
+        message: 'A feed could not be downloaded or is not a valid RSS or Atom feed.',
+    },
+    NO_FEED_ITEMS: {
+        status: '422',
+        message: 'No feed entries matched the filters.',
+    },
+    MOBI_UNAVAILABLE: {
+        status: '422',
+        message: 'A Kindle version of this book could not be made. Try the epub instead.',
+    },
+    FORMAT_UNAVAILABLE: {
+        status: '422',
+        message: 'This book could not be made in that format. Try the epub instead.',
+    },
+    UNSUPPORTED_FILETYPE: { status: '400', message: 'That filetype is not supported.' },
+    INVALID_OPERATION: { status: '400', message: 'An edit operation is invalid for this book.' },
+    SECTION_NOT_FOUND: { status: '404', message: 'This book has no section with that index or url.' },
+    BOOK_NOT_EDITABLE: {
+        status: '409',
+        message: 'The content of this book is no longer stored. Publish it again instead.',
+    },
+    ROBOTS_DISALLOWED: {
+        status: '403',
+        message: "The site's robots.txt does not allow downloading this page.",
+    },
+    URL_NOT_ALLOWED: {
+        status: '400',
+        message: 'That url points to a private network or uses an unsupported scheme.',
+    },
+    INVALID_SITE_RULE: { status: '400', message: 'A site rule is invalid.' },
     MALFORMED_REQUEST: {
         status: '400',
         message: 'Request was not in a recognized structure.',
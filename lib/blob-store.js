@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+
+const fs = require('fs-extra');
+
+const Config = require('./config');
+
+/*
+    Content-addressed files, named by the sha256 of their data.
+    Storing the same image for many books keeps one file, and refreshes its modified time
+    so it's only cleaned once every book using it is past the retention period.
+*/
+class BlobStore {
+    static getKey(data, extension) {
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        return `${hash}${(extension || '').toLowerCase()}`;
+    }
+
+    static getPath(key) {
+        return `${BlobStore.ROOT}/${key.slice(0, 2)}/${key}`;
+    }
+
+    /*
+        Stores the file at `filepath` and resolves with its key.
+    */
+    static put(filepath) {
+        return fs.readFile(filepath).then((data) => {
+            const key = BlobStore.getKey(data, path.extname(filepath));
+            const blobPath = BlobStore.getPath(key);
+            const now = new Date();
+            return fs
+                .utimes(blobPath, now, now)
+                .catch(() => fs.outputFile(blobPath, data))
+                .then(() => key);
+        });
+    }
+
+    static copy(key, filepath) {
+        return fs.copy(BlobStore.getPath(key), filepath).then(() => filepath);
+    }
+
+    /*
+        Removes the blobs that weren't stored since `date`.
+    */
+    static removeOlderThan(date) {
+        return fs
+            .readdir(BlobStore.ROOT)
+            .catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)))
+            .then(folders =>
+                Promise.all(folders.map((folder) => {
+                    const folderPath = `${BlobStore.ROOT}/${folder}`;
+                    return fs.readdir(folderPath).then(keys =>
+                        Promise.all(keys.map((key) => {
+                            const blobPath = `${folderPath}/${key}`;
+                            return fs.stat(blobPath).then(stats =>
+                                (stats.mtime < date ? fs.remove(blobPath) : null));
+                        })));
+                })));
+    }
+}
+
+BlobStore.ROOT = Config.BLOBS_PATH;
+
+module.exports = BlobStore;
@@ -1,7 +1,5 @@
 'use strict';
 
-const { exec } = require('child_process');
-const request = require('request-promise').defaults({ gzip: true });
 const { tidy } = require('htmltidy2');
 const Promise = require('bluebird');
 
@@ -9,82 +7,376 @@ const Config = require('./config');
 const AppErrors = require('./app-errors');
 const Book = require('./book');
 const ContentExtractor = require('./content-extractor');
+const FeedParser = require('./feed-parser');
+const Fetcher = require('./fetcher');
 const HtmlProcessor = require('./html-processor');
+const JobQueue = require('./job-queue');
+const Pagination = require('./pagination');
 const ResultsValidator = require('./results-validator');
 const Logger = require('./logger');
 const StatusTracker = require('./status-tracker');
 const StylingService = require('./styling-service');
+const UrlNormalizer = require('./url-normalizer');
 
 const tracker = new StatusTracker();
+const queue = new JobQueue();
 const { STATUS_TYPES } = StatusTracker;
 const log = new Logger();
+// In-flight conversions by book id and filetype
+const conversions = {};
+// Books whose publish was cancelled, see BookServices.cancel
+const cancelledBooks = new WeakSet();
+
+function trackStatus(book, statusType) {
+    const id = book.getId();
+    if (cancelledBooks.has(book)) {
+        return Promise.resolve();
+    }
+    return Promise.all([tracker.setStatus(id, statusType), queue.recordStep(id, statusType)])
+        .catch(log.exception('BookServices.trackStatus'));
+}
+
+function trackSectionProgress(book) {
+    const total = book.getSections().length;
+    let completed = 0;
+    return (section) => {
+        completed += 1;
+        if (cancelledBooks.has(book)) {
+            return section;
+        }
+        tracker
+            .setProgress(book.getId(), { completed, total })
+            .catch(log.exception('BookServices.trackSectionProgress'));
+        return section;
+    };
+}
+
+function getReport(section) {
+    const updatedSection = section;
+    if (!updatedSection.report) {
+        updatedSection.report = { url: section.url, warnings: [] };
+    }
+    return updatedSection.report;
+}
+
+function buildJobStatus(job, opts) {
+    const type = JobQueue.getStatusType(job);
+    const status = Object.assign({}, StatusTracker.buildStatus(type), { type });
+    if (opts.history) {
+        const entries = (job.steps || []).map(step => ({ status: step.step, startedAt: step.at }));
+        status.history = StatusTracker.buildHistory(entries);
+    }
+    return status;
+}
 
 class BookServices {
     /*
         High level methods
     */
 
+    static getQueue() {
+        return queue;
+    }
+
+    static enqueue(book, payload) {
+        return queue
+            .enqueue(book.getId(), payload)
+            .then(() => BookServices.setStatus(book, STATUS_TYPES.QUEUED));
+    }
+
     static setStatus(book, statusType) {
-        return new Promise((resolve) => {
-            tracker.setStatus(book.getId(), statusType); // Book might be undefined?
-            resolve(book);
-        });
+        return trackStatus(book, statusType).then(() => book);
     }
 
-    static getStatus(book) {
-        return new Promise((resolve, reject) => {
-            const status = tracker.getStatus(book.getId());
-            if (status) {
-                resolve(status);
-            } else {
-                reject(AppErrors.getApiError('NOT_FOUND'));
+    static getStatus(book, opts = {}) {
+        const id = book.getId();
+        return tracker
+            .getStatus(id, opts)
+            .then(status => status || queue.find(id).then(job => job && buildJobStatus(job, opts)))
+            .then((status) => {
+                if (status) {
+                    return status;
+                }
+                return Promise.reject(AppErrors.getApiError('NOT_FOUND'));
+            });
+    }
+
+    static subscribe(book, listener) {
+        const id = book.getId();
+        const onStatus = (statusId, status) => {
+            if (statusId === id) {
+                listener(status);
             }
-        });
+        };
+        tracker.on('status', onStatus);
+        return () => tracker.removeListener('status', onStatus);
     }
 
+    /*
+        Failures reject without a FAILED status, the queue decides whether they're retried.
+    */
     static publish(book) {
         return BookServices.setStatus(book, STATUS_TYPES.PUBLISHING)
+            .then(BookServices.expandFeeds)
+            .then(BookServices.removeDuplicateUrls)
             .then(BookServices.updateSectionsHtml)
+            .then(BookServices.removeCanonicalDuplicates)
             .then(BookServices.extractSectionsContent)
+            .then(BookServices.removeContentDuplicates)
+            .then(BookServices.handleFailedSections)
             .then(BookServices.localizeSectionsImages)
             .then(BookServices.convertSectionsContent)
+            .then(BookServices.storeImages)
             .then(BookServices.createCustomCover)
+            .then(BookServices.checkCancelled)
             .then(BookServices.writeEpub)
-            .then(BookServices.convertToMobi)
+            .then(BookServices.convertFormats)
+            .then(BookServices.checkCancelled)
             .then(BookServices.commit)
             .then(BookServices.scheduleClean)
+            .then(BookServices.trackReport)
             .then(finishedBook => BookServices.setStatus(finishedBook, STATUS_TYPES.DONE))
+            .catch(error => BookServices.trackReport(book).then(() => Promise.reject(error)));
+    }
+
+    /*
+        Edits are checked against the stored book before being queued like a publish.
+    */
+    static enqueueEdit(id, operations) {
+        return Book.load(id).then((book) => {
+            if (!book.hasContent()) {
+                return Promise.reject(AppErrors.getApiError('BOOK_NOT_EDITABLE'));
+            }
+            book.applyOperations(operations);
+            return BookServices.enqueue(book, { operations });
+        });
+    }
+
+    /*
+        Applies edits to a published book and writes it again.
+        Sections it already had reuse their stored content, only added ones are published.
+        Like `publish`, failures are left to the queue.
+    */
+    static edit(book, operations) {
+        return Promise.try(() => book.applyOperations(operations))
+            .then(() => BookServices.setStatus(book, STATUS_TYPES.PUBLISHING))
+            .then(BookServices.publishAddedSections)
+            .then(() => book.restoreImages())
+            .then(() => BookServices.checkCancelled(book))
+            .then(() => book.deleteFiles())
+            .then(() => BookServices.createCustomCover(book))
+            .then(BookServices.writeEpub)
+            .then(BookServices.convertFormats)
+            .then(BookServices.checkCancelled)
+            .then(() => book.update())
+            .then(BookServices.scheduleClean)
+            .then(editedBook => BookServices.setStatus(editedBook, STATUS_TYPES.DONE));
+    }
+
+    /*
+        Stops a publish that's no longer wanted, like one that timed out. It doesn't
+        report its status anymore and stops before writing its files or saving.
+    */
+    static cancel(book) {
+        cancelledBooks.add(book);
+    }
+
+    static checkCancelled(book) {
+        if (cancelledBooks.has(book)) {
+            const error = new Error('Publish cancelled.');
+            error.code = 'JOB_CANCELLED';
+            return Promise.reject(error);
+        }
+        return Promise.resolve(book);
+    }
+
+    static publishAddedSections(book) {
+        const addedSections = book.getSections().filter(section => !section.xhtml);
+        if (addedSections.length === 0) {
+            return Promise.resolve(book);
+        }
+        // Failed sections are skipped once they're merged back into the book
+        const options = Object.assign({}, book.getOptions(), { skipFailedSections: false });
+        const addedBook = new Book(book.getMetadata(), addedSections, options);
+
+        return BookServices.updateSectionsHtml(addedBook)
+            .then(BookServices.extractSectionsContent)
+            .then(BookServices.handleFailedSections)
+            .then(BookServices.localizeSectionsImages)
+            .then(BookServices.convertSectionsContent)
+            .then(BookServices.storeImages)
+            .then(() => {
+                if (book.getOptions().skipFailedSections) {
+                    addedSections
+                        .filter(BookServices.isFailedSection)
+                        .forEach(section => book.removeSection(section));
+                }
+                if (book.getSections().length === 0) {
+                    return Promise.reject(AppErrors.getApiError('NO_CONTENT_FOUND'));
+                }
+                return book;
+            });
+    }
+
+    static isFailedSection(section) {
+        const report = getReport(section);
+        return !!report.error || report.extracted === false;
+    }
+
+    static trackReport(book) {
+        if (cancelledBooks.has(book)) {
+            return Promise.resolve(book);
+        }
+        return tracker
+            .setReport(book.getId(), book.getReport())
+            .catch(log.exception('BookServices.trackReport'))
+            .then(() => book);
+    }
+
+    /*
+        Step 0: Turn feeds into sections
+        Feed entries past the book's section limit are left out.
+    */
+
+    static expandFeeds(book) {
+        const { feeds } = book.getOptions();
+        if (!feeds || feeds.length === 0) {
+            return Promise.resolve(book);
+        }
+
+        trackStatus(book, STATUS_TYPES.FETCHING_FEEDS);
+        return Promise.mapSeries(feeds, BookServices.readFeed).then((feedsSections) => {
+            const sections = [].concat(...feedsSections);
+            if (sections.length === 0 && book.getSections().length === 0) {
+                return Promise.reject(AppErrors.getApiError('NO_FEED_ITEMS'));
+            }
+            const remaining = BookServices.MAX_NUM_SECTIONS - book.getSections().length;
+            sections.slice(0, Math.max(remaining, 0)).forEach(section => book.addSection(section));
+            return book;
+        });
+    }
+
+    static readFeed(feed) {
+        const xmlPromise = feed.xml
+            ? Promise.resolve(feed.xml)
+            : Fetcher.get(feed.url).then(response => response.body);
+        return xmlPromise
+            .then((xml) => {
+                const parsedFeed = FeedParser.parse(xml);
+                parsedFeed.items = FeedParser.filter(parsedFeed.items, feed);
+                return FeedParser.toSections(parsedFeed);
+            })
             .catch((error) => {
-                BookServices.setStatus(book, STATUS_TYPES.FAILED);
-                return Promise.reject(error);
+                log.exception('BookServices.readFeed')(error);
+                return Promise.reject(AppErrors.getApiError('FEED_FAILED'));
             });
     }
 
+    /*
+        Step 0b: Drop sections of pages already in the book
+        Pages are compared by url before being fetched, by canonical url once fetched
+        and by content once extracted. The first section of a page is kept.
+    */
+
+    static removeDuplicates(book, getKey, reason) {
+        const keptSections = {};
+        book.getSections().forEach((section) => {
+            const key = getKey(section);
+            if (!key) {
+                return;
+            }
+            if (!keptSections[key]) {
+                keptSections[key] = section;
+                return;
+            }
+            const report = getReport(section);
+            report.duplicateOf = keptSections[key].url;
+            report.duplicateReason = reason;
+            book.removeSection(section);
+        });
+        return Promise.resolve(book);
+    }
+
+    static removeDuplicateUrls(book) {
+        // Reports keep the index of duplicates in the request
+        book.getSections().forEach((section, index) => {
+            getReport(section).index = index;
+        });
+        return BookServices.removeDuplicates(
+            book,
+            section => section.url && UrlNormalizer.getKey(section.url),
+            'url'
+        );
+    }
+
+    static removeCanonicalDuplicates(book) {
+        return BookServices.removeDuplicates(
+            book,
+            (section) => {
+                if (!section.url) {
+                    return undefined;
+                }
+                const canonicalUrl = UrlNormalizer.findCanonicalUrl(section.html, section.url);
+                return UrlNormalizer.getKey(canonicalUrl || section.url);
+            },
+            'canonical'
+        );
+    }
+
+    static removeContentDuplicates(book) {
+        return BookServices.removeDuplicates(
+            book,
+            section =>
+                !BookServices.isFailedSection(section) &&
+                HtmlProcessor.getFingerprint(section.content),
+            'content'
+        );
+    }
+
     /*
         Step 1: Download sections HTML
     */
 
     static updateSectionsHtml(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.FETCHING_HTML);
+        trackStatus(book, STATUS_TYPES.FETCHING_HTML);
         const sections = book.getSections();
-        return new Promise((resolve) => {
-            Promise.all(sections.map(section => BookServices.updateSectionHtml(section)))
+        const progress = trackSectionProgress(book);
+        sections.forEach((section, index) => {
+            const report = getReport(section);
+            if (report.index === undefined) {
+                report.index = index;
+            }
+        });
+        return new Promise((resolve, reject) => {
+            Promise.all(sections.map(section =>
+                BookServices.updateSectionHtml(section, book.getOptions()).then(progress)))
                 .then(() => resolve(book))
-                .catch(log.exception('BookServices.updateSectionsHtml'));
+                .catch((error) => {
+                    log.exception('BookServices.updateSectionsHtml')(error);
+                    reject(error);
+                });
         });
     }
 
-    static updateSectionHtml(section) {
+    static updateSectionHtml(section, options = {}) {
         const updatedSection = section;
         return new Promise((resolve) => {
-            if (section.url && !section.html) {
-                request(section.url)
-                    .then((html) => {
-                        updatedSection.html = html;
-                        resolve(updatedSection);
+            const report = getReport(section);
+            if (section.url && !section.html && !section.content) {
+                Fetcher.get(section.url)
+                    .then((response) => {
+                        report.httpStatus = response.statusCode;
+                        updatedSection.html = response.body;
+                        return BookServices.updateSectionPages(updatedSection, options);
                     })
+                    .then(() => resolve(updatedSection))
                     .catch((error) => {
                         log.exception('BookServices.updateSectionHtml')(error);
+                        report.httpStatus = error.statusCode;
+                        report.error = error.toString();
+                        if (AppErrors.api[error.code]) {
+                            report.errorType = error.code;
+                        }
                         updatedSection.html = `<h1>Error:</h1><p>${error.toString()}</p>`;
                         resolve(updatedSection);
                     });
@@ -94,6 +386,52 @@ class BookServices {
         });
     }
 
+    /*
+        A site rule can turn pagination on (optionally with a next link selector) or off,
+        otherwise the book's `followPagination` option decides.
+    */
+    static getPagination(section, options) {
+        const rulePagination = ContentExtractor.SITE_RULES.getPagination(section.url);
+        return rulePagination === undefined ? !!options.followPagination : rulePagination;
+    }
+
+    static updateSectionPages(section, options = {}) {
+        const updatedSection = section;
+        const pagination = BookServices.getPagination(section, options);
+        if (!pagination) {
+            return Promise.resolve(updatedSection);
+        }
+
+        const report = getReport(section);
+        const selector = typeof pagination === 'string' ? pagination : undefined;
+        const pages = [];
+        const visited = [section.url];
+
+        const fetchNextPage = (html, url) => {
+            const nextUrl = Pagination.findNextPageUrl(html, url, selector);
+            const isLastPage = pages.length + 1 >= BookServices.MAX_PAGINATION_PAGES;
+            if (!nextUrl || isLastPage || visited.indexOf(nextUrl) > -1) {
+                return Promise.resolve();
+            }
+
+            visited.push(nextUrl);
+            return Fetcher.get(nextUrl)
+                .then(({ body: nextHtml }) => {
+                    pages.push({ url: nextUrl, html: nextHtml });
+                    return fetchNextPage(nextHtml, nextUrl);
+                })
+                .catch((error) => {
+                    report.warnings.push(`Could not download page ${nextUrl} (${error})`);
+                });
+        };
+
+        return fetchNextPage(section.html, section.url).then(() => {
+            updatedSection.pages = pages;
+            report.pages = pages.length + 1;
+            return updatedSection;
+        });
+    }
+
     /*
         Step 2: Extract content from HTML
     */
@@ -105,6 +443,7 @@ class BookServices {
 
         updatedSection.title = articleTitle || Book.fallbackTitle(section);
         updatedSection.title = Book.sanitizeTitle(updatedSection.title);
+        updatedSection.lang = section.lang || HtmlProcessor.getLanguage(section.html);
         updatedSection.content = `<h1>${updatedSection.title}</h1>`;
         updatedSection.content += `${article.content}`;
 
@@ -114,10 +453,15 @@ class BookServices {
     static setErrorContent(section) {
         const updatedSection = section;
 
+        const { error } = getReport(section);
+        const explanation = error
+            ? `<p>We couldn't download ${section.url} (${error}).</p>`
+            : `<p>We looked for content in ${section.url} but couldn't find anything :(.</p>`;
+
         updatedSection.title = Book.fallbackTitle(section);
         updatedSection.content = '<h1>Oops! No content found.</h1>';
         updatedSection.content += [
-            `<p>We looked for content in ${section.url} but couldn't find anything :(.</p>`,
+            explanation,
             '<p>Try making sure all your tabs have fully loaded before downloding your book.</p>',
             '<p>Feel free to email support@epub.press if you need help.</p>',
         ].join('\n');
@@ -126,62 +470,168 @@ class BookServices {
     }
 
     static extractSectionsContent(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.EXTRACTING_CONTENT);
-        return new Promise((resolve) => {
+        trackStatus(book, STATUS_TYPES.EXTRACTING_CONTENT);
+        return new Promise((resolve, reject) => {
+            const progress = trackSectionProgress(book);
             Promise.map(
                 book.getSections(),
-                section => BookServices.extractSectionContent(section),
+                section => BookServices.extractSectionContent(section).then(progress),
                 { concurrency: BookServices.CONCURRENCY }
             )
                 .then(() => resolve(book))
-                .catch(log.exception('BookServices.extractSectionsContent'));
+                .catch((error) => {
+                    log.exception('BookServices.extractSectionsContent')(error);
+                    reject(error);
+                });
         });
     }
 
+    static extractPageContent(page) {
+        return ContentExtractor.runUrlSpecificOperations(page.html, page.url).then(html =>
+            ContentExtractor.extract(html));
+    }
+
+    /*
+        Sections that already have content (like full feed entries) are cleaned up
+        without going through readability.
+    */
+    static hasContent(section) {
+        return !!(section.title && section.content && !section.html);
+    }
+
+    static cleanSectionContent(section) {
+        const updatedSection = section;
+        return ContentExtractor.preprocess(section.content)
+            .then(html => ContentExtractor.postprocess(html))
+            .then((content) => {
+                const report = getReport(section);
+                updatedSection.title = Book.sanitizeTitle(section.title);
+                updatedSection.content = `<h1>${updatedSection.title}</h1>${content}`;
+                report.extracted = true;
+                return updatedSection;
+            });
+    }
+
     static extractSectionContent(section) {
-        return new Promise((resolve) => {
-            ContentExtractor.runUrlSpecificOperations(section.html, section.url)
-                .then(html => ContentExtractor.extract(html))
+        if (BookServices.hasContent(section)) {
+            return BookServices.cleanSectionContent(section);
+        }
+
+        const pages = [{ url: section.url, html: section.html }].concat(section.pages || []);
+        return new Promise((resolve, reject) => {
+            Promise.mapSeries(pages, BookServices.extractPageContent)
+                .then(articles => articles.filter(article => article && article.content))
+                .then(articles => Pagination.mergeArticles(articles))
                 .then((article) => {
                     let updatedSection;
+                    const report = getReport(section);
                     if (article && article.content) {
                         updatedSection = BookServices.setArticleContent(article, section);
                         const resultsValidator = new ResultsValidator(updatedSection);
-                        resultsValidator.validate();
+                        report.extracted = true;
+                        report.valid = resultsValidator.validate();
+                        report.warnings = report.warnings.concat(resultsValidator.getWarnings());
                     } else {
                         log.warn('No article found', { url: section.url });
+                        report.extracted = false;
+                        report.warnings.push('No article found');
                         updatedSection = BookServices.setErrorContent(section);
                     }
 
                     resolve(updatedSection);
                 })
-                .catch(log.exception('BookServices.extractSectionContent'));
+                .catch((error) => {
+                    log.exception('BookServices.extractSectionContent')(error);
+                    reject(error);
+                });
         });
     }
 
+    /*
+        Step 2b: Drop, keep or abort on sections that failed
+    */
+
+    static handleFailedSections(book) {
+        const { failOnSectionError, skipFailedSections } = book.getOptions();
+        const failedSections = book.getSections().filter(BookServices.isFailedSection);
+
+        if (failedSections.length > 0 && failOnSectionError) {
+            return Promise.reject(AppErrors.getApiError('SECTION_FAILED'));
+        }
+
+        if (skipFailedSections) {
+            failedSections.forEach((section) => {
+                getReport(section).skipped = true;
+                book.removeSection(section);
+            });
+            if (book.getSections().length === 0) {
+                return Promise.reject(AppErrors.getApiError('NO_CONTENT_FOUND'));
+            }
+        }
+
+        return BookServices.trackReport(book);
+    }
+
     /*
         Step 3: Localize images
     */
 
+    /*
+        Sections get their images in order, each from what the book's image policy has left.
+        Images are then fit to the book's screen.
+    */
     static localizeSectionsImages(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.FETCHING_IMAGES);
-        return new Promise((resolve) => {
-            Promise.all(book.getSections().map(BookServices.localizeSectionImages))
+        trackStatus(book, STATUS_TYPES.FETCHING_IMAGES);
+        const progress = trackSectionProgress(book);
+        const {
+            images: policy, screen, grayscale, svg,
+        } = book.getOptions();
+        const left = { count: policy.maxCount, bytes: policy.maxBytes };
+        return new Promise((resolve, reject) => {
+            Promise.mapSeries(book.getSections(), (section) => {
+                const opts = {
+                    maxCount: Math.min(left.count, policy.maxPerSection),
+                    maxBytes: left.bytes,
+                    maxWidth: screen.width,
+                    maxHeight: screen.height,
+                    grayscale,
+                    svg,
+                };
+                return BookServices.localizeSectionImages(section, opts).then((localized) => {
+                    const report = getReport(localized);
+                    left.count -= report.images.downloaded;
+                    left.bytes -= report.images.bytes;
+                    return progress(localized);
+                });
+            })
                 .then(() => resolve(book))
-                .catch(log.exception('BookServices.localizeSectionsImages'));
+                .catch((error) => {
+                    log.exception('BookServices.localizeSectionsImages')(error);
+                    reject(error);
+                });
         });
     }
 
-    static localizeSectionImages(section) {
-        return new Promise((resolve) => {
+    static localizeSectionImages(section, opts) {
+        return new Promise((resolve, reject) => {
             const filteredSection = section;
-            HtmlProcessor.extractImages(section.url, section.content)
+            HtmlProcessor.extractImages(section.url, section.content, opts)
                 .then((extractedImages) => {
                     filteredSection.content = extractedImages.html;
                     filteredSection.images = extractedImages.images;
+                    getReport(section).images = {
+                        found: extractedImages.found,
+                        downloaded: extractedImages.images.length,
+                        skipped: extractedImages.skipped,
+                        bytes: extractedImages.bytes,
+                        savedBytes: extractedImages.savedBytes,
+                    };
                     resolve(filteredSection);
                 })
-                .catch(log.exception('BookServices.localizeSectionImages'));
+                .catch((error) => {
+                    log.exception('BookServices.localizeSectionImages')(error);
+                    reject(error);
+                });
         });
     }
 
@@ -190,20 +640,37 @@ class BookServices {
     */
 
     static convertSectionsContent(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.FORMATTING_HTML);
+        trackStatus(book, STATUS_TYPES.FORMATTING_HTML);
         const sections = book.getSections();
-        return new Promise((resolve) => {
-            Promise.all(sections.map(section => BookServices.convertSectionContent(section)))
+        const progress = trackSectionProgress(book);
+        return new Promise((resolve, reject) => {
+            Promise.all(sections.map(section =>
+                BookServices.convertSectionContent(section, book.getOptions().format)
+                    .then(progress)))
                 .then(() => resolve(book))
-                .catch(log.exception('BookServices.convertSectionsContent'));
+                .catch((error) => {
+                    log.exception('BookServices.convertSectionsContent')(error);
+                    reject(error);
+                });
         });
     }
 
-    static convertSectionContent(section) {
+    /*
+        Figures are only kept as `<figure>` in EPUB 3, which has them.
+    */
+    static convertSectionContent(section, format) {
         const updatedSection = section;
+        const anchored = HtmlProcessor.anchorHeadings(section.content);
+        const anchoredFigures = HtmlProcessor.anchorFigures(anchored.html);
+        const { figures } = anchoredFigures;
+        const html = format === 'epub3'
+            ? anchoredFigures.html
+            : HtmlProcessor.convertFiguresToDivs(anchoredFigures.html);
+        updatedSection.headings = anchored.headings;
+        updatedSection.figures = figures;
         return new Promise((resolve, reject) => {
             tidy(
-                section.content,
+                html,
                 {
                     outputXhtml: true,
                     doctype: 'omit',
@@ -223,12 +690,26 @@ class BookServices {
         });
     }
 
+    /*
+        Step 4b: Store the images, so the book can be rebuilt once its files are cleaned
+        Failures aren't fatal, they only keep the book from being rebuilt.
+    */
+
+    static storeImages(book) {
+        if (!Config.CONTENT_RETENTION_DAYS) {
+            return Promise.resolve(book);
+        }
+        return Promise.resolve(book.storeImages())
+            .catch(log.exception('BookServices.storeImages'))
+            .then(() => book);
+    }
+
     /*
         Step 6: Create a custom cover
     */
 
     static createCustomCover(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.CREATING_COVER);
+        trackStatus(book, STATUS_TYPES.CREATING_COVER);
         return StylingService.writeOnCover(book, book.getTitle());
     }
 
@@ -237,7 +718,7 @@ class BookServices {
     */
 
     static writeEpub(book) {
-        tracker.setStatus(book.getId(), STATUS_TYPES.WRITING_EBOOK);
+        trackStatus(book, STATUS_TYPES.WRITING_EBOOK);
         return new Promise((resolve, reject) => {
             book
                 .writeEpub()
@@ -252,22 +733,97 @@ class BookServices {
     }
 
     /*
-        Step 6: Convert to .mobi
+        Step 6: Convert to the formats requested up front
+        Other formats are converted on their first download.
+        Failures aren't fatal, the epub can still be downloaded.
     */
 
-    static convertToMobi(book) {
-        return new Promise((resolve, reject) => {
-            exec(`${Config.KINDLEGEN} "${book.getEpubPath()}"`, (error) => {
-                if (error && error.code > 1) {
-                    log.exception('BookServices.convertToMobi')(error);
-                    reject(error);
-                } else {
-                    resolve(book);
-                }
-            });
+    static convertFormats(book) {
+        const { formats } = book.getOptions();
+        if (!formats.length) {
+            return Promise.resolve(book);
+        }
+        trackStatus(book, STATUS_TYPES.CONVERTING);
+        return Promise.mapSeries(formats, filetype =>
+            BookServices.convertFormat(book, filetype).catch(log.exception('BookServices.convertFormats')))
+            .then(() => book);
+    }
+
+    /*
+        Writes `filetype` from the book's epub, once at a time per book.
+    */
+    static convertFormat(book, filetype) {
+        const key = `${book.getId()}.${filetype}`;
+        if (!conversions[key]) {
+            conversions[key] = Promise.resolve(book.writeFormat(filetype))
+                .then(() => book)
+                .catch((e) => {
+                    log.exception('BookServices.convertFormat')(e);
+                    const errorName = filetype === 'mobi' ? 'MOBI_UNAVAILABLE' : 'FORMAT_UNAVAILABLE';
+                    return Promise.reject(AppErrors.getApiError(errorName));
+                })
+                .finally(() => {
+                    delete conversions[key];
+                });
+        }
+        return conversions[key];
+    }
+
+    /*
+        Finds a published book's file, converting it from the epub if it wasn't made yet.
+        Cleaned books are rebuilt from their stored content.
+    */
+    static findBook(id, filetype) {
+        if (filetype && filetype !== 'epub' && !Book.CONVERTERS[filetype]) {
+            return Promise.reject(AppErrors.getApiError('UNSUPPORTED_FILETYPE'));
+        }
+        return Book.find(id, filetype).catch(() =>
+            Book.load(id).then(book => BookServices.buildFile(book, filetype)));
+    }
+
+    static buildFile(book, filetype) {
+        return Promise.resolve(book.hasFile('epub')).then((hasEpub) => {
+            if (!hasEpub && !book.hasContent()) {
+                return Promise.reject(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            }
+            return (hasEpub ? Promise.resolve(book) : BookServices.rebuild(book))
+                .then(() => {
+                    if (!Book.CONVERTERS[filetype]) {
+                        return book;
+                    }
+                    trackStatus(book, STATUS_TYPES.CONVERTING);
+                    return BookServices.convertFormat(book, filetype);
+                })
+                .then(
+                    builtBook => trackStatus(book, STATUS_TYPES.DONE).then(() => builtBook),
+                    error => trackStatus(book, STATUS_TYPES.FAILED)
+                        .then(() => Promise.reject(error))
+                );
         });
     }
 
+    /*
+        Writes the epub of a cleaned book again, without fetching its urls.
+    */
+    static rebuild(book) {
+        const key = `${book.getId()}.epub`;
+        if (!conversions[key]) {
+            trackStatus(book, STATUS_TYPES.REBUILDING);
+            conversions[key] = Promise.resolve(book.restoreImages())
+                .then(BookServices.createCustomCover)
+                .then(BookServices.writeEpub)
+                .then(BookServices.scheduleClean)
+                .catch((e) => {
+                    log.exception('BookServices.rebuild')(e);
+                    return Promise.reject(AppErrors.getApiError('BOOK_NOT_FOUND'));
+                })
+                .finally(() => {
+                    delete conversions[key];
+                });
+        }
+        return conversions[key];
+    }
+
     /*
         Step 7: Commit to DB
     */
@@ -299,5 +855,7 @@ class BookServices {
 
 BookServices.CLEAN_DELAY = 1000 * 60 * 5; // 5 minutes
 BookServices.CONCURRENCY = 1;
+BookServices.MAX_PAGINATION_PAGES = Config.MAX_PAGINATION_PAGES;
+BookServices.MAX_NUM_SECTIONS = Config.MAX_NUM_SECTIONS;
 
 module.exports = BookServices;
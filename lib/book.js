@@ -1,48 +1,114 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 
 const shortid = require('shortid');
 const sanitizeHtml = require('sanitize-html');
+const marked = require('marked');
 
 const AppErrors = require('./app-errors');
+const BlobStore = require('./blob-store');
 const Config = require('./config');
 const Utilities = require('./utilities');
 const Url = require('url');
 const BookModel = require('../models/').Book;
 const Logger = require('./logger');
+const Epub3Writer = require('./epub3-writer');
+const EpubReader = require('./epub-reader');
+const HtmlWriter = require('./html-writer');
+const ImageProcessor = require('./image-processor');
+const Kf8Writer = require('./kf8-writer');
+const MobiWriter = require('./mobi-writer');
+const PdfWriter = require('./pdf-writer');
+const TextWriter = require('./text-writer');
+const UrlNormalizer = require('./url-normalizer');
 
 const log = new Logger();
 
 class Book {
-    static find(id, filetype) {
-        return new Promise((resolve, reject) => {
-            BookModel.findOne({ where: { uid: id } }).then((bookModel) => {
-                if (!bookModel) {
-                    return reject(AppErrors.getApiError('BOOK_NOT_FOUND'));
-                }
+    static load(id) {
+        return BookModel.findOne({ where: { uid: id } }).then((bookModel) => {
+            if (!bookModel) {
+                return Promise.reject(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            }
+            return Book.fromModel(bookModel);
+        });
+    }
 
-                const book = new Book({ id: bookModel.uid, title: bookModel.title });
-                const path = filetype === 'mobi' ? book.getMobiPath() : book.getEpubPath();
+    static find(id, filetype) {
+        return Book.load(id).then(book =>
+            book.hasFile(filetype).then(exists =>
+                (exists ? book : Promise.reject(AppErrors.getApiError('BOOK_NOT_FOUND')))));
+    }
 
-                return fs.stat(path, (err) => {
-                    if (err) {
-                        reject(AppErrors.getApiError('BOOK_NOT_FOUND'));
-                    } else {
-                        resolve(book);
-                    }
-                });
-            });
+    /*
+        Books keep the content they were written from until CONTENT_RETENTION_DAYS.
+    */
+    static fromModel(bookModel) {
+        const content = bookModel.content || {};
+        const metadata = Object.assign({}, content.metadata, {
+            id: bookModel.uid,
+            title: bookModel.title,
         });
+        const sections = (content.sections || []).map(section =>
+            Object.assign({}, section, { images: [] }));
+        return new Book(metadata, sections, content.options);
+    }
+
+    static getFilePath(book, filetype) {
+        return book[Book.FILE_PATHS[filetype] || 'getEpubPath']();
     }
 
     static isValidSection(section) {
-        return !!((section.title && section.content) || section.url);
+        const hasContent = section.content || section.markdown || section.text;
+        return !!((section.title && hasContent) || section.url);
+    }
+
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static textToHtml(text) {
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph)
+            .map(paragraph => `<p>${Book.escapeHtml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+            .join('\n');
+    }
+
+    /*
+        Builds a section from a request section.
+        `markdown` and `text` are converted to `content`, which skips readability.
+    */
+    static buildSection(attrs) {
+        const url = attrs.url && UrlNormalizer.normalize(attrs.url);
+        const section = { url, html: attrs.html || null };
+        if (attrs.lang) {
+            section.lang = attrs.lang;
+        }
+        let { content } = attrs;
+        if (attrs.markdown) {
+            content = marked(attrs.markdown);
+        } else if (attrs.text) {
+            content = Book.textToHtml(attrs.text);
+        }
+
+        if (attrs.title && content) {
+            section.title = attrs.title;
+            section.content = content;
+        }
+        return section;
     }
 
     static fallbackTitle(section) {
         let fallbackTitle;
-        const titleMatches = section.html.match(/<title>(.*?)<\/title>/i);
+        const titleMatches = (section.html || '').match(/<title>(.*?)<\/title>/i);
         if (titleMatches) {
             [, fallbackTitle] = titleMatches;
         }
@@ -75,22 +141,46 @@ class Book {
         return tempTitle;
     }
 
-    static getEpubWriter(metadata) {
+    static getEpubWriter(metadata, options = {}, getToc = Book.getToc) {
+        const coverPath = metadata.coverPath || Book.DEFAULT_COVER_PATH;
+        if (options.format === 'epub3') {
+            return new Epub3Writer(metadata, coverPath, getToc, { tocDepth: options.tocDepth });
+        }
+
         // eslint-disable-next-line
         const nodepub = require('nodepub');
-        return nodepub.document(
-            metadata,
-            metadata.coverPath || Book.DEFAULT_COVER_PATH,
-            Book.getToc
+        return nodepub.document(metadata, coverPath, getToc);
+    }
+
+    static getTocHeadings(link, headings, depth) {
+        const outline = Epub3Writer.buildOutline(
+            { level: 1 },
+            (headings || []).filter(heading => heading.level <= depth)
         );
+        const renderHeadings = entries =>
+            entries.map((entry) => {
+                const href = `${link.link}#${entry.id}`;
+                const title = Book.escapeHtml(entry.title);
+                const children = entry.children.length > 0
+                    ? `<ol>${renderHeadings(entry.children).join('')}</ol>`
+                    : '';
+                return `<li><a href="${href}">${title}</a>${children}</li>`;
+            });
+        return outline.children.length > 0
+            ? `<ol>${renderHeadings(outline.children).join('')}</ol>`
+            : '';
     }
 
-    static getToc(links) {
+    /*
+        `headings` maps section files (s1.xhtml) to the headings to list under them.
+    */
+    static getToc(links, headings = {}, depth = 1) {
         const tableOfContents = ['<h2>Table Of Contents</h2>', '<ol class="toc-items">'];
 
         links.forEach((link) => {
             if (link.itemType === 'main') {
-                tableOfContents.push(`<li><a href="${link.link}">${link.title}</a></li>`);
+                const sectionHeadings = Book.getTocHeadings(link, headings[link.link], depth);
+                tableOfContents.push(`<li><a href="${link.link}">${link.title}</a>${sectionHeadings}</li>`);
             }
         });
 
@@ -99,28 +189,102 @@ class Book {
         return tableOfContents.join('\n');
     }
 
-    static fromJSON(json) {
+    /*
+        Levels listed in the table of contents: 1 for sections, 2 and 3 to add their h2/h3.
+        EPUB 3 navigation lists every level by default.
+    */
+    static getTocDepth(tocDepth, format) {
+        const depth = parseInt(tocDepth, 10);
+        if (depth >= 1) {
+            return Math.min(depth, Book.MAX_TOC_DEPTH);
+        }
+        return format === 'epub3' ? Book.MAX_TOC_DEPTH : 1;
+    }
+
+    /*
+        Limits of the images downloaded, from the name of a policy or
+        `{ maxCount, maxBytes, maxPerSection }`. They can't go over the server's limits,
+        which `all` and missing values use.
+    */
+    static getImagePolicy(images) {
+        const requested = typeof images === 'string' ? Book.IMAGE_POLICIES[images] : images;
+        const limits = Book.DEFAULT_OPTIONS.images;
+        return Object.keys(limits).reduce((policy, limit) => {
+            const value = parseInt((requested || {})[limit], 10);
+            return Object.assign(policy, {
+                [limit]: value >= 0 ? Math.min(value, limits[limit]) : limits[limit],
+            });
+        }, {});
+    }
+
+    /*
+        Screen size images are downsized to, at most the server's.
+    */
+    static getScreen(screen) {
+        const limits = Book.DEFAULT_OPTIONS.screen;
+        return Object.keys(limits).reduce((size, dimension) => {
+            const value = parseInt((screen || {})[dimension], 10);
+            return Object.assign(size, {
+                [dimension]: value > 0 ? Math.min(value, limits[dimension]) : limits[dimension],
+            });
+        }, {});
+    }
+
+    static fromJSON(json, id) {
         let reqBody = json;
         if (typeof reqBody === 'string') {
             reqBody = JSON.parse(json);
         }
         const attrs = reqBody;
-        let { sections } = attrs;
-        if (!sections) {
-            sections = attrs.urls.map(url => ({ url, html: null }));
+        let sections;
+        if (attrs.sections) {
+            sections = attrs.sections.filter(Book.isValidSection).map(Book.buildSection);
+        } else {
+            sections = (attrs.urls || []).map(url => ({
+                url: UrlNormalizer.normalize(url),
+                html: null,
+            }));
         }
+        const format = Book.FORMATS.indexOf(attrs.format) > -1 ? attrs.format : 'epub2';
+        const pageSize = PdfWriter.PAGE_SIZES[attrs.pageSize]
+            ? attrs.pageSize
+            : PdfWriter.DEFAULT_PAGE_SIZE;
+        const formats = (attrs.formats || []).filter((filetype, index, filetypes) =>
+            Book.CONVERTERS[filetype] && filetypes.indexOf(filetype) === index);
+        const feeds = (attrs.feeds || []).map((feed) => {
+            const feedAttrs = typeof feed === 'string' ? { url: feed } : feed;
+            return Object.assign({}, attrs.feedFilters, feedAttrs);
+        });
 
         return new Book(
             {
+                id,
                 title: attrs.title,
                 description: attrs.description,
                 author: attrs.author,
             },
-            sections
+            sections,
+            {
+                failOnSectionError: attrs.failOnSectionError === true,
+                skipFailedSections: attrs.skipFailedSections === true,
+                followPagination: attrs.followPagination === true,
+                format,
+                tocDepth: Book.getTocDepth(attrs.tocDepth, format),
+                pageSize,
+                formats,
+                feeds,
+                images: Book.getImagePolicy(attrs.images),
+                screen: Book.getScreen(attrs.screen),
+                grayscale: attrs.grayscale === true,
+                listOfFigures: attrs.listOfFigures === true,
+                svg: ImageProcessor.SVG_OPTIONS.indexOf(attrs.svg) > -1
+                    ? attrs.svg
+                    : ImageProcessor.SVG_OPTIONS[0],
+            }
         );
     }
 
-    constructor(metadata, sections) {
+    constructor(metadata, sections, options) {
         const id = shortid.generate();
         let date = Date();
         date = date.slice(0, date.match(/\d{4}/).index + 4);
@@ -133,12 +297,18 @@ class Book {
         });
 
         this._sections = sections || [];
+        this._removedSections = [];
+        this._options = Object.assign({}, Book.DEFAULT_OPTIONS, options);
     }
 
     getMetadata() {
         return this._metadata;
     }
 
+    getOptions() {
+        return this._options;
+    }
+
     getPath() {
         return `${Book.DEFAULT_EBOOK_FOLDER}/${this.getId()}`;
     }
@@ -151,12 +321,66 @@ class Book {
         return `${this.getPath()}.mobi`;
     }
 
+    getAzw3Path() {
+        return `${this.getPath()}.azw3`;
+    }
+
+    getPdfPath() {
+        return `${this.getPath()}.pdf`;
+    }
+
+    getHtmlPath() {
+        return `${this.getPath()}.html`;
+    }
+
+    // Markdown is zipped with its images
+    getMarkdownPath() {
+        return `${this.getPath()}.md.zip`;
+    }
+
+    getTextPath() {
+        return `${this.getPath()}.txt`;
+    }
+
     getCoverPath() {
         return this.getMetadata().coverPath || Book.DEFAULT_COVER_PATH;
     }
 
-    setCoverPath(path) {
-        this._metadata.coverPath = path;
+    setCoverPath(coverPath) {
+        this._metadata.coverPath = coverPath;
+    }
+
+    hasFile(filetype) {
+        return new Promise((resolve) => {
+            fs.stat(Book.getFilePath(this, filetype), err => resolve(!err));
+        });
+    }
+
+    hasContent() {
+        return this.getSections().some(section => section.xhtml);
+    }
+
+    /*
+        The written sections and the blobs of their images, to rebuild the book later.
+    */
+    getContent() {
+        if (!Config.CONTENT_RETENTION_DAYS) {
+            return null;
+        }
+        const { description, author } = this.getMetadata();
+        return {
+            metadata: { description, author },
+            options: this.getOptions(),
+            sections: this.getSections().map(section => ({
+                title: section.title,
+                url: section.url,
+                lang: section.lang,
+                xhtml: section.xhtml,
+                headings: section.headings,
+                figures: section.figures,
+                blobs: section.blobs || [],
+            })),
+        };
     }
 
     getId() {
@@ -190,10 +414,93 @@ class Book {
         }
     }
 
+    removeSection(section) {
+        const index = this._sections.indexOf(section);
+        if (index > -1) {
+            this._sections.splice(index, 1);
+            this._removedSections.push(section);
+        }
+    }
+
+    /*
+        Edit operations, as sent to PATCH /api/v1/books/:id
+    */
+
+    applyOperations(operations) {
+        operations.forEach((operation) => {
+            const method = Book.OPERATIONS[(operation || {}).op];
+            if (!method) {
+                throw AppErrors.getApiError('INVALID_OPERATION');
+            }
+            this[method](operation);
+        });
+        return this;
+    }
+
+    appendSections({ sections }) {
+        if (!Array.isArray(sections) || sections.length === 0) {
+            throw AppErrors.getApiError('INVALID_OPERATION');
+        }
+        if (!sections.every(section => section && Book.isValidSection(section))) {
+            throw AppErrors.getApiError('INVALID_OPERATION');
+        }
+        this._sections = this._sections.concat(sections.map(Book.buildSection));
+    }
+
+    // Sections are removed by index or url, compared like the urls of added sections
+    deleteSection({ index, url }) {
+        if (!url && !Number.isInteger(index)) {
+            throw AppErrors.getApiError('INVALID_OPERATION');
+        }
+        const key = url && UrlNormalizer.getKey(url);
+        const position = url
+            ? this._sections.findIndex(section =>
+                !!section.url && UrlNormalizer.getKey(section.url) === key)
+            : index;
+        if (position < 0 || position >= this._sections.length) {
+            throw AppErrors.getApiError('SECTION_NOT_FOUND');
+        }
+        this._sections.splice(position, 1);
+    }
+
+    // `order` lists every current index in their new order
+    reorderSections({ order }) {
+        const count = this._sections.length;
+        const isPermutation =
+            Array.isArray(order) &&
+            order.length === count &&
+            order.every((index, position) =>
+                Number.isInteger(index) && index >= 0 && index < count &&
+                order.indexOf(index) === position);
+        if (!isPermutation) {
+            throw AppErrors.getApiError('INVALID_OPERATION');
+        }
+        this._sections = order.map(index => this._sections[index]);
+    }
+
+    updateMetadata(operation) {
+        const keys = ['title', 'description', 'author'].filter(key =>
+            typeof operation[key] === 'string' && operation[key].trim());
+        if (keys.length === 0) {
+            throw AppErrors.getApiError('INVALID_OPERATION');
+        }
+        keys.forEach((key) => {
+            this._metadata[key] = Book.replaceCharacters(sanitizeHtml(operation[key]));
+        });
+    }
+
+    getReport() {
+        return this._sections
+            .concat(this._removedSections)
+            .map(section => section.report)
+            .filter(report => report)
+            .sort((a, b) => a.index - b.index);
+    }
+
     getReferences() {
         const referencesHtml = ['<h2>References</h2>', '<ol class="references-items">'];
 
-        this.getSections().forEach((section) => {
+        this.getSections().filter(section => section.url).forEach((section) => {
             const host = Url.parse(section.url).hostname;
             const ref = `<li><a href="${section.url}">${section.title} (${host})</a></li>`;
             referencesHtml.push(ref);
@@ -203,6 +510,51 @@ class Book {
         return referencesHtml.join('\n');
     }
 
+    /*
+        Links to the figures of the sections written, which `files` maps to their file.
+    */
+    getListOfFigures(files) {
+        const figuresHtml = ['<h2>List of Figures</h2>', '<ol class="figures-items">'];
+
+        this.getSections().filter(section => files.has(section)).forEach((section) => {
+            (section.figures || []).forEach((figure) => {
+                const href = `${files.get(section)}#${figure.id}`;
+                figuresHtml.push(`<li><a href="${href}">${Book.escapeHtml(figure.caption)}</a></li>`);
+            });
+        });
+
+        figuresHtml.push('</ol>');
+        return figuresHtml.join('\n');
+    }
+
+    storeImages() {
+        return Promise.all(this.getSections().map((section) => {
+            const updatedSection = section;
+            return Promise.all((section.images || []).map(imagePath =>
+                BlobStore.put(imagePath).then(key => ({ name: path.basename(imagePath), key }))))
+                .then((blobs) => {
+                    updatedSection.blobs = blobs;
+                });
+        })).then(() => this);
+    }
+
+    /*
+        Copies stored images back to where the sections' xhtml expects them.
+    */
+    restoreImages() {
+        return Promise.all(this.getSections().map((section) => {
+            const updatedSection = section;
+            if ((section.images || []).length > 0) {
+                return null;
+            }
+            return Promise.all((section.blobs || []).map(blob =>
+                BlobStore.copy(blob.key, `${Config.IMAGES_TMP}/${blob.name}`)))
+                .then((images) => {
+                    updatedSection.images = images;
+                });
+        })).then(() => this);
+    }
+
     deleteAssets() {
         return new Promise((resolve, reject) => {
             Utilities.removeFiles(this.getAssets())
@@ -213,16 +565,28 @@ class Book {
     }
 
     deleteFiles() {
-        const files = [this.getMobiPath(), this.getEpubPath()];
+        const files = Object.keys(Book.FILE_PATHS).map(filetype =>
+            Book.getFilePath(this, filetype));
         return Utilities.removeFiles(files);
     }
 
     writeEpub() {
-        this._ebook = Book.getEpubWriter(this.getMetadata());
+        const options = this.getOptions();
+        const tocHeadings = {};
+        const sectionFiles = new Map();
+        let sectionCount = 0;
+        const getToc = links => Book.getToc(links, tocHeadings, options.tocDepth);
+        this._ebook = Book.getEpubWriter(this.getMetadata(), options, getToc);
 
         this.getSections().forEach((section) => {
             if (section.title && section.xhtml) {
-                this._ebook.addSection(section.title, section.xhtml);
+                this._ebook.addSection(section.title, section.xhtml, false, false, {
+                    lang: section.lang,
+                    headings: section.headings,
+                });
+                sectionCount += 1;
+                tocHeadings[`s${sectionCount}.xhtml`] = section.headings;
+                sectionFiles.set(section, `s${sectionCount}.xhtml`);
             }
             if (section.images && section.images.length > 0) {
                 const bookImages = this.getMetadata().images;
@@ -230,8 +594,17 @@ class Book {
             }
         });
 
+        const hasFigures = this.getSections().some(section => (section.figures || []).length > 0);
+        if (options.listOfFigures && hasFigures) {
+            this._ebook.addSection('List of Figures', this.getListOfFigures(sectionFiles), false, false, {
+                type: 'backmatter',
+            });
+        }
+
         const referencesHtml = this.getReferences();
-        this._ebook.addSection('References', referencesHtml);
+        this._ebook.addSection('References', referencesHtml, false, false, {
+            type: 'backmatter',
+        });
 
         this.getMetadata().images = [...new Set(this.getMetadata().images)];
 
@@ -254,6 +627,53 @@ class Book {
         });
     }
 
+    /*
+        Writes one of the CONVERTERS formats from the epub.
+    */
+    writeFormat(filetype) {
+        return this[Book.CONVERTERS[filetype]]();
+    }
+
+    writeMobi() {
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new MobiWriter(epub).write(this.getMobiPath()))
+            .then(() => this);
+    }
+
+    writeAzw3() {
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new Kf8Writer(epub).write(this.getAzw3Path()))
+            .then(() => this);
+    }
+
+    /*
+        Lays out the written epub as a PDF, so it has the same content and cover.
+    */
+    writePdf() {
+        const { pageSize, tocDepth } = this.getOptions();
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new PdfWriter(epub, { pageSize, tocDepth }).write(this.getPdfPath()))
+            .then(() => this);
+    }
+
+    writeHtml() {
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new HtmlWriter(epub).write(this.getHtmlPath()))
+            .then(() => this);
+    }
+
+    writeMarkdown() {
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new TextWriter(epub, { markdown: true }).write(this.getMarkdownPath()))
+            .then(() => this);
+    }
+
+    writeText() {
+        return EpubReader.open(this.getEpubPath())
+            .then(epub => new TextWriter(epub).write(this.getTextPath()))
+            .then(() => this);
+    }
+
     commit() {
         return new Promise((resolve, reject) => {
             BookModel.create({
@@ -263,6 +683,8 @@ class Book {
                     title: section.title,
                     url: section.url,
                 })),
+                report: this.getReport(),
+                content: this.getContent(),
             })
                 .then(() => {
                     resolve(this);
@@ -273,6 +695,23 @@ class Book {
                 });
         });
     }
+
+    /*
+        Saves an edited book, keeping the report of its first publish.
+    */
+    update() {
+        return BookModel.update(
+            {
+                title: this._metadata.title,
+                sections: this._sections.map(section => ({
+                    title: section.title,
+                    url: section.url,
+                })),
+                content: this.getContent(),
+            },
+            { where: { uid: this._metadata.id } }
+        ).then(() => this);
+    }
 }
 
 Book.MAX_TITLE_LENGTH = 125;
@@ -280,6 +719,57 @@ Book.DEFAULT_COVER_PATH = Config.DEFAULT_COVER_PATH;
 Book.DEFAULT_CSS_PATH = Config.DEFAULT_CSS_PATH;
 Book.DEFAULT_CSS = fs.readFileSync(Book.DEFAULT_CSS_PATH).toString();
 Book.DEFAULT_EBOOK_FOLDER = Config.DEFAULT_EBOOK_FOLDER;
+Book.DEFAULT_OPTIONS = {
+    failOnSectionError: false,
+    skipFailedSections: false,
+    followPagination: false,
+    format: 'epub2',
+    tocDepth: 1,
+    pageSize: PdfWriter.DEFAULT_PAGE_SIZE,
+    formats: [],
+    feeds: [],
+    images: {
+        maxCount: Config.IMAGES_MAX_COUNT,
+        maxBytes: Config.IMAGES_MAX_BYTES,
+        maxPerSection: Config.IMAGES_MAX_PER_SECTION,
+    },
+    screen: { width: Config.IMAGE_MAX_WIDTH, height: Config.IMAGE_MAX_HEIGHT },
+    grayscale: false,
+    listOfFigures: false,
+    svg: ImageProcessor.SVG_OPTIONS[0],
+};
+Book.IMAGE_POLICIES = {
+    all: {},
+    none: { maxCount: 0 },
+    'first-per-section': { maxPerSection: 1 },
+};
+Book.MAX_TOC_DEPTH = 3;
+Book.FORMATS = ['epub2', 'epub3'];
+// Filetypes converted from the epub, with the method writing them
+Book.CONVERTERS = {
+    mobi: 'writeMobi',
+    azw3: 'writeAzw3',
+    pdf: 'writePdf',
+    html: 'writeHtml',
+    md: 'writeMarkdown',
+    txt: 'writeText',
+};
+Book.FILE_PATHS = {
+    epub: 'getEpubPath',
+    mobi: 'getMobiPath',
+    azw3: 'getAzw3Path',
+    pdf: 'getPdfPath',
+    html: 'getHtmlPath',
+    md: 'getMarkdownPath',
+    txt: 'getTextPath',
+};
+// Edit operations with the method applying them
+Book.OPERATIONS = {
+    append: 'appendSections',
+    remove: 'deleteSection',
+    reorder: 'reorderSections',
+    metadata: 'updateMetadata',
+};
 Book.DEFAULT_METADATA = {
     author: 'EpubPress',
     description: 'Built using https://epub.press',
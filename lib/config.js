@@ -2,6 +2,8 @@
 
 const path = require('path');
 
+const packageJSON = require('../package.json');
+
 const Config = {};
 
 // Root Folders
@@ -11,8 +13,10 @@ Config.TMP = `${Config.ROOT}/tmp`;
 // Folder Paths
 Config.IMAGES_TMP = `${Config.TMP}/images`;
 Config.COVERS_TMP = `${Config.TMP}/covers`;
+Config.STATUSES_PATH = `${Config.TMP}/statuses`;
 Config.DOCS_PATH = `${Config.ROOT}/public/docs`;
 Config.ASSETS_PATH = `${Config.ROOT}/assets`;
+Config.SITE_RULES_PATH = process.env.SITE_RULES_PATH || `${Config.ROOT}/site-rules`;
 Config.LOGS_PATH = /test/i.test(process.env.NODE_ENV)
     ? `${Config.ROOT}/tmp/logs`
     : `${Config.ROOT}/logs`;
@@ -21,6 +25,85 @@ Config.LOGS_PATH = /test/i.test(process.env.NODE_ENV)
 Config.DEFAULT_EBOOK_FOLDER = `${Config.ROOT}/ebooks`;
 Config.DEFAULT_COVER_PATH = `${Config.ASSETS_PATH}/cover.jpg`;
 Config.DEFAULT_CSS_PATH = `${Config.ASSETS_PATH}/ebook.css`;
-Config.KINDLEGEN = `${Config.ROOT}/bin/kindlegen-${process.platform}`;
+
+// Stored book content, used to rebuild books after their files are cleaned
+Config.BLOBS_PATH =
+    process.env.BLOBS_PATH ||
+    (/test/i.test(process.env.NODE_ENV) ? `${Config.TMP}/blobs` : `${Config.ROOT}/blobs`);
+Config.CONTENT_RETENTION_DAYS = Number(process.env.CONTENT_RETENTION_DAYS || 30); // 0 disables
+
+// Fetching pages, feeds and images
+Config.FETCH_TIMEOUT = Number(process.env.FETCH_TIMEOUT || 1000 * 15); // 15 seconds
+Config.FETCH_RETRIES = Number(process.env.FETCH_RETRIES || 2);
+Config.FETCH_RETRY_DELAY = 500; // Doubled after each retry
+Config.FETCH_HOST_CONCURRENCY = Number(process.env.FETCH_HOST_CONCURRENCY || 2);
+// Requests per second to a host, after a burst of FETCH_HOST_BURST (0 disables throttling)
+Config.FETCH_HOST_RATE = /test/i.test(process.env.NODE_ENV)
+    ? 0
+    : Number(process.env.FETCH_HOST_RATE || 2);
+Config.FETCH_HOST_BURST = Number(process.env.FETCH_HOST_BURST || 5);
+Config.USER_AGENT =
+    process.env.USER_AGENT ||
+    `EpubPress/${packageJSON.version} (+https://epub.press)`;
+Config.RESPECT_ROBOTS_TXT = process.env.RESPECT_ROBOTS_TXT === 'true';
+Config.ROBOTS_CACHE_TTL = 1000 * 60 * 60; // 1 hour
+Config.FETCH_MAX_REDIRECTS = 5;
+// Comma separated hosts (and their subdomains) always allowed, even on private networks
+Config.URL_ALLOWED_HOSTS = (process.env.URL_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(host => host);
+// Comma separated hosts (and their subdomains) never downloaded
+Config.URL_DENIED_HOSTS = (process.env.URL_DENIED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(host => host);
+Config.HTTP_CACHE_PATH = process.env.HTTP_CACHE_PATH || `${Config.TMP}/http-cache`;
+Config.HTTP_CACHE_RETENTION_DAYS = 7;
+
+// Images, limits of the `images` option of books
+Config.IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 1000000); // 1 MB per image
+Config.IMAGES_MAX_COUNT = Number(process.env.IMAGES_MAX_COUNT || 300); // Per book
+Config.IMAGES_MAX_BYTES = Number(process.env.IMAGES_MAX_BYTES || 1000000 * 60); // Per book
+Config.IMAGES_MAX_PER_SECTION = Number(process.env.IMAGES_MAX_PER_SECTION || 30);
+Config.IMAGES_CONCURRENCY = Number(process.env.IMAGES_CONCURRENCY || 3); // Per section
+// Largest screen images are downsized to, the `screen` option of books can only lower it
+Config.IMAGE_MAX_WIDTH = Number(process.env.IMAGE_MAX_WIDTH || 1600);
+Config.IMAGE_MAX_HEIGHT = Number(process.env.IMAGE_MAX_HEIGHT || 2400);
+// Images with more pixels are left out instead of decoded, 40 million take up 160 MB
+Config.IMAGE_MAX_PIXELS = Number(process.env.IMAGE_MAX_PIXELS || 40000000);
+Config.IMAGE_JPEG_QUALITY = 80;
+
+// PDF output
+// Comma separated TTF or OTF files for characters the embedded DejaVu fonts don't have, like CJK
+Config.PDF_FALLBACK_FONTS = (process.env.PDF_FALLBACK_FONTS || '')
+    .split(',')
+    .map(fontPath => fontPath.trim())
+    .filter(fontPath => fontPath);
+
+// Sections per book, counting the entries of its feeds
+Config.MAX_NUM_SECTIONS = 50;
+
+// Pagination
+// Including the first page
+Config.MAX_PAGINATION_PAGES = Number(process.env.MAX_PAGINATION_PAGES || 10);
+
+// Publish Jobs
+Config.JOB_QUEUE_DRIVER =
+    process.env.JOB_QUEUE_DRIVER || (/test/i.test(process.env.NODE_ENV) ? 'memory' : 'sequelize');
+Config.JOB_MAX_ATTEMPTS = 3;
+Config.JOB_POLL_INTERVAL = 1000; // 1 second
+Config.JOB_LOCK_TIMEOUT = 1000 * 60 * 10; // 10 minutes without a heartbeat
+Config.JOB_HEARTBEAT_INTERVAL = 1000 * 60; // 1 minute
+Config.JOB_TIMEOUT = Number(process.env.JOB_TIMEOUT || 1000 * 60 * 30); // 30 minutes
+
+// Publish Statuses (memory, sequelize or file)
+Config.STATUS_STORE =
+    process.env.STATUS_STORE || (/test/i.test(process.env.NODE_ENV) ? 'memory' : 'sequelize');
+Config.EVENTS_POLL_INTERVAL = 2000; // 2 seconds
+Config.EVENTS_HEARTBEAT_INTERVAL = 1000 * 15; // 15 seconds
+
+// Admin API (disabled unless a token is set)
+Config.ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
 module.exports = Config;
@@ -11,6 +11,10 @@ Constants.FILE_TYPES = {
     'image/svg+xml': '.svg',
     'image/svg': '.svg',
     'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/avif': '.avif',
+    'image/bmp': '.bmp',
+    'image/x-ms-bmp': '.bmp',
 };
 
 Constants.INVALID_ATTRIBUTES = [
@@ -1,10 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const Promise = require('bluebird');
-const request = require('request').defaults({ gzip: true });
 const shortid = require('shortid');
 
 const Constants = require('./constants');
+const Fetcher = require('./fetcher');
 
 const DEFAULT_OPTIONS = {
     maxSize: 1000000, // 1 Mb
@@ -22,7 +22,8 @@ class ContentDownloader {
     }
 
     static all(downloaders, opts = {}) {
-        let maxSize = opts.maxSize || DEFAULT_OPTIONS.maxSize * downloaders.length;
+        const defaultMaxSize = DEFAULT_OPTIONS.maxSize * downloaders.length;
+        let maxSize = opts.maxSize !== undefined ? opts.maxSize : defaultMaxSize;
         ContentDownloader.adjustMaxSizes(downloaders, maxSize);
 
         return Promise.map(
@@ -31,15 +32,43 @@ class ContentDownloader {
                 downloader
                     .download()
                     .then((result) => {
+                        // Downloads running at once can go over what was left together
+                        if (result.contentLength > maxSize) {
+                            const removed = result.path ? fs.remove(result.path) : null;
+                            return Promise.resolve(removed).then(() =>
+                                Promise.reject(Fetcher.getSizeError()));
+                        }
                         maxSize -= result.contentLength;
                         ContentDownloader.adjustMaxSizes(downloaders, maxSize);
                         return Promise.resolve(result);
                     })
-                    .catch(error => Promise.resolve({ error })),
-            { concurrency: 1 }
+                    .catch(error =>
+                        Promise.resolve(Object.assign({}, downloader.getMetadata(), { error }))),
+            { concurrency: opts.concurrency || 1 }
         );
     }
 
+    /*
+        Reads an image from a `data:` url like Fetcher would have downloaded it.
+    */
+    static readDataUri(url, maxSize) {
+        return Promise.try(() => {
+            const matches = url.match(/^data:([^;,]*)([^,]*),([\s\S]*)$/i);
+            const contentType = matches && matches[1].trim().toLowerCase();
+            if (!contentType || contentType.indexOf('image/') !== 0) {
+                throw new Error('Unsupported data url.');
+            }
+            const isBase64 = /;base64/i.test(matches[2]);
+            const body = isBase64
+                ? Buffer.from(matches[3], 'base64')
+                : Buffer.from(decodeURIComponent(matches[3]));
+            if (maxSize !== undefined && body.length >= maxSize) {
+                throw Fetcher.getSizeError();
+            }
+            return { statusCode: 200, headers: { 'content-type': contentType }, body };
+        });
+    }
+
     static isValidResponse(response) {
         if (response.statusCode < 300 && response.statusCode >= 200) {
             return true;
@@ -69,6 +98,10 @@ class ContentDownloader {
         return this.opts.path;
     }
 
+    getMetadata() {
+        return this.opts.metadata;
+    }
+
     getUrl() {
         return this.url;
     }
@@ -79,7 +112,7 @@ class ContentDownloader {
         const urlType = this.getUrl() && path.extname(this.getUrl());
         if (lookupType) {
             filetype = lookupType;
-        } else if (/\.jpg|\.gif|\.jpeg|\.png/i.test(urlType)) {
+        } else if (/\.jpg|\.gif|\.jpeg|\.png|\.webp|\.avif|\.bmp/i.test(urlType)) {
             filetype = urlType;
         }
         return filetype;
@@ -89,15 +122,6 @@ class ContentDownloader {
         return `${shortid.generate()}${this.getFiletype(contentType)}`;
     }
 
-    limitRequestSize(req) {
-        req.on('data', (data) => {
-            this.status.size += data.length;
-            if (this.getSize() >= this.opts.maxSize) {
-                req.abort();
-            }
-        });
-    }
-
     saveResult(result) {
         const savedResult = Object.assign({}, result);
         return new Promise((resolve, reject) => {
@@ -163,24 +187,16 @@ class ContentDownloader {
                 reject(new Error('Url missing.'));
             } else {
                 const onComplete = this.onRequestComplete(resolve, reject);
-                const req = request.get(
-                    {
-                        url: this.getUrl(),
-                        encoding: null,
-                        headers: {
-                            // I'm a browser 😁
-                            'User-Agent':
-                                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/56.0.2924.87 Safari/537.36',
-                        },
-                    },
-                    onComplete
-                );
-
-                req.on('abort', () => {
-                    reject(new Error('Download aborted.'));
-                });
-
-                this.limitRequestSize(req);
+                // Inline images are decoded instead of downloaded
+                const fetched = /^data:/i.test(this.getUrl())
+                    ? ContentDownloader.readDataUri(this.getUrl(), this.opts.maxSize)
+                    : Fetcher.fetch(this.getUrl(), { encoding: null, maxSize: this.opts.maxSize });
+                fetched
+                    .then((response) => {
+                        this.status.size = response.body.length;
+                        onComplete(null, response, response.body);
+                    })
+                    .catch(onComplete);
             }
         });
     }
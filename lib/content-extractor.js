@@ -1,25 +1,34 @@
 const readability = require('node-readability');
 const HtmlProcessor = require('./html-processor');
+const SiteRules = require('./site-rules');
+const Config = require('./config');
 const Logger = require('./logger');
 
 const log = new Logger();
 
 class ContentExtractor {
+    /*
+        Resolves with the article's `{ title, content }`, or null when readability
+        can't find one (like in an empty page).
+    */
     static extract(html) {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             ContentExtractor.preprocess(html)
                 .then(preHtml => ContentExtractor.process(preHtml))
                 .then((article) => {
+                    if (!article) {
+                        return null;
+                    }
                     const { title, content } = article;
                     article.close();
-                    ContentExtractor.postprocess(content || '')
-                        .then((postHtml) => {
-                            const extracted = { title, content: postHtml };
-                            resolve(extracted);
-                        })
-                        .catch(log.exception('ContentExtractor.extract'));
+                    return ContentExtractor.postprocess(content || '').then(postHtml =>
+                        ({ title, content: postHtml }));
                 })
-                .catch(log.exception('ContentExtractor.extract'));
+                .then(resolve)
+                .catch((error) => {
+                    log.exception('ContentExtractor.extract')(error);
+                    reject(error);
+                });
         });
     }
 
@@ -53,14 +62,7 @@ class ContentExtractor {
     }
 
     static findOperationsForUrl(url) {
-        let operations;
-        Object.keys(ContentExtractor.URL_SPECIFIC_OPERATIONS).forEach((pattern) => {
-            const regex = new RegExp(pattern);
-            if (regex.test(url)) {
-                operations = ContentExtractor.URL_SPECIFIC_OPERATIONS[pattern];
-            }
-        });
-        return operations;
+        return ContentExtractor.SITE_RULES.getOperations(url);
     }
 
     static runUrlSpecificOperations(html, url) {
@@ -75,17 +77,8 @@ class ContentExtractor {
     }
 }
 
-ContentExtractor.URL_SPECIFIC_OPERATIONS = {
-    'www.quora.com': {
-        setRootNode: ['.AnswerPagedList'],
-        mergeNodes: ['.AnswerBase'],
-        removeElement: ['.hidden', '.CredibilityFacts', '.ActionBar', '.AnswerFooter', '.Button'],
-        insertMissingParagraphTags: ['.info_wrapper', '.inline_editor_content', '.rendered_qtext'],
-        replaceWithChildren: ['.AnswerHeader', '.inline_editor_value', '.rendered_qtext'],
-        replaceDivsWithChildren: ['\\w{6}', 'wrapper', 'header', 'info', '\\w{0}'],
-        replaceWithInnerText: ['.feed_item_answer_user'],
-    },
-};
+// Site rules can only use the operations SiteRules.OPERATIONS lists
+ContentExtractor.SITE_RULES = SiteRules.load(Config.SITE_RULES_PATH);
 
 ContentExtractor.preprocess.REMOVE_ELEMENTS = [
     'video',
@@ -103,7 +96,6 @@ ContentExtractor.preprocess.REMOVE_ELEMENTS = [
     'link',
     'input',
     'img.wp-smiley',
-    'img.lazy-loaded',
     'img.emoji',
     'iframe',
     'footer',
@@ -131,6 +123,8 @@ ContentExtractor.preprocess.REMOVE_ELEMENTS = [
 ];
 
 ContentExtractor.preprocess.OPERATIONS = {
+    resolveImageSources: ['img'],
+    convertSvgToImages: ['svg'],
     removeElement: [ContentExtractor.preprocess.REMOVE_ELEMENTS.join(',')],
     filterDivs: [
         'popup',
@@ -183,7 +177,7 @@ ContentExtractor.postprocess.OPERATIONS = {
     maximizeSize: ['img'],
     removeElement: ['meta'],
     removeInvalidAttributes: ['h1,h2,h3,h4,h5,h6,body,div,p,a,span,img'],
-    replaceWithChildren: ['article', 'main', 'figure', 'figcaption'],
+    replaceWithChildren: ['article', 'main'],
     convertToDiv: ['section', 'center', 'aside'],
     replaceWithInnerText: ['code'],
 };
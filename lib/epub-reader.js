@@ -0,0 +1,279 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const cheerio = require('cheerio');
+
+const END_OF_CENTRAL_DIRECTORY = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+
+function loadXml(xml) {
+    return cheerio.load(xml, { xmlMode: true, decodeEntities: true });
+}
+
+function text($elem) {
+    return $elem.first().text().trim();
+}
+
+/*
+    Reads the epub files written by EpubPress (EPUB 2 and EPUB 3).
+    Other formats are converted from the epub, whose images outlive the downloaded ones.
+*/
+class EpubReader {
+    static open(filepath) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(filepath, (err, data) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(data);
+                }
+            });
+        })
+            .then(data => new EpubReader(EpubReader.unzip(data)).load());
+    }
+
+    /*
+        Lists the entries of a zip from its central directory, with their compressed data.
+        The sizes and checksums written after the data aren't trusted: nodepub's archiver
+        leaves them at 0 on Node 16 and later, so deflated data is read until its stream ends.
+    */
+    static unzip(data) {
+        const end = data.lastIndexOf(END_OF_CENTRAL_DIRECTORY);
+        if (end === -1) {
+            throw new Error('Invalid epub, it is not a zip file');
+        }
+        const count = data.readUInt16LE(end + 10);
+        const entries = {};
+        let offset = data.readUInt32LE(end + 16);
+
+        for (let i = 0; i < count; i += 1) {
+            if (data.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Invalid epub, its zip directory is corrupted');
+            }
+            const method = data.readUInt16LE(offset + 10);
+            const compressedSize = data.readUInt32LE(offset + 20);
+            const nameLength = data.readUInt16LE(offset + 28);
+            const extraLength = data.readUInt16LE(offset + 30);
+            const commentLength = data.readUInt16LE(offset + 32);
+            const name = data.toString('utf8', offset + 46, offset + 46 + nameLength);
+            const localOffset = data.readUInt32LE(offset + 42);
+            if (data.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+                throw new Error(`Invalid epub, ${name} is corrupted`);
+            }
+            const start = localOffset + 30 +
+                data.readUInt16LE(localOffset + 26) +
+                data.readUInt16LE(localOffset + 28);
+            const hasSize = compressedSize > 0 || method === STORED;
+            entries[name] = {
+                method,
+                data: data.slice(start, hasSize ? start + compressedSize : data.length),
+            };
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /*
+        Resolves `href` relative to the file at `base`, both relative to the epub root.
+    */
+    static resolvePath(base, href) {
+        const [hrefPath] = decodeURIComponent(href || '').split('#');
+        if (!hrefPath) {
+            return base;
+        }
+        return path.posix.normalize(path.posix.join(path.posix.dirname(base), hrefPath));
+    }
+
+    static isImage(mediaType) {
+        return /^image\//.test(mediaType || '');
+    }
+
+    constructor(entries) {
+        this.entries = entries;
+        this.metadata = {};
+        this.manifest = {};
+        this.spine = [];
+        this.files = {};
+    }
+
+    readFile(name, type) {
+        const entry = this.entries[name];
+        if (!entry) {
+            return Promise.reject(new Error(`Missing ${name} in epub`));
+        }
+        return new Promise((resolve, reject) => {
+            if (entry.method === STORED) {
+                resolve(entry.data);
+            } else {
+                zlib.inflateRaw(entry.data, (err, data) => (err ? reject(err) : resolve(data)));
+            }
+        }).then(data => (type === 'nodebuffer' ? data : data.toString('utf8')));
+    }
+
+    load() {
+        return this.readFile('META-INF/container.xml')
+            .then((container) => {
+                this.packagePath = loadXml(container)('rootfile').attr('full-path');
+                return this.readFile(this.packagePath);
+            })
+            .then((opf) => {
+                this.parsePackage(opf);
+                const ncxPath = this.getNcxPath();
+                return ncxPath ? this.readFile(ncxPath) : '';
+            })
+            .then((ncx) => {
+                this.labels = ncx ? EpubReader.parseLabels(ncx, this.getNcxPath()) : {};
+                const items = Object.keys(this.manifest).map(id => this.manifest[id]);
+                return Promise.all(items.map((item) => {
+                    const isImage = EpubReader.isImage(item.mediaType);
+                    const isDocument = item.mediaType === 'application/xhtml+xml';
+                    const isStylesheet = item.mediaType === 'text/css';
+                    if (!isImage && !isDocument && !isStylesheet) {
+                        return null;
+                    }
+                    return this.readFile(item.href, isImage ? 'nodebuffer' : 'string')
+                        .then((content) => {
+                            this.files[item.href] = content;
+                        })
+                        .catch(() => {});
+                }));
+            })
+            .then(() => this);
+    }
+
+    parsePackage(opf) {
+        const $ = loadXml(opf);
+
+        this.metadata = {
+            title: text($('dc\\:title')),
+            author: text($('dc\\:creator')),
+            description: text($('dc\\:description')),
+            language: text($('dc\\:language')),
+        };
+
+        $('manifest > item').each((index, elem) => {
+            const $item = $(elem);
+            this.manifest[$item.attr('id')] = {
+                id: $item.attr('id'),
+                href: EpubReader.resolvePath(this.packagePath, $item.attr('href')),
+                mediaType: $item.attr('media-type'),
+                properties: ($item.attr('properties') || '').split(/\s+/),
+            };
+        });
+
+        this.spine = $('spine > itemref')
+            .map((index, elem) => ({
+                idref: $(elem).attr('idref'),
+                linear: $(elem).attr('linear') !== 'no',
+            }))
+            .get()
+            .filter(itemref => this.manifest[itemref.idref]);
+
+        const coverItem = Object.keys(this.manifest)
+            .map(id => this.manifest[id])
+            .find(item => item.properties.indexOf('cover-image') > -1);
+        this.coverId = coverItem ? coverItem.id : $('meta[name="cover"]').attr('content');
+    }
+
+    getNcxPath() {
+        const ncx = Object.keys(this.manifest)
+            .map(id => this.manifest[id])
+            .find(item => item.mediaType === 'application/x-dtbncx+xml');
+        return ncx && ncx.href;
+    }
+
+    /*
+        Maps document paths to their first label in the NCX navigation.
+    */
+    static parseLabels(ncx, ncxPath) {
+        const $ = loadXml(ncx);
+        const labels = {};
+        $('navPoint').each((index, elem) => {
+            const $navPoint = $(elem);
+            const src = $navPoint.children('content').attr('src');
+            const href = EpubReader.resolvePath(ncxPath, src);
+            if (src && src.indexOf('#') === -1 && !labels[href]) {
+                labels[href] = text($navPoint.children('navLabel'));
+            }
+        });
+        return labels;
+    }
+
+    getMetadata() {
+        return this.metadata;
+    }
+
+    getCover() {
+        const coverItem = this.manifest[this.coverId];
+        const data = coverItem && this.files[coverItem.href];
+        return data ? { href: coverItem.href, mediaType: coverItem.mediaType, data } : undefined;
+    }
+
+    getImage(href) {
+        return this.files[href];
+    }
+
+    getMediaType(href) {
+        const item = Object.keys(this.manifest)
+            .map(id => this.manifest[id])
+            .find(manifestItem => manifestItem.href === href);
+        return item && item.mediaType;
+    }
+
+    getStyles() {
+        return Object.keys(this.manifest)
+            .map(id => this.manifest[id])
+            .filter(item => item.mediaType === 'text/css' && this.files[item.href])
+            .map(item => this.files[item.href])
+            .join('\n');
+    }
+
+    /*
+        The table of contents document's href and body, as written by Book.getToc.
+    */
+    getToc() {
+        const tocItem = Object.keys(this.manifest)
+            .map(id => this.manifest[id])
+            .find(item => path.posix.basename(item.href) === 'toc.xhtml');
+        if (!tocItem || !this.files[tocItem.href]) {
+            return undefined;
+        }
+        const $ = cheerio.load(this.files[tocItem.href], { decodeEntities: true });
+        return { href: tocItem.href, body: $('body').html() || '' };
+    }
+
+    /*
+        The reading order, without the cover, table of contents and navigation documents.
+        Sections have an href, title, lang and their body's markup.
+    */
+    getSections() {
+        return this.spine
+            .filter(itemref => itemref.linear)
+            .map(itemref => this.manifest[itemref.idref])
+            .filter(item => item.properties.indexOf('nav') === -1)
+            .filter((item) => {
+                const filename = path.posix.basename(item.href);
+                return EpubReader.SKIPPED_DOCUMENTS.indexOf(filename) === -1;
+            })
+            .filter(item => this.files[item.href] !== undefined)
+            .map((item) => {
+                const $ = cheerio.load(this.files[item.href], { decodeEntities: true });
+                const title = this.labels[item.href] || text($('h1,h2')) || text($('title'));
+                return {
+                    href: item.href,
+                    title,
+                    lang: $('html').attr('lang') || $('html').attr('xml:lang'),
+                    body: $('body').html() || '',
+                };
+            });
+    }
+}
+
+EpubReader.SKIPPED_DOCUMENTS = ['cover.xhtml', 'toc.xhtml', 'nav.xhtml'];
+
+module.exports = EpubReader;
@@ -0,0 +1,441 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+
+const MEDIA_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+};
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function getModifiedDate() {
+    return new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/*
+    Writes EPUB 3 packages with a navigation document, landmarks and accessibility metadata.
+    It has the same interface as the nodepub documents used for EPUB 2.
+*/
+class Epub3Writer {
+    static getMediaType(filepath) {
+        return MEDIA_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    static isValidLanguage(lang) {
+        return /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang || '');
+    }
+
+    /*
+        Gives h1-h3 headings an id and returns the updated content with its headings.
+    */
+    static extractHeadings(content, prefix) {
+        const $ = cheerio.load(content, { decodeEntities: true });
+        const headings = [];
+        $('h1,h2,h3').each((index, elem) => {
+            const $heading = $(elem);
+            if (!$heading.attr('id')) {
+                $heading.attr('id', `${prefix}-h${index + 1}`);
+            }
+            headings.push({
+                id: $heading.attr('id'),
+                level: parseInt(elem.name.slice(1), 10),
+                title: $heading.text().replace(/\s+/g, ' ').trim(),
+            });
+        });
+        return { content: $.xml(), headings };
+    }
+
+    static dropTitleHeading(headings, title) {
+        const [firstHeading] = headings;
+        return firstHeading && firstHeading.title === title ? headings.slice(1) : headings;
+    }
+
+    /*
+        Nests headings under the previous heading of a higher level.
+    */
+    static buildOutline(entry, headings) {
+        const root = Object.assign({ level: 0, children: [] }, entry);
+        const stack = [root];
+        headings.forEach((heading) => {
+            const node = Object.assign({ children: [] }, heading);
+            while (stack[stack.length - 1].level >= node.level) {
+                stack.pop();
+            }
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+        return root;
+    }
+
+    static mapHrefs(entry, prefix) {
+        return Object.assign({}, entry, {
+            href: `${prefix}${entry.href}`,
+            children: entry.children.map(child => Epub3Writer.mapHrefs(child, prefix)),
+        });
+    }
+
+    static renderNavList(entries, indent) {
+        if (entries.length === 0) {
+            return '';
+        }
+        const items = entries.map((entry) => {
+            const children = Epub3Writer.renderNavList(entry.children, `${indent}    `);
+            const link = `<a href="${escapeXml(entry.href)}">${escapeXml(entry.title)}</a>`;
+            return `${indent}  <li>${link}${children ? `\n${children}\n${indent}  ` : ''}</li>`;
+        });
+        return [`${indent}<ol>`, ...items, `${indent}</ol>`].join('\n');
+    }
+
+    static renderNavPoints(entries, counter, indent) {
+        return entries
+            .map((entry) => {
+                // eslint-disable-next-line no-param-reassign
+                counter.order += 1;
+                const { order } = counter;
+                const children = Epub3Writer.renderNavPoints(entry.children, counter, `${indent}  `);
+                return [
+                    `${indent}<navPoint id="navpoint-${order}" playOrder="${order}">`,
+                    `${indent}  <navLabel><text>${escapeXml(entry.title)}</text></navLabel>`,
+                    `${indent}  <content src="${escapeXml(entry.href)}"/>`,
+                    children,
+                    `${indent}</navPoint>`,
+                ]
+                    .filter(line => line)
+                    .join('\n');
+            })
+            .join('\n');
+    }
+
+    static getContainer() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+            '  <rootfiles>',
+            '    <rootfile full-path="OEBPF/content.opf" media-type="application/oebps-package+xml"/>',
+            '  </rootfiles>',
+            '</container>',
+        ].join('\n');
+    }
+
+    constructor(metadata, coverPath, generateContents, options = {}) {
+        if (!metadata || !metadata.id || !metadata.title) {
+            throw new Error('Missing metadata');
+        }
+        this.metadata = metadata;
+        this.coverPath = coverPath;
+        this.generateContents = generateContents;
+        this.tocDepth = options.tocDepth || Epub3Writer.MAX_TOC_DEPTH;
+        this.sections = [];
+        this.images = [];
+        this.CSS = '';
+    }
+
+    addSection(title, content, excludeFromContents, isFrontMatter, properties) {
+        this.sections.push(Object.assign(
+            {
+                title,
+                content,
+                excludeFromContents: !!excludeFromContents,
+                isFrontMatter: !!isFrontMatter,
+            },
+            properties
+        ));
+    }
+
+    addCSS(css) {
+        this.CSS = css;
+    }
+
+    getSectionCount() {
+        return this.sections.length;
+    }
+
+    getLanguage() {
+        const { language } = this.metadata;
+        return Epub3Writer.isValidLanguage(language) ? language : 'en';
+    }
+
+    getCoverFilename() {
+        return `cover${path.extname(this.coverPath).toLowerCase() || '.png'}`;
+    }
+
+    getImages() {
+        return [...new Set(this.images.concat(this.metadata.images || []))];
+    }
+
+    /*
+        Section files with their headings and navigation entries.
+    */
+    getSectionFiles() {
+        if (!this._sectionFiles) {
+            this._sectionFiles = this.sections.map((section, index) => {
+                const filename = `s${index + 1}.xhtml`;
+                const extracted = Epub3Writer.extractHeadings(section.content, `s${index + 1}`);
+                const headings = section.headings || Epub3Writer.dropTitleHeading(
+                    extracted.headings,
+                    section.title
+                );
+                const outline = Epub3Writer.buildOutline(
+                    { title: section.title, href: filename },
+                    headings
+                        .filter(heading => Math.max(heading.level, 2) <= this.tocDepth)
+                        .map(heading => Object.assign({ href: `${filename}#${heading.id}` }, heading))
+                );
+                const { content } = extracted;
+
+                return Object.assign({}, section, { filename, content, outline });
+            });
+        }
+        return this._sectionFiles;
+    }
+
+    getBodySections() {
+        return this.getSectionFiles().filter(section => section.type !== 'backmatter');
+    }
+
+    getBackmatterSections() {
+        return this.getSectionFiles().filter(section => section.type === 'backmatter');
+    }
+
+    /*
+        File contents
+    */
+
+    renderDocument(title, body, lang, stylesheet) {
+        const language = Epub3Writer.isValidLanguage(lang) ? lang : this.getLanguage();
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE html>',
+            '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"' +
+                ` lang="${language}" xml:lang="${language}">`,
+            '<head>',
+            '  <meta charset="UTF-8"/>',
+            `  <title>${escapeXml(title)}</title>`,
+            stylesheet ? `  <link rel="stylesheet" type="text/css" href="${stylesheet}"/>` : '',
+            '</head>',
+            '<body>',
+            body,
+            '</body>',
+            '</html>',
+        ]
+            .filter(line => line)
+            .join('\n');
+    }
+
+    getPackage() {
+        const { metadata } = this;
+        const hasImages = this.getImages().length > 0;
+        const manifest = [
+            '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+            '<item id="ncx" href="navigation.ncx" media-type="application/x-dtbncx+xml"/>',
+            '<item id="css" href="css/ebook.css" media-type="text/css"/>',
+            '<item id="cover" href="content/cover.xhtml" media-type="application/xhtml+xml"/>',
+            `<item id="cover-image" href="images/${this.getCoverFilename()}" media-type="${Epub3Writer.getMediaType(this.coverPath)}" properties="cover-image"/>`,
+            '<item id="toc" href="content/toc.xhtml" media-type="application/xhtml+xml"/>',
+        ]
+            .concat(this.getSectionFiles().map(section =>
+                `<item id="${section.filename.replace('.xhtml', '')}" href="content/${section.filename}" media-type="application/xhtml+xml"/>`))
+            .concat(this.getImages().map((image, index) =>
+                `<item id="image-${index + 1}" href="images/${escapeXml(path.basename(image))}" media-type="${Epub3Writer.getMediaType(image)}"/>`));
+
+        const spine = ['cover', 'toc']
+            .concat(this.getSectionFiles().map(section => section.filename.replace('.xhtml', '')))
+            .map(idref => `<itemref idref="${idref}"${idref === 'cover' ? ' linear="no"' : ''}/>`);
+
+        const accessibility = [
+            ['schema:accessMode', 'textual'],
+            hasImages ? ['schema:accessMode', 'visual'] : null,
+            ['schema:accessModeSufficient', 'textual'],
+            ['schema:accessibilityFeature', 'structuralNavigation'],
+            ['schema:accessibilityFeature', 'tableOfContents'],
+            ['schema:accessibilityFeature', 'readingOrder'],
+            ['schema:accessibilityHazard', 'none'],
+            [
+                'schema:accessibilitySummary',
+                'Articles converted from web pages with a navigable table of contents.',
+            ],
+        ]
+            .filter(entry => entry)
+            .map(([property, value]) => `<meta property="${property}">${value}</meta>`);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">',
+            '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            `    <dc:identifier id="book-id">${escapeXml(metadata.id)}</dc:identifier>`,
+            `    <dc:title>${escapeXml(metadata.title)}</dc:title>`,
+            `    <dc:creator>${escapeXml(metadata.author)}</dc:creator>`,
+            `    <dc:language>${this.getLanguage()}</dc:language>`,
+            `    <dc:description>${escapeXml(metadata.description)}</dc:description>`,
+            `    <dc:subject>${escapeXml(metadata.genre)}</dc:subject>`,
+            `    <dc:date>${escapeXml(metadata.published)}</dc:date>`,
+            `    <meta property="dcterms:modified">${getModifiedDate()}</meta>`,
+            '    <meta name="cover" content="cover-image"/>',
+            ...accessibility.map(meta => `    ${meta}`),
+            '  </metadata>',
+            '  <manifest>',
+            ...manifest.map(item => `    ${item}`),
+            '  </manifest>',
+            '  <spine toc="ncx">',
+            ...spine.map(itemref => `    ${itemref}`),
+            '  </spine>',
+            '</package>',
+        ].join('\n');
+    }
+
+    getNavigationEntries(prefix) {
+        return this.getSectionFiles()
+            .filter(section => !section.excludeFromContents)
+            .map(section => Epub3Writer.mapHrefs(section.outline, prefix));
+    }
+
+    getNav() {
+        const [firstBody] = this.getBodySections();
+        const [firstBackmatter] = this.getBackmatterSections();
+        const landmarks = [
+            ['cover', 'content/cover.xhtml', 'Cover'],
+            ['toc', 'content/toc.xhtml', 'Table of Contents'],
+            firstBody ? ['bodymatter', `content/${firstBody.filename}`, 'Start of Content'] : null,
+            firstBackmatter
+                ? ['backmatter', `content/${firstBackmatter.filename}`, firstBackmatter.title]
+                : null,
+        ]
+            .filter(landmark => landmark)
+            .map(([type, href, title]) =>
+                `    <li><a epub:type="${type}" href="${href}">${escapeXml(title)}</a></li>`);
+
+        const body = [
+            '<nav epub:type="toc" id="toc" role="doc-toc">',
+            '  <h1>Table of Contents</h1>',
+            Epub3Writer.renderNavList(this.getNavigationEntries('content/'), '  '),
+            '</nav>',
+            '<nav epub:type="landmarks" id="landmarks" hidden="hidden">',
+            '  <h2>Landmarks</h2>',
+            '  <ol>',
+            ...landmarks,
+            '  </ol>',
+            '</nav>',
+        ].join('\n');
+
+        return this.renderDocument(this.metadata.title, body, null, 'css/ebook.css');
+    }
+
+    getNCX() {
+        const navPoints = Epub3Writer.renderNavPoints(
+            this.getNavigationEntries('content/'),
+            { order: 0 },
+            '    '
+        );
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+            '  <head>',
+            `    <meta name="dtb:uid" content="${escapeXml(this.metadata.id)}"/>`,
+            '  </head>',
+            `  <docTitle><text>${escapeXml(this.metadata.title)}</text></docTitle>`,
+            '  <navMap>',
+            navPoints,
+            '  </navMap>',
+            '</ncx>',
+        ].join('\n');
+    }
+
+    getCover() {
+        const body = [
+            '<section epub:type="cover">',
+            `  <img src="../images/${this.getCoverFilename()}" alt="${escapeXml(this.metadata.title)}" style="height: 100%; width: 100%;"/>`,
+            '</section>',
+        ].join('\n');
+        return this.renderDocument(this.metadata.title, body);
+    }
+
+    getTOC() {
+        const links = this.getSectionFiles().map(section => ({
+            title: escapeXml(section.title),
+            link: section.filename,
+            itemType: section.isFrontMatter ? 'front' : 'main',
+        }));
+        const contents = this.generateContents
+            ? cheerio.load(this.generateContents(links), { decodeEntities: true }).xml()
+            : Epub3Writer.renderNavList(this.getNavigationEntries(''), '');
+        const body = `<nav epub:type="toc" role="doc-toc">\n${contents}\n</nav>`;
+        return this.renderDocument('Table of Contents', body, null, '../css/ebook.css');
+    }
+
+    getSection(section) {
+        const type = section.type === 'backmatter' ? 'backmatter' : 'bodymatter chapter';
+        const body = `<section epub:type="${type}">\n${section.content}\n</section>`;
+        return this.renderDocument(section.title, body, section.lang, '../css/ebook.css');
+    }
+
+    getFilesForEPUB() {
+        const files = [
+            { name: 'mimetype', content: 'application/epub+zip', store: true },
+            { name: 'META-INF/container.xml', content: Epub3Writer.getContainer() },
+            { name: 'OEBPF/content.opf', content: this.getPackage() },
+            { name: 'OEBPF/nav.xhtml', content: this.getNav() },
+            { name: 'OEBPF/navigation.ncx', content: this.getNCX() },
+            { name: 'OEBPF/css/ebook.css', content: this.CSS },
+            { name: 'OEBPF/content/cover.xhtml', content: this.getCover() },
+            {
+                name: `OEBPF/images/${this.getCoverFilename()}`,
+                content: fs.readFileSync(this.coverPath),
+            },
+            { name: 'OEBPF/content/toc.xhtml', content: this.getTOC() },
+        ];
+
+        this.getSectionFiles().forEach((section) => {
+            files.push({ name: `OEBPF/content/${section.filename}`, content: this.getSection(section) });
+        });
+        this.getImages().forEach((image) => {
+            files.push({
+                name: `OEBPF/images/${path.basename(image)}`,
+                content: fs.readFileSync(image),
+            });
+        });
+
+        return files;
+    }
+
+    writeEPUB(onError, folder, filename, onSuccess) {
+        try {
+            const zip = new JSZip();
+            this.getFilesForEPUB().forEach((file) => {
+                zip.file(file.name, file.content, { compression: file.store ? 'STORE' : 'DEFLATE' });
+            });
+            if (!fs.existsSync(folder)) {
+                fs.mkdirSync(folder);
+            }
+
+            zip
+                .generateNodeStream({ type: 'nodebuffer' })
+                .pipe(fs.createWriteStream(`${folder}/${filename}.epub`))
+                .on('finish', () => onSuccess(null))
+                .on('error', onError);
+        } catch (error) {
+            onError(error);
+        }
+    }
+}
+
+Epub3Writer.MEDIA_TYPES = MEDIA_TYPES;
+Epub3Writer.MAX_TOC_DEPTH = 3;
+
+module.exports = Epub3Writer;
@@ -0,0 +1,105 @@
+'use strict';
+
+const cheerio = require('cheerio');
+
+function text($elem) {
+    return $elem.first().text().trim();
+}
+
+function parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+class FeedParser {
+    static isFeed(xml) {
+        return /<(rss|feed|rdf:RDF)[\s>]/.test(xml || '');
+    }
+
+    /*
+        Parses RSS 2.0 and Atom feeds into { title, items }.
+        Items have a title, url, date, summary and content.
+        `content` is only set when the feed carries the full article.
+    */
+    static parse(xml) {
+        if (!FeedParser.isFeed(xml)) {
+            throw new Error('Not an RSS or Atom feed');
+        }
+
+        const $ = cheerio.load(xml, { xmlMode: true, decodeEntities: true });
+        const isAtom = $('feed').length > 0;
+
+        const title = isAtom ? text($('feed > title')) : text($('channel > title'));
+        const items = isAtom
+            ? $('entry').map((index, elem) => FeedParser.parseAtomEntry($, $(elem))).get()
+            : $('item').map((index, elem) => FeedParser.parseRssItem($, $(elem))).get();
+
+        return { title, items };
+    }
+
+    static parseRssItem($, $item) {
+        return {
+            title: text($item.children('title')),
+            url: text($item.children('link')) || text($item.children('guid')),
+            date: parseDate(text($item.children('pubDate')) || text($item.children('dc\\:date'))),
+            content: text($item.children('content\\:encoded')) || null,
+            summary: text($item.children('description')),
+        };
+    }
+
+    static parseAtomEntry($, $entry) {
+        const $links = $entry.children('link');
+        const $alternate = $links.filter((index, link) => {
+            const rel = $(link).attr('rel');
+            return !rel || rel === 'alternate';
+        });
+        const $content = $entry.children('content');
+        const isXhtml = $content.attr('type') === 'xhtml';
+
+        return {
+            title: text($entry.children('title')),
+            url: ($alternate.first().attr('href') || $links.first().attr('href') || '').trim(),
+            date: parseDate(text($entry.children('published')) || text($entry.children('updated'))),
+            content: (isXhtml ? $content.children().first().html() : text($content)) || null,
+            summary: text($entry.children('summary')),
+        };
+    }
+
+    /*
+        Filters feed items by date range ({ since, until }), keyword and count.
+    */
+    static filter(items, filters = {}) {
+        const since = parseDate(filters.since);
+        const until = parseDate(filters.until);
+        const keyword = filters.keyword && filters.keyword.toLowerCase();
+        const maxItems = filters.maxItems || FeedParser.MAX_ITEMS;
+
+        return items
+            .filter(item => !since || !item.date || item.date >= since)
+            .filter(item => !until || !item.date || item.date <= until)
+            .filter((item) => {
+                const itemText = [item.title, item.summary, item.content].join(' ').toLowerCase();
+                return !keyword || itemText.indexOf(keyword) > -1;
+            })
+            .slice(0, maxItems);
+    }
+
+    /*
+        Turns feed items into book sections.
+        Items with their full content don't need their page downloaded.
+    */
+    static toSections(feed) {
+        return feed.items.filter(item => item.url).map((item) => {
+            const section = { url: item.url, html: null };
+            if (item.content) {
+                section.title = item.title || feed.title;
+                section.content = item.content;
+            }
+            return section;
+        });
+    }
+}
+
+FeedParser.MAX_ITEMS = 50;
+
+module.exports = FeedParser;
@@ -0,0 +1,280 @@
+'use strict';
+
+const Url = require('url');
+
+const Promise = require('bluebird');
+const request = require('request').defaults({ gzip: true });
+
+const AppErrors = require('./app-errors');
+const Config = require('./config');
+const HttpCache = require('./http-cache');
+const Logger = require('./logger');
+const Robots = require('./robots');
+const UrlPolicy = require('./url-policy');
+
+const log = new Logger();
+// Requests running and waiting by host
+const hosts = {};
+// Request tokens left by host, shared by every book being published
+const buckets = {};
+// Parsed robots.txt groups by robots.txt url
+const robotsCache = {};
+// Agents of the fetcher, which resolve hosts with UrlPolicy.lookup
+const pool = {};
+
+function acquireHost(host, concurrency) {
+    if (!hosts[host]) {
+        hosts[host] = { running: 0, waiting: [] };
+    }
+    const hostRequests = hosts[host];
+    return new Promise((resolve) => {
+        if (hostRequests.running < concurrency) {
+            hostRequests.running += 1;
+            resolve();
+        } else {
+            hostRequests.waiting.push(resolve);
+        }
+    });
+}
+
+function releaseHost(host) {
+    const hostRequests = hosts[host];
+    const next = hostRequests.waiting.shift();
+    if (next) {
+        next();
+    } else {
+        hostRequests.running -= 1;
+        if (hostRequests.running === 0) {
+            delete hosts[host];
+        }
+    }
+}
+
+/*
+    Token bucket: a host gets `burst` requests right away, then `rate` per second.
+    Tokens go negative to reserve the next ones, resolving once the request can be sent.
+*/
+function takeToken(host, rate, burst) {
+    if (!rate) {
+        return Promise.resolve();
+    }
+    const now = Date.now();
+    const bucket = buckets[host] || { tokens: burst, updatedAt: now };
+    const refill = ((now - bucket.updatedAt) / 1000) * rate;
+    bucket.tokens = Math.min(burst, bucket.tokens + refill) - 1;
+    bucket.updatedAt = now;
+    buckets[host] = bucket;
+    return Promise.delay(bucket.tokens < 0 ? (-bucket.tokens / rate) * 1000 : 0);
+}
+
+/*
+    Downloads pages, feeds and images with a shared on-disk cache (see HttpCache),
+    a timeout, a limit of requests running at once per host and retries with backoff.
+*/
+class Fetcher {
+    static getStatusError(response) {
+        const error = new Error(`Request to ${response.url} failed with status ${response.statusCode}`);
+        error.statusCode = response.statusCode;
+        return error;
+    }
+
+    /*
+        Error of downloads going over their `maxSize`.
+    */
+    static getSizeError() {
+        const error = new Error('Download aborted.');
+        error.code = 'DOWNLOAD_TOO_LARGE';
+        return error;
+    }
+
+    static isRetryable(responseOrError) {
+        if (responseOrError.statusCode) {
+            return Fetcher.RETRY_STATUS_CODES.indexOf(responseOrError.statusCode) > -1;
+        }
+        return Fetcher.RETRY_ERROR_CODES.indexOf(responseOrError.code) > -1;
+    }
+
+    static getRetryDelay(attempt) {
+        return Fetcher.RETRY_DELAY * (2 ** attempt);
+    }
+
+    static send(url, opts = {}) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            let isRedirectDenied = false;
+            const req = request.get(
+                {
+                    url,
+                    headers: opts.headers,
+                    timeout: Fetcher.TIMEOUT,
+                    encoding: null,
+                    maxRedirects: Fetcher.MAX_REDIRECTS,
+                    followRedirect: (response) => {
+                        const location = Url.resolve(req.uri.href, response.headers.location);
+                        isRedirectDenied = !UrlPolicy.isAllowed(location);
+                        return !isRedirectDenied;
+                    },
+                    pool,
+                    agentOptions: { lookup: UrlPolicy.lookup },
+                },
+                (error, response, body) => {
+                    if (error) {
+                        reject(error);
+                    } else if (isRedirectDenied) {
+                        reject(UrlPolicy.getError());
+                    } else {
+                        resolve({
+                            url,
+                            statusCode: response.statusCode,
+                            headers: response.headers,
+                            body,
+                        });
+                    }
+                }
+            );
+
+            req.on('abort', () => {
+                reject(Fetcher.getSizeError());
+            });
+            if (opts.maxSize !== undefined) {
+                req.on('data', (data) => {
+                    size += data.length;
+                    if (size >= opts.maxSize) {
+                        req.abort();
+                    }
+                });
+            }
+        });
+    }
+
+    /*
+        Sends the request once the host has room for it, and again on network errors
+        or responses like 503 until `RETRIES` is reached.
+    */
+    static sendWithRetries(url, opts = {}, attempt = 0) {
+        const { host } = Url.parse(url);
+        const canRetry = responseOrError =>
+            Fetcher.isRetryable(responseOrError) && attempt < Fetcher.RETRIES;
+        const retry = () =>
+            Promise.delay(Fetcher.getRetryDelay(attempt)).then(() =>
+                Fetcher.sendWithRetries(url, opts, attempt + 1));
+
+        return acquireHost(host, Fetcher.HOST_CONCURRENCY)
+            .then(() => takeToken(host, Fetcher.HOST_RATE, Fetcher.HOST_BURST))
+            .then(() => Fetcher.send(url, opts))
+            .finally(() => releaseHost(host))
+            .then(
+                response => (canRetry(response) ? retry() : response),
+                error => (canRetry(error) ? retry() : Promise.reject(error))
+            );
+    }
+
+    /*
+        Parsed robots.txt of the url's site, kept for `ROBOTS_CACHE_TTL`.
+        A missing robots.txt allows everything, a server error disallows everything.
+    */
+    static getRobots(url) {
+        const robotsUrl = Robots.getRobotsUrl(url);
+        const cached = robotsCache[robotsUrl];
+        if (cached && Date.now() < cached.expiresAt) {
+            return cached.groups;
+        }
+
+        const groups = Fetcher.fetch(robotsUrl, { robots: false })
+            .then((response) => {
+                if (response.statusCode >= 500) {
+                    return Robots.DISALLOW_ALL;
+                }
+                return response.statusCode < 300 ? Robots.parse(response.body) : Robots.ALLOW_ALL;
+            })
+            .catch((error) => {
+                log.exception('Fetcher.getRobots')(error);
+                return Robots.ALLOW_ALL;
+            });
+        robotsCache[robotsUrl] = { groups, expiresAt: Date.now() + Fetcher.ROBOTS_CACHE_TTL };
+        return groups;
+    }
+
+    static checkRobots(url, opts = {}) {
+        if (!Fetcher.RESPECT_ROBOTS_TXT || opts.robots === false) {
+            return Promise.resolve();
+        }
+        return Fetcher.getRobots(url).then((groups) => {
+            if (!Robots.isAllowed(groups, url, Fetcher.USER_AGENT)) {
+                const error = AppErrors.getApiError('ROBOTS_DISALLOWED');
+                error.code = 'ROBOTS_DISALLOWED';
+                return Promise.reject(error);
+            }
+            return undefined;
+        });
+    }
+
+    /*
+        Resolves with `{ url, statusCode, headers, body, fromCache }` whatever the status.
+        `body` is a string, or a buffer with `encoding: null`.
+    */
+    static fetch(url, opts = {}) {
+        return UrlPolicy.check(url)
+            .then(() => Fetcher.checkRobots(url, opts))
+            .then(() => HttpCache.get(url))
+            .then((entry) => {
+                if (entry && HttpCache.isFresh(entry)) {
+                    return Object.assign(entry, { fromCache: true });
+                }
+
+                const validators = entry ? HttpCache.getValidators(entry.headers) : {};
+                const headers = Object.assign(
+                    { 'User-Agent': Fetcher.USER_AGENT },
+                    opts.headers,
+                    validators
+                );
+                const sendOpts = Object.assign({}, opts, { headers });
+                return Fetcher.sendWithRetries(url, sendOpts).then((response) => {
+                    if (entry && response.statusCode === 304) {
+                        return HttpCache.refresh(entry, response.headers).then(refreshedEntry =>
+                            Object.assign(refreshedEntry, { fromCache: true }));
+                    }
+                    if (!HttpCache.isStorable(response)) {
+                        return response;
+                    }
+                    return HttpCache.set(url, response)
+                        .catch(log.exception('Fetcher.fetch'))
+                        .then(() => response);
+                });
+            })
+            .then((response) => {
+                if (opts.maxSize !== undefined && response.body.length >= opts.maxSize) {
+                    return Promise.reject(Fetcher.getSizeError());
+                }
+                const body = opts.encoding === null ? response.body : response.body.toString('utf8');
+                return Object.assign({}, response, { body });
+            });
+    }
+
+    /*
+        Like `fetch`, but rejects responses that aren't successful.
+    */
+    static get(url, opts = {}) {
+        return Fetcher.fetch(url, opts).then((response) => {
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return Promise.reject(Fetcher.getStatusError(response));
+            }
+            return response;
+        });
+    }
+}
+
+Fetcher.TIMEOUT = Config.FETCH_TIMEOUT;
+Fetcher.RETRIES = Config.FETCH_RETRIES;
+Fetcher.RETRY_DELAY = Config.FETCH_RETRY_DELAY;
+Fetcher.MAX_REDIRECTS = Config.FETCH_MAX_REDIRECTS;
+Fetcher.HOST_CONCURRENCY = Config.FETCH_HOST_CONCURRENCY;
+Fetcher.HOST_RATE = Config.FETCH_HOST_RATE;
+Fetcher.HOST_BURST = Config.FETCH_HOST_BURST;
+Fetcher.USER_AGENT = Config.USER_AGENT;
+Fetcher.RESPECT_ROBOTS_TXT = Config.RESPECT_ROBOTS_TXT;
+Fetcher.ROBOTS_CACHE_TTL = Config.ROBOTS_CACHE_TTL;
+Fetcher.RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+Fetcher.RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ESOCKETTIMEDOUT', 'ETIMEDOUT'];
+
+module.exports = Fetcher;
@@ -1,30 +1,63 @@
+const crypto = require('crypto');
 const path = require('path');
 const Url = require('url');
 
 const cheerio = require('cheerio');
+const fs = require('fs-extra');
 
 const TextProcessor = require('./text-processor');
 const ContentDownloader = require('./content-downloader');
 const Config = require('./config');
+const ImageProcessor = require('./image-processor');
 const Logger = require('./logger');
+const SvgProcessor = require('./svg-processor');
 const Constants = require('./constants');
 
 const log = new Logger();
 
-const MAX_IMAGE_SIZE = 1000000;
-const MAX_TOTAL_IMAGES_SIZE = MAX_IMAGE_SIZE * 6;
 const SMALL_IMAGE_SIZE = 4000;
-const MAX_IMAGES = 30;
+// Elements a `<p>` can't contain
+const BLOCK_TAGS = [
+    'address', 'blockquote', 'div', 'dl', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+    'ol', 'p', 'pre', 'table', 'ul',
+];
+
+// Text for html that may already have entities in it, as HTML parsed without decoding does
+function escapeText(text) {
+    return text
+        .replace(/&(?!#?\w+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text of some html on one line, with its entities decoded
+function getText(html) {
+    return cheerio
+        .load(html || '')
+        .root()
+        .text()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Width an image is displayed at, from the last (default) `sizes` or its `width` in pixels
+function getSlotWidth($img) {
+    const defaultSize = ($img.attr('sizes') || '').split(',').pop().trim();
+    const matches = defaultSize.match(/^(\d+)px$/) || ($img.attr('width') || '').match(/^(\d+)$/);
+    return matches ? Number(matches[1]) : undefined;
+}
 
 class HtmlProcessor {
     /*
     *   Image extraction
     */
 
-    static _filterDownloadedImages($, imgStatuses) {
+    static _filterDownloadedImages($, imgStatuses, skippedSources = []) {
         const downloadedImages = [];
+        let skipped = 0;
         $('img').each((index, elem) => {
-            const result = imgStatuses.find(status => status.src === $(elem).attr('src'));
+            const src = $(elem).attr('src');
+            const result = imgStatuses.find(status => status.src === src);
 
             if (result && !result.error && result.path) {
                 const bookPath = result.path.replace(/.*(images\/.*)/, '../$1');
@@ -35,33 +68,71 @@ class HtmlProcessor {
                     $(elem).css('width', '');
                 }
                 downloadedImages.push(result.path);
+            } else if (skippedSources.indexOf(src) > -1) {
+                $(elem).replaceWith(HtmlProcessor.getImagePlaceholder($(elem).attr('alt')));
+                skipped += 1;
             } else {
                 $(elem).remove();
             }
         });
-        return downloadedImages;
+        return { images: downloadedImages, skipped };
+    }
+
+    /*
+        What's left of an image too large for the book's limits, so readers know it was there.
+    */
+    static getImagePlaceholder(alt) {
+        const text = alt && alt.trim()
+            ? `[Image not included: ${escapeText(alt.trim())}]`
+            : '[Image not included]';
+        return `<span class="image-placeholder">${text}</span>`;
     }
 
-    static extractImages(rootUrl, html) {
+    /*
+        Downloads the first `maxCount` images of the html, up to `maxBytes` in all,
+        processes them (see ImageProcessor) and removes the others. Images whose
+        download went over the size limits are replaced with a placeholder instead.
+    */
+    static extractImages(rootUrl, html, opts = {}) {
+        const {
+            maxCount = Config.IMAGES_MAX_PER_SECTION,
+            maxBytes = Config.IMAGES_MAX_BYTES,
+        } = opts;
         const $ = cheerio.load(html, { decodeEntities: false });
-        const sources = HtmlProcessor.getImageSources($);
-        const selectedSources = [...new Set(sources)].slice(0, MAX_IMAGES);
+        HtmlProcessor.resolveImageSources('img', $);
+        HtmlProcessor.addAltFromCaptions('figure', $);
+        const sources = [...new Set(HtmlProcessor.getImageSources($))];
+        const selectedSources = maxBytes > 0 ? sources.slice(0, maxCount) : [];
 
         const imgMap = selectedSources.reduce((map, src) => {
             map[src] = HtmlProcessor.absolutifyUrl(rootUrl, src);
             return map;
         }, {});
 
-        return new Promise((resolve) => {
-            HtmlProcessor.downloadImages(imgMap)
+        return new Promise((resolve, reject) => {
+            HtmlProcessor.downloadImages(imgMap, maxBytes)
+                .then(imgStatuses => HtmlProcessor.processImages(imgStatuses, opts))
                 .then((imgStatuses) => {
-                    const downloadedImages = HtmlProcessor._filterDownloadedImages($, imgStatuses);
+                    const tooLarge = imgStatuses
+                        .filter(status => status.error && status.error.code === 'DOWNLOAD_TOO_LARGE')
+                        .map(status => status.src);
+                    const filtered =
+                        HtmlProcessor._filterDownloadedImages($, imgStatuses, tooLarge);
+                    const processed = imgStatuses.filter(status => !status.error && status.path);
+                    const sum = key => processed.reduce((total, status) => total + status[key], 0);
                     resolve({
                         html: $.html(),
-                        images: downloadedImages,
+                        images: [...new Set(filtered.images)],
+                        found: sources.length,
+                        skipped: filtered.skipped,
+                        bytes: sum('contentLength'),
+                        savedBytes: sum('savedBytes'),
                     });
                 })
-                .catch(log.exception('HtmlProcessor.downloadedImages'));
+                .catch((error) => {
+                    log.exception('HtmlProcessor.downloadedImages')(error);
+                    reject(error);
+                });
         });
     }
 
@@ -69,27 +140,181 @@ class HtmlProcessor {
         const imgs = [];
         $('img').each((index, elem) => {
             const src = $(elem).attr('src');
-            $(elem).removeAttr('srcset');
-
-            if (src && src.indexOf('data:') === 0) {
-                $(elem).remove(); // Remove inline images
-            } else if (src) {
+            if (src) {
                 imgs.push(src);
             }
         });
         return imgs;
     }
 
+    /*
+        `srcset` candidates with their width (`800w`) or pixel density (`2x`).
+        Like browsers, urls end at whitespace so they can contain commas.
+    */
+    static parseSrcset(srcset) {
+        const candidates = [];
+        let rest = (srcset || '').replace(/^[\s,]+/, '');
+        while (rest) {
+            const [token] = rest.match(/^\S+/);
+            const url = token.replace(/,+$/, '');
+            let descriptor = '';
+            rest = rest.slice(token.length);
+            if (url === token) {
+                const end = rest.indexOf(',');
+                descriptor = (end < 0 ? rest : rest.slice(0, end)).trim();
+                rest = end < 0 ? '' : rest.slice(end + 1);
+            }
+
+            const matches = descriptor.match(/^(\d+(?:\.\d+)?)([wx])$/i) || [];
+            const type = (matches[2] || '').toLowerCase();
+            candidates.push({
+                url,
+                width: type === 'w' ? Number(matches[1]) : undefined,
+                density: type === 'x' ? Number(matches[1]) : undefined,
+            });
+            rest = rest.replace(/^[\s,]+/, '');
+        }
+        return candidates;
+    }
+
+    /*
+        The largest candidate up to `maxWidth`, or the smallest when they're all larger.
+        Densities are multiples of `slotWidth`, the width the image is displayed at.
+    */
+    static pickSrcsetCandidate(candidates, maxWidth, slotWidth = maxWidth / 2) {
+        const sized = candidates.map(candidate => ({
+            url: candidate.url,
+            width: candidate.width || (candidate.density || 1) * slotWidth,
+        }));
+        const fitting = sized.filter(candidate => candidate.width <= maxWidth);
+        const isBetter = fitting.length > 0
+            ? (candidate, best) => candidate.width > best.width
+            : (candidate, best) => candidate.width < best.width;
+        const candidate = (fitting.length > 0 ? fitting : sized).reduce(
+            (best, sizedCandidate) =>
+                (!best || isBetter(sizedCandidate, best) ? sizedCandidate : best),
+            undefined
+        );
+        return candidate && candidate.url;
+    }
+
+    /*
+        Whether readers can display images of the `type` of a `<picture>` source.
+        WebP and AVIF are only picked when there's nothing else, since they're converted.
+    */
+    static isSupportedImageType(type) {
+        const filetype = HtmlProcessor.FILE_TYPES[type];
+        return !type || (!!filetype && ImageProcessor.DECODED_TYPES.indexOf(filetype) < 0);
+    }
+
+    /*
+        Points images to the source a browser would show before lazy loading attributes,
+        `srcset` and `<noscript>` are removed. That's the best `srcset` candidate (from a
+        `<picture>` too) no wider than needed, then the source lazy loading scripts set.
+        Lazy loaded images followed by a `<noscript>` copy are replaced by the copy.
+    */
+    static resolveImageSources(selector, html) {
+        const $ = HtmlProcessor.normalizeInput(html);
+
+        $('noscript').each((index, elem) => {
+            const $noscript = $(elem);
+            const $previous = $noscript.prev();
+            if ($noscript.children('img').length > 0 && $previous.is('img, picture')) {
+                $previous.remove();
+                $noscript.replaceWith($noscript.children());
+            }
+        });
+
+        $('picture').each((index, elem) => {
+            const $picture = $(elem);
+            const $img = $picture.find('img').first();
+            const $source = $picture
+                .find('source')
+                .filter((sourceIndex, source) =>
+                    HtmlProcessor.isSupportedImageType($(source).attr('type')))
+                .first();
+            if ($source.length > 0) {
+                $img.attr('srcset', $source.attr('srcset') || $source.attr('data-srcset'));
+                $img.attr('sizes', $source.attr('sizes') || $img.attr('sizes'));
+            }
+            $picture.replaceWith($img);
+        });
+
+        $(selector).each((index, elem) => {
+            const $img = $(elem);
+            const findAttr = attrs => attrs.map(attr => $img.attr(attr)).find(value => value);
+            const srcset = findAttr(HtmlProcessor.LAZY_SRCSET_ATTRIBUTES.concat('srcset'));
+            const maxWidth = HtmlProcessor.IMAGE_MAX_WIDTH;
+            const slotWidth = getSlotWidth($img);
+            const src =
+                HtmlProcessor.pickSrcsetCandidate(
+                    HtmlProcessor.parseSrcset(srcset),
+                    slotWidth ? Math.min(maxWidth, slotWidth * 2) : maxWidth,
+                    slotWidth
+                ) ||
+                findAttr(HtmlProcessor.LAZY_SRC_ATTRIBUTES) ||
+                $img.attr('src');
+
+            if (src) {
+                $img.attr('src', src);
+            }
+            HtmlProcessor.LAZY_SRC_ATTRIBUTES
+                .concat(HtmlProcessor.LAZY_SRCSET_ATTRIBUTES, 'srcset', 'sizes')
+                .forEach(attr => $img.removeAttr(attr));
+        });
+
+        return HtmlProcessor.normalizeOutput(html, $);
+    }
+
+    /*
+        Inline SVG figures become images with a `data:` url (see SvgProcessor),
+        other SVGs are left as they are.
+    */
+    static convertSvgToImages(selector, html) {
+        return HtmlProcessor._proccessElements(selector, html, ($elem) => {
+            if ($elem.parents('svg').length === 0 && SvgProcessor.isFigure($elem)) {
+                const alt = SvgProcessor.getDescription($elem)
+                    .replace(/&/g, '&amp;')
+                    .replace(/"/g, '&quot;')
+                    .replace(/</g, '&lt;');
+                $elem.replaceWith(`<img src="${SvgProcessor.toDataUri($elem)}" alt="${alt}">`);
+            }
+        });
+    }
+
+    /*
+        Images of a figure without alt text get its caption's.
+    */
+    static addAltFromCaptions(selector, html) {
+        return HtmlProcessor._proccessElements(selector, html, ($elem) => {
+            const caption = $elem
+                .children('figcaption')
+                .text()
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (caption) {
+                $elem
+                    .find('img')
+                    .filter((index, elem) => !(elem.attribs.alt || '').trim())
+                    .attr('alt', escapeText(caption));
+            }
+        });
+    }
+
     static absolutifyUrl(root, url) {
         let absoluteUrl;
+        if (/^data:/i.test(url)) {
+            return url;
+        }
 
         const normalUrl = url.slice(0, 2) === '//' ? `http:${url}` : url;
-        const rootParsed = Url.parse(root);
         const parsed = Url.parse(normalUrl);
 
-        if (parsed.host) {
+        // Sections without a url can only reference absolute images
+        if (parsed.host || !root) {
             absoluteUrl = normalUrl;
         } else {
+            const rootParsed = Url.parse(root);
             const dir =
                 rootParsed.path.slice(-1) === '/' ? rootParsed.path : path.dirname(rootParsed.path);
             absoluteUrl = Url.resolve(root, path.resolve(dir, normalUrl));
@@ -98,19 +323,187 @@ class HtmlProcessor {
         return absoluteUrl;
     }
 
-    static downloadImages(imgMap) {
+    static downloadImages(imgMap, maxBytes = Config.IMAGES_MAX_BYTES) {
         const downloaders = Object.keys(imgMap).map((imgSrc) => {
             const url = imgMap[imgSrc];
             return new ContentDownloader(url, {
                 path: Config.IMAGES_TMP,
-                maxSize: MAX_IMAGE_SIZE,
+                maxSize: Math.min(Config.IMAGE_MAX_BYTES, maxBytes),
                 metadata: { src: imgSrc },
             });
         });
 
         return ContentDownloader.all(downloaders, {
-            maxSize: MAX_TOTAL_IMAGES_SIZE,
+            maxSize: maxBytes,
+            concurrency: Config.IMAGES_CONCURRENCY,
+        });
+    }
+
+    /*
+        Processes downloaded images one at a time, those that can't be
+        are removed and left out like failed downloads.
+    */
+    static processImages(imgStatuses, opts = {}) {
+        const processOpts = {
+            maxWidth: opts.maxWidth,
+            maxHeight: opts.maxHeight,
+            grayscale: opts.grayscale,
+            svg: opts.svg,
+        };
+        return imgStatuses.reduce(
+            (previous, status) =>
+                previous.then((processed) => {
+                    if (status.error || !status.path) {
+                        return processed.concat(status);
+                    }
+                    return ImageProcessor.process(status.path, processOpts)
+                        .then(result =>
+                            Object.assign({}, status, {
+                                path: result.path,
+                                savedBytes: result.savedBytes,
+                            }))
+                        .catch(error =>
+                            fs.remove(status.path).then(() => Object.assign({}, status, { error })))
+                        .then(processedStatus => processed.concat(processedStatus));
+                }),
+            Promise.resolve([])
+        );
+    }
+
+    /*
+    *   Document language from <html lang> or Content-Language
+    */
+
+    static getLanguage(html) {
+        const matches =
+            (html || '').match(/<html[^>]*\slang=["']?([a-z]{2,3}(-[a-z0-9]{1,8})*)/i) ||
+            (html || '').match(/<meta[^>]*http-equiv=["']?content-language["']?[^>]*content=["']?([a-z]{2,3}(-[a-z0-9]{1,8})*)/i);
+        return matches ? matches[1] : undefined;
+    }
+
+    /*
+    *   Fingerprint of an extracted article's text, without its title,
+    *   to find the same article published under different urls
+    */
+
+    static getFingerprint(html) {
+        const $ = cheerio.load(html || '');
+        $('h1').first().remove();
+        const text = $.root()
+            .text()
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+        if (!text) {
+            return undefined;
+        }
+        return crypto.createHash('sha1').update(text).digest('hex');
+    }
+
+    /*
+    *   Heading anchors for the table of contents
+    */
+
+    static getHeadingId(text, usedIds) {
+        const slug = text
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+        const baseId = /^[a-z]/.test(slug) ? slug : `heading${slug ? `-${slug}` : ''}`;
+
+        let id = baseId;
+        for (let count = 2; usedIds.indexOf(id) > -1; count += 1) {
+            id = `${baseId}-${count}`;
+        }
+        return id;
+    }
+
+    /*
+        Gives h2/h3 headings stable ids based on their text.
+        Returns the updated html and the headings: [{ id, level, title }].
+    */
+    static anchorHeadings(html) {
+        const $ = cheerio.load(html, { decodeEntities: false });
+        const usedIds = $('[id]')
+            .map((index, elem) => $(elem).attr('id'))
+            .get();
+        const headings = [];
+
+        $('h2,h3').each((index, elem) => {
+            const $heading = $(elem);
+            const title = getText($heading.html());
+            if (!title) {
+                return;
+            }
+            if (!$heading.attr('id')) {
+                const id = HtmlProcessor.getHeadingId(title, usedIds);
+                usedIds.push(id);
+                $heading.attr('id', id);
+            }
+            headings.push({
+                id: $heading.attr('id'),
+                level: parseInt(elem.name.slice(1), 10),
+                title,
+            });
+        });
+
+        return { html: $.html(), headings };
+    }
+
+    /*
+    *   Figure anchors for the list of figures
+    */
+
+    /*
+        Gives figures with a caption (or an image's alt text) an id.
+        Returns the updated html and the figures: [{ id, caption }].
+    */
+    static anchorFigures(html) {
+        const $ = cheerio.load(html, { decodeEntities: false });
+        const usedIds = $('[id]')
+            .map((index, elem) => $(elem).attr('id'))
+            .get();
+        const figures = [];
+
+        $('figure').each((index, elem) => {
+            const $figure = $(elem);
+            const caption =
+                getText($figure.children('figcaption').html()) ||
+                getText($figure.find('img').attr('alt'));
+            if (!caption) {
+                return;
+            }
+            if (!$figure.attr('id')) {
+                let id = `figure-${figures.length + 1}`;
+                for (let count = 2; usedIds.indexOf(id) > -1; count += 1) {
+                    id = `figure-${figures.length + 1}-${count}`;
+                }
+                usedIds.push(id);
+                $figure.attr('id', id);
+            }
+            figures.push({ id: $figure.attr('id'), caption });
+        });
+
+        return { html: $.html(), figures };
+    }
+
+    /*
+        EPUB 2 (XHTML 1.1) has no `<figure>` or `<figcaption>`, they become a
+        `div.figure` and a `p.caption`, or `div.caption` for captions with blocks.
+    */
+    static convertFiguresToDivs(html) {
+        const $ = cheerio.load(html, { decodeEntities: false });
+        const replace = ($elem, tag, className) => {
+            const $replacement = $(`<${tag}></${tag}>`).attr($elem.attr()).addClass(className);
+            $elem.replaceWith($replacement.append($elem.contents()));
+        };
+        $('figcaption').each((index, elem) => {
+            const hasBlocks = $(elem).children(BLOCK_TAGS.join(',')).length > 0;
+            replace($(elem), hasBlocks ? 'div' : 'p', 'caption');
         });
+        $('figure').each((index, elem) => replace($(elem), 'div', 'figure'));
+        return $.html();
     }
 
     /*
@@ -313,5 +706,8 @@ class HtmlProcessor {
 
 HtmlProcessor.INVALID_ATTRIBUTES = Constants.INVALID_ATTRIBUTES;
 HtmlProcessor.FILE_TYPES = Constants.FILE_TYPES;
+HtmlProcessor.IMAGE_MAX_WIDTH = Config.IMAGE_MAX_WIDTH;
+HtmlProcessor.LAZY_SRC_ATTRIBUTES = ['data-src', 'data-original', 'data-lazy-src'];
+HtmlProcessor.LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
 
 module.exports = HtmlProcessor;
@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+
+const cheerio = require('cheerio');
+
+const EpubReader = require('./epub-reader');
+
+const SKIPPED_TAGS = 'audio,embed,iframe,noscript,object,script,style,video';
+
+function escapeHtml(text) {
+    return (text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function isExternal(href) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.indexOf('//') === 0;
+}
+
+/*
+    Writes the sections of an epub (see EpubReader) as one self-contained HTML page:
+    styles are inlined and images embedded as data URIs.
+*/
+class HtmlWriter {
+    static toDataUri(data, mediaType) {
+        return `data:${mediaType || 'application/octet-stream'};base64,${data.toString('base64')}`;
+    }
+
+    constructor(epub) {
+        this.epub = epub;
+        this.sections = epub.getSections();
+        this.sectionKeys = {};
+        this.sections.forEach((section, index) => {
+            this.sectionKeys[section.href] = `section-${index + 1}`;
+        });
+    }
+
+    /*
+        Points links between epub documents to the matching anchors of the page.
+    */
+    getAnchor(base, href) {
+        const [filePath, id] = href.split('#');
+        const key = this.sectionKeys[EpubReader.resolvePath(base, filePath)];
+        if (!key) {
+            return undefined;
+        }
+        return id ? `#${key}-${id}` : `#${key}`;
+    }
+
+    convertLinks($, base) {
+        $('a[href]').each((index, elem) => {
+            const href = $(elem).attr('href');
+            if (!isExternal(href)) {
+                const anchor = this.getAnchor(base, href);
+                if (anchor) {
+                    $(elem).attr('href', anchor);
+                } else {
+                    $(elem).removeAttr('href');
+                }
+            }
+        });
+    }
+
+    convertSection(section, key) {
+        const $ = cheerio.load(section.body, { decodeEntities: false });
+
+        $(SKIPPED_TAGS).remove();
+        $('*').each((index, elem) => {
+            $(elem).removeAttr('epub:type');
+        });
+        $('[id]').each((index, elem) => {
+            $(elem).attr('id', `${key}-${$(elem).attr('id')}`);
+        });
+
+        $('img').each((index, elem) => {
+            const href = EpubReader.resolvePath(section.href, $(elem).attr('src'));
+            const data = this.epub.getImage(href);
+            if (data) {
+                $(elem).attr('src', HtmlWriter.toDataUri(data, this.epub.getMediaType(href)));
+            } else {
+                $(elem).replaceWith(escapeHtml($(elem).attr('alt')));
+            }
+        });
+
+        this.convertLinks($, section.href);
+
+        const lang = section.lang ? ` lang="${escapeHtml(section.lang)}"` : '';
+        return `<section id="${key}"${lang}>\n${$.html()}\n</section>`;
+    }
+
+    getCover() {
+        const cover = this.epub.getCover();
+        if (!cover) {
+            return '';
+        }
+        const src = HtmlWriter.toDataUri(cover.data, cover.mediaType);
+        const alt = escapeHtml(this.epub.getMetadata().title);
+        return `<div class="cover"><img src="${src}" alt="${alt}"/></div>`;
+    }
+
+    getToc() {
+        const toc = this.epub.getToc();
+        if (!toc) {
+            return '';
+        }
+        const $ = cheerio.load(toc.body, { decodeEntities: false });
+        this.convertLinks($, toc.href);
+        const $list = $('ol').first();
+        return `<nav id="toc">\n<h2>Table Of Contents</h2>\n${$.html($list)}\n</nav>`;
+    }
+
+    getHtml() {
+        const metadata = this.epub.getMetadata();
+        const lang = metadata.language ? ` lang="${escapeHtml(metadata.language)}"` : '';
+        const sections = this.sections.map(section =>
+            this.convertSection(section, this.sectionKeys[section.href]));
+
+        return [
+            '<!DOCTYPE html>',
+            `<html${lang}>`,
+            '<head>',
+            '<meta charset="utf-8"/>',
+            `<title>${escapeHtml(metadata.title)}</title>`,
+            metadata.author ? `<meta name="author" content="${escapeHtml(metadata.author)}"/>` : '',
+            `<style>\n${HtmlWriter.STYLES}\n${this.epub.getStyles()}\n</style>`,
+            '</head>',
+            '<body>',
+            this.getCover(),
+            this.getToc(),
+            ...sections,
+            '</body>',
+            '</html>',
+        ]
+            .filter(line => line)
+            .join('\n');
+    }
+
+    write(filepath) {
+        return new Promise((resolve, reject) => {
+            try {
+                fs.writeFile(filepath, this.getHtml(), (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(filepath);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+// Page layout, the epub's own styles follow
+HtmlWriter.STYLES = [
+    'body { max-width: 40em; margin: 0 auto; padding: 1em; }',
+    'img { max-width: 100%; height: auto; }',
+    '.cover { text-align: center; }',
+    'section { margin-top: 3em; }',
+].join('\n');
+
+module.exports = HtmlWriter;
@@ -0,0 +1,135 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const fs = require('fs-extra');
+
+const Config = require('./config');
+
+function parseCacheControl(header) {
+    return (header || '').split(',').reduce((directives, directive) => {
+        const [name, value] = directive.trim().split('=');
+        if (name) {
+            // eslint-disable-next-line
+            directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+        }
+        return directives;
+    }, {});
+}
+
+/*
+    Responses kept on disk to skip or revalidate later requests of the same url.
+    Each url has a `.json` file with its status and headers and a `.body` file.
+*/
+class HttpCache {
+    static getKey(url) {
+        return crypto.createHash('sha256').update(url).digest('hex');
+    }
+
+    static getPath(url) {
+        const key = HttpCache.getKey(url);
+        return `${HttpCache.ROOT}/${key.slice(0, 2)}/${key}`;
+    }
+
+    /*
+        Seconds a response stays fresh, from Cache-Control or Expires.
+    */
+    static getMaxAge(headers) {
+        const cacheControl = parseCacheControl(headers['cache-control']);
+        if (cacheControl['no-cache']) {
+            return 0;
+        }
+        const maxAge = Number(cacheControl['s-maxage'] || cacheControl['max-age']);
+        if (!Number.isNaN(maxAge)) {
+            return Math.max(maxAge, 0);
+        }
+        const expires = Date.parse(headers.expires);
+        const date = Date.parse(headers.date) || Date.now();
+        return Number.isNaN(expires) ? 0 : Math.max((expires - date) / 1000, 0);
+    }
+
+    static getValidators(headers) {
+        const validators = {};
+        if (headers.etag) {
+            validators['If-None-Match'] = headers.etag;
+        }
+        if (headers['last-modified']) {
+            validators['If-Modified-Since'] = headers['last-modified'];
+        }
+        return validators;
+    }
+
+    /*
+        Only complete responses that are fresh for a while or can be revalidated are kept.
+    */
+    static isStorable(response) {
+        const cacheControl = parseCacheControl(response.headers['cache-control']);
+        if (response.statusCode !== 200 || cacheControl['no-store'] || cacheControl.private) {
+            return false;
+        }
+        const hasValidators = Object.keys(HttpCache.getValidators(response.headers)).length > 0;
+        return hasValidators || HttpCache.getMaxAge(response.headers) > 0;
+    }
+
+    static isFresh(entry) {
+        return Date.now() < entry.expiresAt;
+    }
+
+    static get(url) {
+        const entryPath = HttpCache.getPath(url);
+        return fs
+            .readJson(`${entryPath}.json`)
+            .then(entry =>
+                fs.readFile(`${entryPath}.body`).then(body => Object.assign(entry, { body })))
+            .catch(() => null);
+    }
+
+    static set(url, response) {
+        const entryPath = HttpCache.getPath(url);
+        const entry = {
+            url,
+            statusCode: response.statusCode,
+            headers: response.headers,
+            expiresAt: Date.now() + (HttpCache.getMaxAge(response.headers) * 1000),
+        };
+        return fs
+            .outputFile(`${entryPath}.body`, response.body)
+            .then(() => fs.outputJson(`${entryPath}.json`, entry))
+            .then(() => Object.assign(entry, { body: response.body }));
+    }
+
+    /*
+        Keeps a revalidated entry with the headers of the 304 response.
+    */
+    static refresh(entry, headers) {
+        const updatedHeaders = Object.assign({}, entry.headers, headers);
+        return HttpCache.set(entry.url, {
+            statusCode: entry.statusCode,
+            headers: updatedHeaders,
+            body: entry.body,
+        });
+    }
+
+    /*
+        Removes the entries that weren't stored or revalidated since `date`.
+    */
+    static removeOlderThan(date) {
+        return fs
+            .readdir(HttpCache.ROOT)
+            .catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)))
+            .then(folders =>
+                Promise.all(folders.map((folder) => {
+                    const folderPath = `${HttpCache.ROOT}/${folder}`;
+                    return fs.readdir(folderPath).then(filenames =>
+                        Promise.all(filenames.map((filename) => {
+                            const filePath = `${folderPath}/${filename}`;
+                            return fs.stat(filePath).then(stats =>
+                                (stats.mtime < date ? fs.remove(filePath) : null));
+                        })));
+                })));
+    }
+}
+
+HttpCache.ROOT = Config.HTTP_CACHE_PATH;
+
+module.exports = HttpCache;
@@ -0,0 +1,236 @@
+'use strict';
+
+const path = require('path');
+
+const { Resvg } = require('@resvg/resvg-js');
+const fs = require('fs-extra');
+const Jimp = require('jimp');
+const sharp = require('sharp');
+
+const Config = require('./config');
+const SvgProcessor = require('./svg-processor');
+
+// Formats Jimp can read, with the format they're written as
+const OUTPUT_TYPES = {
+    '.jpg': { extname: '.jpg', mime: Jimp.MIME_JPEG },
+    '.jpeg': { extname: '.jpg', mime: Jimp.MIME_JPEG },
+    '.png': { extname: '.png', mime: Jimp.MIME_PNG },
+    '.bmp': { extname: '.png', mime: Jimp.MIME_PNG },
+};
+
+// Start of frame markers, which are followed by the height and width of JPEG images
+const JPEG_FRAME_MARKERS = [
+    0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+
+function getJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        if (JPEG_FRAME_MARKERS.indexOf(marker) > -1) {
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5),
+            };
+        }
+        offset += marker === 0xff ? 1 : 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return undefined;
+}
+
+function getBuffer(image, mime) {
+    return new Promise((resolve, reject) => {
+        image.getBuffer(mime, (error, buffer) => {
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(buffer);
+            }
+        });
+    });
+}
+
+/*
+    Makes downloaded images fit for e-readers: formats they can't display are converted,
+    images larger than the screen downsized and the rest re-compressed, in grayscale for e-ink.
+*/
+class ImageProcessor {
+    /*
+        Rewrites an SVG file without scripts, event handlers or references to other files
+        (see SvgProcessor), whether it was downloaded, decoded from a `data:` url or inline.
+    */
+    static sanitizeSvg(imagePath) {
+        return fs.readFile(imagePath, 'utf8').then((text) => {
+            const svg = SvgProcessor.sanitizeDocument(text);
+            if (!svg) {
+                throw new Error('Not an SVG image.');
+            }
+            return fs.outputFile(imagePath, svg).then(() => imagePath);
+        });
+    }
+
+    /*
+        Renders an SVG to a PNG in its place, at twice its size for sharper lines
+        and text unless that doesn't fit in `maxWidth` and `maxHeight`.
+    */
+    static rasterize(imagePath, maxWidth, maxHeight) {
+        const pngPath = `${imagePath.slice(0, -path.extname(imagePath).length)}.png`;
+        return fs.readFile(imagePath).then((svg) => {
+            const { width, height } = new Resvg(svg);
+            const zoom = Math.min(2, maxWidth / width, maxHeight / height);
+            const png = new Resvg(svg, { fitTo: { mode: 'zoom', value: zoom } }).render().asPng();
+            return fs
+                .outputFile(pngPath, png)
+                .then(() => fs.remove(imagePath))
+                .then(() => pngPath);
+        });
+    }
+
+    /*
+        `{ width, height }` of PNG, JPEG, GIF and BMP images read from their header,
+        undefined when it isn't one of those.
+    */
+    static getDimensions(buffer) {
+        if (buffer.length >= 24 && buffer.toString('latin1', 1, 4) === 'PNG') {
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+        if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'GIF') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+        if (buffer.length >= 26 && buffer.toString('latin1', 0, 2) === 'BM') {
+            // Bottom-up bitmaps have a negative height
+            return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+        }
+        if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+            return getJpegDimensions(buffer);
+        }
+        return undefined;
+    }
+
+    /*
+        Rejects images whose header can't be read or which have more than `maxPixels`,
+        before decoding them takes up all the memory.
+    */
+    static checkDimensions(imagePath, maxPixels) {
+        return fs.readFile(imagePath).then((buffer) => {
+            const dimensions = ImageProcessor.getDimensions(buffer);
+            if (!dimensions) {
+                throw new Error('Unreadable image header.');
+            }
+            if (dimensions.width * dimensions.height > maxPixels) {
+                throw new Error(`Image too large: ${dimensions.width}x${dimensions.height}`);
+            }
+            return dimensions;
+        });
+    }
+
+    /*
+        Converts a WebP or AVIF image, which EPUB 2 and many readers can't display,
+        to a PNG when it has transparency or a JPEG otherwise. Resolves with its path.
+    */
+    static decode(imagePath, maxPixels) {
+        // The metadata only reads the header
+        return sharp(imagePath).metadata().then(({ width, height, hasAlpha }) => {
+            if (width * height > maxPixels) {
+                throw new Error(`Image too large: ${width}x${height}`);
+            }
+            const image = sharp(imagePath, { limitInputPixels: maxPixels });
+            const extname = hasAlpha ? '.png' : '.jpg';
+            const outputPath = `${imagePath.slice(0, -path.extname(imagePath).length)}${extname}`;
+            const converted = hasAlpha ? image.png() : image.jpeg({ quality: 100 });
+            return converted
+                .toFile(outputPath)
+                .then(() => fs.remove(imagePath))
+                .then(() => outputPath);
+        });
+    }
+
+    /*
+        Resolves with the processed image's `{ path, size, savedBytes }`, rejects for
+        images with more than `opts.maxPixels` or that can't be decoded. SVGs are sanitized,
+        then rasterized, kept or removed depending on `opts.svg`. WebP and AVIF images are
+        converted like BMPs. GIFs (which can be animated) and files without a known
+        extension are left as they are.
+    */
+    static process(imagePath, opts = {}) {
+        const {
+            maxWidth = ImageProcessor.MAX_WIDTH,
+            maxHeight = ImageProcessor.MAX_HEIGHT,
+            maxPixels = ImageProcessor.MAX_PIXELS,
+            grayscale = false,
+            svg = ImageProcessor.SVG_OPTIONS[0],
+        } = opts;
+        const extname = path.extname(imagePath).toLowerCase();
+        const output = OUTPUT_TYPES[extname];
+        if (extname === '.svg' && svg === 'remove') {
+            return Promise.reject(new Error('SVG images are left out.'));
+        }
+        if (extname === '.svg') {
+            return fs.stat(imagePath).then((stats) => {
+                const sanitized = ImageProcessor.sanitizeSvg(imagePath);
+                const processed = svg === 'rasterize'
+                    ? sanitized
+                        .then(() => ImageProcessor.rasterize(imagePath, maxWidth, maxHeight))
+                        .then(pngPath => ImageProcessor.process(pngPath, opts))
+                    : sanitized
+                        .then(() => fs.stat(imagePath))
+                        .then(sanitizedStats => ({ path: imagePath, size: sanitizedStats.size }));
+                return processed.then(result =>
+                    Object.assign(result, { savedBytes: stats.size - result.size }));
+            });
+        }
+        if (ImageProcessor.DECODED_TYPES.indexOf(extname) > -1) {
+            return fs.stat(imagePath).then(stats =>
+                ImageProcessor.decode(imagePath, maxPixels)
+                    .then(decodedPath => ImageProcessor.process(decodedPath, opts))
+                    .then(result =>
+                        Object.assign(result, { savedBytes: stats.size - result.size })));
+        }
+        if (!output) {
+            return fs
+                .stat(imagePath)
+                .then(stats => ({ path: imagePath, size: stats.size, savedBytes: 0 }));
+        }
+
+        return ImageProcessor.checkDimensions(imagePath, maxPixels)
+            .then(() => Promise.all([fs.stat(imagePath), Jimp.read(imagePath)]))
+            .then(([stats, image]) => {
+                const isResized = image.bitmap.width > maxWidth || image.bitmap.height > maxHeight;
+                if (isResized) {
+                    image.scaleToFit(maxWidth, maxHeight);
+                }
+                if (grayscale) {
+                    image.greyscale();
+                }
+                image.quality(ImageProcessor.JPEG_QUALITY).deflateLevel(9);
+
+                const outputPath = `${imagePath.slice(0, -extname.length)}${output.extname}`;
+                const isConverted = outputPath !== imagePath;
+                return getBuffer(image, output.mime).then((buffer) => {
+                    // Images that only got re-compressed stay as they were if it didn't help
+                    if (!isConverted && !isResized && !grayscale && buffer.length >= stats.size) {
+                        return { path: imagePath, size: stats.size, savedBytes: 0 };
+                    }
+                    return fs
+                        .outputFile(outputPath, buffer)
+                        .then(() => (isConverted ? fs.remove(imagePath) : null))
+                        .then(() => ({
+                            path: outputPath,
+                            size: buffer.length,
+                            savedBytes: stats.size - buffer.length,
+                        }));
+                });
+            });
+    }
+}
+
+ImageProcessor.MAX_WIDTH = Config.IMAGE_MAX_WIDTH;
+ImageProcessor.MAX_HEIGHT = Config.IMAGE_MAX_HEIGHT;
+ImageProcessor.MAX_PIXELS = Config.IMAGE_MAX_PIXELS;
+ImageProcessor.JPEG_QUALITY = Config.IMAGE_JPEG_QUALITY;
+// Formats many readers can't display, decoded with sharp to convert them
+ImageProcessor.DECODED_TYPES = ['.webp', '.avif'];
+// What's done with SVG images, the first is the default
+ImageProcessor.SVG_OPTIONS = ['rasterize', 'keep', 'remove'];
+
+module.exports = ImageProcessor;
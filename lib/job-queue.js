@@ -0,0 +1,263 @@
+'use strict';
+
+const Config = require('./config');
+const Utilities = require('./utilities');
+
+function nextStep(job, step) {
+    return (job.steps || []).concat({ step, at: new Date() });
+}
+
+class MemoryDriver {
+    constructor() {
+        this.jobs = [];
+        this.lastId = 0;
+    }
+
+    create(attrs) {
+        this.lastId += 1;
+        const now = new Date();
+        const job = Object.assign({}, attrs, { id: this.lastId, createdAt: now, updatedAt: now });
+        this.jobs.push(job);
+        return Promise.resolve(Object.assign({}, job));
+    }
+
+    find(uid) {
+        const matches = this.jobs.filter(job => job.uid === uid);
+        const job = matches[matches.length - 1];
+        return Promise.resolve(job ? Object.assign({}, job) : null);
+    }
+
+    findAll(state) {
+        const jobs = this.jobs.filter(job => job.state === state);
+        return Promise.resolve(jobs.map(job => Object.assign({}, job)));
+    }
+
+    update(job, attrs) {
+        const stored = this.jobs.find(j => j.id === job.id);
+        Object.assign(stored, attrs, { updatedAt: new Date() });
+        return Promise.resolve(Object.assign({}, stored));
+    }
+
+    claim(job, attrs) {
+        const stored = this.jobs.find(j => j.id === job.id);
+        if (!stored || stored.state !== job.state) {
+            return Promise.resolve(null);
+        }
+        return this.update(job, attrs);
+    }
+}
+
+class SequelizeDriver {
+    constructor() {
+        // eslint-disable-next-line
+        this.JobModel = require('../models/').Job;
+    }
+
+    create(attrs) {
+        return this.JobModel.create(attrs).then(model => model.get({ plain: true }));
+    }
+
+    find(uid) {
+        return this.JobModel.findOne({
+            where: { uid },
+            order: [['createdAt', 'DESC']],
+        }).then(model => model && model.get({ plain: true }));
+    }
+
+    findAll(state) {
+        return this.JobModel.findAll({
+            where: { state },
+            order: [['createdAt', 'ASC']],
+        }).then(models => models.map(model => model.get({ plain: true })));
+    }
+
+    update(job, attrs) {
+        return this.JobModel.update(attrs, { where: { id: job.id } }).then(() =>
+            Object.assign({}, job, attrs));
+    }
+
+    claim(job, attrs) {
+        // Only one process can move a job out of the state it was read in
+        return this.JobModel.update(attrs, {
+            where: { id: job.id, state: job.state },
+        }).then(([count]) => (count === 1 ? Object.assign({}, job, attrs) : null));
+    }
+}
+
+class JobQueue {
+    static buildDriver(name) {
+        const Driver = JobQueue.DRIVERS[name];
+        if (!Driver) {
+            throw new Error(`Unknown job queue driver: ${name}`);
+        }
+        return new Driver();
+    }
+
+    static getStatusType(job) {
+        const { STATES } = JobQueue;
+        if (job.state === STATES.QUEUED) {
+            return 'QUEUED';
+        } else if (job.state === STATES.DONE) {
+            return 'DONE';
+        } else if (job.state === STATES.FAILED) {
+            return 'FAILED';
+        }
+        return job.step || 'PUBLISHING';
+    }
+
+    /*
+        Errors that would fail again, like 4xx responses or unsupported requests,
+        and jobs that ran out of time aren't retried.
+    */
+    static isRetryable(error) {
+        const { code, status, statusCode } = error || {};
+        if (code === 'JOB_TIMEOUT') {
+            return false;
+        }
+        const httpStatus = Number(status || statusCode) || 0;
+        const isClientError = httpStatus >= 400 && httpStatus < 500;
+        return !isClientError || JobQueue.RETRY_STATUS_CODES.indexOf(httpStatus) > -1;
+    }
+
+    static isCurrentRun(current, job) {
+        return (
+            !!current &&
+            current.id === job.id &&
+            current.attempts === job.attempts &&
+            current.state === JobQueue.STATES.RUNNING
+        );
+    }
+
+    constructor(driver) {
+        this._driver = driver || JobQueue.buildDriver(Config.JOB_QUEUE_DRIVER);
+        this._serialize = Utilities.createSerializer();
+    }
+
+    getDriver() {
+        return this._driver;
+    }
+
+    enqueue(uid, payload) {
+        return this._driver.create({
+            uid,
+            payload,
+            state: JobQueue.STATES.QUEUED,
+            steps: [],
+            attempts: 0,
+        });
+    }
+
+    find(uid) {
+        return this._driver.find(uid);
+    }
+
+    next() {
+        return this._driver.findAll(JobQueue.STATES.QUEUED).then((jobs) => {
+            const job = jobs[0];
+            if (!job) {
+                return null;
+            }
+            return this._driver
+                .claim(job, {
+                    state: JobQueue.STATES.RUNNING,
+                    step: null,
+                    attempts: (job.attempts || 0) + 1,
+                    lockedAt: new Date(),
+                })
+                .then(claimed => claimed || this.next());
+        });
+    }
+
+    recordStep(uid, step) {
+        return this._serialize(uid, () =>
+            this._driver.find(uid).then((job) => {
+                if (!job || job.state !== JobQueue.STATES.RUNNING) {
+                    return job;
+                }
+                return this._driver.update(job, {
+                    step,
+                    steps: nextStep(job, step),
+                    lockedAt: new Date(),
+                });
+            }));
+    }
+
+    /*
+        Keeps the job locked while its worker is alive, so `recover` leaves it alone.
+    */
+    heartbeat(job) {
+        return this._serialize(job.uid, () =>
+            this._driver.find(job.uid).then((current) => {
+                if (!JobQueue.isCurrentRun(current, job)) {
+                    return current;
+                }
+                return this._driver.update(current, { lockedAt: new Date() });
+            }));
+    }
+
+    /*
+        Only the attempt still running completes the job, not one that already
+        timed out and was retried or failed.
+    */
+    complete(job) {
+        return this._serialize(job.uid, () =>
+            this._driver.find(job.uid).then((current) => {
+                if (!JobQueue.isCurrentRun(current, job)) {
+                    return current;
+                }
+                return this._driver.update(current, {
+                    state: JobQueue.STATES.DONE,
+                    step: 'DONE',
+                    lockedAt: null,
+                });
+            }));
+    }
+
+    /*
+        Requeues the job unless its error isn't retryable or it ran out of attempts.
+        Resolves with the job, whose state says whether it's terminal.
+    */
+    fail(job, error) {
+        const canRetry =
+            (job.attempts || 0) < Config.JOB_MAX_ATTEMPTS && JobQueue.isRetryable(error);
+        return this._serialize(job.uid, () =>
+            this._driver.find(job.uid).then(current =>
+                this._driver.update(current, {
+                    state: canRetry ? JobQueue.STATES.QUEUED : JobQueue.STATES.FAILED,
+                    step: canRetry ? null : 'FAILED',
+                    steps: nextStep(current, canRetry ? 'RETRYING' : 'FAILED'),
+                    error: error && error.toString(),
+                    lockedAt: null,
+                })));
+    }
+
+    /*
+        Jobs left running by a process that died are retried. Workers refresh the lock
+        of their job (see `heartbeat`) so slow jobs that are still running aren't.
+    */
+    recover() {
+        const staleBefore = Date.now() - Config.JOB_LOCK_TIMEOUT;
+        return this._driver.findAll(JobQueue.STATES.RUNNING).then((jobs) => {
+            const staleJobs = jobs.filter(job =>
+                !job.lockedAt || new Date(job.lockedAt).getTime() < staleBefore);
+            return Promise.all(staleJobs.map(job => this.fail(job, new Error('Job interrupted.'))));
+        });
+    }
+}
+
+JobQueue.STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+// Client errors that can succeed later
+JobQueue.RETRY_STATUS_CODES = [408, 429];
+JobQueue.DRIVERS = {
+    memory: MemoryDriver,
+    sequelize: SequelizeDriver,
+};
+JobQueue.MemoryDriver = MemoryDriver;
+JobQueue.SequelizeDriver = SequelizeDriver;
+
+module.exports = JobQueue;
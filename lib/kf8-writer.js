@@ -0,0 +1,605 @@
+'use strict';
+
+const cheerio = require('cheerio');
+
+const EpubReader = require('./epub-reader');
+const MobiWriter = require('./mobi-writer');
+
+const MOBI_HEADER_LENGTH = 264;
+const INDX_HEADER_LENGTH = 192;
+// Index records stay below the 64KB a record can hold, with the margin kindlegen leaves
+const INDX_RECORD_LIMIT = 0x10000 - INDX_HEADER_LENGTH - 1048;
+const NULL_INDEX = 0xffffffff;
+
+// Bodies are cut into fragments of about this many characters, like kindlegen does
+const FRAGMENT_SIZE = 8192;
+
+// Marker left in the markup where links go, replaced by kindle:pos links of a fixed length
+const LINK_MARKER = '\u0002';
+// eslint-disable-next-line no-control-regex
+const LINK_MARKERS = /\u0002([^\u0002]*)\u0002/g;
+const LINK_PLACEHOLDER = 'kindle:pos:fid:0000:off:0000000000';
+
+const VOID_ELEMENTS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr'];
+
+// Index entry tags, as their number, values per entry and bitmask in the control byte
+const TAGS = {
+    skeletons: [[1, 1, 0x03], [6, 2, 0x0c]],
+    fragments: [[2, 1, 0x01], [3, 1, 0x02], [4, 1, 0x04], [6, 2, 0x08]],
+    ncx: [[1, 1, 0x01], [2, 1, 0x02], [3, 1, 0x04], [4, 1, 0x08], [6, 2, 0x80]],
+};
+
+const EXTH_TYPES = {
+    resourceCount: 125,
+    documentType: 501,
+};
+
+function escapeXml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value, 0);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return buffer;
+}
+
+function padTo(buffer, multiple) {
+    const padding = (multiple - (buffer.length % multiple)) % multiple;
+    return Buffer.concat([buffer, Buffer.alloc(padding)]);
+}
+
+function decodeXml(text) {
+    return cheerio.load(text, { decodeEntities: true }).root().text();
+}
+
+function linkMarker(key) {
+    return `${LINK_MARKER}${key}${LINK_MARKER}`;
+}
+
+/*
+    Writes empty elements as an open and a close tag, Kindles read <p/> as an open <p>.
+*/
+function closeEmptyElements(xml) {
+    return xml.replace(/<([a-zA-Z][\w:-]*)([^<>]*?)\/>/g, (tag, name, attributes) => (
+        VOID_ELEMENTS.indexOf(name.toLowerCase()) > -1 ? tag : `<${name}${attributes}></${name}>`
+    ));
+}
+
+/*
+    Writes newer Kindle books (KF8, .azw3) from an epub (see EpubReader).
+    The text is kept as XHTML: each section is a skeleton document, whose body is
+    filled with fragments, and the stylesheet is a second flow after them.
+    Skeletons, fragments and the table of contents are described by INDX records.
+*/
+class Kf8Writer extends MobiWriter {
+    constructor(epub) {
+        super(epub);
+        this.aidCount = 0;
+    }
+
+    /*
+        Numbers in kindle: links are base 32, with 0-9 and A-V as digits.
+    */
+    static toBase32(value, digits) {
+        return Kf8Writer.pad(value.toString(32).toUpperCase(), digits);
+    }
+
+    static pad(number, digits) {
+        return number.length < digits ? `${'0'.repeat(digits - number.length)}${number}` : number;
+    }
+
+    /*
+        Variable width integers: 7 bits per byte, the high bit marks the last one.
+    */
+    static encodeInt(value) {
+        const bytes = [];
+        let remaining = value;
+        do {
+            // eslint-disable-next-line no-bitwise
+            bytes.unshift(remaining & 0x7f);
+            remaining = Math.floor(remaining / 0x80);
+        } while (remaining > 0);
+        // eslint-disable-next-line no-bitwise
+        bytes[bytes.length - 1] |= 0x80;
+        return Buffer.from(bytes);
+    }
+
+    static getImageType(data) {
+        if (data[0] === 0x89) {
+            return 'image/png';
+        }
+        return data[0] === 0xff ? 'image/jpeg' : 'image/gif';
+    }
+
+    /*
+        The CNCX records holding an index's strings, with the offset of each string.
+    */
+    static getCncx(strings) {
+        const offsets = {};
+        const parts = [];
+        let offset = 0;
+        strings.forEach((string) => {
+            if (offsets[string] === undefined) {
+                const data = Buffer.from(string.slice(0, Kf8Writer.MAX_LABEL_LENGTH), 'utf8');
+                const part = Buffer.concat([Kf8Writer.encodeInt(data.length), data]);
+                offsets[string] = offset;
+                parts.push(part);
+                offset += part.length;
+            }
+        });
+        return { offsets, records: parts.length > 0 ? [padTo(Buffer.concat(parts), 4)] : [] };
+    }
+
+    /*
+        An INDX header record followed by records with the entries and the CNCX records.
+        Entries have a name and the values of each tag, in the order of `tags`.
+    */
+    static getIndex(tags, entries, cncxRecords = []) {
+        const rows = entries.map((entry) => {
+            const name = Buffer.from(entry.name, 'ascii');
+            const control = tags.reduce((byte, [, perEntry, mask], index) => {
+                const count = entry.values[index].length / perEntry;
+                let shift = 0;
+                // eslint-disable-next-line no-bitwise
+                while (!((mask >> shift) & 1)) {
+                    shift += 1;
+                }
+                // eslint-disable-next-line no-bitwise
+                return byte | ((count << shift) & mask);
+            }, 0);
+            const values = [].concat(...entry.values).map(Kf8Writer.encodeInt);
+            return {
+                name,
+                data: Buffer.concat([
+                    Buffer.from([name.length]),
+                    name,
+                    Buffer.from([control]),
+                    ...values,
+                ]),
+            };
+        });
+
+        const groups = [];
+        rows.forEach((row) => {
+            const group = groups[groups.length - 1];
+            const offsetsLength = group ? 2 * (group.rows.length + 1) : 0;
+            if (!group || group.length + offsetsLength + row.data.length > INDX_RECORD_LIMIT) {
+                groups.push({ rows: [row], length: row.data.length });
+            } else {
+                group.rows.push(row);
+                group.length += row.data.length;
+            }
+        });
+
+        const records = groups.map((group) => {
+            const offsets = [];
+            let length = 0;
+            group.rows.forEach((row) => {
+                offsets.push(uint16(INDX_HEADER_LENGTH + length));
+                length += row.data.length;
+            });
+            const block = padTo(Buffer.concat(group.rows.map(row => row.data)), 4);
+            return Buffer.concat([
+                Buffer.from('INDX'),
+                uint32(INDX_HEADER_LENGTH),
+                uint32(0),
+                uint32(1), // Index record
+                uint32(0),
+                uint32(INDX_HEADER_LENGTH + block.length), // IDXT offset
+                uint32(group.rows.length),
+                Buffer.alloc(8, 0xff),
+                Buffer.alloc(156),
+                block,
+                padTo(Buffer.concat([Buffer.from('IDXT'), ...offsets]), 4),
+            ]);
+        });
+
+        const tagx = Buffer.concat([
+            Buffer.from('TAGX'),
+            uint32(12 + ((tags.length + 1) * 4)),
+            uint32(1), // Control bytes per entry
+            ...tags.map(([tag, perEntry, mask]) => Buffer.from([tag, perEntry, mask, 0])),
+            Buffer.from([0, 0, 0, 1]),
+        ]);
+        // The last entry name and entry count of each index record
+        const geometryOffsets = [];
+        let geometryLength = 0;
+        const geometry = groups.map((group) => {
+            const lastName = group.rows[group.rows.length - 1].name;
+            const entry = Buffer.concat([
+                Buffer.from([lastName.length]),
+                lastName,
+                uint16(group.rows.length),
+            ]);
+            geometryOffsets.push(uint16(INDX_HEADER_LENGTH + tagx.length + geometryLength));
+            geometryLength += entry.length;
+            return entry;
+        });
+        const geometryBlock = padTo(Buffer.concat(geometry), 4);
+        const header = Buffer.concat([
+            Buffer.from('INDX'),
+            uint32(INDX_HEADER_LENGTH),
+            Buffer.alloc(8),
+            uint32(2),
+            uint32(INDX_HEADER_LENGTH + tagx.length + geometryBlock.length), // IDXT offset
+            uint32(records.length),
+            uint32(65001), // UTF-8
+            uint32(NULL_INDEX),
+            uint32(entries.length),
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            uint32(cncxRecords.length),
+            Buffer.alloc(124),
+            uint32(INDX_HEADER_LENGTH), // TAGX offset
+            Buffer.alloc(8),
+            tagx,
+            geometryBlock,
+            padTo(Buffer.concat([Buffer.from('IDXT'), ...geometryOffsets]), 4),
+        ]);
+
+        return [header, ...records, ...cncxRecords];
+    }
+
+    /*
+        Markup
+    */
+
+    /*
+        Kindles locate positions with the aid attributes of the elements around them.
+    */
+    nextAid() {
+        const aid = Kf8Writer.toBase32(this.aidCount, 1);
+        this.aidCount += 1;
+        return aid;
+    }
+
+    /*
+        Converts a section's body to KF8 markup, cut into fragments: images point to their
+        resource record and links within the book are replaced by markers.
+    */
+    convertSection(section) {
+        const $ = cheerio.load(section.body, { decodeEntities: true });
+
+        $('script,style,iframe,object,video,audio,svg').remove();
+
+        $('img').each((index, elem) => {
+            const href = EpubReader.resolvePath(section.href, $(elem).attr('src'));
+            const data = this.epub.getImage(href);
+            if (MobiWriter.isSupportedImage(data)) {
+                const embed = Kf8Writer.toBase32(this.addImage(data) + 1, 4);
+                $(elem).attr('src', `kindle:embed:${embed}?mime=${Kf8Writer.getImageType(data)}`);
+            } else {
+                $(elem).replaceWith(escapeXml($(elem).attr('alt')));
+            }
+        });
+
+        $('a[href]').each((index, elem) => {
+            const href = $(elem).attr('href');
+            if (!/^[a-z]+:/i.test(href)) {
+                const [filePath, id] = href.split('#');
+                const target = this.sectionKeys[EpubReader.resolvePath(section.href, filePath)];
+                if (target) {
+                    $(elem).attr('href', linkMarker(id ? `${target}#${id}` : target));
+                } else {
+                    $(elem).removeAttr('href');
+                }
+            }
+        });
+
+        $.root().children().each((index, elem) => {
+            $(elem).attr('aid', this.nextAid());
+        });
+
+        const fragments = [];
+        let fragment = '';
+        $.root().contents().each((index, node) => {
+            const xml = closeEmptyElements($.xml(node));
+            if (fragment && fragment.length + xml.length > Kf8Writer.FRAGMENT_SIZE) {
+                fragments.push(fragment);
+                fragment = '';
+            }
+            fragment += xml;
+        });
+        if (fragment || fragments.length === 0) {
+            fragments.push(fragment || '<div></div>');
+        }
+        return fragments;
+    }
+
+    /*
+        The document of a section, without its body's content: `head` goes before the
+        fragments and `tail` after them.
+    */
+    getSkeleton(section, aid) {
+        const lang = section.lang ? ` lang="${escapeXml(section.lang)}"` : '';
+        const stylesheet = this.hasStyles()
+            ? '<link href="kindle:flow:0001?mime=text/css" rel="stylesheet" type="text/css"/>'
+            : '';
+        return {
+            head: [
+                '<?xml version="1.0" encoding="UTF-8"?>\n',
+                `<html xmlns="http://www.w3.org/1999/xhtml"${lang}>`,
+                `<head><title>${escapeXml(section.title)}</title>${stylesheet}</head>`,
+                `<body aid="${aid}">`,
+            ].join(''),
+            tail: '</body></html>',
+        };
+    }
+
+    hasStyles() {
+        return this.epub.getStyles().trim().length > 0;
+    }
+
+    /*
+        Lays out the skeletons and their fragments, finds where each anchor ended up and
+        points the links to them. The offsets are in bytes, in the text with the fragments
+        inserted in their skeletons.
+    */
+    getFiles() {
+        this.getCoverIndex();
+        const sections = this.epub.getSections();
+        this.sectionKeys = {};
+        sections.forEach((section, index) => {
+            this.sectionKeys[section.href] = `section-${index + 1}`;
+        });
+
+        const anchors = {};
+        let sequence = 0;
+        let position = 0;
+        const files = sections.map((section, index) => {
+            const key = `section-${index + 1}`;
+            const aid = this.nextAid();
+            const skeleton = this.getSkeleton(section, aid);
+            const file = {
+                label: section.title || key,
+                selector: `P-//*[@aid='${aid}']`,
+                start: position,
+                skeleton: Buffer.from(`${skeleton.head}${skeleton.tail}`, 'utf8'),
+                fragments: [],
+            };
+            let insertPosition = position + Buffer.byteLength(skeleton.head);
+
+            this.convertSection(section).forEach((markup) => {
+                const sized = markup.replace(LINK_MARKERS, LINK_PLACEHOLDER);
+                const fragment = {
+                    markup,
+                    sequence,
+                    insertPosition,
+                    length: Buffer.byteLength(sized),
+                };
+                if (!anchors[key]) {
+                    anchors[key] = { fid: sequence, offset: 0, position: insertPosition };
+                }
+                const ids = /<[^<>]*?\sid="([^"]*)"/g;
+                let match = ids.exec(sized);
+                while (match) {
+                    const offset = Buffer.byteLength(sized.slice(0, match.index));
+                    const id = `${key}#${decodeXml(match[1])}`;
+                    if (!anchors[id]) {
+                        anchors[id] = { fid: sequence, offset, position: insertPosition + offset };
+                    }
+                    match = ids.exec(sized);
+                }
+                file.fragments.push(fragment);
+                insertPosition += fragment.length;
+                sequence += 1;
+            });
+
+            position = insertPosition + Buffer.byteLength(skeleton.tail);
+            file.length = position - file.start;
+            file.position = anchors[key].position;
+            return file;
+        });
+
+        const getLink = (marker, target) => {
+            const anchor = anchors[target] || anchors[target.split('#')[0]];
+            const fid = Kf8Writer.toBase32(anchor.fid, 4);
+            return `kindle:pos:fid:${fid}:off:${Kf8Writer.toBase32(anchor.offset, 10)}`;
+        };
+        files.forEach((file) => {
+            file.fragments.forEach((fragment) => {
+                const linkedFragment = fragment;
+                linkedFragment.data = Buffer.from(fragment.markup.replace(LINK_MARKERS, getLink));
+            });
+        });
+        return files;
+    }
+
+    /*
+        Records
+    */
+
+    getExthEntries() {
+        return super.getExthEntries().concat([
+            [EXTH_TYPES.resourceCount, uint32(this.images.length)],
+            [EXTH_TYPES.documentType, Buffer.from('EBOK')],
+        ]);
+    }
+
+    getRecord0(textLength, textRecordCount, indexes) {
+        const metadata = this.epub.getMetadata();
+        const title = Buffer.from(metadata.title || 'EpubPress', 'utf8');
+        const exth = this.getExth();
+        const locale = MobiWriter.getLocale(metadata.language);
+        const nameOffset = 16 + MOBI_HEADER_LENGTH + exth.length;
+        const orNull = index => (index === null ? NULL_INDEX : index);
+
+        const palmDocHeader = Buffer.concat([
+            uint16(2), // PalmDOC compression
+            uint16(0),
+            uint32(textLength),
+            uint16(textRecordCount),
+            uint16(MobiWriter.RECORD_SIZE),
+            uint16(0), // No encryption
+            uint16(0),
+        ]);
+
+        const mobiHeader = Buffer.concat([
+            Buffer.from('MOBI'),
+            uint32(MOBI_HEADER_LENGTH),
+            uint32(2), // Book
+            uint32(65001), // UTF-8
+            uint32(Math.floor(Math.random() * 0xffffffff)),
+            uint32(8), // Version
+            ...Array(10).fill(uint32(NULL_INDEX)), // Orthographic, inflection, names, keys, extras
+            uint32(textRecordCount + 1), // First non-book record
+            uint32(nameOffset),
+            uint32(title.length),
+            uint32(locale),
+            uint32(0),
+            uint32(0),
+            uint32(8), // Minimum reader version
+            uint32(orNull(indexes.firstImage)),
+            uint32(0), // No huffman compression
+            uint32(0),
+            Buffer.alloc(8),
+            uint32(0x50), // Has EXTH
+            Buffer.alloc(32),
+            uint32(NULL_INDEX),
+            uint32(NULL_INDEX), // No DRM
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            Buffer.alloc(8),
+            uint32(indexes.fdst),
+            uint32(indexes.flowCount),
+            uint32(indexes.fcis),
+            uint32(1),
+            uint32(indexes.flis),
+            uint32(1),
+            Buffer.alloc(8),
+            uint32(NULL_INDEX), // No SRCS
+            uint32(0),
+            uint32(NULL_INDEX),
+            uint32(NULL_INDEX),
+            uint32(1), // Multibyte trailing entries
+            uint32(indexes.ncx),
+            uint32(indexes.fragments),
+            uint32(indexes.skeletons),
+            uint32(NULL_INDEX), // No DATP
+            uint32(NULL_INDEX), // No guide
+            uint32(NULL_INDEX),
+            uint32(0),
+            uint32(NULL_INDEX),
+            uint32(0),
+        ]);
+
+        return padTo(
+            Buffer.concat([palmDocHeader, mobiHeader, exth, title, Buffer.alloc(2)]),
+            4
+        );
+    }
+
+    /*
+        Fragments are named after their insert position, relative to the whole text.
+        Their selector is the body of their skeleton.
+    */
+    static getFragmentIndex(files) {
+        const selectors = Kf8Writer.getCncx(files.map(file => file.selector));
+        const entries = [].concat(...files.map((file, index) =>
+            file.fragments.map(fragment => ({
+                name: Kf8Writer.pad(String(fragment.insertPosition), 10),
+                values: [
+                    [selectors.offsets[file.selector]],
+                    [index],
+                    [fragment.sequence],
+                    [fragment.insertPosition - file.fragments[0].insertPosition, fragment.length],
+                ],
+            }))));
+        return Kf8Writer.getIndex(TAGS.fragments, entries, selectors.records);
+    }
+
+    /*
+        The fragment count and position are listed twice in skeleton entries, as kindlegen does.
+    */
+    static getSkeletonIndex(files) {
+        const entries = files.map((file, index) => {
+            const geometry = [file.start, file.skeleton.length];
+            return {
+                name: `SKEL${Kf8Writer.pad(String(index), 10)}`,
+                values: [
+                    [file.fragments.length, file.fragments.length],
+                    geometry.concat(geometry),
+                ],
+            };
+        });
+        return Kf8Writer.getIndex(TAGS.skeletons, entries);
+    }
+
+    static getNcxIndex(files, htmlLength) {
+        const labels = Kf8Writer.getCncx(files.map(file => file.label));
+        const entries = files.map((file, index) => {
+            const next = files[index + 1];
+            const end = next ? next.position : htmlLength;
+            return {
+                name: Kf8Writer.pad(index.toString(16).toUpperCase(), 2),
+                values: [
+                    [file.position],
+                    [end - file.position],
+                    [labels.offsets[file.label]],
+                    [0], // Depth
+                    [file.fragments[0].sequence, 0],
+                ],
+            };
+        });
+        return Kf8Writer.getIndex(TAGS.ncx, entries, labels.records);
+    }
+
+    getRecords() {
+        const files = this.getFiles();
+        const html = Buffer.concat([].concat(...files.map(file =>
+            [file.skeleton].concat(file.fragments.map(fragment => fragment.data)))));
+        const flows = [html];
+        if (this.hasStyles()) {
+            flows.push(Buffer.from(this.epub.getStyles(), 'utf8'));
+        }
+        const text = Buffer.concat(flows);
+        const textRecords = MobiWriter.splitText(text);
+        const records = [null].concat(textRecords);
+        const indexes = { flowCount: flows.length };
+
+        indexes.fragments = records.length;
+        records.push(...Kf8Writer.getFragmentIndex(files));
+        indexes.skeletons = records.length;
+        records.push(...Kf8Writer.getSkeletonIndex(files));
+        indexes.ncx = records.length;
+        records.push(...Kf8Writer.getNcxIndex(files, html.length));
+
+        indexes.firstImage = this.images.length > 0 ? records.length : null;
+        records.push(...this.images);
+
+        let flowStart = 0;
+        const boundaries = flows.map((flow) => {
+            const boundary = Buffer.concat([uint32(flowStart), uint32(flowStart + flow.length)]);
+            flowStart += flow.length;
+            return boundary;
+        });
+        indexes.fdst = records.length;
+        records.push(Buffer.concat([Buffer.from('FDST'), uint32(12), uint32(flows.length), ...boundaries]));
+        indexes.flis = records.length;
+        records.push(MobiWriter.getFlis());
+        indexes.fcis = records.length;
+        records.push(MobiWriter.getFcis(text.length), MobiWriter.EOF_RECORD);
+
+        records[0] = this.getRecord0(text.length, textRecords.length, indexes);
+        return records;
+    }
+}
+
+Kf8Writer.FRAGMENT_SIZE = FRAGMENT_SIZE;
+// CNCX strings longer than this are cut, as kindlegen does
+Kf8Writer.MAX_LABEL_LENGTH = 500;
+
+module.exports = Kf8Writer;
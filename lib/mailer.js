@@ -1,6 +1,7 @@
 'use strict';
 
 const nodemailer = require('nodemailer');
+const Book = require('./book');
 const Logger = require('./logger');
 const MailGenerator = require('./mail-generator');
 
@@ -40,12 +41,50 @@ class Mailer {
         return Mailer.sendMail(mailOptions);
     }
 
+    static sendAzw3(email, book) {
+        const mailOptions = getMailOptions(email, book);
+        mailOptions.attachments = [{ filename: 'EpubPress.azw3', path: book.getAzw3Path() }];
+        return Mailer.sendMail(mailOptions);
+    }
+
+    static sendPdf(email, book) {
+        const mailOptions = getMailOptions(email, book);
+        mailOptions.attachments = [{ filename: 'EpubPress.pdf', path: book.getPdfPath() }];
+        return Mailer.sendMail(mailOptions);
+    }
+
     static sendEpub(email, book) {
         const mailOptions = getMailOptions(email, book);
         mailOptions.attachments = [{ filename: 'EpubPress.epub', path: book.getEpubPath() }];
         return Mailer.sendMail(mailOptions);
     }
 
+    /*
+        Archive formats (html, md, txt) are attached as they were written.
+    */
+    static sendFile(email, book, filepath) {
+        const mailOptions = getMailOptions(email, book);
+        const extension = filepath.slice(book.getPath().length);
+        mailOptions.attachments = [{ filename: `EpubPress${extension}`, path: filepath }];
+        return Mailer.sendMail(mailOptions);
+    }
+
+    static sendBook(email, book, filetype) {
+        if (filetype === 'mobi') {
+            return Mailer.sendMobi(email, book);
+        }
+        if (filetype === 'azw3') {
+            return Mailer.sendAzw3(email, book);
+        }
+        if (filetype === 'pdf') {
+            return Mailer.sendPdf(email, book);
+        }
+        if (Mailer.ARCHIVE_FILETYPES.indexOf(filetype) > -1) {
+            return Mailer.sendFile(email, book, Book.getFilePath(book, filetype));
+        }
+        return Mailer.sendEpub(email, book);
+    }
+
     static sendMail(options) {
         return new Promise((resolve, reject) => {
             transporter.sendMail(options, (error, info) => {
@@ -61,4 +100,6 @@ class Mailer {
     }
 }
 
+Mailer.ARCHIVE_FILETYPES = ['html', 'md', 'txt'];
+
 module.exports = Mailer;
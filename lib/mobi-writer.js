@@ -0,0 +1,529 @@
+'use strict';
+
+const fs = require('fs');
+
+const cheerio = require('cheerio');
+
+const EpubReader = require('./epub-reader');
+
+const RECORD_SIZE = 4096;
+const MOBI_HEADER_LENGTH = 232;
+const NULL_INDEX = 0xffffffff;
+
+// Markers left in the markup where anchors and links to them go
+const ANCHOR_MARKER = '\u0001';
+const LINK_MARKER = '\u0002';
+// eslint-disable-next-line no-control-regex
+const MARKERS = /\u0001([^\u0001]*)\u0001|filepos="\u0002([^\u0002]*)\u0002"/;
+
+const LOCALES = {
+    de: 7,
+    en: 9,
+    es: 10,
+    fr: 12,
+    it: 16,
+    ja: 17,
+    nl: 19,
+    pt: 22,
+    ru: 25,
+    zh: 4,
+};
+
+const EXTH_TYPES = {
+    author: 100,
+    description: 103,
+    coverOffset: 201,
+    thumbOffset: 202,
+    title: 503,
+    language: 524,
+};
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function anchorMarker(key) {
+    return `${ANCHOR_MARKER}${key}${ANCHOR_MARKER}`;
+}
+
+function linkMarker(key) {
+    return `${LINK_MARKER}${key}${LINK_MARKER}`;
+}
+
+function uint8(value) {
+    return Buffer.from([value]);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value, 0);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return buffer;
+}
+
+function padTo(buffer, multiple) {
+    const padding = (multiple - (buffer.length % multiple)) % multiple;
+    return Buffer.concat([buffer, Buffer.alloc(padding)]);
+}
+
+function isContinuationByte(byte) {
+    // eslint-disable-next-line no-bitwise
+    return (byte & 0xc0) === 0x80;
+}
+
+/*
+    Writes Kindle books (MOBI 6, PalmDOC compressed) from an epub (see EpubReader).
+    This replaces kindlegen, so .mobi files can be made on any host.
+*/
+class MobiWriter {
+    /*
+        PalmDOC compression: LZ77 back references, space + character pairs and
+        length-prefixed runs of bytes that would otherwise read as commands.
+    */
+    static compress(data) {
+        const output = [];
+        let i = 0;
+
+        while (i < data.length) {
+            let matched = false;
+            if (i > 10 && data.length - i > 10) {
+                const windowStart = Math.max(0, i - 2047);
+                for (let length = 10; length > 2 && !matched; length -= 1) {
+                    const chunk = data.slice(i, i + length);
+                    const match = data.slice(windowStart, i).lastIndexOf(chunk);
+                    if (match > -1) {
+                        const distance = i - (windowStart + match);
+                        // eslint-disable-next-line no-bitwise
+                        const code = 0x8000 | (distance << 3) | (length - 3);
+                        // eslint-disable-next-line no-bitwise
+                        output.push(code >> 8, code & 0xff);
+                        i += length;
+                        matched = true;
+                    }
+                }
+            }
+
+            if (!matched) {
+                const byte = data[i];
+                const next = data[i + 1];
+                i += 1;
+
+                if (byte === 0x20 && next >= 0x40 && next < 0x80 && i + 1 < data.length) {
+                    // eslint-disable-next-line no-bitwise
+                    output.push(next ^ 0x80);
+                    i += 1;
+                } else if (byte === 0 || (byte > 8 && byte < 0x80)) {
+                    output.push(byte);
+                } else {
+                    const run = [byte];
+                    while (i < data.length && run.length < 8) {
+                        const runByte = data[i];
+                        if (runByte === 0 || (runByte > 8 && runByte < 0x80)) {
+                            break;
+                        }
+                        run.push(runByte);
+                        i += 1;
+                    }
+                    output.push(run.length, ...run);
+                }
+            }
+        }
+
+        return Buffer.from(output);
+    }
+
+    /*
+        Splits the text into records of RECORD_SIZE bytes.
+        A character split between two records has its remaining bytes appended to the
+        first one, followed by their count (the multibyte trailing entry).
+    */
+    static splitText(text) {
+        const records = [];
+        for (let start = 0; start < text.length; start += RECORD_SIZE) {
+            const end = Math.min(start + RECORD_SIZE, text.length);
+            let overlap = 0;
+            while (end + overlap < text.length && isContinuationByte(text[end + overlap])) {
+                overlap += 1;
+            }
+            records.push(Buffer.concat([
+                MobiWriter.compress(text.slice(start, end)),
+                text.slice(end, end + overlap),
+                uint8(overlap),
+            ]));
+        }
+        return records;
+    }
+
+    static isSupportedImage(data) {
+        if (!data || data.length < 4) {
+            return false;
+        }
+        const isPng = data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG';
+        const isJpeg = data[0] === 0xff && data[1] === 0xd8;
+        const isGif = data.toString('ascii', 0, 3) === 'GIF';
+        return isPng || isJpeg || isGif;
+    }
+
+    static getLocale(language) {
+        return LOCALES[(language || '').split('-')[0].toLowerCase()] || 0;
+    }
+
+    static getFlis() {
+        return Buffer.concat([
+            Buffer.from('FLIS'),
+            uint32(8),
+            uint16(65),
+            uint16(0),
+            uint32(0),
+            uint32(NULL_INDEX),
+            uint16(1),
+            uint16(3),
+            uint32(3),
+            uint32(1),
+            uint32(NULL_INDEX),
+        ]);
+    }
+
+    static getFcis(textLength) {
+        return Buffer.concat([
+            Buffer.from('FCIS'),
+            uint32(20),
+            uint32(16),
+            uint32(1),
+            uint32(0),
+            uint32(textLength),
+            uint32(0),
+            uint32(32),
+            uint32(8),
+            uint16(1),
+            uint16(1),
+            uint32(0),
+        ]);
+    }
+
+    constructor(epub) {
+        this.epub = epub;
+        this.images = [];
+    }
+
+    /*
+        Returns the record index of an image, relative to the first image record.
+    */
+    addImage(data) {
+        let index = this.images.indexOf(data);
+        if (index === -1) {
+            this.images.push(data);
+            index = this.images.length - 1;
+        }
+        return index;
+    }
+
+    /*
+        Markup
+    */
+
+    getCoverIndex() {
+        if (this._coverIndex === undefined) {
+            const cover = this.epub.getCover();
+            const hasCover = cover && MobiWriter.isSupportedImage(cover.data);
+            this._coverIndex = hasCover ? this.addImage(cover.data) : null;
+        }
+        return this._coverIndex;
+    }
+
+    /*
+        Converts a section's body to MOBI markup: images point to their record,
+        links within the book and their targets are replaced by markers.
+    */
+    convertSection(section, key) {
+        const $ = cheerio.load(section.body, { decodeEntities: false });
+
+        $('[id]').each((index, elem) => {
+            $(elem).before(anchorMarker(`${key}#${$(elem).attr('id')}`));
+            $(elem).removeAttr('id');
+        });
+
+        $('img').each((index, elem) => {
+            const href = EpubReader.resolvePath(section.href, $(elem).attr('src'));
+            const data = this.epub.getImage(href);
+            if (MobiWriter.isSupportedImage(data)) {
+                const recindex = `0000${this.addImage(data) + 1}`.slice(-5);
+                $(elem).attr('recindex', recindex).removeAttr('src');
+            } else {
+                $(elem).replaceWith(escapeHtml($(elem).attr('alt')));
+            }
+        });
+
+        $('a[href]').each((index, elem) => {
+            const href = $(elem).attr('href');
+            if (!/^[a-z]+:/i.test(href)) {
+                const [filePath, id] = href.split('#');
+                const target = this.sectionKeys[EpubReader.resolvePath(section.href, filePath)];
+                if (target) {
+                    const anchor = id ? `${target}#${id}` : target;
+                    $(elem).attr('filepos', linkMarker(anchor)).removeAttr('href');
+                } else {
+                    $(elem).removeAttr('href');
+                }
+            }
+        });
+
+        $('script,style,iframe,object,video,audio,svg').remove();
+        return $.html();
+    }
+
+    getMarkup() {
+        const sections = this.epub.getSections();
+        this.sectionKeys = {};
+        sections.forEach((section, index) => {
+            this.sectionKeys[section.href] = `section-${index + 1}`;
+        });
+
+        const toc = sections.map((section, index) => {
+            const title = escapeHtml(section.title);
+            return `<p><a filepos="${linkMarker(`section-${index + 1}`)}">${title}</a></p>`;
+        });
+        const body = sections.map((section, index) => {
+            const key = `section-${index + 1}`;
+            return `${anchorMarker(key)}<mbp:pagebreak/>\n${this.convertSection(section, key)}`;
+        });
+        const firstSection = sections.length > 0 ? 'section-1' : 'toc';
+
+        return [
+            '<html><head><guide>',
+            `<reference type="toc" title="Table of Contents" filepos="${linkMarker('toc')}"/>`,
+            `<reference type="text" title="Start" filepos="${linkMarker(firstSection)}"/>`,
+            '</guide></head><body>',
+            `${anchorMarker('toc')}<h2>Table Of Contents</h2>`,
+            ...toc,
+            ...body,
+            '</body></html>',
+        ].join('\n');
+    }
+
+    /*
+        Encodes the markup and replaces the markers with the byte offsets of the anchors.
+    */
+    getText() {
+        this.getCoverIndex();
+        const markup = this.getMarkup();
+        const parts = [];
+        const anchors = {};
+        const links = [];
+        let offset = 0;
+
+        const pushText = (text) => {
+            const buffer = Buffer.from(text, 'utf8');
+            parts.push(buffer);
+            offset += buffer.length;
+        };
+
+        // Splitting on the markers leaves the text followed by the anchor or link captured
+        const pieces = markup.split(MARKERS);
+        for (let i = 0; i < pieces.length; i += 3) {
+            const [text, anchor, link] = pieces.slice(i, i + 3);
+            pushText(text);
+            if (anchor !== undefined) {
+                anchors[anchor] = offset;
+            } else if (link !== undefined) {
+                pushText('filepos=');
+                links.push({ anchor: link, offset });
+                pushText('0000000000');
+            }
+        }
+
+        const text = Buffer.concat(parts);
+        links.forEach((link) => {
+            const [key] = link.anchor.split('#');
+            const position = anchors[link.anchor] !== undefined
+                ? anchors[link.anchor]
+                : anchors[key] || 0;
+            text.write(`000000000${position}`.slice(-10), link.offset, 'ascii');
+        });
+        return text;
+    }
+
+    /*
+        Records
+    */
+
+    /*
+        The EXTH metadata entries, as pairs of their type and data.
+    */
+    getExthEntries() {
+        const metadata = this.epub.getMetadata();
+        const entries = [
+            [EXTH_TYPES.author, metadata.author],
+            [EXTH_TYPES.description, metadata.description],
+            [EXTH_TYPES.title, metadata.title],
+            [EXTH_TYPES.language, metadata.language],
+        ]
+            .filter(([, value]) => value)
+            .map(([type, value]) => [type, Buffer.from(value, 'utf8')]);
+
+        const coverIndex = this.getCoverIndex();
+        if (coverIndex !== null) {
+            entries.push([EXTH_TYPES.coverOffset, uint32(coverIndex)]);
+            entries.push([EXTH_TYPES.thumbOffset, uint32(coverIndex)]);
+        }
+        return entries;
+    }
+
+    getExth() {
+        const records = this.getExthEntries().map(([type, data]) =>
+            Buffer.concat([uint32(type), uint32(data.length + 8), data]));
+        const length = records.reduce((total, record) => total + record.length, 12);
+        return padTo(Buffer.concat([Buffer.from('EXTH'), uint32(length), uint32(records.length), ...records]), 4);
+    }
+
+    getRecord0(textLength, textRecordCount, indexes) {
+        const metadata = this.epub.getMetadata();
+        const title = Buffer.from(metadata.title || 'EpubPress', 'utf8');
+        const exth = this.getExth();
+        const locale = MobiWriter.getLocale(metadata.language);
+        const nameOffset = 16 + MOBI_HEADER_LENGTH + exth.length;
+
+        const palmDocHeader = Buffer.concat([
+            uint16(2), // PalmDOC compression
+            uint16(0),
+            uint32(textLength),
+            uint16(textRecordCount),
+            uint16(RECORD_SIZE),
+            uint16(0), // No encryption
+            uint16(0),
+        ]);
+
+        const mobiHeader = Buffer.concat([
+            Buffer.from('MOBI'),
+            uint32(MOBI_HEADER_LENGTH),
+            uint32(2), // Book
+            uint32(65001), // UTF-8
+            uint32(Math.floor(Math.random() * 0xffffffff)),
+            uint32(6), // Version
+            ...Array(10).fill(uint32(NULL_INDEX)), // Orthographic, inflection, names, keys, extras
+            uint32(textRecordCount + 1), // First non-book record
+            uint32(nameOffset),
+            uint32(title.length),
+            uint32(locale),
+            uint32(0),
+            uint32(0),
+            uint32(6), // Minimum reader version
+            uint32(indexes.firstImage === null ? NULL_INDEX : indexes.firstImage),
+            uint32(0), // No huffman compression
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            uint32(0x40), // Has EXTH
+            Buffer.alloc(32),
+            uint32(NULL_INDEX),
+            uint32(NULL_INDEX), // No DRM
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            Buffer.alloc(8),
+            uint16(1), // First content record
+            uint16(indexes.lastContent),
+            uint32(1),
+            uint32(indexes.fcis),
+            uint32(1),
+            uint32(indexes.flis),
+            uint32(1),
+            Buffer.alloc(8),
+            uint32(NULL_INDEX),
+            uint32(0),
+            uint32(NULL_INDEX),
+            uint32(NULL_INDEX),
+            uint32(1), // Multibyte trailing entries
+            uint32(NULL_INDEX), // No INDX
+        ]);
+
+        return padTo(
+            Buffer.concat([palmDocHeader, mobiHeader, exth, title, Buffer.alloc(2)]),
+            4
+        );
+    }
+
+    getRecords() {
+        const text = this.getText();
+        const textRecords = MobiWriter.splitText(text);
+        const firstImage = this.images.length > 0 ? textRecords.length + 1 : null;
+        const lastContent = textRecords.length + this.images.length;
+        const indexes = {
+            firstImage,
+            lastContent,
+            flis: lastContent + 1,
+            fcis: lastContent + 2,
+        };
+
+        return [this.getRecord0(text.length, textRecords.length, indexes)]
+            .concat(textRecords)
+            .concat(this.images)
+            .concat([MobiWriter.getFlis(), MobiWriter.getFcis(text.length), MobiWriter.EOF_RECORD]);
+    }
+
+    /*
+        The Palm database holding the records.
+    */
+    getDatabase() {
+        const records = this.getRecords();
+        const title = this.epub.getMetadata().title || 'EpubPress';
+        const name = Buffer.alloc(32);
+        name.write(title.replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 31), 'ascii');
+        const now = Math.floor(Date.now() / 1000);
+
+        const header = Buffer.concat([
+            name,
+            uint16(0), // Attributes
+            uint16(0), // Version
+            uint32(now),
+            uint32(now),
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            uint32(0),
+            Buffer.from('BOOKMOBI'),
+            uint32((2 * records.length) - 1),
+            uint32(0),
+            uint16(records.length),
+        ]);
+
+        let offset = header.length + (records.length * 8) + 2;
+        const recordList = records.map((record, index) => {
+            const entry = Buffer.concat([uint32(offset), uint32(2 * index)]);
+            offset += record.length;
+            return entry;
+        });
+
+        return Buffer.concat([header, ...recordList, Buffer.alloc(2), ...records]);
+    }
+
+    write(filepath) {
+        return new Promise((resolve, reject) => {
+            try {
+                fs.writeFile(filepath, this.getDatabase(), (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(filepath);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+MobiWriter.RECORD_SIZE = RECORD_SIZE;
+MobiWriter.EOF_RECORD = Buffer.from([0xe9, 0x8e, 0x0d, 0x0a]);
+
+module.exports = MobiWriter;
@@ -0,0 +1,147 @@
+'use strict';
+
+const Url = require('url');
+
+const cheerio = require('cheerio');
+
+function stripHash(url) {
+    return url.split('#')[0];
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+class Pagination {
+    /*
+        Next page detection
+    */
+
+    static resolveLink(url, href) {
+        if (!href || /^(javascript|mailto):/i.test(href.trim())) {
+            return undefined;
+        }
+
+        const link = stripHash(Url.resolve(url, href.trim()));
+        const parsedLink = Url.parse(link);
+        const parsedUrl = Url.parse(url);
+
+        const isSameSite = parsedLink.hostname === parsedUrl.hostname;
+        const isHttp = /^https?:$/.test(parsedLink.protocol);
+        const isNewPage = link !== stripHash(url);
+        return isSameSite && isHttp && isNewPage ? link : undefined;
+    }
+
+    static getPageNumber(url) {
+        const { query, pathname } = Url.parse(url, true);
+        const queryPage = parseInt(query.page || query.p, 10);
+        const pathMatches = (pathname || '').match(/\/page\/(\d+)\/?$/);
+
+        if (queryPage) {
+            return queryPage;
+        }
+        return pathMatches ? parseInt(pathMatches[1], 10) : 1;
+    }
+
+    /*
+        Pages of an article share its path, apart from a page number at its end.
+    */
+    static isSameArticle(link, url) {
+        const getArticlePath = pageUrl =>
+            (Url.parse(pageUrl).pathname || '').replace(Pagination.PAGE_PATH, '').replace(/\/$/, '');
+        return getArticlePath(link) === getArticlePath(url);
+    }
+
+    static findRelLink($, url) {
+        const href = $('link[rel~="next"]').attr('href') || $('a[rel~="next"]').attr('href');
+        return Pagination.resolveLink(url, href);
+    }
+
+    static findTextLink($, url) {
+        let nextLink;
+        $('a[href]').each((index, elem) => {
+            const text = normalizeText($(elem).text());
+            if (!nextLink && Pagination.NEXT_LINK_TEXT.test(text)) {
+                const link = Pagination.resolveLink(url, $(elem).attr('href'));
+                nextLink = link && Pagination.isSameArticle(link, url) ? link : undefined;
+            }
+        });
+        return nextLink;
+    }
+
+    static findNumberedLink($, url) {
+        const nextNumber = Pagination.getPageNumber(url) + 1;
+        let nextLink;
+        $('a[href]').each((index, elem) => {
+            const link = Pagination.resolveLink(url, $(elem).attr('href'));
+            const isNextNumber = link && Pagination.getPageNumber(link) === nextNumber;
+
+            if (!nextLink && isNextNumber && Pagination.isSameArticle(link, url)) {
+                nextLink = link;
+            }
+        });
+        return nextLink;
+    }
+
+    /*
+        Returns the absolute url of the page following `url`, if any.
+        A site rule can provide the selector of the next page link.
+    */
+    static findNextPageUrl(html, url, selector) {
+        if (!html || !url) {
+            return undefined;
+        }
+
+        const $ = cheerio.load(html, { decodeEntities: false });
+        if (selector) {
+            return Pagination.resolveLink(url, $(selector).first().attr('href'));
+        }
+
+        return (
+            Pagination.findRelLink($, url) ||
+            Pagination.findTextLink($, url) ||
+            Pagination.findNumberedLink($, url)
+        );
+    }
+
+    /*
+        Merging
+    */
+
+    static removeRepeatedHeaders(content, seenHeaders) {
+        const $ = cheerio.load(content, { decodeEntities: false });
+        $('h1,h2,h3,h4,h5,h6').each((index, elem) => {
+            const text = normalizeText($(elem).text());
+            if (seenHeaders.indexOf(text) > -1) {
+                $(elem).remove();
+            } else {
+                seenHeaders.push(text);
+            }
+        });
+        return $.html();
+    }
+
+    /*
+        Merges the articles extracted from each page into one.
+        Headers repeated on every page (like the article title) are only kept once.
+    */
+    static mergeArticles(articles) {
+        if (articles.length <= 1) {
+            return articles[0];
+        }
+
+        const [firstArticle] = articles;
+        const seenHeaders = firstArticle.title ? [normalizeText(firstArticle.title)] : [];
+        const content = articles
+            .map(article => Pagination.removeRepeatedHeaders(article.content, seenHeaders))
+            .join('\n');
+
+        return { title: firstArticle.title, content };
+    }
+}
+
+Pagination.NEXT_LINK_TEXT = /^((next( page)?|continue( reading)?)( [›»→>]+)?|[›»→>]+)$/;
+// Page numbers ending the path of an article's pages, like /page/2 or /2
+Pagination.PAGE_PATH = /\/(page\/)?\d{1,3}\/?$/;
+
+module.exports = Pagination;
@@ -0,0 +1,594 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const cheerio = require('cheerio');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+
+const Config = require('./config');
+const EpubReader = require('./epub-reader');
+
+const DEJAVU_PATH = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+// Unicode fonts embedded in the PDF, by the name they're registered with
+const FONTS = {
+    regular: 'DejaVuSerif',
+    bold: 'DejaVuSerif-Bold',
+    italic: 'DejaVuSerif-Italic',
+    boldItalic: 'DejaVuSerif-BoldItalic',
+    code: 'DejaVuSansMono',
+    heading: 'DejaVuSans-Bold',
+};
+const FONT_PATHS = Object.keys(FONTS).reduce(
+    (paths, key) => Object.assign(paths, { [FONTS[key]]: `${DEJAVU_PATH}/${FONTS[key]}.ttf` }),
+    { DejaVuSans: `${DEJAVU_PATH}/DejaVuSans.ttf` }
+);
+// Fonts for characters the styled font doesn't have, like Arabic or the configured CJK fonts
+const FALLBACK_FONTS = ['DejaVuSans'].concat(Config.PDF_FALLBACK_FONTS
+    .filter(fontPath => fs.existsSync(fontPath))
+    .map((fontPath) => {
+        const name = `Fallback-${path.basename(fontPath, path.extname(fontPath))}`;
+        FONT_PATHS[name] = fontPath;
+        return name;
+    }));
+// Fonts opened to look up their characters, by name
+const openedFonts = {};
+
+const HEADING_SCALES = {
+    h1: 1.8,
+    h2: 1.5,
+    h3: 1.25,
+    h4: 1.1,
+    h5: 1,
+    h6: 1,
+};
+
+const INLINE_STYLES = {
+    b: { bold: true },
+    strong: { bold: true },
+    em: { italic: true },
+    i: { italic: true },
+    cite: { italic: true },
+    code: { code: true },
+    kbd: { code: true },
+    samp: { code: true },
+    tt: { code: true },
+    u: { underline: true },
+};
+
+const BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+    'main', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+];
+const SKIPPED_TAGS = [
+    'audio', 'head', 'iframe', 'noscript', 'object', 'script', 'style', 'svg', 'title', 'video',
+];
+
+const LINK_COLOR = '#1a0dab';
+const INDENT = 18;
+
+function getText(node) {
+    if (node.type === 'text') {
+        return node.data;
+    }
+    return (node.children || []).map(getText).join('');
+}
+
+function hasGlyph(font, codePoint) {
+    if (!openedFonts[font]) {
+        openedFonts[font] = fontkit.openSync(FONT_PATHS[font]);
+    }
+    return openedFonts[font].hasGlyphForCodePoint(codePoint);
+}
+
+function getContentWidth(doc, indent) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right - (indent || 0);
+}
+
+function getContentBottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+}
+
+/*
+    Lays out the sections of an epub (see EpubReader) as a PDF:
+    cover, table of contents, then one section per page break with bookmarks.
+*/
+class PdfWriter {
+    static getPageSize(name) {
+        return PdfWriter.PAGE_SIZES[name] || PdfWriter.PAGE_SIZES[PdfWriter.DEFAULT_PAGE_SIZE];
+    }
+
+    static getFont(style) {
+        if (style.font) {
+            return style.font;
+        }
+        if (style.code) {
+            return FONTS.code;
+        }
+        if (style.bold && style.italic) {
+            return FONTS.boldItalic;
+        }
+        if (style.bold) {
+            return FONTS.bold;
+        }
+        return style.italic ? FONTS.italic : FONTS.regular;
+    }
+
+    /*
+        Splits text into segments of the first font having their characters:
+        `font`, then FALLBACK_FONTS. Spaces stay with the text before them.
+    */
+    static splitByFont(text, font) {
+        const fonts = [font].concat(FALLBACK_FONTS);
+        return Array.from(text || '').reduce((segments, char) => {
+            const last = segments[segments.length - 1];
+            const codePoint = char.codePointAt(0);
+            const charFont = last && /\s/.test(char)
+                ? last.font
+                : fonts.find(name => hasGlyph(name, codePoint)) || font;
+            if (last && last.font === charFont) {
+                last.text += char;
+            } else {
+                segments.push({ text: char, font: charFont });
+            }
+            return segments;
+        }, []);
+    }
+
+    /*
+        Writes text like `doc.text`, switching fonts for characters `font` doesn't have.
+        The first segment goes at `position` when given, the others follow it.
+    */
+    static writeText(doc, text, font, options, position) {
+        const segments = PdfWriter.splitByFont(text, font);
+        segments.forEach((segment, index) => {
+            const segmentOptions = Object.assign({}, options, {
+                continued: index < segments.length - 1 || !!options.continued,
+            });
+            if (index > 0) {
+                delete segmentOptions.destination;
+            }
+            doc.font(segment.font);
+            if (index === 0 && position) {
+                doc.text(segment.text, position.x, position.y, segmentOptions);
+            } else {
+                doc.text(segment.text, segmentOptions);
+            }
+        });
+        return doc;
+    }
+
+    static isBlock(node) {
+        return node.type === 'tag' && BLOCK_TAGS.indexOf(node.name) > -1;
+    }
+
+    // PDFKit only embeds PNG and JPEG images
+    static isSupportedImage(data) {
+        if (!data || data.length < 4) {
+            return false;
+        }
+        const isPng = data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG';
+        const isJpeg = data[0] === 0xff && data[1] === 0xd8;
+        return isPng || isJpeg;
+    }
+
+    /*
+        Flattens inline markup into text runs with their style, line breaks and images.
+    */
+    static collectInline(node, style, items) {
+        if (node.type === 'text') {
+            items.push({ text: node.data, style });
+        } else if (node.type === 'tag' && SKIPPED_TAGS.indexOf(node.name) === -1) {
+            const attribs = node.attribs || {};
+            if (node.name === 'br') {
+                items.push({ text: '\n', style, br: true });
+            } else if (node.name === 'img') {
+                items.push({ image: attribs.src, alt: attribs.alt });
+            } else {
+                const childStyle = Object.assign({}, style, INLINE_STYLES[node.name]);
+                if (node.name === 'a' && /^https?:\/\//i.test(attribs.href || '')) {
+                    childStyle.link = attribs.href;
+                }
+                (node.children || []).forEach(child =>
+                    PdfWriter.collectInline(child, childStyle, items));
+            }
+        }
+        return items;
+    }
+
+    /*
+        Collapses whitespace across runs like a browser would.
+    */
+    static normalizeRuns(items) {
+        let previous = '\n';
+        const runs = items.map((item) => {
+            if (item.br) {
+                previous = '\n';
+                return item;
+            }
+            let text = item.text.replace(/\s+/g, ' ');
+            if (/\s$/.test(previous)) {
+                text = text.replace(/^ /, '');
+            }
+            previous = text || previous;
+            return Object.assign({}, item, { text });
+        });
+
+        for (let i = runs.length - 1; i >= 0; i -= 1) {
+            runs[i].text = runs[i].br ? runs[i].text : runs[i].text.replace(/ $/, '');
+            if (runs[i].text) {
+                break;
+            }
+        }
+        return runs.filter(run => run.text);
+    }
+
+    constructor(epub, options = {}) {
+        this.epub = epub;
+        this.pageSize = PdfWriter.getPageSize(options.pageSize);
+        this.tocDepth = options.tocDepth || 1;
+        this.fontSize = this.pageSize.fontSize;
+    }
+
+    /*
+        Sections with a destination name and the headings listed in the contents.
+    */
+    getSections() {
+        if (!this._sections) {
+            this._sections = this.epub.getSections().map((section, index) => {
+                const $ = cheerio.load(section.body, { decodeEntities: true });
+                const headings = $('h2[id],h3[id]')
+                    .map((headingIndex, elem) => ({
+                        id: $(elem).attr('id'),
+                        level: parseInt(elem.name.slice(1), 10),
+                        title: $(elem).text().replace(/\s+/g, ' ').trim(),
+                    }))
+                    .get()
+                    .filter(heading => heading.level <= this.tocDepth && heading.title);
+
+                return Object.assign({}, section, {
+                    key: `section-${index + 1}`,
+                    nodes: $.root().children().get(),
+                    headings,
+                });
+            });
+        }
+        return this._sections;
+    }
+
+    createDocument() {
+        const metadata = this.epub.getMetadata();
+        const info = {
+            Title: metadata.title,
+            Author: metadata.author,
+            Subject: metadata.description,
+            Creator: 'EpubPress',
+        };
+        Object.keys(info).filter(key => !info[key]).forEach(key => delete info[key]);
+
+        const doc = new PDFDocument({
+            autoFirstPage: false,
+            size: this.pageSize.size,
+            margin: this.pageSize.margin,
+            info,
+        });
+        Object.keys(FONT_PATHS).forEach(font => doc.registerFont(font, FONT_PATHS[font]));
+        return doc;
+    }
+
+    render(doc) {
+        this.renderCover(doc);
+        this.renderToc(doc);
+        this.getSections().forEach(section => this.renderSection(doc, section));
+        return doc;
+    }
+
+    write(filepath) {
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = this.createDocument();
+                const output = fs.createWriteStream(filepath);
+                output.on('finish', () => resolve(filepath)).on('error', reject);
+                doc.pipe(output);
+                this.render(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /*
+        Front matter
+    */
+
+    renderCover(doc) {
+        const cover = this.epub.getCover();
+        if (cover && PdfWriter.isSupportedImage(cover.data)) {
+            doc.addPage({ size: this.pageSize.size, margin: 0 });
+            doc.image(cover.data, 0, 0, {
+                fit: [doc.page.width, doc.page.height],
+                align: 'center',
+                valign: 'center',
+            });
+            return;
+        }
+
+        const { title, author } = this.epub.getMetadata();
+        doc.addPage();
+        doc.moveDown(4);
+        doc.fontSize(this.fontSize * 2.2);
+        PdfWriter.writeText(doc, title, FONTS.heading, { align: 'center' });
+        if (author) {
+            doc.moveDown();
+            doc.fontSize(this.fontSize * 1.2);
+            PdfWriter.writeText(doc, author, FONTS.italic, { align: 'center' });
+        }
+    }
+
+    renderToc(doc) {
+        doc.addPage();
+        doc.font(FONTS.heading).fontSize(this.fontSize * HEADING_SCALES.h2).text('Table Of Contents');
+        doc.moveDown();
+
+        this.getSections().forEach((section) => {
+            this.renderTocEntry(doc, section.title, section.key, 0);
+            section.headings.forEach((heading) => {
+                const indent = (heading.level - 1) * INDENT;
+                this.renderTocEntry(doc, heading.title, `${section.key}#${heading.id}`, indent);
+            });
+        });
+    }
+
+    renderTocEntry(doc, title, destination, indent) {
+        const x = doc.page.margins.left + indent;
+        doc.fontSize(this.fontSize).fillColor(LINK_COLOR);
+        PdfWriter.writeText(doc, title, indent ? FONTS.regular : FONTS.bold, {
+            width: getContentWidth(doc, indent),
+            goTo: destination,
+            paragraphGap: this.fontSize * 0.4,
+        }, { x, y: doc.y });
+        doc.fillColor('black');
+    }
+
+    /*
+        Sections
+    */
+
+    renderSection(doc, section) {
+        doc.addPage();
+        doc.addNamedDestination(section.key, 'XYZ', doc.page.margins.left, doc.y, null);
+        const outline = doc.outline.addItem(section.title);
+
+        this.renderNodes(doc, section.nodes, {
+            section,
+            outline: { section: outline },
+            indent: 0,
+            style: {},
+        });
+    }
+
+    renderNodes(doc, nodes, context) {
+        let inline = [];
+        const flush = () => {
+            this.renderInline(doc, inline, context);
+            inline = [];
+        };
+
+        nodes.forEach((node) => {
+            if (PdfWriter.isBlock(node)) {
+                flush();
+                this.renderBlock(doc, node, context);
+            } else {
+                PdfWriter.collectInline(node, context.style, inline);
+            }
+        });
+        flush();
+    }
+
+    renderBlock(doc, node, context) {
+        const children = node.children || [];
+
+        if (/^h[1-6]$/.test(node.name)) {
+            this.renderHeading(doc, node, context);
+        } else if (node.name === 'ul' || node.name === 'ol') {
+            this.renderList(doc, node, context);
+        } else if (node.name === 'pre') {
+            this.renderPre(doc, node, context);
+        } else if (node.name === 'table') {
+            this.renderTable(doc, node, context);
+        } else if (node.name === 'hr') {
+            this.renderRule(doc, context);
+        } else if (node.name === 'blockquote' || node.name === 'dd') {
+            const style = node.name === 'blockquote'
+                ? Object.assign({}, context.style, { italic: true })
+                : context.style;
+            this.renderNodes(doc, children, Object.assign({}, context, {
+                indent: context.indent + INDENT,
+                style,
+            }));
+        } else if (node.name === 'figcaption' || node.name === 'caption') {
+            this.renderNodes(doc, children, Object.assign({}, context, {
+                style: Object.assign({}, context.style, { italic: true }),
+                align: 'center',
+            }));
+        } else {
+            this.renderNodes(doc, children, context);
+        }
+    }
+
+    renderHeading(doc, node, context) {
+        const fontSize = this.fontSize * HEADING_SCALES[node.name];
+        const id = node.attribs && node.attribs.id;
+        const { section, outline } = context;
+
+        if (doc.y + (fontSize * 4) > getContentBottom(doc)) {
+            doc.addPage();
+        }
+        doc.moveDown(0.5);
+
+        const heading = section.headings.find(sectionHeading => sectionHeading.id === id);
+        if (heading) {
+            const parent = heading.level === 3 && outline.h2 ? outline.h2 : outline.section;
+            const item = parent.addItem(heading.title);
+            if (heading.level === 2) {
+                outline.h2 = item;
+            }
+        }
+
+        this.renderInline(
+            doc,
+            PdfWriter.collectInline(node, { font: FONTS.heading, fontSize }, []),
+            Object.assign({}, context, { destination: id && `${section.key}#${id}` })
+        );
+    }
+
+    renderList(doc, node, context) {
+        let number = parseInt(node.attribs && node.attribs.start, 10) || 1;
+        (node.children || [])
+            .filter(child => child.type === 'tag' && child.name === 'li')
+            .forEach((item) => {
+                const text = node.name === 'ol' ? `${number}. ` : '• ';
+                number += 1;
+                this.renderNodes(doc, item.children || [], Object.assign({}, context, {
+                    indent: context.indent + INDENT,
+                    marker: { text },
+                }));
+            });
+    }
+
+    renderPre(doc, node, context) {
+        const x = doc.page.margins.left + context.indent + (INDENT / 2);
+        doc.fontSize(this.fontSize * 0.8).fillColor('black');
+        PdfWriter.writeText(doc, getText(node).replace(/\s+$/, ''), FONTS.code, {
+            width: getContentWidth(doc, context.indent + (INDENT / 2)),
+        }, { x, y: doc.y });
+        doc.moveDown(0.5);
+    }
+
+    renderTable(doc, node, context) {
+        const $ = cheerio.load('');
+        $(node).find('tr').each((index, row) => {
+            const cells = $(row).children('th,td');
+            const isHeader = cells.length > 0 && cells.filter('th').length === cells.length;
+            const text = cells
+                .map((cellIndex, cell) => getText(cell).replace(/\s+/g, ' ').trim())
+                .get()
+                .join(' | ');
+            this.renderInline(doc, [{ text, style: { bold: isHeader } }], context);
+        });
+    }
+
+    renderRule(doc, context) {
+        const x = doc.page.margins.left + context.indent;
+        const y = doc.y + (this.fontSize / 2);
+        doc
+            .moveTo(x, y)
+            .lineTo(x + getContentWidth(doc, context.indent), y)
+            .strokeColor('#999999')
+            .stroke();
+        doc.moveDown();
+    }
+
+    /*
+        Inline content
+    */
+
+    renderInline(doc, items, context) {
+        let runs = [];
+        items.forEach((item) => {
+            if (item.image) {
+                this.renderText(doc, runs, context);
+                runs = [];
+                this.renderImage(doc, item, context);
+            } else {
+                runs.push(item);
+            }
+        });
+        this.renderText(doc, runs, context);
+    }
+
+    renderText(doc, items, context) {
+        const runs = PdfWriter.normalizeRuns(items);
+        if (runs.length === 0) {
+            return;
+        }
+
+        const { marker } = context;
+        if (marker && !marker.used) {
+            marker.used = true;
+            runs.unshift({ text: marker.text, style: {} });
+        }
+
+        const x = doc.page.margins.left + context.indent;
+        runs.forEach((run, index) => {
+            const style = Object.assign({}, context.style, run.style);
+            const options = {
+                continued: index < runs.length - 1,
+                link: style.link || null,
+                underline: !!(style.link || style.underline),
+                align: context.align || 'left',
+                lineGap: 2,
+            };
+            if (index === 0 && context.destination) {
+                options.destination = context.destination;
+            }
+
+            doc
+                .fontSize(style.fontSize || this.fontSize)
+                .fillColor(style.link ? LINK_COLOR : 'black');
+            if (index === 0) {
+                PdfWriter.writeText(doc, run.text, PdfWriter.getFont(style), Object.assign({
+                    width: getContentWidth(doc, context.indent),
+                }, options), { x, y: doc.y });
+            } else {
+                PdfWriter.writeText(doc, run.text, PdfWriter.getFont(style), options);
+            }
+        });
+        doc.fillColor('black');
+        doc.moveDown(0.5);
+    }
+
+    renderImage(doc, item, context) {
+        const href = EpubReader.resolvePath(context.section.href, item.image);
+        const data = this.epub.getImage(href);
+        if (!PdfWriter.isSupportedImage(data)) {
+            return;
+        }
+
+        let image;
+        try {
+            image = doc.openImage(data);
+        } catch (error) {
+            return;
+        }
+
+        const maxWidth = getContentWidth(doc, context.indent);
+        const maxHeight = (getContentBottom(doc) - doc.page.margins.top) * 0.9;
+        const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+
+        if (doc.y + height > getContentBottom(doc)) {
+            doc.addPage();
+        }
+        const x = doc.page.margins.left + context.indent + ((maxWidth - width) / 2);
+        doc.image(image, x, doc.y, { width, height });
+        doc.moveDown(0.5);
+    }
+}
+
+// Sizes in PDF points (1/72 inch). The 6-inch size fits e-reader screens without zooming.
+PdfWriter.PAGE_SIZES = {
+    A4: { size: 'A4', margin: 56, fontSize: 11 },
+    Letter: { size: 'LETTER', margin: 54, fontSize: 11 },
+    A5: { size: 'A5', margin: 40, fontSize: 10 },
+    '6-inch': { size: [259, 346], margin: 14, fontSize: 9 },
+};
+PdfWriter.DEFAULT_PAGE_SIZE = 'A4';
+PdfWriter.FONTS = FONTS;
+
+module.exports = PdfWriter;
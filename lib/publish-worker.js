@@ -0,0 +1,134 @@
+'use strict';
+
+const Book = require('./book');
+const BookServices = require('./book-services');
+const Config = require('./config');
+const JobQueue = require('./job-queue');
+const Logger = require('./logger');
+const Scheduler = require('./scheduler');
+
+const log = new Logger();
+
+// Rejects once `timeout` ms have passed, the work itself has to be cancelled by the caller
+function withTimeout(promise, timeout) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Job timed out after ${timeout} ms.`);
+            error.code = 'JOB_TIMEOUT';
+            reject(error);
+        }, timeout);
+    });
+    return Promise.race([promise, timedOut]).then(
+        (result) => {
+            clearTimeout(timer);
+            return result;
+        },
+        (error) => {
+            clearTimeout(timer);
+            return Promise.reject(error);
+        }
+    );
+}
+
+class PublishWorker {
+    constructor(queue) {
+        this._queue = queue || BookServices.getQueue();
+        this._busy = false;
+        this._intervals = [];
+    }
+
+    start() {
+        this._intervals = [
+            Scheduler.runEvery(`${Config.JOB_POLL_INTERVAL} ms`, () => this.tick()),
+            Scheduler.runEvery(`${Config.JOB_LOCK_TIMEOUT} ms`, () => this.recover()),
+        ];
+        return this.recover();
+    }
+
+    stop() {
+        this._intervals.forEach(clearInterval);
+        this._intervals = [];
+    }
+
+    isBusy() {
+        return this._busy;
+    }
+
+    recover() {
+        return this._queue.recover().catch(log.exception('PublishWorker.recover'));
+    }
+
+    tick() {
+        if (this._busy) {
+            return Promise.resolve(null);
+        }
+        this._busy = true;
+
+        return this._queue
+            .next()
+            .then(job => job && this.run(job))
+            .catch(log.exception('PublishWorker.tick'))
+            .then((job) => {
+                this._busy = false;
+                return job;
+            });
+    }
+
+    /*
+        Jobs publish a new book, or edit a published one when they have `operations`.
+        The job's lock is refreshed while it runs, and it fails after `TIMEOUT`
+        so a publish that never settles can't hold up the queue. The timed out
+        publish is cancelled so it can't report its status or save the book later.
+    */
+    run(job) {
+        const { operations } = job.payload;
+        const heartbeat = setInterval(() => {
+            this._queue.heartbeat(job).catch(log.exception('PublishWorker.heartbeat'));
+        }, PublishWorker.HEARTBEAT_INTERVAL);
+        const book = new Book({ id: job.uid });
+        let publishedBook = null;
+        let isTimedOut = false;
+        const publishing = Promise.resolve().then(() => {
+            if (operations) {
+                return Book.load(job.uid).then((storedBook) => {
+                    publishedBook = storedBook;
+                    if (isTimedOut) {
+                        BookServices.cancel(storedBook);
+                    }
+                    return BookServices.edit(storedBook, operations);
+                });
+            }
+            publishedBook = Book.fromJSON(job.payload, job.uid);
+            return BookServices.publish(publishedBook);
+        });
+
+        return withTimeout(publishing, PublishWorker.TIMEOUT)
+            .catch((error) => {
+                isTimedOut = error.code === 'JOB_TIMEOUT';
+                if (isTimedOut && publishedBook) {
+                    BookServices.cancel(publishedBook);
+                }
+                return Promise.reject(error);
+            })
+            .then(() => {
+                clearInterval(heartbeat);
+                log.verbose('Book Published', { id: job.uid });
+                return this._queue.complete(job);
+            })
+            .catch((error) => {
+                clearInterval(heartbeat);
+                log.exception('PublishWorker.run')(error);
+                // Books only fail once they won't be retried, until then they're queued again
+                return this._queue.fail(job, error).then((failedJob) => {
+                    const status = failedJob.state === JobQueue.STATES.QUEUED ? 'QUEUED' : 'FAILED';
+                    return BookServices.setStatus(book, status).then(() => failedJob);
+                });
+            });
+    }
+}
+
+PublishWorker.TIMEOUT = Config.JOB_TIMEOUT;
+PublishWorker.HEARTBEAT_INTERVAL = Config.JOB_HEARTBEAT_INTERVAL;
+
+module.exports = PublishWorker;
@@ -9,12 +9,22 @@ class ResultsValidator {
         this.preHtml = section.html;
         this.postHtml = section.content;
         this.url = section.url;
+        this.warnings = [];
+    }
+
+    getWarnings() {
+        return this.warnings;
+    }
+
+    warn(message) {
+        log.warn(message, { url: this.url });
+        this.warnings.push(message);
     }
 
     lengthValidation() {
         const percent = 100 * (this.postHtml.length / this.preHtml.length);
         if (percent <= ResultsValidator.LENGTH_THRESHOLD) {
-            log.warn(`Remaining content ${percent}%`, { url: this.url });
+            this.warn(`Remaining content ${percent}%`);
             return false;
         }
         return true;
@@ -26,7 +36,7 @@ class ResultsValidator {
 
         const percent = 100 * (postParas.length / preParas.length);
         if (percent <= ResultsValidator.PARAGRAPH_THRESHOLD) {
-            log.warn(`Remaining paragraphs ${percent}%`, { url: this.url });
+            this.warn(`Remaining paragraphs ${percent}%`);
             return false;
         }
         return true;
@@ -0,0 +1,102 @@
+'use strict';
+
+const Url = require('url');
+
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/*
+    robots.txt parsing and matching (https://www.rfc-editor.org/rfc/rfc9309)
+*/
+class Robots {
+    /*
+        Returns the groups of a robots.txt: the user agents they apply to and their rules.
+    */
+    static parse(text) {
+        const groups = [];
+        let group;
+        let hasRules = false;
+
+        (text || '').split(/\r?\n/).forEach((line) => {
+            const matches = line.replace(/#.*$/, '').match(/^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i);
+            if (!matches) {
+                return;
+            }
+            const field = matches[1].toLowerCase();
+            const value = matches[2];
+
+            if (field === 'user-agent') {
+                // Consecutive user agents share the rules that follow them
+                if (!group || hasRules) {
+                    group = { agents: [], rules: [] };
+                    groups.push(group);
+                    hasRules = false;
+                }
+                group.agents.push(value.toLowerCase());
+            } else if ((field === 'allow' || field === 'disallow') && group) {
+                hasRules = true;
+                if (value) {
+                    group.rules.push({ allow: field === 'allow', path: value });
+                }
+            }
+        });
+        return groups;
+    }
+
+    static getProductToken(userAgent) {
+        return userAgent.split(/[/\s]/)[0].toLowerCase();
+    }
+
+    /*
+        Rules of the group naming our product token, or of the `*` group.
+    */
+    static getRules(groups, userAgent) {
+        const token = Robots.getProductToken(userAgent);
+        const group =
+            groups.find(robotsGroup => robotsGroup.agents.indexOf(token) > -1) ||
+            groups.find(robotsGroup => robotsGroup.agents.indexOf('*') > -1);
+        return group ? group.rules : [];
+    }
+
+    // `*` matches any characters and a final `$` the end of the path
+    static matchesPath(rulePath, path) {
+        const isAnchored = rulePath.slice(-1) === '$';
+        const pattern = (isAnchored ? rulePath.slice(0, -1) : rulePath)
+            .split('*')
+            .map(escapeRegExp)
+            .join('.*');
+        return new RegExp(`^${pattern}${isAnchored ? '$' : ''}`).test(path);
+    }
+
+    /*
+        The longest matching rule wins, `allow` when they're as long.
+    */
+    static isAllowed(groups, url, userAgent) {
+        const { path } = Url.parse(url);
+        const rule = Robots.getRules(groups, userAgent)
+            .filter(robotsRule => Robots.matchesPath(robotsRule.path, path || '/'))
+            .reduce((longest, robotsRule) => {
+                if (
+                    !longest ||
+                    robotsRule.path.length > longest.path.length ||
+                    (robotsRule.path.length === longest.path.length && robotsRule.allow)
+                ) {
+                    return robotsRule;
+                }
+                return longest;
+            }, undefined);
+        return !rule || rule.allow;
+    }
+
+    static getRobotsUrl(url) {
+        const { protocol, host } = Url.parse(url);
+        return `${protocol}//${host}/robots.txt`;
+    }
+}
+
+// Groups for robots.txt that couldn't be read
+Robots.ALLOW_ALL = [];
+Robots.DISALLOW_ALL = [{ agents: ['*'], rules: [{ allow: false, path: '/' }] }];
+
+module.exports = Robots;
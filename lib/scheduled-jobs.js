@@ -1,9 +1,15 @@
 'use strict';
 
 const exec = require('child_process').exec;
+const { Op } = require('sequelize');
 
+const BlobStore = require('./blob-store');
+const BookModel = require('../models/').Book;
+const BookStatusModel = require('../models/').BookStatus;
 const Config = require('./config');
+const HttpCache = require('./http-cache');
 const Logger = require('./logger');
+const StatusTracker = require('./status-tracker');
 
 const log = new Logger();
 
@@ -11,7 +17,8 @@ class ScheduledJobs {
     static cleanEbooks() {
         return new Promise((resolve, reject) => {
             const ebookFolder = Config.DEFAULT_EBOOK_FOLDER;
-            const cleanCmd = `find ${ebookFolder} \\( -name *.epub -o -name *.mobi \\) -mtime +0 -delete`;
+            const names = ['epub', 'mobi', 'azw3', 'pdf', 'html', 'zip', 'txt'].map(ext => `-name *.${ext}`).join(' -o ');
+            const cleanCmd = `find ${ebookFolder} \\( ${names} \\) -mtime +0 -delete`;
             exec(cleanCmd, (error) => {
                 if (error) {
                     log.warn('Cleaning failed:', { error });
@@ -21,6 +28,52 @@ class ScheduledJobs {
             });
         });
     }
+
+    /*
+        Forgets the content of books past the retention period, they can't be rebuilt anymore.
+    */
+    static cleanContent() {
+        const retention = Config.CONTENT_RETENTION_DAYS * ScheduledJobs.DAY;
+        const cutoff = new Date(Date.now() - retention);
+        return BookModel.update(
+            { content: null },
+            { where: { createdAt: { [Op.lt]: cutoff }, content: { [Op.ne]: null } } }
+        )
+            .then(() => BlobStore.removeOlderThan(cutoff))
+            .catch((error) => {
+                log.warn('Cleaning content failed:', { error });
+                return Promise.reject(error);
+            });
+    }
+
+    /*
+        Deletes the statuses of books finished before the retention period.
+        They're kept at least a day, like the ebook files.
+    */
+    static cleanStatuses() {
+        const retention = Math.max(Config.CONTENT_RETENTION_DAYS, 1) * ScheduledJobs.DAY;
+        const cutoff = new Date(Date.now() - retention);
+        return BookStatusModel.destroy({
+            where: {
+                status: { [Op.in]: StatusTracker.FINISHED_TYPES },
+                updatedAt: { [Op.lt]: cutoff },
+            },
+        }).catch((error) => {
+            log.warn('Cleaning statuses failed:', { error });
+            return Promise.reject(error);
+        });
+    }
+
+    static cleanHttpCache() {
+        const retention = Config.HTTP_CACHE_RETENTION_DAYS * ScheduledJobs.DAY;
+        const cutoff = new Date(Date.now() - retention);
+        return HttpCache.removeOlderThan(cutoff).catch((error) => {
+            log.warn('Cleaning the http cache failed:', { error });
+            return Promise.reject(error);
+        });
+    }
 }
 
+ScheduledJobs.DAY = 1000 * 60 * 60 * 24;
+
 module.exports = ScheduledJobs;
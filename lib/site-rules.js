@@ -0,0 +1,232 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Url = require('url');
+
+const AppErrors = require('./app-errors');
+const Config = require('./config');
+
+const RULE_KEYS = [
+    'name',
+    'hosts',
+    'paths',
+    'priority',
+    'root',
+    'remove',
+    'operations',
+    'pagination',
+];
+const RULE_EXTENSIONS = ['.json', '.js'];
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isRegex(pattern) {
+    try {
+        return !!new RegExp(pattern);
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseUrl(url) {
+    const withProtocol = /^[a-z]+:\/\//i.test(url) ? url : `http://${url}`;
+    return Url.parse(withProtocol);
+}
+
+class SiteRules {
+    /*
+        Returns a list of problems with a rule, empty when the rule is valid.
+    */
+    static validate(rule, operationNames = SiteRules.OPERATIONS) {
+        const errors = [];
+        if (!rule || typeof rule !== 'object') {
+            return ['must be an object'];
+        }
+
+        Object.keys(rule)
+            .filter(key => RULE_KEYS.indexOf(key) < 0)
+            .forEach(key => errors.push(`unknown key "${key}"`));
+
+        if (typeof rule.name !== 'string' || !rule.name) {
+            errors.push('"name" must be a string');
+        }
+        if (!isStringArray(rule.hosts) || rule.hosts.length === 0) {
+            errors.push('"hosts" must be a list of hostnames');
+        }
+        if (rule.paths !== undefined) {
+            if (!isStringArray(rule.paths)) {
+                errors.push('"paths" must be a list of patterns');
+            } else {
+                rule.paths
+                    .filter(pattern => !isRegex(pattern))
+                    .forEach(pattern => errors.push(`"${pattern}" is not a valid path pattern`));
+            }
+        }
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            errors.push('"priority" must be a number');
+        }
+        if (rule.root !== undefined && typeof rule.root !== 'string') {
+            errors.push('"root" must be a selector');
+        }
+        if (rule.remove !== undefined && !isStringArray(rule.remove)) {
+            errors.push('"remove" must be a list of selectors');
+        }
+        const paginationType = typeof rule.pagination;
+        if (rule.pagination !== undefined && ['boolean', 'string'].indexOf(paginationType) < 0) {
+            errors.push('"pagination" must be a boolean or a next page link selector');
+        }
+        if (rule.operations !== undefined) {
+            if (!rule.operations || typeof rule.operations !== 'object') {
+                errors.push('"operations" must be an object');
+            } else {
+                Object.keys(rule.operations).forEach((operation) => {
+                    if (operationNames.indexOf(operation) < 0) {
+                        errors.push(`unknown operation "${operation}"`);
+                    } else if (!isStringArray(rule.operations[operation])) {
+                        errors.push(`"${operation}" must be a list of selectors`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    static readRules(dir) {
+        return fs
+            .readdirSync(dir)
+            .filter(file => RULE_EXTENSIONS.indexOf(path.extname(file)) > -1)
+            .sort()
+            .reduce((rules, file) => {
+                // eslint-disable-next-line
+                const fileRules = require(path.join(dir, file));
+                const fileRulesList = Array.isArray(fileRules) ? fileRules : [fileRules];
+                return rules.concat(fileRulesList.map(rule => Object.assign({ file }, rule)));
+            }, []);
+    }
+
+    /*
+        Loads every rule file in a folder, throwing if any of them is invalid.
+    */
+    static load(dir, operationNames) {
+        const rules = SiteRules.readRules(dir || Config.SITE_RULES_PATH);
+        return new SiteRules(rules, operationNames);
+    }
+
+    static matchesHost(rule, hostname) {
+        return rule.hosts.some((host) => {
+            const ruleHost = host.toLowerCase();
+            return hostname === ruleHost || hostname.endsWith(`.${ruleHost}`);
+        });
+    }
+
+    static matchesPath(rule, pathname) {
+        if (!rule.paths) {
+            return true;
+        }
+        return rule.paths.some(pattern => new RegExp(pattern).test(pathname));
+    }
+
+    constructor(rules, operationNames) {
+        this._rules = (rules || []).map((rule) => {
+            const { file } = rule;
+            const definition = Object.assign({}, rule);
+            delete definition.file;
+
+            const errors = SiteRules.validate(definition, operationNames);
+            if (errors.length > 0) {
+                const source = file ? ` (${file})` : '';
+                const error = AppErrors.getApiError('INVALID_SITE_RULE');
+                error.message = `Invalid site rule ${rule.name}${source}: ${errors.join(', ')}`;
+                throw error;
+            }
+            return Object.assign({ priority: 0, file }, definition);
+        });
+    }
+
+    getRules() {
+        return this._rules;
+    }
+
+    /*
+        Rules matching a url, highest priority first.
+    */
+    match(url) {
+        if (!url) {
+            return [];
+        }
+        const { hostname, pathname } = parseUrl(url);
+        if (!hostname) {
+            return [];
+        }
+
+        return this._rules
+            .filter(rule =>
+                SiteRules.matchesHost(rule, hostname.toLowerCase()) &&
+                SiteRules.matchesPath(rule, pathname || '/'))
+            .sort((a, b) => b.priority - a.priority);
+    }
+
+    /*
+        Merges matching rules into one set of HtmlProcessor operations.
+        The root of the highest priority rule wins, everything else is combined.
+    */
+    getOperations(url) {
+        const rules = this.match(url);
+        if (rules.length === 0) {
+            return undefined;
+        }
+
+        const operations = {};
+        const addSelectors = (operation, selectors) => {
+            operations[operation] = (operations[operation] || []).concat(selectors);
+        };
+
+        const rootRule = rules.find(rule => rule.root);
+        if (rootRule) {
+            operations.setRootNode = [rootRule.root];
+        }
+        rules.forEach((rule) => {
+            if (rule.remove) {
+                addSelectors('removeElement', rule.remove);
+            }
+            Object.keys(rule.operations || {}).forEach((operation) => {
+                addSelectors(operation, rule.operations[operation]);
+            });
+        });
+        return operations;
+    }
+
+    /*
+        Pagination setting of the highest priority rule that has one.
+        `true` or a next page link selector turns it on, `false` turns it off.
+    */
+    getPagination(url) {
+        const rule = this.match(url).find(matched => matched.pagination !== undefined);
+        return rule ? rule.pagination : undefined;
+    }
+}
+
+// HtmlProcessor cleanup operations rules can use, others are rejected as unknown
+SiteRules.OPERATIONS = [
+    'setRootNode',
+    'removeElement',
+    'removeHidden',
+    'removeIndent',
+    'removeDuplicates',
+    'removeInvalidAttributes',
+    'replaceWithChildren',
+    'replaceWithInnerText',
+    'replaceDivsWithChildren',
+    'filterDivs',
+    'filterParagraphless',
+    'convertToDiv',
+    'convertToParagraph',
+    'insertMissingParagraphTags',
+    'mergeNodes',
+];
+
+module.exports = SiteRules;
@@ -1,53 +1,266 @@
-function limitStatuses(tracker) {
-    if (tracker.keys.length < StatusTracker.MAX_STATUSES) {
-        return;
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+
+const Config = require('./config');
+const Utilities = require('./utilities');
+
+const FINISHED_TYPES = ['DONE', 'FAILED'];
+
+function isFinished(record) {
+    return FINISHED_TYPES.indexOf(record.type) > -1;
+}
+
+class MemoryStore {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.records = {};
+        this.keys = [];
+    }
+
+    get(id) {
+        return Promise.resolve(this.records[id] || null);
+    }
+
+    set(id, record) {
+        this.records[id] = record;
+        if (this.keys.indexOf(id) < 0) {
+            this.keys.push(id);
+        }
+        this.limitRecords();
+        return Promise.resolve(record);
+    }
+
+    delete(id) {
+        delete this.records[id];
+        this.keys = this.keys.filter(key => key !== id);
+        return Promise.resolve();
+    }
+
+    // Books still publishing are only evicted once every finished one is gone
+    limitRecords() {
+        while (this.keys.length > StatusTracker.MAX_STATUSES) {
+            const finishedKey = this.keys.find(key => isFinished(this.records[key]));
+            this.delete(finishedKey !== undefined ? finishedKey : this.keys[0]);
+        }
+    }
+}
+
+class SequelizeStore {
+    constructor() {
+        // eslint-disable-next-line
+        this.StatusModel = require('../models/').BookStatus;
+    }
+
+    get(id) {
+        return this.StatusModel.findOne({ where: { uid: id } }).then(model =>
+            model && {
+                type: model.status,
+                history: model.history,
+                sections: model.sections,
+                report: model.report,
+            });
+    }
+
+    set(id, record) {
+        return this.StatusModel.upsert({
+            uid: id,
+            status: record.type,
+            history: record.history,
+            sections: record.sections || null,
+            report: record.report || null,
+        }).then(() => record);
+    }
+
+    delete(id) {
+        return this.StatusModel.destroy({ where: { uid: id } });
+    }
+}
+
+class FileStore {
+    constructor(dir) {
+        this._path = dir || Config.STATUSES_PATH;
+    }
+
+    getFilepath(id) {
+        return path.join(this._path, `${String(id).replace(/[^\w-]/g, '_')}.json`);
+    }
+
+    get(id) {
+        return fs
+            .readJson(this.getFilepath(id))
+            .catch(error => (error.code === 'ENOENT' ? null : Promise.reject(error)));
     }
 
-    tracker.clearStatus(tracker.keys.shift());
+    set(id, record) {
+        return fs.outputJson(this.getFilepath(id), record).then(() => record);
+    }
+
+    delete(id) {
+        return fs.remove(this.getFilepath(id));
+    }
 }
 
-class StatusTracker {
+class StatusTracker extends EventEmitter {
     static buildStatus(statusType) {
         return StatusTracker.STATUSES[statusType] || StatusTracker.STATUSES.DEFAULT;
     }
 
-    constructor() {
-        this.statuses = {};
-        this.keys = [];
+    static buildStore(name) {
+        const Store = StatusTracker.STORES[name];
+        if (!Store) {
+            throw new Error(`Unknown status store: ${name}`);
+        }
+        return new Store();
     }
 
-    reset() {
-        this.statuses = {};
-        this.keys = [];
+    static buildHistory(entries) {
+        return entries.map((entry, index) => {
+            const next = entries[index + 1];
+            const step = {
+                status: entry.status,
+                message: StatusTracker.buildStatus(entry.status).message,
+                startedAt: entry.startedAt,
+            };
+            if (next) {
+                step.finishedAt = next.startedAt;
+                step.duration = new Date(next.startedAt) - new Date(entry.startedAt);
+            }
+            return step;
+        });
+    }
+
+    /*
+        Moves progress towards the next status as sections of the current step complete.
+    */
+    static interpolateProgress(statusType, sections) {
+        const { progress } = StatusTracker.buildStatus(statusType);
+        const nextProgress = Object.keys(StatusTracker.STATUSES)
+            .map(type => StatusTracker.STATUSES[type].progress)
+            .filter(p => p > progress)
+            .reduce((min, p) => Math.min(min, p), 100);
+        if (!sections || !sections.total) {
+            return progress;
+        }
+        const fraction = Math.min(sections.completed / sections.total, 1);
+        return Math.floor(progress + (nextProgress - progress) * fraction);
+    }
+
+    static buildRecordStatus(record, opts = {}) {
+        const { history } = record;
+        const status = Object.assign({}, StatusTracker.buildStatus(record.type), {
+            type: record.type,
+            startedAt: history[0].startedAt,
+            updatedAt: history[history.length - 1].startedAt,
+        });
+
+        const { sections } = record;
+        if (sections && sections.status === record.type) {
+            status.sections = { completed: sections.completed, total: sections.total };
+            status.progress = StatusTracker.interpolateProgress(record.type, sections);
+        }
+        if (record.report) {
+            status.report = record.report;
+            const duplicates = record.report
+                .filter(report => report.duplicateOf)
+                .map(report => ({
+                    url: report.url,
+                    duplicateOf: report.duplicateOf,
+                    reason: report.duplicateReason,
+                }));
+            if (duplicates.length > 0) {
+                status.duplicates = duplicates;
+            }
+        }
+        if (opts.history) {
+            status.history = StatusTracker.buildHistory(history);
+        }
+        return status;
+    }
+
+    constructor(store) {
+        super();
+        this._store = store || StatusTracker.buildStore(Config.STATUS_STORE);
+        this._serialize = Utilities.createSerializer();
+    }
+
+    getStore() {
+        return this._store;
     }
 
     setStatus(id, statusType) {
-        this.statuses[id] = StatusTracker.buildStatus(statusType);
-        if (this.keys.indexOf(id) < 0) {
-            this.keys.push(id);
+        const startedAt = new Date().toISOString();
+        return this._serialize(id, () =>
+            this._store.get(id).then((record) => {
+                const entry = { status: statusType, startedAt };
+                const history = (record ? record.history : []).concat(entry);
+                const report = record ? record.report : undefined;
+                return this._store.set(id, { type: statusType, history, report });
+            }))
+            .then(record => this._emitStatus(id, record));
+    }
+
+    setProgress(id, sections) {
+        return this._serialize(id, () =>
+            this._store.get(id).then((record) => {
+                if (!record) {
+                    return null;
+                }
+                const progress = { completed: sections.completed, total: sections.total };
+                const sectionsRecord = Object.assign({ status: record.type }, progress);
+                return this._store.set(id, Object.assign({}, record, { sections: sectionsRecord }));
+            }))
+            .then(record => this._emitStatus(id, record));
+    }
+
+    setReport(id, report) {
+        return this._serialize(id, () =>
+            this._store.get(id).then((record) => {
+                if (!record) {
+                    return null;
+                }
+                return this._store.set(id, Object.assign({}, record, { report }));
+            }))
+            .then(record => this._emitStatus(id, record));
+    }
+
+    _emitStatus(id, record) {
+        if (record) {
+            this.emit('status', id, StatusTracker.buildRecordStatus(record));
         }
-        limitStatuses(this);
+        return record;
     }
 
-    getStatus(id) {
-        return this.statuses[id];
+    getStatus(id, opts = {}) {
+        return this._store
+            .get(id)
+            .then(record => (record ? StatusTracker.buildRecordStatus(record, opts) : undefined));
     }
 
     clearStatus(id) {
-        delete this.statuses[id];
+        return this._store.delete(id);
     }
 }
 
 StatusTracker.MAX_STATUSES = 100;
 StatusTracker.STATUSES = {
     DEFAULT: { message: 'Unknown Status', progress: 0 },
+    QUEUED: { message: 'Waiting to publish...', progress: 0 },
     PUBLISHING: { message: 'Publishing...', progress: 5 },
+    FETCHING_FEEDS: { message: 'Reading feeds...', progress: 8 },
     FETCHING_HTML: { message: 'Fetching HTML...', progress: 10 },
     EXTRACTING_CONTENT: { message: 'Extracting Content...', progress: 30 },
     FETCHING_IMAGES: { message: 'Fetching Images...', progress: 70 },
     FORMATTING_HTML: { message: 'Formatting HTML...', progress: 80 },
+    REBUILDING: { message: 'Rebuilding book...', progress: 80 },
     CREATING_COVER: { message: 'Creating cover...', progress: 85 },
     WRITING_EBOOK: { message: 'Writing Ebook...', progress: 90 },
+    CONVERTING: { message: 'Converting formats...', progress: 95 },
     DONE: { message: 'Done!', progress: 100 },
     FAILED: { message: 'Publish Failed :(', progress: 100, httpStatus: 500 },
 };
@@ -56,5 +269,14 @@ StatusTracker.STATUS_TYPES = Object.keys(StatusTracker.STATUSES).reduce((types,
     types[statusKey] = statusKey;
     return types;
 }, {});
+StatusTracker.FINISHED_TYPES = FINISHED_TYPES;
+StatusTracker.STORES = {
+    memory: MemoryStore,
+    sequelize: SequelizeStore,
+    file: FileStore,
+};
+StatusTracker.MemoryStore = MemoryStore;
+StatusTracker.SequelizeStore = SequelizeStore;
+StatusTracker.FileStore = FileStore;
 
 module.exports = StatusTracker;
@@ -92,7 +92,7 @@ class StylingService {
     }
 
     static writeOnCover(book, coverText) {
-        return new Promise(resolve =>
+        return new Promise((resolve, reject) =>
             Jimp.loadFont(StylingService.FONT_PATH).then(font =>
                 Jimp.read(book.getCoverPath()).then((cover) => {
                     const newCoverFilename = this.getTempFilename(book);
@@ -104,8 +104,8 @@ class StylingService {
                     lines.forEach((line) => {
                         cover.print(font, line.x, line.y, line.content);
                     });
-                    cover.write(newCoverPath, () => resolve(book));
-                }))).catch(e => e);
+                    cover.write(newCoverPath, error => (error ? reject(error) : resolve(book)));
+                })).catch(reject));
     }
 }
 
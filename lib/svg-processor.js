@@ -0,0 +1,171 @@
+'use strict';
+
+const cheerio = require('cheerio');
+
+// HTML parsing lowercases names, these are the SVG ones that aren't
+const CAMEL_CASE_TAGS = [
+    'animateMotion', 'animateTransform', 'clipPath', 'feBlend', 'feColorMatrix',
+    'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+    'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB',
+    'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+    'feTurbulence', 'linearGradient', 'radialGradient', 'textPath',
+];
+const CAMEL_CASE_ATTRIBUTES = [
+    'baseFrequency', 'clipPathUnits', 'diffuseConstant', 'edgeMode', 'filterUnits',
+    'gradientTransform', 'gradientUnits', 'kernelMatrix', 'kernelUnitLength', 'lengthAdjust',
+    'limitingConeAngle', 'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits',
+    'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform',
+    'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha',
+    'preserveAspectRatio', 'primitiveUnits', 'refX', 'refY', 'specularConstant',
+    'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation', 'stitchTiles',
+    'surfaceScale', 'tableValues', 'targetX', 'targetY', 'textLength', 'viewBox',
+    'xChannelSelector', 'yChannelSelector',
+];
+// Elements that run scripts, embed documents or change the image over time
+const REMOVED_TAGS = [
+    'script', 'foreignobject', 'iframe', 'embed', 'object',
+    'animate', 'animatemotion', 'animatetransform', 'set', 'handler', 'listener',
+];
+// Pixels in a unit, for sizes of equations in `ex`
+const UNIT_SIZES = {
+    '': 1,
+    px: 1,
+    pt: 4 / 3,
+    em: 16,
+    ex: 8,
+};
+
+function toCaseMap(names) {
+    return names.reduce((map, name) => Object.assign(map, { [name.toLowerCase()]: name }), {});
+}
+
+const TAG_NAMES = toCaseMap(CAMEL_CASE_TAGS);
+const ATTRIBUTE_NAMES = toCaseMap(CAMEL_CASE_ATTRIBUTES);
+
+function escapeXml(text) {
+    return text
+        .replace(/&nbsp;/g, '&#160;')
+        .replace(/&(?!#?\w+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;');
+}
+
+function isSafeAttribute(name, value) {
+    if (/^on/i.test(name)) {
+        return false;
+    }
+    if (/(^|:)href$/.test(name)) {
+        return /^#|^data:image\/(png|jpe?g|gif);/i.test(value);
+    }
+    return !/javascript:|url\(\s*['"]?(?!#)/i.test(value);
+}
+
+/*
+    Stylesheets without imports, scripts or urls of other files. Those with escapes,
+    which could spell them out, are dropped.
+*/
+function sanitizeCss(css) {
+    if (/\\/.test(css)) {
+        return '';
+    }
+    return css
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\(\s*(?!['"]?#)[^)]*\)/gi, 'none')
+        .replace(/javascript:|expression\s*\(|-moz-binding|behavior\s*:/gi, '');
+}
+
+function serialize(node) {
+    if (node.type === 'text') {
+        return escapeXml(node.data);
+    }
+    const isElement = node.type === 'tag' || node.type === 'style';
+    if (!isElement || REMOVED_TAGS.indexOf(node.name) > -1) {
+        return '';
+    }
+
+    const name = TAG_NAMES[node.name] || node.name;
+    const attributes = Object.keys(node.attribs || {})
+        .filter(attr => isSafeAttribute(attr, node.attribs[attr]))
+        .map(attr => ` ${ATTRIBUTE_NAMES[attr] || attr}="${escapeXml(node.attribs[attr])}"`)
+        .join('');
+    const children = node.type === 'style'
+        ? escapeXml(sanitizeCss((node.children || []).map(child => child.data || '').join('')))
+        : (node.children || []).map(serialize).join('');
+    return `<${name}${attributes}>${children}</${name}>`;
+}
+
+function getLength(value) {
+    const matches = (value || '').trim().match(/^(\d+(?:\.\d+)?)(px|pt|em|ex)?$/);
+    return matches ? Number(matches[1]) * UNIT_SIZES[matches[2] || ''] : undefined;
+}
+
+/*
+    Inline SVG found in pages, turned into standalone images, and
+    sanitizing of every SVG image put in books.
+*/
+class SvgProcessor {
+    /*
+        Width and height in pixels, from its attributes or viewBox.
+    */
+    static getSize($svg) {
+        const viewBox = ($svg.attr('viewbox') || '').trim().split(/[\s,]+/).map(Number);
+        const hasViewBox = viewBox.length === 4 && viewBox.every(number => !Number.isNaN(number));
+        const width = getLength($svg.attr('width')) || (hasViewBox ? viewBox[2] : undefined);
+        const height = getLength($svg.attr('height')) || (hasViewBox ? viewBox[3] : undefined);
+        return width && height ? { width, height } : undefined;
+    }
+
+    /*
+        Diagrams and equations rather than icons, which are hidden from screen readers,
+        small or drawn from a sprite elsewhere in the page.
+    */
+    static isFigure($svg) {
+        const size = SvgProcessor.getSize($svg);
+        const ids = $svg.find('[id]').map((index, elem) => `#${elem.attribs.id}`).get();
+        const usesOutside = $svg.find('use').filter((index, elem) => {
+            const href = elem.attribs.href || elem.attribs['xlink:href'] || '';
+            return ids.indexOf(href) < 0;
+        }).length > 0;
+        return (
+            $svg.attr('aria-hidden') !== 'true' &&
+            !usesOutside &&
+            !!size &&
+            Math.max(size.width, size.height) >= SvgProcessor.MIN_FIGURE_SIZE
+        );
+    }
+
+    /*
+        An SVG document without scripts, event handlers or references to other files.
+    */
+    static sanitize($svg) {
+        const svg = $svg.get(0);
+        const xmlns = Object.assign({}, svg.attribs, {
+            xmlns: 'http://www.w3.org/2000/svg',
+            'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+        });
+        return serialize(Object.assign({}, svg, { attribs: xmlns }));
+    }
+
+    /*
+        Sanitizes an SVG file's text like inline SVG, undefined when it has no `<svg>`.
+    */
+    static sanitizeDocument(text) {
+        const $ = cheerio.load(text, { decodeEntities: false });
+        const $svg = $('svg').first();
+        return $svg.length > 0 ? SvgProcessor.sanitize($svg) : undefined;
+    }
+
+    static toDataUri($svg) {
+        const base64 = Buffer.from(SvgProcessor.sanitize($svg)).toString('base64');
+        return `data:image/svg+xml;base64,${base64}`;
+    }
+
+    static getDescription($svg) {
+        return ($svg.attr('aria-label') || $svg.children('title').text() || '').trim();
+    }
+}
+
+SvgProcessor.MIN_FIGURE_SIZE = 48;
+
+module.exports = SvgProcessor;
@@ -0,0 +1,299 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+
+const EpubReader = require('./epub-reader');
+
+const BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+];
+const SKIPPED_TAGS = [
+    'audio', 'head', 'iframe', 'noscript', 'object', 'script', 'style', 'svg', 'title', 'video',
+];
+const EMPHASIS = {
+    b: '**',
+    strong: '**',
+    em: '_',
+    i: '_',
+    cite: '_',
+};
+const CODE_TAGS = ['code', 'kbd', 'samp', 'tt'];
+
+function getText(node) {
+    if (node.type === 'text') {
+        return node.data;
+    }
+    return (node.children || []).map(getText).join('');
+}
+
+function findTags(node, names) {
+    return (node.children || []).reduce((found, child) => {
+        if (child.type !== 'tag') {
+            return found;
+        }
+        if (names.indexOf(child.name) > -1) {
+            return found.concat(child);
+        }
+        return found.concat(findTags(child, names));
+    }, []);
+}
+
+function indent(text, prefix, firstPrefix) {
+    return text
+        .split('\n')
+        .map((line, index) => {
+            const linePrefix = index === 0 && firstPrefix !== undefined ? firstPrefix : prefix;
+            return line ? `${linePrefix}${line}` : linePrefix.trimRight();
+        })
+        .join('\n');
+}
+
+/*
+    Writes the sections of an epub (see EpubReader) as Markdown or plain text.
+    Markdown is zipped with its images, plain text only keeps their alt text.
+*/
+class TextWriter {
+    static isBlock(node) {
+        return node.type === 'tag' && BLOCK_TAGS.indexOf(node.name) > -1;
+    }
+
+    /*
+        Escapes text so Markdown renderers show it as it is, without reading
+        emphasis, links or HTML (`<script>`, entities) into it.
+    */
+    static escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]<>&])/g, '\\$1');
+    }
+
+    /*
+        Escapes paragraph lines that would start a heading, quote, list or rule.
+    */
+    static escapeLineStarts(text) {
+        return text
+            .split('\n')
+            .map(line => line
+                .replace(/^([#>+=-])/, '\\$1')
+                .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2'))
+            .join('\n');
+    }
+
+    constructor(epub, { markdown } = {}) {
+        this.epub = epub;
+        this.markdown = !!markdown;
+        this.images = {};
+    }
+
+    getImagePath(href) {
+        if (!this.images[href]) {
+            this.images[href] = `images/${path.posix.basename(href)}`;
+        }
+        return this.images[href];
+    }
+
+    /*
+        Inline content
+    */
+
+    convertInline(node, base) {
+        if (node.type === 'text') {
+            const text = node.data.replace(/\s+/g, ' ');
+            return this.markdown ? TextWriter.escapeMarkdown(text) : text;
+        }
+        if (node.type !== 'tag' || SKIPPED_TAGS.indexOf(node.name) > -1) {
+            return '';
+        }
+        if (node.name === 'br') {
+            return this.markdown ? '\\\n' : '\n';
+        }
+        if (node.name === 'img') {
+            return this.convertImage(node, base);
+        }
+
+        const content = this.convertChildrenInline(node, base);
+        if (!this.markdown || !content.trim()) {
+            return content;
+        }
+        if (CODE_TAGS.indexOf(node.name) > -1) {
+            return `\`${getText(node).replace(/\s+/g, ' ')}\``;
+        }
+        if (EMPHASIS[node.name]) {
+            return `${EMPHASIS[node.name]}${content.trim()}${EMPHASIS[node.name]}`;
+        }
+        const href = node.name === 'a' && node.attribs.href;
+        if (href && /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+            return `[${content.trim()}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+        }
+        return content;
+    }
+
+    convertChildrenInline(node, base) {
+        return (node.children || []).map(child => this.convertInline(child, base)).join('');
+    }
+
+    convertImage(node, base) {
+        const alt = (node.attribs.alt || '').trim();
+        const href = EpubReader.resolvePath(base, node.attribs.src);
+        if (this.markdown && this.epub.getImage(href)) {
+            return `![${TextWriter.escapeMarkdown(alt)}](${this.getImagePath(href)})`;
+        }
+        return alt ? `[${alt}]` : '';
+    }
+
+    /*
+        Block content, returned as a list of paragraphs
+    */
+
+    convertBlocks(node, base) {
+        const blocks = [];
+        let inline = '';
+        const flush = () => {
+            const text = inline.replace(/ *\n */g, '\n').trim();
+            if (text) {
+                blocks.push(this.markdown ? TextWriter.escapeLineStarts(text) : text);
+            }
+            inline = '';
+        };
+
+        (node.children || []).forEach((child) => {
+            if (TextWriter.isBlock(child)) {
+                flush();
+                blocks.push(...this.convertBlock(child, base));
+            } else {
+                inline += this.convertInline(child, base);
+            }
+        });
+        flush();
+        return blocks;
+    }
+
+    convertBlock(node, base) {
+        const headingMatch = /^h([1-6])$/.exec(node.name);
+        if (headingMatch) {
+            return this.convertHeading(node, base, Number(headingMatch[1]));
+        }
+        if (node.name === 'ul' || node.name === 'ol') {
+            return [this.convertList(node, base)];
+        }
+        if (node.name === 'pre') {
+            const code = getText(node).replace(/\n+$/, '');
+            return [this.markdown ? `\`\`\`\n${code}\n\`\`\`` : indent(code, '    ')];
+        }
+        if (node.name === 'blockquote') {
+            const quote = this.convertBlocks(node, base).join('\n\n');
+            return quote ? [indent(quote, this.markdown ? '> ' : '    ')] : [];
+        }
+        if (node.name === 'hr') {
+            return ['---'];
+        }
+        if (node.name === 'table') {
+            return [this.convertTable(node, base)];
+        }
+        return this.convertBlocks(node, base);
+    }
+
+    convertHeading(node, base, level) {
+        const text = this.convertChildrenInline(node, base).replace(/\s+/g, ' ').trim();
+        if (!text) {
+            return [];
+        }
+        if (this.markdown) {
+            return [`${'#'.repeat(level)} ${text}`];
+        }
+        if (level > 2) {
+            return [text];
+        }
+        return [`${text}\n${(level === 1 ? '=' : '-').repeat(text.length)}`];
+    }
+
+    convertList(node, base) {
+        const items = (node.children || []).filter(child => child.type === 'tag' && child.name === 'li');
+        return items
+            .map((item, index) => {
+                const marker = node.name === 'ol' ? `${index + 1}. ` : '- ';
+                const content = this.convertBlocks(item, base).join('\n\n');
+                return indent(content, ' '.repeat(marker.length), marker);
+            })
+            .join('\n');
+    }
+
+    convertTable(node, base) {
+        const rows = findTags(node, ['tr'])
+            .map(row => (row.children || [])
+                .filter(cell => cell.type === 'tag' && (cell.name === 'th' || cell.name === 'td'))
+                .map(cell => this.convertChildrenInline(cell, base).replace(/\s+/g, ' ').trim()))
+            .filter(cells => cells.length > 0);
+
+        const lines = rows.map(cells => (this.markdown ? `| ${cells.join(' | ')} |` : cells.join(' | ')));
+        if (this.markdown && rows.length > 0) {
+            lines.splice(1, 0, `|${rows[0].map(() => ' --- |').join('')}`);
+        }
+        return lines.join('\n');
+    }
+
+    /*
+        Document
+    */
+
+    convertDocument(body, base) {
+        const $ = cheerio.load(body, { decodeEntities: true });
+        return this.convertBlocks($.root().get(0), base).join('\n\n');
+    }
+
+    getTitle() {
+        const { title, author } = this.epub.getMetadata();
+        const titleNode = { children: [{ type: 'text', data: title || '' }] };
+        const blocks = this.convertHeading(titleNode, '', 1);
+        if (author) {
+            blocks.push(this.markdown ? TextWriter.escapeMarkdown(author) : author);
+        }
+        return blocks.join('\n\n');
+    }
+
+    getText() {
+        const toc = this.epub.getToc();
+        const documents = [this.getTitle()];
+        if (toc) {
+            documents.push(this.convertDocument(toc.body, toc.href));
+        }
+        this.epub.getSections().forEach((section) => {
+            documents.push(this.convertDocument(section.body, section.href));
+        });
+        return `${documents.filter(text => text).join('\n\n')}\n`;
+    }
+
+    /*
+        Markdown is written to a zip with its images
+    */
+    getZip() {
+        const zip = new JSZip();
+        zip.file(TextWriter.MARKDOWN_FILENAME, this.getText());
+        Object.keys(this.images).forEach((href) => {
+            zip.file(this.images[href], this.epub.getImage(href));
+        });
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    write(filepath) {
+        const content = this.markdown ? this.getZip() : Promise.resolve(this.getText());
+        return content.then(data =>
+            new Promise((resolve, reject) => {
+                fs.writeFile(filepath, data, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(filepath);
+                    }
+                });
+            }));
+    }
+}
+
+TextWriter.MARKDOWN_FILENAME = 'book.md';
+
+module.exports = TextWriter;
@@ -0,0 +1,119 @@
+'use strict';
+
+const Url = require('url');
+
+const cheerio = require('cheerio');
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+function isHttp(parsedUrl) {
+    return /^https?:$/.test(parsedUrl.protocol) && !!parsedUrl.hostname;
+}
+
+class UrlNormalizer {
+    static isTrackingParam(name) {
+        const lowerName = name.toLowerCase();
+        return lowerName.indexOf('utm_') === 0 || UrlNormalizer.TRACKING_PARAMS.indexOf(lowerName) > -1;
+    }
+
+    /*
+        AMP caches serve pages under their own host, the original url follows their prefix.
+        e.g. https://www-a-com.cdn.ampproject.org/c/s/www.a.com/post -> https://www.a.com/post
+    */
+    static unwrapAmpCache(url) {
+        const matches = UrlNormalizer.AMP_CACHE_PATTERNS.map(pattern => url.match(pattern))
+            .find(match => match);
+        if (!matches) {
+            return url;
+        }
+        const [, secure, rest] = matches;
+        return `${secure ? 'https' : 'http'}://${rest}`;
+    }
+
+    /*
+        Removes tracking params, fragments and default ports so variants of a page share one url.
+    */
+    static normalize(url) {
+        if (typeof url !== 'string') {
+            return url;
+        }
+        const unwrappedUrl = UrlNormalizer.unwrapAmpCache(url.trim());
+        const parsedUrl = Url.parse(unwrappedUrl);
+        if (!isHttp(parsedUrl)) {
+            return url;
+        }
+
+        const params = (parsedUrl.query || '')
+            .split('&')
+            .filter(param => param && !UrlNormalizer.isTrackingParam(param.split('=')[0]));
+        const { port, protocol } = parsedUrl;
+        const isDefaultPort = !port || port === DEFAULT_PORTS[protocol];
+        // Urls without a path are kept that way
+        const hasPath = /^[a-z]+:\/\/[^/?#]*\//i.test(unwrappedUrl);
+
+        return Url.format({
+            protocol,
+            slashes: true,
+            auth: parsedUrl.auth,
+            host: isDefaultPort ? parsedUrl.hostname : `${parsedUrl.hostname}:${port}`,
+            pathname: hasPath ? parsedUrl.pathname : '',
+            search: params.length > 0 ? `?${params.join('&')}` : '',
+        });
+    }
+
+    /*
+        Compares urls regardless of their protocol, `www.` or trailing slash.
+    */
+    static getKey(url) {
+        const parsedUrl = Url.parse(UrlNormalizer.normalize(url));
+        if (!isHttp(parsedUrl)) {
+            return url;
+        }
+        const host = parsedUrl.host.replace(/^www\./, '');
+        const pathname = (parsedUrl.pathname || '').replace(/\/+$/, '');
+        return `${host}${pathname}${parsedUrl.search || ''}`;
+    }
+
+    /*
+        The url a page declares for itself with `<link rel="canonical">` (which AMP pages
+        point to their regular version) or `og:url`.
+        Pages pointing every article to their home page are ignored.
+    */
+    static findCanonicalUrl(html, url) {
+        const $ = cheerio.load(html || '');
+        const href =
+            $('link[rel~="canonical"]').attr('href') ||
+            $('meta[property="og:url"]').attr('content');
+        if (!href || !href.trim()) {
+            return undefined;
+        }
+
+        const parsedCanonical = Url.parse(Url.resolve(url, href.trim()));
+        const isHomePage = parsedCanonical.pathname === '/' && Url.parse(url).pathname !== '/';
+        if (!isHttp(parsedCanonical) || isHomePage) {
+            return undefined;
+        }
+        return UrlNormalizer.normalize(parsedCanonical.href);
+    }
+}
+
+UrlNormalizer.TRACKING_PARAMS = [
+    '_ga',
+    '_gl',
+    'dclid',
+    'fbclid',
+    'gclid',
+    'igshid',
+    'mc_cid',
+    'mc_eid',
+    'msclkid',
+    'ref_src',
+    'ref_url',
+    'yclid',
+];
+UrlNormalizer.AMP_CACHE_PATTERNS = [
+    /^https?:\/\/[^/]+\.cdn\.ampproject\.org\/(?:(?:c|i|ii|v)\/)+(s\/)?(.+)$/i,
+    /^https?:\/\/(?:www\.)?google\.[a-z.]+\/amp\/(s\/)?(.+)$/i,
+];
+
+module.exports = UrlNormalizer;
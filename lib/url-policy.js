@@ -0,0 +1,148 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+const Url = require('url');
+
+const AppErrors = require('./app-errors');
+const Config = require('./config');
+
+// [network, prefix length] of IPv4 addresses that aren't on the public internet
+const PRIVATE_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+];
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((number, part) => (number * 256) + Number(part), 0);
+}
+
+function isPrivateIpv4(address) {
+    const number = ipv4ToNumber(address);
+    return PRIVATE_IPV4_RANGES.some(([network, prefixLength]) => {
+        const size = 2 ** (32 - prefixLength);
+        const start = ipv4ToNumber(network);
+        return number >= start && number < start + size;
+    });
+}
+
+// Expands an IPv6 address to its 8 groups of 16 bits
+function getIpv6Groups(address) {
+    let ipv6 = address;
+    const ipv4Matches = ipv6.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Matches) {
+        const number = ipv4ToNumber(ipv4Matches[1]);
+        const ipv4Groups = `${Math.floor(number / 65536).toString(16)}:${(number % 65536).toString(16)}`;
+        ipv6 = ipv6.replace(ipv4Matches[1], ipv4Groups);
+    }
+    const [head, tail] = ipv6.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+    return headGroups.concat(zeros, tailGroups).map(group => parseInt(group, 16));
+}
+
+function isPrivateIpv6(address) {
+    const groups = getIpv6Groups(address.split('%')[0]);
+    const isZeroPrefix = groups.slice(0, 5).every(group => group === 0);
+    const embeddedIpv4 = [groups[6], groups[7]]
+        .map(group => `${Math.floor(group / 256)}.${group % 256}`)
+        .join('.');
+
+    // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) addresses
+    if ((isZeroPrefix && groups[5] === 0xffff) || (groups[0] === 0x64 && groups[1] === 0xff9b)) {
+        return isPrivateIpv4(embeddedIpv4);
+    }
+    return (
+        (isZeroPrefix && groups[5] === 0 && groups[6] === 0 && groups[7] <= 1) || // :: and ::1
+        (groups[0] >= 0xfc00 && groups[0] <= 0xfdff) || // Unique local
+        (groups[0] >= 0xfe80 && groups[0] <= 0xfebf) || // Link-local
+        groups[0] >= 0xff00 // Multicast
+    );
+}
+
+function matchesHost(hostname, hosts) {
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/*
+    Which urls the server may download: pages, feeds, images and the redirects they lead to.
+    Private network addresses are blocked both for IP urls and for the addresses
+    hostnames resolve to when connecting, unless their host is in `ALLOWED_HOSTS`.
+*/
+class UrlPolicy {
+    static getError() {
+        const error = AppErrors.getApiError('URL_NOT_ALLOWED');
+        error.code = 'URL_NOT_ALLOWED';
+        return error;
+    }
+
+    static isPrivateAddress(address) {
+        const version = net.isIP(address);
+        if (version === 4) {
+            return isPrivateIpv4(address);
+        }
+        return version === 6 ? isPrivateIpv6(address) : false;
+    }
+
+    /*
+        Checks everything but the addresses hostnames resolve to.
+    */
+    static isAllowed(url) {
+        const { protocol, hostname } = Url.parse(url || '');
+        if (UrlPolicy.SCHEMES.indexOf(protocol) < 0 || !hostname) {
+            return false;
+        }
+        const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        if (matchesHost(host, UrlPolicy.DENIED_HOSTS)) {
+            return false;
+        }
+        return matchesHost(host, UrlPolicy.ALLOWED_HOSTS) || !UrlPolicy.isPrivateAddress(host);
+    }
+
+    static check(url) {
+        if (!UrlPolicy.isAllowed(url)) {
+            return Promise.reject(UrlPolicy.getError());
+        }
+        return Promise.resolve(url);
+    }
+
+    /*
+        A `dns.lookup` for outgoing connections, failing when the host resolves to
+        a private address. Checking when connecting keeps DNS changes from getting around it.
+    */
+    static lookup(hostname, options, callback) {
+        const done = typeof options === 'function' ? options : callback;
+        const lookupOptions = typeof options === 'function' ? {} : options;
+        dns.lookup(hostname, lookupOptions, (error, address, family) => {
+            if (error) {
+                done(error);
+                return;
+            }
+            const addresses = Array.isArray(address)
+                ? address.map(entry => entry.address)
+                : [address];
+            const isAllowedHost = matchesHost(hostname.toLowerCase(), UrlPolicy.ALLOWED_HOSTS);
+            if (!isAllowedHost && addresses.some(UrlPolicy.isPrivateAddress)) {
+                done(UrlPolicy.getError());
+            } else {
+                done(null, address, family);
+            }
+        });
+    }
+}
+
+UrlPolicy.SCHEMES = ['http:', 'https:'];
+UrlPolicy.ALLOWED_HOSTS = Config.URL_ALLOWED_HOSTS;
+UrlPolicy.DENIED_HOSTS = Config.URL_DENIED_HOSTS;
+
+module.exports = UrlPolicy;
@@ -20,6 +20,27 @@ class Utilities {
             }));
         return Promise.all(promises);
     }
+
+    /*
+        Returns a function running tasks one after another for the same key.
+        Used to keep read-modify-write updates of a record from overwriting each other.
+    */
+    static createSerializer() {
+        const pending = {};
+        return (key, task) => {
+            const previous = pending[key] || Promise.resolve();
+            const current = previous.then(task);
+            const settled = current
+                .catch(() => {})
+                .then(() => {
+                    if (pending[key] === settled) {
+                        delete pending[key];
+                    }
+                });
+            pending[key] = settled;
+            return current;
+        };
+    }
 }
 
 module.exports = Utilities;
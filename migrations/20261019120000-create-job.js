@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+    up(queryInterface, Sequelize) {
+        return queryInterface
+            .createTable('Jobs', {
+                id: {
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER,
+                },
+                uid: {
+                    allowNull: false,
+                    type: Sequelize.STRING,
+                },
+                state: {
+                    allowNull: false,
+                    type: Sequelize.STRING,
+                },
+                step: {
+                    type: Sequelize.STRING,
+                },
+                payload: {
+                    type: Sequelize.JSON,
+                },
+                steps: {
+                    type: Sequelize.JSON,
+                },
+                attempts: {
+                    allowNull: false,
+                    defaultValue: 0,
+                    type: Sequelize.INTEGER,
+                },
+                error: {
+                    type: Sequelize.TEXT,
+                },
+                lockedAt: {
+                    type: Sequelize.DATE,
+                },
+                createdAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                },
+                updatedAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                },
+            })
+            .then(() => queryInterface.addIndex('Jobs', ['uid']))
+            .then(() => queryInterface.addIndex('Jobs', ['state']));
+    },
+    down(queryInterface) {
+        return queryInterface.dropTable('Jobs');
+    },
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+    up(queryInterface, Sequelize) {
+        return queryInterface.createTable('BookStatuses', {
+            id: {
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER,
+            },
+            uid: {
+                allowNull: false,
+                unique: true,
+                type: Sequelize.STRING,
+            },
+            status: {
+                allowNull: false,
+                type: Sequelize.STRING,
+            },
+            history: {
+                type: Sequelize.JSON,
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE,
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE,
+            },
+        });
+    },
+    down(queryInterface) {
+        return queryInterface.dropTable('BookStatuses');
+    },
+};
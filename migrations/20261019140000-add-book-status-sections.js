@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    up: (queryInterface, Sequelize) =>
+        queryInterface.addColumn('BookStatuses', 'sections', {
+            type: Sequelize.JSON,
+        }),
+    down: queryInterface => queryInterface.removeColumn('BookStatuses', 'sections'),
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    up: (queryInterface, Sequelize) =>
+        queryInterface
+            .addColumn('Books', 'report', { type: Sequelize.JSON })
+            .then(() => queryInterface.addColumn('BookStatuses', 'report', { type: Sequelize.JSON })),
+    down: queryInterface =>
+        queryInterface
+            .removeColumn('Books', 'report')
+            .then(() => queryInterface.removeColumn('BookStatuses', 'report')),
+};
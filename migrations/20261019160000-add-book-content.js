@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+    up: (queryInterface, Sequelize) =>
+        queryInterface.addColumn('Books', 'content', {
+            type: Sequelize.JSON,
+        }),
+    down: queryInterface => queryInterface.removeColumn('Books', 'content'),
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+    const BookStatus = sequelize.define(
+        'BookStatus',
+        {
+            id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            uid: { type: DataTypes.STRING, unique: true },
+            status: DataTypes.STRING,
+            history: DataTypes.JSON,
+            sections: DataTypes.JSON,
+            report: DataTypes.JSON,
+        },
+        {
+            classMethods: {
+                associate: () => {},
+            },
+        }
+    );
+    return BookStatus;
+};
@@ -8,6 +8,8 @@ module.exports = (sequelize, DataTypes) => {
             title: DataTypes.STRING,
             sections: DataTypes.JSON,
             uid: DataTypes.STRING,
+            report: DataTypes.JSON,
+            content: DataTypes.JSON,
         },
         {
             classMethods: {
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+    const Job = sequelize.define(
+        'Job',
+        {
+            id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            uid: DataTypes.STRING,
+            state: DataTypes.STRING,
+            step: DataTypes.STRING,
+            payload: DataTypes.JSON,
+            steps: DataTypes.JSON,
+            attempts: DataTypes.INTEGER,
+            error: DataTypes.TEXT,
+            lockedAt: DataTypes.DATE,
+        },
+        {
+            classMethods: {
+                associate: () => {},
+            },
+        }
+    );
+    return Job;
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+const express = require('express');
+const Config = require('../../lib/config');
+const ContentExtractor = require('../../lib/content-extractor');
+const AppErrors = require('../../lib/app-errors');
+const SiteRules = require('../../lib/site-rules');
+
+const router = new express.Router();
+
+function authorize(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const token = header.replace(/^Bearer\s+/i, '');
+    if (!Config.ADMIN_TOKEN || token !== Config.ADMIN_TOKEN) {
+        AppErrors.respondWithError(res, AppErrors.getApiError('UNAUTHORIZED'));
+    } else {
+        next();
+    }
+}
+
+router.use(authorize);
+
+/*
+* Site Rules
+*/
+
+router.get('/site-rules', (req, res) => {
+    const siteRules = ContentExtractor.SITE_RULES;
+    const { url } = req.query;
+
+    if (url) {
+        res.json({
+            url,
+            rules: siteRules.match(url).map(rule => rule.name),
+            operations: siteRules.getOperations(url) || {},
+        });
+    } else {
+        res.json({ rules: siteRules.getRules() });
+    }
+});
+
+// Checks a rule before it's added to the site rules folder, with the operations it gives `url`
+router.post('/site-rules', (req, res) => {
+    const { rule, url } = req.body || {};
+    let siteRules;
+    try {
+        siteRules = new SiteRules([rule]);
+    } catch (error) {
+        AppErrors.respondWithError(res, error);
+        return;
+    }
+
+    res.json({
+        rules: siteRules.getRules(),
+        operations: (url && siteRules.getOperations(url)) || {},
+    });
+});
+
+module.exports = router;
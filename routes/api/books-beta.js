@@ -52,11 +52,8 @@ function bookFromBody(body) {
             });
         } else if (body.sections) {
             log.verbose('Sections request');
-            body.sections.forEach((section) => {
-                sections.push({
-                    url: section.url,
-                    html: section.html,
-                });
+            body.sections.filter(Book.isValidSection).forEach((section) => {
+                sections.push(Book.buildSection(section));
             });
         }
 
@@ -108,22 +105,19 @@ router.get('/download', (req, res) => {
     log.verbose('Download', { query: req.query });
 
     const isEmail = req.query.email;
-    const isMobi = req.query.filetype === 'mobi';
 
     validateDownloadRequest(req)
         .then((validReq) => {
             const { id, filetype } = validReq.query;
-            return Book.find(id, filetype)
+            return BookServices.findBook(id, filetype)
                 .then((book) => {
                     if (isEmail) {
-                        const mailerFn = isMobi ? Mailer.sendMobi : Mailer.sendEpub;
-                        return mailerFn(req.query.email, book).catch((error) => {
+                        return Mailer.sendBook(req.query.email, book, filetype).catch((error) => {
                             log.warn('Book delivery failed', req.query, error);
                             res.status(500).send('Email failed');
                         });
                     }
-                    const bookPath = isMobi ? book.getMobiPath() : book.getEpubPath();
-                    return Promise.resolve(bookPath);
+                    return Promise.resolve(Book.getFilePath(book, filetype));
                 })
                 .then((bookPath) => {
                     if (isEmail) {
@@ -160,14 +154,12 @@ function validateEmailRequest(req) {
 router.get('/email-delivery', (req, res) => {
     log.verbose('Email', { query: req.query });
 
-    const isMobi = req.query.filetype === 'mobi';
-
     validateEmailRequest(req)
         .then(() =>
-            Book.find(req.query.id, req.query.filetype)
+            BookServices.findBook(req.query.id, req.query.filetype)
                 .then((book) => {
-                    const mailerFn = isMobi ? Mailer.sendMobi : Mailer.sendEpub;
-                    return mailerFn(req.query.email, book).catch((error) => {
+                    const { email, filetype } = req.query;
+                    return Mailer.sendBook(email, book, filetype).catch((error) => {
                         log.warn('Book delivery failed', req.query, error);
                         res.status(500).send('Email failed');
                     });
@@ -6,6 +6,7 @@ const BookServices = require('../../lib/book-services');
 const Mailer = require('../../lib/mailer');
 const AppErrors = require('../../lib/app-errors');
 const RequestValidators = require('../helpers/request-validators');
+const StatusEvents = require('../helpers/status-events');
 const Logger = require('../../lib/logger');
 
 const router = new express.Router();
@@ -19,14 +20,27 @@ router.post('/', (req, res) => {
     RequestValidators.validatePublishRequest(req)
         .then((validReq) => {
             const book = Book.fromJSON(validReq.body);
+            return BookServices.enqueue(book, validReq.body);
+        })
+        .then((book) => {
+            log.verbose('Book Queued', { id: book.getId() });
+            res.status(202).json({ id: book.getId() });
+        })
+        .catch((e) => {
+            AppErrors.respondWithError(res, e);
+        });
+});
+
+/*
+* Book Edit
+*/
+
+router.patch('/:id', (req, res) => {
+    RequestValidators.validateEditRequest(req)
+        .then(validReq => BookServices.enqueueEdit(req.params.id, validReq.body.operations))
+        .then((book) => {
+            log.verbose('Book Edit Queued', { id: book.getId() });
             res.status(202).json({ id: book.getId() });
-            BookServices.publish(book)
-                .then((publishedBook) => {
-                    log.verbose('Book Published', { id: publishedBook.getId() });
-                })
-                .catch(e => e
-                    // Error handling
-                );
         })
         .catch((e) => {
             AppErrors.respondWithError(res, e);
@@ -39,7 +53,7 @@ router.post('/', (req, res) => {
 
 router.get('/:id/status', (req, res) => {
     const book = new Book({ id: req.params.id });
-    BookServices.getStatus(book)
+    BookServices.getStatus(book, { history: req.query.history === 'true' })
         .then((status) => {
             res.status(status.httpStatus || 200).json(status);
         })
@@ -48,16 +62,29 @@ router.get('/:id/status', (req, res) => {
         });
 });
 
+/*
+* Book Events
+*/
+
+router.get('/:id/events', (req, res) => {
+    const book = new Book({ id: req.params.id });
+    BookServices.getStatus(book)
+        .then((status) => {
+            StatusEvents.stream(req, res, book, status);
+        })
+        .catch((e) => {
+            AppErrors.respondWithError(res, e);
+        });
+});
+
 /*
 *  Book Download
 */
 
 router.get('/:id/download', (req, res) => {
-    Book.find(req.params.id, req.query.filetype)
+    BookServices.findBook(req.params.id, req.query.filetype)
         .then((book) => {
-            const filepath =
-                req.query.filetype === 'mobi' ? book.getMobiPath() : book.getEpubPath();
-            res.download(filepath);
+            res.download(Book.getFilePath(book, req.query.filetype));
         })
         .catch((e) => {
             AppErrors.respondWithError(res, e);
@@ -66,11 +93,10 @@ router.get('/:id/download', (req, res) => {
 
 router.get('/:id/email', (req, res) => {
     RequestValidators.validateEmailRequest(req)
-        .then(() => Book.find(req.params.id, req.query.filetype))
+        .then(() => BookServices.findBook(req.params.id, req.query.filetype))
         .then((book) => {
-            const isMobi = req.query.filetype === 'mobi';
-            const mailerFn = isMobi ? Mailer.sendMobi : Mailer.sendEpub;
-            return mailerFn(req.query.email, book).catch((error) => {
+            const { email, filetype } = req.query;
+            return Mailer.sendBook(email, book, filetype).catch((error) => {
                 log.warn('Book delivery failed', req.query, error);
                 res.status(500).send('Email failed');
             });
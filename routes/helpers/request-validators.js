@@ -1,4 +1,14 @@
 const AppErrors = require('../../lib/app-errors');
+const Config = require('../../lib/config');
+const UrlPolicy = require('../../lib/url-policy');
+
+// Urls of the pages and feeds in a publish request
+function getRequestUrls(body) {
+    const items = [].concat(body.urls || [], body.sections || [], body.feeds || []);
+    return items
+        .map(item => (item && typeof item === 'object' ? item.url : item))
+        .filter(url => url !== undefined);
+}
 
 function normalizeRequest(req) {
     // Kindle's can only receive .mobi files
@@ -10,18 +20,42 @@ function normalizeRequest(req) {
 class RequestValidators {
     static validatePublishRequest(req) {
         return new Promise((resolve, reject) => {
-            if (!req.body.urls && !req.body.sections) {
+            if (!req.body.urls && !req.body.sections && !req.body.feeds) {
                 reject(AppErrors.getApiError('NO_SECTIONS_SPECIFIED'));
             } else if ((req.body.urls || []).length >= this.MAX_NUM_SECTIONS) {
                 reject(AppErrors.getApiError('TOO_MANY_ITEMS'));
             } else if ((req.body.sections || []).length >= this.MAX_NUM_SECTIONS) {
                 reject(AppErrors.getApiError('TOO_MANY_ITEMS'));
+            } else if ((req.body.feeds || []).length >= this.MAX_NUM_FEEDS) {
+                reject(AppErrors.getApiError('TOO_MANY_ITEMS'));
+            } else if (!getRequestUrls(req.body).every(UrlPolicy.isAllowed)) {
+                reject(AppErrors.getApiError('URL_NOT_ALLOWED'));
             } else {
                 resolve(req);
             }
         });
     }
 
+    static validateEditRequest(req) {
+        return new Promise((resolve, reject) => {
+            const { operations } = req.body;
+            if (!Array.isArray(operations) || operations.length === 0) {
+                reject(AppErrors.getApiError('INVALID_OPERATION'));
+            } else if (operations.length >= this.MAX_NUM_SECTIONS) {
+                reject(AppErrors.getApiError('TOO_MANY_ITEMS'));
+            } else {
+                const appended = operations
+                    .filter(operation => operation && Array.isArray(operation.sections))
+                    .reduce((count, operation) => count + operation.sections.length, 0);
+                if (appended >= this.MAX_NUM_SECTIONS) {
+                    reject(AppErrors.getApiError('TOO_MANY_ITEMS'));
+                } else {
+                    resolve(req);
+                }
+            }
+        });
+    }
+
     static validateEmailRequest(req) {
         return new Promise((resolve, reject) => {
             if (!req.query.email) {
@@ -34,6 +68,7 @@ class RequestValidators {
     }
 }
 
-RequestValidators.MAX_NUM_SECTIONS = 50;
+RequestValidators.MAX_NUM_SECTIONS = Config.MAX_NUM_SECTIONS;
+RequestValidators.MAX_NUM_FEEDS = 10;
 
 module.exports = RequestValidators;
@@ -0,0 +1,91 @@
+const BookServices = require('../../lib/book-services');
+const Config = require('../../lib/config');
+const StatusTracker = require('../../lib/status-tracker');
+
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+class StatusEvents {
+    static isFinished(status) {
+        return StatusTracker.FINISHED_TYPES.indexOf(status.type) > -1;
+    }
+
+    static buildDownloadLinks(req, book) {
+        const downloadPath = `${req.baseUrl}/${book.getId()}/download`;
+        return {
+            epub: downloadPath,
+            mobi: `${downloadPath}?filetype=mobi`,
+            azw3: `${downloadPath}?filetype=azw3`,
+            pdf: `${downloadPath}?filetype=pdf`,
+            html: `${downloadPath}?filetype=html`,
+            md: `${downloadPath}?filetype=md`,
+            txt: `${downloadPath}?filetype=txt`,
+        };
+    }
+
+    static buildEventData(req, book, status) {
+        if (status.type === StatusTracker.STATUS_TYPES.DONE) {
+            return Object.assign({}, status, {
+                downloads: StatusEvents.buildDownloadLinks(req, book),
+            });
+        }
+        return status;
+    }
+
+    /*
+        Streams status changes as Server-Sent Events until the book is done or failed.
+        Local changes are pushed as they happen; polling picks up other processes' changes.
+    */
+    static stream(req, res, book, initialStatus) {
+        let lastEvent;
+        let isClosed = false;
+        const cleanups = [];
+
+        const close = () => {
+            if (!isClosed) {
+                isClosed = true;
+                cleanups.forEach(cleanup => cleanup());
+            }
+        };
+
+        const send = (status) => {
+            const event = formatEvent('status', StatusEvents.buildEventData(req, book, status));
+            if (isClosed || event === lastEvent) {
+                return;
+            }
+            lastEvent = event;
+            res.write(event);
+            if (StatusEvents.isFinished(status)) {
+                close();
+                res.end();
+            }
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+
+        const poll = setInterval(() => {
+            BookServices.getStatus(book)
+                .then(send)
+                .catch(() => {});
+        }, Config.EVENTS_POLL_INTERVAL);
+        const heartbeat = setInterval(() => {
+            res.write(': heartbeat\n\n');
+        }, Config.EVENTS_HEARTBEAT_INTERVAL);
+
+        cleanups.push(
+            BookServices.subscribe(book, send),
+            () => clearInterval(poll),
+            () => clearInterval(heartbeat)
+        );
+        req.on('close', close);
+
+        send(initialStatus);
+    }
+}
+
+module.exports = StatusEvents;
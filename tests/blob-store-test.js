@@ -0,0 +1,53 @@
+const fs = require('fs-extra');
+const os = require('os');
+
+const { assert } = require('chai');
+
+const BlobStore = require('../lib/blob-store');
+
+const imagePath = `${__dirname}/fixtures/placeholder.png`;
+const image = fs.readFileSync(imagePath);
+
+describe('BlobStore', () => {
+    after(() => fs.remove(BlobStore.ROOT));
+
+    describe('.put', () => {
+        it('stores files by their content', () =>
+            Promise.all([BlobStore.put(imagePath), BlobStore.put(imagePath)])
+                .then(([key, sameKey]) => {
+                    assert.equal(key, sameKey);
+                    assert.equal(key, BlobStore.getKey(image, '.PNG'));
+                    assert.match(key, /^[0-9a-f]{64}\.png$/);
+                    assert.deepEqual(fs.readFileSync(BlobStore.getPath(key)), image);
+                }));
+    });
+
+    describe('.copy', () => {
+        const filepath = `${os.tmpdir()}/restored.png`;
+
+        after(() => fs.remove(filepath));
+
+        it('copies a blob to a file', () =>
+            BlobStore.put(imagePath)
+                .then(key => BlobStore.copy(key, filepath))
+                .then((copiedPath) => {
+                    assert.equal(copiedPath, filepath);
+                    assert.deepEqual(fs.readFileSync(filepath), image);
+                }));
+    });
+
+    describe('.removeOlderThan', () => {
+        it('removes blobs that were not stored since a date', () => {
+            const lastWeek = new Date(Date.now() - (1000 * 60 * 60 * 24 * 7));
+            const yesterday = new Date(Date.now() - (1000 * 60 * 60 * 24));
+            return BlobStore.put(imagePath)
+                .then((key) => {
+                    fs.utimesSync(BlobStore.getPath(key), lastWeek, lastWeek);
+                    return BlobStore.removeOlderThan(yesterday).then(() => key);
+                })
+                .then((key) => {
+                    assert.isFalse(fs.existsSync(BlobStore.getPath(key)));
+                });
+        });
+    });
+});
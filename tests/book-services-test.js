@@ -5,8 +5,12 @@ const Sinon = require('sinon');
 const nock = require('nock');
 const fs = require('fs');
 
+const AppErrors = require('../lib/app-errors');
 const Book = require('../lib/book');
+const ContentExtractor = require('../lib/content-extractor');
 const BookServices = require('../lib/book-services');
+const Fetcher = require('../lib/fetcher');
+const HtmlProcessor = require('../lib/html-processor');
 const StatusTracker = require('../lib/status-tracker');
 const StylingService = require('../lib/styling-service');
 const { isError } = require('./helpers');
@@ -41,6 +45,24 @@ describe('Book Services', () => {
                     assert.isNumber(status.progress);
                 }));
 
+        it('derives the status from a queued job', () =>
+            BookServices.enqueue(book, { urls })
+                .then(queuedBook => BookServices.getStatus(queuedBook))
+                .then((status) => {
+                    assert.equal(status.message, StatusTracker.buildStatus('QUEUED').message);
+                }));
+
+        it('falls back to the job record', () => {
+            const queue = BookServices.getQueue();
+            return queue
+                .enqueue('job-only', { urls })
+                .then(() => BookServices.getStatus(new Book({ id: 'job-only' }), { history: true }))
+                .then((status) => {
+                    assert.equal(status.message, StatusTracker.buildStatus('QUEUED').message);
+                    assert.isArray(status.history);
+                });
+        });
+
         it('rejects when no status is set', () =>
             BookServices.getStatus(book)
                 .then(() => Promise.reject(Error('.getStatus should reject.')))
@@ -54,15 +76,19 @@ describe('Book Services', () => {
         it('calls all necessary services', () => {
             const sandbox = Sinon.sandbox.create();
             const publishServices = [
+                'expandFeeds',
                 'updateSectionsHtml',
                 'extractSectionsContent',
+                'handleFailedSections',
                 'localizeSectionsImages',
                 'convertSectionsContent',
+                'storeImages',
                 'createCustomCover',
                 'writeEpub',
-                'convertToMobi',
+                'convertFormats',
                 'commit',
                 'scheduleClean',
+                'trackReport',
             ];
             publishServices.forEach((service) => {
                 sandbox.stub(BookServices, service).returns(Promise.resolve(book));
@@ -84,6 +110,43 @@ describe('Book Services', () => {
                     return Promise.reject(err);
                 });
         });
+
+        it('stops cancelled books before they are saved', () => {
+            const sandbox = Sinon.sandbox.create();
+            const statuses = [];
+            const unsubscribe = BookServices.subscribe(book, status => statuses.push(status.type));
+            sandbox.stub(BookServices, 'createCustomCover').callsFake((cancelledBook) => {
+                BookServices.cancel(cancelledBook);
+                return Promise.resolve(cancelledBook);
+            });
+            [
+                'expandFeeds',
+                'updateSectionsHtml',
+                'extractSectionsContent',
+                'handleFailedSections',
+                'localizeSectionsImages',
+                'convertSectionsContent',
+                'storeImages',
+                'writeEpub',
+                'commit',
+            ].forEach((service) => {
+                sandbox.stub(BookServices, service).resolves(book);
+            });
+
+            return BookServices.publish(book)
+                .then(() => Promise.reject(new Error('Expected book to fail.')))
+                .catch(isError)
+                .then((error) => {
+                    assert.equal(error.code, 'JOB_CANCELLED');
+                    assert.isFalse(BookServices.writeEpub.called);
+                    assert.isFalse(BookServices.commit.called);
+                    assert.notInclude(statuses, 'DONE');
+                })
+                .finally(() => {
+                    unsubscribe();
+                    sandbox.restore();
+                });
+        });
     });
 
     describe('.createCustomCover', () => {
@@ -116,6 +179,299 @@ describe('Book Services', () => {
         });
     });
 
+    describe('.convertFormats', () => {
+        it('converts the requested formats and ignores failures', () => {
+            const fakeBook = {
+                getId: () => 'formats',
+                getOptions: () => ({ formats: ['mobi', 'pdf'] }),
+                writeFormat: Sinon.stub(),
+            };
+            fakeBook.writeFormat.withArgs('mobi').rejects(new Error('Bad epub'));
+            fakeBook.writeFormat.withArgs('pdf').resolves();
+
+            return BookServices.convertFormats(fakeBook).then((convertedBook) => {
+                assert.equal(convertedBook, fakeBook);
+                assert.deepEqual(fakeBook.writeFormat.args, [['mobi'], ['pdf']]);
+            });
+        });
+    });
+
+    describe('.convertFormat', () => {
+        it('shares conversions in progress', () => {
+            const fakeBook = {
+                getId: () => 'shared',
+                writeFormat: Sinon.stub().resolves(),
+            };
+
+            return Promise.all([
+                BookServices.convertFormat(fakeBook, 'pdf'),
+                BookServices.convertFormat(fakeBook, 'pdf'),
+            ]).then((books) => {
+                assert.deepEqual(books, [fakeBook, fakeBook]);
+                assert.isTrue(fakeBook.writeFormat.calledOnce);
+            });
+        });
+
+        it('rejects with an api error', () => {
+            const fakeBook = {
+                getId: () => 'failing',
+                writeFormat: Sinon.stub().rejects(new Error('Bad epub')),
+            };
+
+            return BookServices.convertFormat(fakeBook, 'mobi')
+                .then(() => Promise.reject(new Error('.convertFormat should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.MOBI_UNAVAILABLE.message);
+                });
+        });
+    });
+
+    describe('.findBook', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('rejects unsupported filetypes', () => {
+            sandbox.stub(Book, 'find');
+            return BookServices.findBook('some-id', 'docx')
+                .then(() => Promise.reject(new Error('.findBook should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.UNSUPPORTED_FILETYPE.message);
+                    assert.equal(error.status, '400');
+                    assert.isFalse(Book.find.called);
+                });
+        });
+
+        it('converts formats on their first download', () => {
+            const foundBook = new Book({ id: 'lazy' });
+            sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            sandbox.stub(Book, 'load').resolves(foundBook);
+            sandbox.stub(foundBook, 'hasFile').resolves(true);
+            sandbox.stub(foundBook, 'writePdf').resolves();
+
+            return BookServices.findBook('lazy', 'pdf').then((convertedBook) => {
+                assert.equal(convertedBook, foundBook);
+                assert.deepEqual(Book.find.args, [['lazy', 'pdf']]);
+                assert.isTrue(foundBook.writePdf.calledOnce);
+            });
+        });
+
+        it('reports DONE once the file is converted', () => {
+            const foundBook = new Book({ id: 'converted-status' });
+            sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            sandbox.stub(Book, 'load').resolves(foundBook);
+            sandbox.stub(foundBook, 'hasFile').resolves(true);
+            sandbox.stub(foundBook, 'writePdf').resolves();
+
+            return BookServices.findBook('converted-status', 'pdf')
+                .then(() => BookServices.getStatus(foundBook))
+                .then((status) => {
+                    assert.equal(status.message, StatusTracker.buildStatus('DONE').message);
+                });
+        });
+
+        it('reports FAILED when the conversion fails', () => {
+            const foundBook = new Book({ id: 'failed-status' });
+            sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            sandbox.stub(Book, 'load').resolves(foundBook);
+            sandbox.stub(foundBook, 'hasFile').resolves(true);
+            sandbox.stub(foundBook, 'writePdf').rejects(new Error('Conversion failed.'));
+
+            return BookServices.findBook('failed-status', 'pdf')
+                .then(() => Promise.reject(new Error('.findBook should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.FORMAT_UNAVAILABLE.message);
+                    return BookServices.getStatus(foundBook);
+                })
+                .then((status) => {
+                    assert.equal(status.message, StatusTracker.buildStatus('FAILED').message);
+                });
+        });
+
+        it('rebuilds cleaned books from their content', () => {
+            const cleanedBook = new Book({ id: 'cleaned' }, [{ title: 'A', xhtml: '<p>A</p>' }]);
+            sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            sandbox.stub(Book, 'load').resolves(cleanedBook);
+            sandbox.stub(cleanedBook, 'hasFile').resolves(false);
+            sandbox.stub(cleanedBook, 'restoreImages').resolves(cleanedBook);
+            sandbox.stub(BookServices, 'createCustomCover').resolves(cleanedBook);
+            sandbox.stub(BookServices, 'writeEpub').resolves(cleanedBook);
+            sandbox.stub(BookServices, 'scheduleClean').resolves(cleanedBook);
+
+            return BookServices.findBook('cleaned', 'epub').then((rebuiltBook) => {
+                assert.equal(rebuiltBook, cleanedBook);
+                assert.isTrue(cleanedBook.restoreImages.calledOnce);
+                assert.isTrue(BookServices.writeEpub.calledWith(cleanedBook));
+            });
+        });
+
+        it('rejects cleaned books without content', () => {
+            const cleanedBook = new Book({ id: 'forgotten' });
+            sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            sandbox.stub(Book, 'load').resolves(cleanedBook);
+            sandbox.stub(cleanedBook, 'hasFile').resolves(false);
+            sandbox.spy(BookServices, 'rebuild');
+
+            return BookServices.findBook('forgotten', 'epub')
+                .then(() => Promise.reject(new Error('.findBook should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.BOOK_NOT_FOUND.message);
+                    assert.isFalse(BookServices.rebuild.called);
+                });
+        });
+    });
+
+    describe('.enqueueEdit', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('rejects books without stored content', () => {
+            sandbox.stub(Book, 'load').resolves(new Book({ id: 'uneditable' }, [{ title: 'A' }]));
+            sandbox.stub(BookServices, 'enqueue');
+
+            return BookServices.enqueueEdit('uneditable', [{ op: 'remove', index: 0 }])
+                .then(() => Promise.reject(new Error('.enqueueEdit should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.BOOK_NOT_EDITABLE.message);
+                    assert.isFalse(BookServices.enqueue.called);
+                });
+        });
+
+        it('queues valid operations', () => {
+            const operations = [{ op: 'remove', index: 0 }];
+            const storedBook = new Book({ id: 'editable' }, [{ title: 'A', xhtml: '<p>A</p>' }]);
+            sandbox.stub(Book, 'load').resolves(storedBook);
+            sandbox.stub(BookServices, 'enqueue').resolves(storedBook);
+
+            return BookServices.enqueueEdit('editable', operations).then(() => {
+                assert.deepEqual(BookServices.enqueue.firstCall.args, [storedBook, { operations }]);
+            });
+        });
+    });
+
+    describe('.edit', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('rewrites the book without publishing stored sections again', () => {
+            const storedBook = new Book({ id: 'edited' }, [
+                { title: 'A', url: 'http://a.com', xhtml: '<p>A</p>' },
+                { title: 'B', url: 'http://b.com', xhtml: '<p>B</p>' },
+            ]);
+            sandbox.spy(BookServices, 'updateSectionsHtml');
+            sandbox.stub(storedBook, 'restoreImages').resolves(storedBook);
+            sandbox.stub(storedBook, 'deleteFiles').resolves();
+            sandbox.stub(storedBook, 'update').resolves(storedBook);
+            sandbox.stub(BookServices, 'createCustomCover').resolves(storedBook);
+            sandbox.stub(BookServices, 'writeEpub').resolves(storedBook);
+            sandbox.stub(BookServices, 'convertFormats').resolves(storedBook);
+            sandbox.stub(BookServices, 'scheduleClean').resolves(storedBook);
+
+            return BookServices.edit(storedBook, [{ op: 'reorder', order: [1, 0] }])
+                .then((editedBook) => {
+                    assert.deepEqual(editedBook.getSections().map(section => section.title), ['B', 'A']);
+                    assert.isFalse(BookServices.updateSectionsHtml.called);
+                    assert.isTrue(BookServices.writeEpub.calledWith(storedBook));
+                    assert.isTrue(storedBook.update.calledOnce);
+                });
+        });
+
+        it('publishes appended sections', () => {
+            const storedBook = new Book({ id: 'appended' }, [
+                { title: 'A', url: 'http://a.com', xhtml: '<p>A</p>' },
+            ]);
+            sandbox.stub(BookServices, 'updateSectionsHtml').callsFake((addedBook) => {
+                assert.deepEqual(addedBook.getSections().map(section => section.url), ['http://b.com']);
+                return Promise.reject(new Error('Fetch failed'));
+            });
+
+            return BookServices.edit(storedBook, [{ op: 'append', sections: [{ url: 'http://b.com' }] }])
+                .then(() => Promise.reject(new Error('.edit should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, 'Fetch failed');
+                    assert.isTrue(BookServices.updateSectionsHtml.calledOnce);
+                });
+        });
+    });
+
+    describe('.storeImages', () => {
+        it('keeps publishing when images cannot be stored', () => {
+            const fakeBook = { storeImages: () => Promise.reject(new Error('Disk full')) };
+
+            return BookServices.storeImages(fakeBook).then((storedBook) => {
+                assert.equal(storedBook, fakeBook);
+            });
+        });
+    });
+
+    describe('.expandFeeds', () => {
+        const rss = fs.readFileSync(`${fixturesPath}/feeds/rss.xml`).toString();
+
+        it('adds a section for every feed entry', () => {
+            nock('http://blog.fake')
+                .get('/feed.xml')
+                .reply(200, rss);
+            book = Book.fromJSON({
+                feeds: ['http://blog.fake/feed.xml'],
+                feedFilters: { since: '2026-10-01' },
+            });
+
+            return BookServices.expandFeeds(book).then((expandedBook) => {
+                const sections = expandedBook.getSections();
+                assert.deepEqual(sections.map(section => section.url), [
+                    'http://blog.fake/full-post',
+                    'http://blog.fake/summary-post',
+                ]);
+                assert.isString(sections[0].content);
+            });
+        });
+
+        it('accepts raw feed xml', () => {
+            book = Book.fromJSON({ urls: [urls[0]], feeds: [{ xml: rss, maxItems: 1 }] });
+            return BookServices.expandFeeds(book).then((expandedBook) => {
+                assert.lengthOf(expandedBook.getSections(), 2);
+            });
+        });
+
+        it('stops adding feed entries at the section limit', () => {
+            const realMaxSections = BookServices.MAX_NUM_SECTIONS;
+            BookServices.MAX_NUM_SECTIONS = 3;
+            book = Book.fromJSON({ urls: [urls[0]], feeds: [{ xml: rss }, { xml: rss }] });
+            return BookServices.expandFeeds(book).then((expandedBook) => {
+                BookServices.MAX_NUM_SECTIONS = realMaxSections;
+                assert.lengthOf(expandedBook.getSections(), 3);
+            });
+        });
+
+        it('fails when a feed is not valid', () => {
+            book = Book.fromJSON({ feeds: [{ xml: '<html></html>' }] });
+            return BookServices.expandFeeds(book)
+                .then(() => Promise.reject(new Error('Expected book to fail.')))
+                .catch(isError)
+                .then((e) => {
+                    assert.equal(e.message, AppErrors.api.FEED_FAILED.message);
+                });
+        });
+
+        it('fails when no entries match', () => {
+            book = Book.fromJSON({ feeds: [{ xml: rss, keyword: 'giraffes' }] });
+            return BookServices.expandFeeds(book)
+                .then(() => Promise.reject(new Error('Expected book to fail.')))
+                .catch(isError)
+                .then((e) => {
+                    assert.equal(e.message, AppErrors.api.NO_FEED_ITEMS.message);
+                });
+        });
+    });
+
     describe('.updateSectionsHtml', () => {
         it('calls .updateSectionHtml', (done) => {
             const stub = Sinon.stub(BookServices, 'updateSectionHtml');
@@ -146,11 +502,192 @@ describe('Book Services', () => {
             BookServices.updateSectionHtml(section)
                 .then((updatedSection) => {
                     assert.equal(updatedSection.html, section.html);
+                    assert.equal(updatedSection.report.httpStatus, 200);
 
                     done();
                 })
                 .catch(done);
         });
+
+        it('reports sections that failed to download', () => {
+            const section = { url: urls[1] };
+            nock(urls[1])
+                .get('/')
+                .reply(404, 'Not Found');
+
+            return BookServices.updateSectionHtml(section).then((updatedSection) => {
+                assert.equal(updatedSection.report.httpStatus, 404);
+                assert.isString(updatedSection.report.error);
+                assert.isTrue(BookServices.isFailedSection(updatedSection));
+            });
+        });
+
+        it('reports sections disallowed by robots.txt', () => {
+            const section = { url: 'http://robots-section.fake/page' };
+            const error = AppErrors.getApiError('ROBOTS_DISALLOWED');
+            error.code = 'ROBOTS_DISALLOWED';
+            const stub = Sinon.stub(Fetcher, 'get').rejects(error);
+
+            return BookServices.updateSectionHtml(section).then((updatedSection) => {
+                stub.restore();
+                assert.equal(updatedSection.report.errorType, 'ROBOTS_DISALLOWED');
+                assert.isTrue(BookServices.isFailedSection(updatedSection));
+            });
+        });
+
+        it('can download following pages', () => {
+            const section = { url: 'http://paged.fake/story' };
+            nock('http://paged.fake')
+                .get('/story')
+                .reply(200, '<p>One</p><a href="/story?page=2">Next</a>')
+                .get('/story')
+                .query({ page: 2 })
+                .reply(200, '<p>Two</p><a href="/story">Previous</a>');
+
+            const options = { followPagination: true };
+            return BookServices.updateSectionHtml(section, options).then((updatedSection) => {
+                const pageUrls = updatedSection.pages.map(page => page.url);
+                assert.deepEqual(pageUrls, ['http://paged.fake/story?page=2']);
+                assert.equal(updatedSection.report.pages, 2);
+            });
+        });
+
+        it('stops following pages at the limit', () => {
+            const realMaxPages = BookServices.MAX_PAGINATION_PAGES;
+            BookServices.MAX_PAGINATION_PAGES = 3;
+            const section = { url: 'http://paged.fake/long' };
+            const scope = nock('http://paged.fake')
+                .get('/long')
+                .reply(200, '<p>One</p><a href="/long?page=2">Next</a>');
+            [2, 3, 4].forEach((page) => {
+                scope
+                    .get('/long')
+                    .query({ page })
+                    .reply(200, `<p>${page}</p><a href="/long?page=${page + 1}">Next</a>`);
+            });
+
+            const options = { followPagination: true };
+            return BookServices.updateSectionHtml(section, options).then((updatedSection) => {
+                BookServices.MAX_PAGINATION_PAGES = realMaxPages;
+                const pageUrls = updatedSection.pages.map(page => page.url);
+                assert.deepEqual(pageUrls, [
+                    'http://paged.fake/long?page=2',
+                    'http://paged.fake/long?page=3',
+                ]);
+                assert.equal(updatedSection.report.pages, 3);
+                // The fourth page is never requested
+                assert.lengthOf(scope.pendingMocks(), 1);
+                nock.cleanAll();
+            });
+        });
+
+        it('only downloads the first page by default', () => {
+            const section = { url: 'http://paged.fake/other' };
+            nock('http://paged.fake')
+                .get('/other')
+                .reply(200, '<p>One</p><a href="/other?page=2">Next</a>');
+
+            return BookServices.updateSectionHtml(section).then((updatedSection) => {
+                assert.isUndefined(updatedSection.pages);
+            });
+        });
+    });
+
+    describe('duplicate sections', () => {
+        it('drops urls already in the book before fetching them', () => {
+            book = new Book({}, [
+                { url: 'http://a.com/post' },
+                { url: 'http://b.com/post' },
+                { url: 'https://www.a.com/post/' },
+            ]);
+            return BookServices.removeDuplicateUrls(book).then((dedupedBook) => {
+                assert.deepEqual(
+                    dedupedBook.getSections().map(section => section.url),
+                    ['http://a.com/post', 'http://b.com/post']
+                );
+                assert.include(dedupedBook.getReport()[2], {
+                    index: 2,
+                    duplicateOf: 'http://a.com/post',
+                    duplicateReason: 'url',
+                });
+            });
+        });
+
+        it('drops pages with the canonical url of another section', () => {
+            book = new Book({}, [
+                { url: 'http://a.com/post/amp', html: '<link rel="canonical" href="/post">' },
+                { url: 'http://a.com/post', html: '<p>Post</p>' },
+            ]);
+            return BookServices.removeCanonicalDuplicates(book).then((dedupedBook) => {
+                assert.deepEqual(
+                    dedupedBook.getSections().map(section => section.url),
+                    ['http://a.com/post/amp']
+                );
+                assert.equal(dedupedBook.getReport()[0].duplicateReason, 'canonical');
+            });
+        });
+
+        it('drops extracted articles with the same content', () => {
+            const section = (index, sectionUrl, content) => ({
+                url: sectionUrl,
+                content,
+                report: {
+                    index,
+                    url: sectionUrl,
+                    extracted: true,
+                    warnings: [],
+                },
+            });
+            book = new Book({}, [
+                section(0, 'http://a.com/post', '<h1>Post</h1><p>Text</p>'),
+                section(1, 'http://mirror.com/copy', '<h1>Copy</h1><p>Text</p>'),
+                section(2, 'http://b.com/post', '<h1>Other</h1><p>Other text</p>'),
+            ]);
+            return BookServices.removeContentDuplicates(book).then((dedupedBook) => {
+                assert.lengthOf(dedupedBook.getSections(), 2);
+                assert.equal(dedupedBook.getReport()[1].duplicateOf, 'http://a.com/post');
+            });
+        });
+    });
+
+    describe('.handleFailedSections', () => {
+        const failedSection = () => ({ url: urls[0], report: { index: 0, extracted: false } });
+        const goodSection = () => ({ url: urls[1], report: { index: 1, extracted: true } });
+
+        it('keeps failed sections as error pages by default', () => {
+            book = new Book({}, [failedSection(), goodSection()]);
+            return BookServices.handleFailedSections(book).then((handledBook) => {
+                assert.lengthOf(handledBook.getSections(), 2);
+            });
+        });
+
+        it('can skip failed sections', () => {
+            book = new Book({}, [failedSection(), goodSection()], { skipFailedSections: true });
+            return BookServices.handleFailedSections(book).then((handledBook) => {
+                assert.lengthOf(handledBook.getSections(), 1);
+                assert.isTrue(handledBook.getReport()[0].skipped);
+            });
+        });
+
+        it('fails when every section is skipped', () => {
+            book = new Book({}, [failedSection()], { skipFailedSections: true });
+            return BookServices.handleFailedSections(book)
+                .then(() => Promise.reject(new Error('Expected book to fail.')))
+                .catch(isError)
+                .then((e) => {
+                    assert.equal(e.message, AppErrors.api.NO_CONTENT_FOUND.message);
+                });
+        });
+
+        it('can abort the book on failed sections', () => {
+            book = new Book({}, [failedSection(), goodSection()], { failOnSectionError: true });
+            return BookServices.handleFailedSections(book)
+                .then(() => Promise.reject(new Error('Expected book to fail.')))
+                .catch(isError)
+                .then((e) => {
+                    assert.equal(e.message, AppErrors.api.SECTION_FAILED.message);
+                });
+        });
     });
 
     describe('.localizeSectionImages', () => {
@@ -180,6 +717,42 @@ describe('Book Services', () => {
         });
     });
 
+    describe('.localizeSectionsImages', () => {
+        it("shares the book's image limits between its sections", () => {
+            const sandbox = Sinon.sandbox.create();
+            const images = { maxCount: 3, maxBytes: 1000, maxPerSection: 2 };
+            const imagesBook = new Book(
+                { title: 'Images' },
+                [{ content: '' }, { content: '' }],
+                { images }
+            );
+            sandbox.stub(HtmlProcessor, 'extractImages').resolves({
+                html: '',
+                images: ['a.png', 'b.png'],
+                found: 4,
+                skipped: 1,
+                bytes: 400,
+                savedBytes: 100,
+            });
+
+            return BookServices.localizeSectionsImages(imagesBook)
+                .then(() => {
+                    const limits = HtmlProcessor.extractImages
+                        .getCalls()
+                        .map(call => [call.args[2].maxCount, call.args[2].maxBytes]);
+                    assert.deepEqual(limits, [[2, 1000], [1, 600]]);
+                    assert.deepEqual(imagesBook.getSections()[0].report.images, {
+                        found: 4,
+                        downloaded: 2,
+                        skipped: 1,
+                        bytes: 400,
+                        savedBytes: 100,
+                    });
+                })
+                .finally(() => sandbox.restore());
+        });
+    });
+
     describe('.extractSectionsContent', () => {
         it('can extract sections content', (done) => {
             const stub = Sinon.stub(BookServices, 'extractSectionContent');
@@ -208,12 +781,59 @@ describe('Book Services', () => {
                 .then((extractedSection) => {
                     assert.equal(extractedSection.title, 'Article');
                     assert.include(extractedSection.content, `<h1>${extractedSection.title}</h1>`);
+                    assert.isTrue(extractedSection.report.extracted);
 
                     done();
                 })
                 .catch(done);
         });
 
+        it('reports empty pages as sections without content', () => {
+            const section = { html: '', url: 'http://test.com' };
+
+            return BookServices.extractSectionContent(section).then((extractedSection) => {
+                assert.isFalse(extractedSection.report.extracted);
+                assert.include(extractedSection.content, 'No content found');
+            });
+        });
+
+        it('rejects when extraction fails', () => {
+            const sandbox = Sinon.sandbox.create();
+            sandbox.stub(ContentExtractor, 'extract').rejects(new Error('Extraction failed'));
+            const section = { html, url: 'http://test.com' };
+
+            return BookServices.extractSectionContent(section)
+                .then(() => Promise.reject(new Error('.extractSectionContent should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, 'Extraction failed');
+                })
+                .finally(() => sandbox.restore());
+        });
+
+        it('only cleans sections that already have content', () => {
+            const section = {
+                url: 'http://test.com/post',
+                title: 'Post',
+                content: '<p>Post content</p><script>alert(1)</script><meta name="x">',
+            };
+
+            return BookServices.extractSectionContent(section).then((extractedSection) => {
+                assert.equal(extractedSection.content, '<h1>Post</h1><p>Post content</p>');
+                assert.isTrue(extractedSection.report.extracted);
+            });
+        });
+
+        it('merges the content of every page', () => {
+            const secondPage = html.replace(/<p>/, '<p>Second page. ');
+            const section = { html, url: 'http://test.com', pages: [{ html: secondPage }] };
+
+            return BookServices.extractSectionContent(section).then((extractedSection) => {
+                assert.equal(extractedSection.title, 'Article');
+                assert.include(extractedSection.content, 'Second page.');
+                assert.lengthOf(extractedSection.content.match(/<h1>Article<\/h1>/g), 1);
+            });
+        });
+
         it('can gracefully handle no content found', (done) => {
             const section = { html: '<html></html>', url: 'http://test.com' };
 
@@ -221,6 +841,7 @@ describe('Book Services', () => {
                 .then((extractedSection) => {
                     assert.match(extractedSection.content, /support@epub\.press/);
                     assert.match(extractedSection.content, /<h1>/);
+                    assert.isFalse(extractedSection.report.extracted);
                     done();
                 })
                 .catch(done);
@@ -259,6 +880,36 @@ describe('Book Services', () => {
                 })
                 .catch(done);
         });
+
+        it('anchors headings for the table of contents', () => {
+            const mockSection = { content: '<h1>Title</h1><h2>Setup</h2><p>Text</p><h3>Install</h3>' };
+            return BookServices.convertSectionContent(mockSection).then((xhtmlSection) => {
+                assert.deepEqual(xhtmlSection.headings, [
+                    { id: 'setup', level: 2, title: 'Setup' },
+                    { id: 'install', level: 3, title: 'Install' },
+                ]);
+                assert.include(xhtmlSection.xhtml, '<h2 id="setup">Setup</h2>');
+            });
+        });
+
+        it('keeps figures and anchors them for the list of figures', () => {
+            const mockSection = { content: '<figure><img src="a.png" alt="A"><figcaption>Sales</figcaption></figure>' };
+            return BookServices.convertSectionContent(mockSection, 'epub3').then((xhtmlSection) => {
+                assert.deepEqual(xhtmlSection.figures, [{ id: 'figure-1', caption: 'Sales' }]);
+                assert.include(xhtmlSection.xhtml, '<figure id="figure-1">');
+                assert.include(xhtmlSection.xhtml, '<figcaption>Sales</figcaption>');
+            });
+        });
+
+        it('turns figures into divs for EPUB 2', () => {
+            const mockSection = { content: '<figure><img src="a.png" alt="A"><figcaption>Sales</figcaption></figure>' };
+            return BookServices.convertSectionContent(mockSection, 'epub2').then((xhtmlSection) => {
+                assert.deepEqual(xhtmlSection.figures, [{ id: 'figure-1', caption: 'Sales' }]);
+                assert.include(xhtmlSection.xhtml, '<div id="figure-1" class="figure">');
+                assert.include(xhtmlSection.xhtml, '<p class="caption">Sales</p>');
+                assert.notInclude(xhtmlSection.xhtml, 'figure>');
+            });
+        });
     });
 
     describe('.scheduleClean', () => {
@@ -1,10 +1,16 @@
 'use strict';
 
+const fs = require('fs');
+
 const { assert } = require('chai');
 const Sinon = require('sinon');
 const TestHelpers = require('./helpers');
 
+const AppErrors = require('../lib/app-errors');
 const Book = require('../lib/book');
+const BookModel = require('../models').Book;
+const Config = require('../lib/config');
+const Epub3Writer = require('../lib/epub3-writer');
 const Utilities = require('../lib/utilities');
 
 const bookMetadata = {
@@ -69,6 +75,126 @@ describe('Book', () => {
         });
     });
 
+    describe('#removeSection', () => {
+        it('keeps the report of removed sections', () => {
+            const first = { url: 'http://a.com', report: { index: 0, url: 'http://a.com' } };
+            const second = { url: 'http://b.com', report: { index: 1, url: 'http://b.com' } };
+            const reportBook = new Book({}, [first, second]);
+
+            reportBook.removeSection(first);
+
+            assert.deepEqual(reportBook.getSections(), [second]);
+            assert.deepEqual(reportBook.getReport(), [first.report, second.report]);
+        });
+    });
+
+    describe('#applyOperations', () => {
+        const sections = ['http://a.com', 'http://b.com', 'http://c.com'].map(sectionUrl => ({
+            title: sectionUrl,
+            url: sectionUrl,
+            xhtml: '<p>Stored</p>',
+        }));
+        let editedBook;
+
+        beforeEach(() => {
+            editedBook = new Book({ title: 'Edited' }, sections.slice());
+        });
+
+        const getUrls = () => editedBook.getSections().map(section => section.url);
+
+        it('appends, removes and reorders sections', () => {
+            editedBook.applyOperations([
+                { op: 'append', sections: [{ url: 'http://d.com' }] },
+                { op: 'remove', index: 0 },
+                { op: 'remove', url: 'http://c.com' },
+                { op: 'reorder', order: [1, 0] },
+            ]);
+
+            assert.deepEqual(getUrls(), ['http://d.com', 'http://b.com']);
+            assert.isUndefined(editedBook.getSections()[0].xhtml);
+        });
+
+        it('updates the metadata', () => {
+            editedBook.applyOperations([{ op: 'metadata', title: 'New <script>alert(1)</script>Title', author: 'Me' }]);
+
+            assert.equal(editedBook.getTitle(), 'New Title');
+            assert.equal(editedBook.getMetadata().author, 'Me');
+        });
+
+        it('removes sections by their url as it was added', () => {
+            editedBook.applyOperations([
+                { op: 'append', sections: [{ url: 'https://www.d.com/post/?utm_source=feed#top' }] },
+                { op: 'remove', url: 'http://d.com/post?utm_medium=email' },
+            ]);
+
+            assert.deepEqual(getUrls(), sections.map(section => section.url));
+        });
+
+        it('throws a 404 for sections that are not in the book', () => {
+            [
+                { op: 'remove', index: 3 },
+                { op: 'remove', url: 'http://z.com' },
+            ].forEach((operation) => {
+                assert.throws(
+                    () => editedBook.applyOperations([operation]),
+                    AppErrors.api.SECTION_NOT_FOUND.message
+                );
+            });
+            assert.deepEqual(getUrls(), sections.map(section => section.url));
+        });
+
+        it('throws for invalid operations', () => {
+            [
+                { op: 'rename' },
+                { op: 'append', sections: [] },
+                { op: 'remove' },
+                { op: 'remove', index: '0' },
+                { op: 'reorder', order: [0, 0, 1] },
+                { op: 'metadata', title: ' ' },
+            ].forEach((operation) => {
+                assert.throws(
+                    () => editedBook.applyOperations([operation]),
+                    AppErrors.api.INVALID_OPERATION.message
+                );
+            });
+            assert.deepEqual(getUrls(), sections.map(section => section.url));
+        });
+    });
+
+    describe('.getToc', () => {
+        const links = [
+            { title: 'Front', link: 'front.xhtml', itemType: 'front' },
+            { title: 'Guide', link: 's1.xhtml', itemType: 'main' },
+            { title: 'Notes', link: 's2.xhtml', itemType: 'main' },
+        ];
+        const headings = {
+            's1.xhtml': [
+                { id: 'setup', level: 2, title: 'Setup' },
+                { id: 'install', level: 3, title: 'Install' },
+                { id: 'usage', level: 2, title: 'Usage & More' },
+            ],
+        };
+
+        it('lists main sections', () => {
+            const toc = Book.getToc(links);
+            assert.include(toc, '<li><a href="s1.xhtml">Guide</a></li>');
+            assert.notInclude(toc, 'Front');
+            assert.notInclude(toc, 'Setup');
+        });
+
+        it('nests section headings up to a depth', () => {
+            const toc = Book.getToc(links, headings, 3);
+            assert.include(
+                toc,
+                '<li><a href="s1.xhtml">Guide</a><ol><li><a href="s1.xhtml#setup">Setup</a>' +
+                    '<ol><li><a href="s1.xhtml#install">Install</a></li></ol></li>' +
+                    '<li><a href="s1.xhtml#usage">Usage &amp; More</a></li></ol></li>'
+            );
+            assert.include(toc, '<li><a href="s2.xhtml">Notes</a></li>');
+            assert.notInclude(Book.getToc(links, headings, 2), 'Install');
+        });
+    });
+
     describe('#getReferences', () => {
         it('returns a reference page containing all sections', () => {
             book = new Book(bookMetadata, [
@@ -83,6 +209,26 @@ describe('Book', () => {
                 assert.include(referencesHtml, section.url);
             });
         });
+
+        it('skips sections without a url', () => {
+            book = new Book(bookMetadata, [{ title: 'Notes', content: '<p>Notes</p>' }]);
+            assert.notInclude(book.getReferences(), 'Notes');
+        });
+    });
+
+    describe('#getListOfFigures', () => {
+        it("links to the figures of the sections' files", () => {
+            book = new Book(bookMetadata, [
+                { title: 'Charts', figures: [{ id: 'figure-1', caption: 'Sales & costs' }] },
+                { title: 'Notes', figures: [{ id: 'figure-1', caption: 'Not written' }] },
+            ]);
+            const files = new Map([[book.getSections()[0], 's1.xhtml']]);
+
+            const listHtml = book.getListOfFigures(files);
+            assert.include(listHtml, '<h2>List of Figures</h2>');
+            assert.include(listHtml, '<li><a href="s1.xhtml#figure-1">Sales &amp; costs</a></li>');
+            assert.notInclude(listHtml, 'Not written');
+        });
     });
 
     describe('#deleteAssets', () => {
@@ -108,9 +254,107 @@ describe('Book', () => {
                 .then(() => {
                     TestHelpers.assertNoFile(book.getEpubPath());
                     TestHelpers.assertNoFile(book.getMobiPath());
+                    TestHelpers.assertNoFile(book.getPdfPath());
+                    TestHelpers.assertNoFile(book.getMarkdownPath());
+                }));
+    });
+
+    describe('.find', () => {
+        const foundBook = new Book({ id: 'epub-only' });
+
+        before(() => {
+            Sinon.stub(BookModel, 'findOne').resolves({ uid: 'epub-only', title: 'Epub only' });
+            fs.writeFileSync(foundBook.getEpubPath(), '');
+        });
+
+        after(() => {
+            BookModel.findOne.restore();
+            fs.unlinkSync(foundBook.getEpubPath());
+        });
+
+        it('finds books with the file', () =>
+            Book.find('epub-only').then((found) => {
+                assert.equal(found.getEpubPath(), foundBook.getEpubPath());
+            }));
+
+        it('rejects when the filetype was not converted yet', () =>
+            Book.find('epub-only', 'mobi')
+                .then(() => Promise.reject(new Error('.find should reject')))
+                .catch((error) => {
+                    assert.equal(error.message, AppErrors.api.BOOK_NOT_FOUND.message);
                 }));
     });
 
+    describe('.fromModel', () => {
+        it('rebuilds a book from its stored content', () => {
+            const storedBook = new Book(
+                { title: 'Stored', author: 'Someone' },
+                [
+                    {
+                        title,
+                        url,
+                        xhtml: content,
+                        blobs: [{ name: 'a.png', key: 'abc.png' }],
+                    },
+                ],
+                { pageSize: 'A5' }
+            );
+            const loadedBook = Book.fromModel({
+                uid: storedBook.getId(),
+                title: storedBook.getTitle(),
+                content: storedBook.getContent(),
+            });
+
+            assert.equal(loadedBook.getId(), storedBook.getId());
+            assert.equal(loadedBook.getMetadata().author, 'Someone');
+            assert.equal(loadedBook.getOptions().pageSize, 'A5');
+            assert.deepEqual(loadedBook.getSections()[0].blobs, [{ name: 'a.png', key: 'abc.png' }]);
+            assert.isTrue(loadedBook.hasContent());
+        });
+
+        it('has no content for books stored without it', () => {
+            const loadedBook = Book.fromModel({ uid: 'old', title: 'Old', content: null });
+            assert.isFalse(loadedBook.hasContent());
+            assert.deepEqual(loadedBook.getOptions(), Book.DEFAULT_OPTIONS);
+        });
+    });
+
+    describe('#storeImages', () => {
+        const imagePath = `${Config.IMAGES_TMP}/stored.png`;
+
+        after(() => fs.unlinkSync(imagePath));
+
+        it('keeps images to restore them later', () => {
+            fs.copyFileSync(`${__dirname}/fixtures/placeholder.png`, imagePath);
+            const imagesBook = new Book({}, [{ title, xhtml: content, images: [imagePath] }]);
+
+            return imagesBook
+                .storeImages()
+                .then(() => {
+                    const [blob] = imagesBook.getSections()[0].blobs;
+                    assert.equal(blob.name, 'stored.png');
+                    fs.unlinkSync(imagePath);
+                    return Book.fromModel({ uid: 'stored', content: imagesBook.getContent() })
+                        .restoreImages();
+                })
+                .then((restoredBook) => {
+                    assert.deepEqual(restoredBook.getSections()[0].images, [imagePath]);
+                    assert.isTrue(fs.existsSync(imagePath));
+                });
+        });
+    });
+
+    describe('.getFilePath', () => {
+        it('returns the path of a filetype', () => {
+            assert.equal(Book.getFilePath(book, 'pdf'), book.getPdfPath());
+            assert.equal(Book.getFilePath(book, 'mobi'), book.getMobiPath());
+            assert.equal(Book.getFilePath(book), book.getEpubPath());
+            assert.match(book.getPdfPath(), /\.pdf$/);
+            assert.match(Book.getFilePath(book, 'md'), /\.md\.zip$/);
+            assert.match(Book.getFilePath(book, 'txt'), /\.txt$/);
+        });
+    });
+
     describe('#writeEpub', () => {
         it('saves an epub file', () => {
             const EpubWriter = {
@@ -136,6 +380,36 @@ describe('Book', () => {
                 getEPUBWriterStub.restore();
             });
         });
+
+        it('adds a list of figures when asked for one', () => {
+            const EpubWriter = {
+                writeEPUB: Sinon.spy((onErr, p, f, onSuccess) => {
+                    onSuccess();
+                }),
+                addSection: Sinon.spy(),
+                addCSS: Sinon.spy(),
+            };
+            const getEPUBWriterStub = Sinon.stub(Book, 'getEpubWriter').returns(EpubWriter);
+            const figuresBook = new Book(
+                bookMetadata,
+                [{ title: 'Charts', xhtml: '<figure id="figure-1"></figure>', figures: [{ id: 'figure-1', caption: 'Sales' }] }],
+                { listOfFigures: true }
+            );
+
+            return figuresBook.writeEpub().then(() => {
+                const titles = EpubWriter.addSection.getCalls().map(call => call.args[0]);
+                assert.deepEqual(titles, ['Charts', 'List of Figures', 'References']);
+                assert.include(EpubWriter.addSection.getCall(1).args[1], 's1.xhtml#figure-1');
+
+                getEPUBWriterStub.restore();
+            });
+        });
+
+        it('uses the EPUB 3 writer for epub3 books', () => {
+            const metadata = Object.assign({ id: 'epub3' }, bookMetadata);
+            const writer = Book.getEpubWriter(metadata, { format: 'epub3' });
+            assert.instanceOf(writer, Epub3Writer);
+        });
     });
 
     describe('.isValidSection', () => {
@@ -145,6 +419,35 @@ describe('Book', () => {
 
             assert.isFalse(Book.isValidSection({ title }), 'Content must be present');
             assert.isFalse(Book.isValidSection({ content }), 'Title must be present');
+            assert.isTrue(Book.isValidSection({ title, markdown: '# Hi' }), 'Markdown is valid');
+            assert.isTrue(Book.isValidSection({ title, text: 'Hi' }), 'Text is valid');
+            assert.isFalse(Book.isValidSection({ text: 'Hi' }), 'Text needs a title');
+        });
+    });
+
+    describe('.buildSection', () => {
+        it('converts markdown to content', () => {
+            const section = Book.buildSection({ title: 'Notes', markdown: '## Changes\n\n*New*' });
+            assert.equal(section.title, 'Notes');
+            assert.include(section.content, '<h2 id="changes">Changes</h2>');
+            assert.include(section.content, '<em>New</em>');
+            assert.isNull(section.html);
+        });
+
+        it('converts text to paragraphs', () => {
+            const section = Book.buildSection({
+                title: 'Report',
+                text: 'First line\nsecond <line>\n\nNext paragraph',
+            });
+            assert.equal(
+                section.content,
+                '<p>First line<br/>second &lt;line&gt;</p>\n<p>Next paragraph</p>'
+            );
+        });
+
+        it('keeps urls and html', () => {
+            const section = Book.buildSection({ url, html: '<p>Hi</p>' });
+            assert.deepEqual(section, { url, html: '<p>Hi</p>' });
         });
     });
 
@@ -172,6 +475,135 @@ describe('Book', () => {
             });
         });
 
+        it('normalizes section urls', () => {
+            const jsonBook = Book.fromJSON({
+                urls: ['http://a.com/post?utm_source=rss'],
+                sections: [{ url: 'http://b.com/post#comments' }],
+            });
+            assert.equal(jsonBook.getSections()[0].url, 'http://b.com/post');
+
+            const urlsBook = Book.fromJSON({ urls: ['http://a.com/post?utm_source=rss'] });
+            assert.equal(urlsBook.getSections()[0].url, 'http://a.com/post');
+        });
+
+        it('can keep an existing id', () => {
+            const jsonBook = Book.fromJSON(reqBody, 'existing-id');
+            assert.equal(jsonBook.getId(), 'existing-id');
+        });
+
+        it('accepts section failure options', () => {
+            const defaultBook = Book.fromJSON(reqBody);
+            assert.deepEqual(defaultBook.getOptions(), Book.DEFAULT_OPTIONS);
+
+            const optionsBook = Book.fromJSON(Object.assign({ skipFailedSections: true }, reqBody));
+            assert.isTrue(optionsBook.getOptions().skipFailedSections);
+            assert.isFalse(optionsBook.getOptions().failOnSectionError);
+        });
+
+        it('builds content sections', () => {
+            const contentBook = Book.fromJSON({
+                sections: [
+                    { url: 'http://a.com' },
+                    { title: 'Notes', markdown: '* one' },
+                    { title: 'Log', text: 'Done' },
+                    { title: 'Report', content: '<p>Report</p>' },
+                    { text: 'No title' },
+                ],
+            });
+            const sections = contentBook.getSections();
+            assert.lengthOf(sections, 4);
+            assert.deepEqual(sections.map(section => section.title), [
+                undefined,
+                'Notes',
+                'Log',
+                'Report',
+            ]);
+            assert.include(sections[1].content, '<li>one</li>');
+        });
+
+        it('accepts feeds', () => {
+            const feedBook = Book.fromJSON({
+                feeds: ['http://blog.fake/feed', { url: 'http://news.fake/rss', maxItems: 2 }],
+                feedFilters: { keyword: 'cats', maxItems: 5 },
+            });
+            assert.lengthOf(feedBook.getSections(), 0);
+            assert.deepEqual(feedBook.getOptions().feeds, [
+                { url: 'http://blog.fake/feed', keyword: 'cats', maxItems: 5 },
+                { url: 'http://news.fake/rss', keyword: 'cats', maxItems: 2 },
+            ]);
+        });
+
+        it('accepts a table of contents depth', () => {
+            const getTocDepth = attrs =>
+                Book.fromJSON(Object.assign({}, attrs, reqBody)).getOptions().tocDepth;
+            assert.equal(getTocDepth({}), 1);
+            assert.equal(getTocDepth({ tocDepth: 2 }), 2);
+            assert.equal(getTocDepth({ tocDepth: 9 }), 3);
+            const epub3Book = Book.fromJSON(Object.assign({ format: 'epub3' }, reqBody));
+            assert.equal(epub3Book.getOptions().tocDepth, 3);
+        });
+
+        it('accepts an image policy', () => {
+            const getImages = images =>
+                Book.fromJSON(Object.assign({ images }, reqBody)).getOptions().images;
+            const limits = Book.DEFAULT_OPTIONS.images;
+            assert.deepEqual(getImages(undefined), limits);
+            assert.deepEqual(getImages('all'), limits);
+            assert.equal(getImages('none').maxCount, 0);
+            assert.equal(getImages('first-per-section').maxPerSection, 1);
+            assert.deepEqual(
+                getImages({ maxCount: 5, maxBytes: limits.maxBytes * 2, maxPerSection: -1 }),
+                Object.assign({}, limits, { maxCount: 5 })
+            );
+            assert.deepEqual(getImages('scrapbook'), limits);
+        });
+
+        it('accepts a screen to fit images to', () => {
+            const screenBook = Book.fromJSON(Object.assign(
+                { screen: { width: 1072, height: 'tall' }, grayscale: true, svg: 'keep' },
+                reqBody
+            ));
+            assert.deepEqual(screenBook.getOptions().screen, {
+                width: 1072,
+                height: Book.DEFAULT_OPTIONS.screen.height,
+            });
+            assert.isTrue(screenBook.getOptions().grayscale);
+            assert.equal(screenBook.getOptions().svg, 'keep');
+            assert.equal(Book.fromJSON(reqBody).getOptions().svg, 'rasterize');
+        });
+
+        it('accepts an epub format', () => {
+            const epub3Book = Book.fromJSON(Object.assign({ format: 'epub3' }, reqBody));
+            assert.equal(epub3Book.getOptions().format, 'epub3');
+            const unknownBook = Book.fromJSON(Object.assign({ format: 'scroll' }, reqBody));
+            assert.equal(unknownBook.getOptions().format, 'epub2');
+        });
+
+        it('accepts a pdf page size', () => {
+            const getPageSize = pageSize =>
+                Book.fromJSON(Object.assign({ pageSize }, reqBody)).getOptions().pageSize;
+            assert.equal(getPageSize('6-inch'), '6-inch');
+            assert.equal(getPageSize('Letter'), 'Letter');
+            assert.equal(getPageSize('Scroll'), 'A4');
+        });
+
+        it('accepts formats to convert while publishing', () => {
+            const formats = ['pdf', 'epub', 'mobi', 'pdf', 'azw3', 'md'];
+            const formatsBook = Book.fromJSON(Object.assign({ formats }, reqBody));
+            assert.deepEqual(formatsBook.getOptions().formats, ['pdf', 'mobi', 'azw3', 'md']);
+        });
+
+        it('accepts a pagination option', () => {
+            const paginatedBook = Book.fromJSON(Object.assign({ followPagination: true }, reqBody));
+            assert.isTrue(paginatedBook.getOptions().followPagination);
+        });
+
+        it('accepts a list of figures option', () => {
+            const figuresBook = Book.fromJSON(Object.assign({ listOfFigures: true }, reqBody));
+            assert.isTrue(figuresBook.getOptions().listOfFigures);
+            assert.isFalse(Book.fromJSON(reqBody).getOptions().listOfFigures);
+        });
+
         it('accepts valid metadata', () => {
             const validMetadataKeys = ['title', 'author', 'description'];
 
@@ -249,6 +249,28 @@ describe('Content Downloader', () => {
             });
         });
 
+        it('decodes images in data urls', () => {
+            const png = fs.readFileSync(`${FIXTURES_PATH}/placeholder.png`);
+            const content = new ContentDownloader(`data:image/png;base64,${png.toString('base64')}`, {
+                path: Config.IMAGES_TMP,
+            });
+            const stub = sinon.stub(fs, 'outputFile').callsFake(fsStub);
+
+            return content.download().then((result) => {
+                assert.match(result.path, /\.png$/);
+                assert.equal(result.contentLength, png.length);
+                assert.isTrue(stub.calledWith(result.path, png));
+                stub.restore();
+            });
+        });
+
+        it('only decodes data urls of images', () =>
+            ContentDownloader.readDataUri('data:text/html,<script>alert(1)</script>')
+                .then(() => Promise.reject(new Error('.readDataUri should reject')))
+                .catch((err) => {
+                    assert.include(err.message, 'Unsupported data url');
+                }));
+
         it('rejects if no url has been provided', () => {
             const content = new ContentDownloader();
 
@@ -279,6 +301,7 @@ describe('Content Downloader', () => {
 
             return content.download().catch((error) => {
                 assert.match(error.toString(), /abort/i);
+                assert.equal(error.code, 'DOWNLOAD_TOO_LARGE');
                 scope.done();
             });
         });
@@ -3,6 +3,7 @@ const fs = require('fs');
 const { assert } = require('chai');
 
 const ContentExtractor = require('../lib/content-extractor');
+const SiteRules = require('../lib/site-rules');
 
 describe('Content Extractor', () => {
     describe('preprocess', () => {
@@ -20,18 +21,30 @@ describe('Content Extractor', () => {
         });
     });
 
+    describe('extract', () => {
+        it('resolves with no article for empty pages', () =>
+            ContentExtractor.extract('').then((article) => {
+                assert.isNull(article);
+            }));
+    });
+
+    describe('postprocess', () => {
+        it('keeps figures with their captions', () =>
+            ContentExtractor.postprocess('<main><figure><img src="a.jpg"><figcaption>The <em>caption</em></figcaption></figure></main>').then((postHtml) => {
+                assert.include(postHtml, '<figure><img src="a.jpg" style="height: auto; width: 100%;"><figcaption>The <em>caption</em></figcaption></figure>');
+            }));
+    });
+
     describe('site specific operations', () => {
-        const realOperations = ContentExtractor.URL_SPECIFIC_OPERATIONS;
+        const realRules = ContentExtractor.SITE_RULES;
         before(() => {
-            ContentExtractor.URL_SPECIFIC_OPERATIONS = {
-                'quora.com': {
-                    removeElement: ['.quora-junk'],
-                },
-            };
+            ContentExtractor.SITE_RULES = new SiteRules([
+                { name: 'quora', hosts: ['quora.com'], remove: ['.quora-junk'] },
+            ]);
         });
 
         after(() => {
-            ContentExtractor.URL_SPECIFIC_OPERATIONS = realOperations;
+            ContentExtractor.SITE_RULES = realRules;
         });
 
         it('can perform specific operations for a matching url', (done) => {
@@ -56,5 +69,12 @@ describe('Content Extractor', () => {
                 })
                 .catch(done);
         });
+
+        it('loads the site rules directory', () => {
+            const names = realRules.getRules().map(rule => rule.name);
+            ['quora', 'medium', 'substack', 'wikipedia', 'github-readme'].forEach((name) => {
+                assert.include(names, name);
+            });
+        });
     });
 });
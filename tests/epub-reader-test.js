@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+
+const Book = require('../lib/book');
+const Epub3Writer = require('../lib/epub3-writer');
+const EpubReader = require('../lib/epub-reader');
+
+const imagePath = `${__dirname}/fixtures/placeholder.png`;
+const folder = os.tmpdir();
+const filepath = `${folder}/reader-book.epub`;
+
+function writeEpub() {
+    const writer = new Epub3Writer(
+        {
+            id: 'reader-book',
+            title: 'Tea & Biscuits',
+            author: 'EpubPress',
+            language: 'en',
+        },
+        Book.DEFAULT_COVER_PATH,
+        Book.getToc
+    );
+    writer.addSection(
+        'Tea',
+        '<h1>Tea</h1><p>Green&nbsp;tea</p><img src="../images/placeholder.png"/>',
+        false,
+        false,
+        { lang: 'fr' }
+    );
+    writer.addSection('References', '<h2>References</h2><ol></ol>', false, false, {
+        type: 'backmatter',
+    });
+    writer.images = [imagePath];
+    writer.addCSS('p { margin: 0; }');
+    return new Promise((resolve, reject) => {
+        writer.writeEPUB(reject, folder, 'reader-book', resolve);
+    });
+}
+
+describe('Epub Reader', () => {
+    let epub;
+
+    before(() =>
+        writeEpub()
+            .then(() => EpubReader.open(filepath))
+            .then((reader) => {
+                epub = reader;
+            }));
+
+    after(() => {
+        fs.unlinkSync(filepath);
+    });
+
+    describe('.resolvePath', () => {
+        it('resolves hrefs relative to a file', () => {
+            assert.equal(
+                EpubReader.resolvePath('OEBPF/content/s1.xhtml', '../images/a%20b.png'),
+                'OEBPF/images/a b.png'
+            );
+            assert.equal(
+                EpubReader.resolvePath('OEBPF/content.opf', 'content/s1.xhtml#part'),
+                'OEBPF/content/s1.xhtml'
+            );
+        });
+    });
+
+    describe('#getMetadata', () => {
+        it('reads the package metadata', () => {
+            const metadata = epub.getMetadata();
+            assert.equal(metadata.title, 'Tea & Biscuits');
+            assert.equal(metadata.author, 'EpubPress');
+            assert.equal(metadata.language, 'en');
+        });
+    });
+
+    describe('#getSections', () => {
+        it('returns the reading order without the cover and contents', () => {
+            const sections = epub.getSections();
+            assert.deepEqual(sections.map(section => section.title), ['Tea', 'References']);
+            assert.equal(sections[0].href, 'OEBPF/content/s1.xhtml');
+            assert.equal(sections[0].lang, 'fr');
+            assert.include(sections[0].body, '<h1');
+            assert.include(sections[0].body, 'Green');
+        });
+    });
+
+    describe('#getImage', () => {
+        it('returns images and the cover', () => {
+            const image = epub.getImage('OEBPF/images/placeholder.png');
+            assert.deepEqual(image, fs.readFileSync(imagePath));
+            assert.deepEqual(epub.getCover().data, fs.readFileSync(Book.DEFAULT_COVER_PATH));
+            assert.equal(epub.getCover().mediaType, 'image/jpeg');
+        });
+    });
+
+    describe('#getToc', () => {
+        it('returns the table of contents and styles', () => {
+            const toc = epub.getToc();
+            assert.equal(toc.href, 'OEBPF/content/toc.xhtml');
+            assert.include(toc.body, 'href="s1.xhtml"');
+            assert.equal(epub.getMediaType('OEBPF/images/placeholder.png'), 'image/png');
+            assert.equal(epub.getStyles(), 'p { margin: 0; }');
+        });
+    });
+});
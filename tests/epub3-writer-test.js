@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+const JSZip = require('jszip');
+
+const Book = require('../lib/book');
+const Epub3Writer = require('../lib/epub3-writer');
+
+const metadata = {
+    id: 'epub3-book',
+    title: 'Tea & Biscuits',
+    author: 'EpubPress',
+    description: 'A book',
+    language: 'en',
+    genre: 'Unknown',
+    published: 2026,
+    images: [],
+};
+
+function buildWriter() {
+    const writer = new Epub3Writer(metadata, Book.DEFAULT_COVER_PATH, Book.getToc);
+    writer.addSection(
+        'Tea',
+        '<h1>Tea</h1><p>Green&nbsp;tea</p><h2>Brewing</h2><h3>Water</h3><h2>Serving</h2>',
+        false,
+        false,
+        { lang: 'fr' }
+    );
+    writer.addSection('References', '<h2>References</h2><ol></ol>', false, false, {
+        type: 'backmatter',
+    });
+    writer.addCSS('body {}');
+    return writer;
+}
+
+describe('Epub3 Writer', () => {
+    describe('.buildOutline', () => {
+        it('nests headings by level', () => {
+            const outline = Epub3Writer.buildOutline({ title: 'Section' }, [
+                { title: 'A', level: 2 },
+                { title: 'A.1', level: 3 },
+                { title: 'B', level: 2 },
+                { title: 'Top', level: 1 },
+            ]);
+            const titles = entries => entries.map(entry => entry.title);
+            assert.deepEqual(titles(outline.children), ['A', 'B', 'Top']);
+            assert.deepEqual(titles(outline.children[0].children), ['A.1']);
+        });
+    });
+
+    describe('.extractHeadings', () => {
+        it('adds ids to headings and outputs xhtml', () => {
+            const { content, headings } = Epub3Writer.extractHeadings(
+                '<h2 id="kept">Kept</h2><p>a<br>b&nbsp;c</p><h3>New</h3>',
+                's1'
+            );
+            assert.deepEqual(headings.map(heading => heading.id), ['kept', 's1-h2']);
+            assert.include(content, '<br/>');
+            assert.include(content, '&#xA0;');
+        });
+    });
+
+    describe('#getNav', () => {
+        it('lists sections with their nested headings', () => {
+            const nav = buildWriter().getNav();
+            assert.include(nav, '<nav epub:type="toc"');
+            assert.include(nav, '<a href="content/s1.xhtml">Tea</a>');
+            assert.include(nav, '<a href="content/s1.xhtml#s1-h3">Water</a>');
+            assert.notInclude(nav, 'content/s1.xhtml#s1-h1');
+            assert.notInclude(nav, 'content/s2.xhtml#s2-h1');
+        });
+
+        it('has landmarks', () => {
+            const nav = buildWriter().getNav();
+            ['cover', 'toc', 'bodymatter', 'backmatter'].forEach((type) => {
+                assert.include(nav, `epub:type="${type}"`);
+            });
+            assert.include(nav, '<a epub:type="backmatter" href="content/s2.xhtml">');
+        });
+    });
+
+    describe('tocDepth', () => {
+        it('uses the section headings up to the depth', () => {
+            const writer = new Epub3Writer(metadata, Book.DEFAULT_COVER_PATH, Book.getToc, {
+                tocDepth: 2,
+            });
+            writer.addSection('Guide', '<h1>Guide</h1><h2 id="a">A</h2><h3 id="b">B</h3>', false, false, {
+                headings: [{ id: 'a', level: 2, title: 'A' }, { id: 'b', level: 3, title: 'B' }],
+            });
+            const nav = writer.getNav();
+            assert.include(nav, '<a href="content/s1.xhtml#a">A</a>');
+            assert.notInclude(nav, '#b');
+            assert.include(writer.getNCX(), '<content src="content/s1.xhtml#a"/>');
+        });
+    });
+
+    describe('#getPackage', () => {
+        it('is an EPUB 3 package with accessibility metadata', () => {
+            const opf = buildWriter().getPackage();
+            assert.include(opf, 'version="3.0"');
+            assert.include(opf, '<dc:title>Tea &amp; Biscuits</dc:title>');
+            assert.include(opf, 'properties="nav"');
+            assert.include(opf, 'properties="cover-image"');
+            assert.include(opf, '<meta property="schema:accessibilityFeature">tableOfContents</meta>');
+            assert.match(opf, /<meta property="dcterms:modified">[\dT:-]+Z<\/meta>/);
+        });
+    });
+
+    describe('#getSection', () => {
+        it('tags sections with their language and type', () => {
+            const writer = buildWriter();
+            const [tea, references] = writer.getSectionFiles();
+            assert.include(writer.getSection(tea), 'lang="fr" xml:lang="fr"');
+            assert.include(writer.getSection(tea), '<section epub:type="bodymatter chapter">');
+            assert.include(writer.getSection(references), 'lang="en"');
+            assert.include(writer.getSection(references), '<section epub:type="backmatter">');
+        });
+    });
+
+    describe('#writeEPUB', () => {
+        const folder = os.tmpdir();
+        const filepath = `${folder}/epub3-book.epub`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('writes the epub with the mimetype first', (done) => {
+            buildWriter().writeEPUB(done, folder, 'epub3-book', () => {
+                const data = fs.readFileSync(filepath);
+                assert.equal(data.toString('utf8', 30, 38), 'mimetype');
+                JSZip.loadAsync(data)
+                    .then((zip) => {
+                        [
+                            'META-INF/container.xml',
+                            'OEBPF/content.opf',
+                            'OEBPF/nav.xhtml',
+                            'OEBPF/content/s1.xhtml',
+                            'OEBPF/images/cover.jpg',
+                        ].forEach(name => assert.isOk(zip.file(name), `${name} missing`));
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+    });
+});
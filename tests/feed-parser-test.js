@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+const { assert } = require('chai');
+
+const FeedParser = require('../lib/feed-parser');
+
+const rss = fs.readFileSync(`${__dirname}/fixtures/feeds/rss.xml`).toString();
+const atom = fs.readFileSync(`${__dirname}/fixtures/feeds/atom.xml`).toString();
+
+describe('Feed Parser', () => {
+    describe('parse', () => {
+        it('parses RSS feeds', () => {
+            const feed = FeedParser.parse(rss);
+            assert.equal(feed.title, 'Weekly Blog');
+            assert.lengthOf(feed.items, 3);
+
+            const [full, summary] = feed.items;
+            assert.equal(full.title, 'Full Post');
+            assert.equal(full.url, 'http://blog.fake/full-post');
+            assert.equal(full.date.toISOString(), '2026-10-12T10:00:00.000Z');
+            assert.include(full.content, '<p>The whole post about cats.</p>');
+            assert.isNull(summary.content);
+            assert.equal(summary.summary, '<p>Only a summary about dogs.</p>');
+        });
+
+        it('parses Atom feeds', () => {
+            const feed = FeedParser.parse(atom);
+            assert.equal(feed.title, 'Atom Blog');
+
+            const [xhtml, html, summary] = feed.items;
+            assert.equal(xhtml.url, 'http://atom.fake/xhtml-entry');
+            assert.equal(xhtml.content, '<p>Xhtml content.</p>');
+            assert.equal(html.content, '<p>Html content.</p>');
+            assert.equal(html.date.toISOString(), '2026-10-09T08:00:00.000Z');
+            assert.isNull(summary.content);
+        });
+
+        it('rejects documents that are not feeds', () => {
+            assert.throws(() => FeedParser.parse('<html><body></body></html>'), /Not an RSS/);
+        });
+    });
+
+    describe('filter', () => {
+        const { items } = FeedParser.parse(rss);
+        const titles = filteredItems => filteredItems.map(item => item.title);
+
+        it('filters by date range', () => {
+            const filtered = FeedParser.filter(items, { since: '2026-10-01', until: '2026-10-10' });
+            assert.deepEqual(titles(filtered), ['Summary Post']);
+        });
+
+        it('filters by keyword', () => {
+            const filtered = FeedParser.filter(items, { keyword: 'CATS' });
+            assert.deepEqual(titles(filtered), ['Full Post', 'Old Post']);
+        });
+
+        it('limits the number of items', () => {
+            assert.deepEqual(titles(FeedParser.filter(items, { maxItems: 1 })), ['Full Post']);
+        });
+    });
+
+    describe('toSections', () => {
+        it('uses full content when the feed has it', () => {
+            const sections = FeedParser.toSections(FeedParser.parse(rss));
+            assert.lengthOf(sections, 3);
+            assert.equal(sections[0].title, 'Full Post');
+            assert.include(sections[0].content, 'The whole post about cats.');
+            assert.deepEqual(sections[1], { url: 'http://blog.fake/summary-post', html: null });
+        });
+    });
+});
@@ -0,0 +1,252 @@
+const fs = require('fs-extra');
+
+const nock = require('nock');
+const { assert } = require('chai');
+
+const AppErrors = require('../lib/app-errors');
+const Fetcher = require('../lib/fetcher');
+const HttpCache = require('../lib/http-cache');
+
+const host = 'http://fetcher.fake';
+
+describe('Fetcher', () => {
+    const { RETRY_DELAY } = Fetcher;
+
+    before(() => {
+        Fetcher.RETRY_DELAY = 0;
+    });
+
+    after(() => {
+        Fetcher.RETRY_DELAY = RETRY_DELAY;
+    });
+
+    afterEach(() => {
+        nock.cleanAll();
+        return fs.remove(HttpCache.ROOT);
+    });
+
+    describe('.fetch', () => {
+        it('resolves with the response whatever its status', () => {
+            const scope = nock(host)
+                .get('/missing')
+                .reply(404, 'Not Found');
+
+            return Fetcher.fetch(`${host}/missing`).then((response) => {
+                assert.equal(response.statusCode, 404);
+                assert.equal(response.body, 'Not Found');
+                scope.done();
+            });
+        });
+
+        it('identifies itself', () => {
+            const scope = nock(host)
+                .matchHeader('User-Agent', Fetcher.USER_AGENT)
+                .get('/agent')
+                .reply(200, 'Hello');
+
+            return Fetcher.fetch(`${host}/agent`).then(() => {
+                assert.match(Fetcher.USER_AGENT, /^EpubPress\//);
+                scope.done();
+            });
+        });
+
+        it('can resolve with a buffer', () => {
+            nock(host)
+                .get('/image.png')
+                .reply(200, 'PNG');
+
+            return Fetcher.fetch(`${host}/image.png`, { encoding: null }).then((response) => {
+                assert.isTrue(Buffer.isBuffer(response.body));
+            });
+        });
+
+        it('serves fresh responses from the cache', () => {
+            const scope = nock(host)
+                .get('/fresh')
+                .once()
+                .reply(200, 'Fresh', { 'Cache-Control': 'max-age=600' });
+
+            return Fetcher.fetch(`${host}/fresh`)
+                .then(() => Fetcher.fetch(`${host}/fresh`))
+                .then((response) => {
+                    assert.isTrue(response.fromCache);
+                    assert.equal(response.body, 'Fresh');
+                    scope.done();
+                });
+        });
+
+        it('revalidates stale responses', () => {
+            const scope = nock(host)
+                .get('/stale')
+                .reply(200, 'Stale', { ETag: '"v1"' })
+                .get('/stale')
+                .matchHeader('If-None-Match', '"v1"')
+                .reply(304);
+
+            return Fetcher.fetch(`${host}/stale`)
+                .then(() => Fetcher.fetch(`${host}/stale`))
+                .then((response) => {
+                    assert.isTrue(response.fromCache);
+                    assert.equal(response.statusCode, 200);
+                    assert.equal(response.body, 'Stale');
+                    scope.done();
+                });
+        });
+
+        it('retries unavailable pages', () => {
+            const scope = nock(host)
+                .get('/busy')
+                .times(2)
+                .reply(503)
+                .get('/busy')
+                .reply(200, 'Done');
+
+            return Fetcher.fetch(`${host}/busy`).then((response) => {
+                assert.equal(response.body, 'Done');
+                scope.done();
+            });
+        });
+
+        it('gives up after the last retry', () => {
+            const scope = nock(host)
+                .get('/down')
+                .times(Fetcher.RETRIES + 1)
+                .reply(503);
+
+            return Fetcher.fetch(`${host}/down`).then((response) => {
+                assert.equal(response.statusCode, 503);
+                scope.done();
+            });
+        });
+
+        it('limits the requests running at once on a host', () => {
+            let running = 0;
+            let maxRunning = 0;
+            nock(host)
+                .get(/\/page\/\d/)
+                .times(5)
+                .reply((uri, body, callback) => {
+                    running += 1;
+                    maxRunning = Math.max(running, maxRunning);
+                    setTimeout(() => {
+                        running -= 1;
+                        callback(null, [200, 'Page']);
+                    }, 10);
+                });
+
+            const pages = [1, 2, 3, 4, 5].map(page => Fetcher.fetch(`${host}/page/${page}`));
+            return Promise.all(pages).then(() => {
+                assert.equal(maxRunning, Fetcher.HOST_CONCURRENCY);
+            });
+        });
+
+        it('throttles requests to a host', () => {
+            const { HOST_RATE, HOST_BURST } = Fetcher;
+            Fetcher.HOST_RATE = 20;
+            Fetcher.HOST_BURST = 1;
+            nock('http://throttled.fake')
+                .get('/')
+                .times(3)
+                .reply(200, 'Page');
+
+            const start = Date.now();
+            const pages = [1, 2, 3].map(() => Fetcher.fetch('http://throttled.fake/'));
+            return Promise.all(pages).then(() => {
+                Fetcher.HOST_RATE = HOST_RATE;
+                Fetcher.HOST_BURST = HOST_BURST;
+                assert.isAtLeast(Date.now() - start, 90);
+            });
+        });
+
+        it('rejects responses that are too large', () => {
+            nock(host)
+                .get('/large')
+                .reply(200, 'A large page');
+
+            return Fetcher.fetch(`${host}/large`, { maxSize: 5 })
+                .then(() => Promise.reject(new Error('.fetch should reject')))
+                .catch((error) => {
+                    assert.match(error.message, /abort/i);
+                    assert.equal(error.code, 'DOWNLOAD_TOO_LARGE');
+                });
+        });
+    });
+
+    describe('url policy', () => {
+        it('rejects urls of private networks', () =>
+            Fetcher.fetch('http://127.0.0.1/admin')
+                .then(() => Promise.reject(new Error('.fetch should reject')))
+                .catch((error) => {
+                    assert.equal(error.code, 'URL_NOT_ALLOWED');
+                }));
+
+        it('rejects redirects to private networks', () => {
+            const scope = nock(host)
+                .get('/redirect')
+                .reply(302, '', { Location: 'http://169.254.169.254/latest/meta-data/' });
+
+            return Fetcher.fetch(`${host}/redirect`)
+                .then(() => Promise.reject(new Error('.fetch should reject')))
+                .catch((error) => {
+                    assert.equal(error.code, 'URL_NOT_ALLOWED');
+                    scope.done();
+                });
+        });
+    });
+
+    describe('.get', () => {
+        it('rejects unsuccessful responses', () => {
+            nock(host)
+                .get('/gone')
+                .reply(410);
+
+            return Fetcher.get(`${host}/gone`)
+                .then(() => Promise.reject(new Error('.get should reject')))
+                .catch((error) => {
+                    assert.equal(error.statusCode, 410);
+                });
+        });
+    });
+
+    describe('.checkRobots', () => {
+        before(() => {
+            Fetcher.RESPECT_ROBOTS_TXT = true;
+        });
+
+        after(() => {
+            Fetcher.RESPECT_ROBOTS_TXT = false;
+        });
+
+        it('rejects pages disallowed by robots.txt', () => {
+            const robotsHost = 'http://robots.fake';
+            const scope = nock(robotsHost)
+                .get('/robots.txt')
+                .once()
+                .reply(200, 'User-agent: *\nDisallow: /private/')
+                .get('/public/page')
+                .reply(200, 'Public');
+
+            return Fetcher.fetch(`${robotsHost}/public/page`)
+                .then(() => Fetcher.fetch(`${robotsHost}/private/page`))
+                .then(() => Promise.reject(new Error('.fetch should reject')))
+                .catch((error) => {
+                    assert.equal(error.code, 'ROBOTS_DISALLOWED');
+                    assert.equal(error.message, AppErrors.api.ROBOTS_DISALLOWED.message);
+                    scope.done();
+                });
+        });
+
+        it('allows every page without a robots.txt', () => {
+            const scope = nock('http://norobots.fake')
+                .get('/robots.txt')
+                .reply(404)
+                .get('/page')
+                .reply(200, 'Page');
+
+            return Fetcher.fetch('http://norobots.fake/page').then((response) => {
+                assert.equal(response.body, 'Page');
+                scope.done();
+            });
+        });
+    });
+});
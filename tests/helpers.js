@@ -8,6 +8,55 @@ class TestHelpers {
         return Promise.resolve(error);
     }
 
+    /*
+        Reads Kindle books (see MobiWriter): PalmDOC decompression, the Palm database
+        records and the text of the text records.
+    */
+    /* eslint-disable no-bitwise */
+    static decompress(data) {
+        const output = [];
+        let i = 0;
+        while (i < data.length) {
+            const byte = data[i];
+            i += 1;
+            if (byte >= 1 && byte <= 8) {
+                output.push(...data.slice(i, i + byte));
+                i += byte;
+            } else if (byte < 0x80) {
+                output.push(byte);
+            } else if (byte >= 0xc0) {
+                output.push(0x20, byte ^ 0x80);
+            } else {
+                const code = (byte << 8) | data[i];
+                i += 1;
+                const distance = (code >> 3) & 0x7ff;
+                for (let length = (code & 7) + 3; length > 0; length -= 1) {
+                    output.push(output[output.length - distance]);
+                }
+            }
+        }
+        return Buffer.from(output);
+    }
+    /* eslint-enable no-bitwise */
+
+    static readRecords(database) {
+        const count = database.readUInt16BE(76);
+        const offsets = [];
+        for (let i = 0; i < count; i += 1) {
+            offsets.push(database.readUInt32BE(78 + (i * 8)));
+        }
+        return offsets.map((offset, i) =>
+            database.slice(offset, offsets[i + 1] || database.length));
+    }
+
+    static readText(records) {
+        const textRecordCount = records[0].readUInt16BE(8);
+        return Buffer.concat(records.slice(1, textRecordCount + 1).map((record) => {
+            const overlap = record[record.length - 1];
+            return TestHelpers.decompress(record.slice(0, record.length - overlap - 1));
+        }));
+    }
+
     static assertNoFile(filename) {
         return new Promise((resolve, reject) => {
             fs.stat(filename, (err) => {
@@ -1,6 +1,7 @@
 'use strict';
 
 const { assert } = require('chai');
+const cheerio = require('cheerio');
 const glob = require('glob');
 const fs = require('fs-extra');
 const nock = require('nock');
@@ -267,6 +268,174 @@ describe('HTML Processor', () => {
         });
     });
 
+    describe('Headings', () => {
+        it('gives headings stable ids', () => {
+            const html = [
+                '<h1>Title</h1>',
+                '<h2>Getting Started</h2>',
+                '<h3 id="kept">Install &amp; Run</h3>',
+                '<h2>Getting started</h2>',
+                '<h2>2019 Notes</h2>',
+                '<h3>Привет</h3>',
+                '<h2> </h2>',
+            ].join('');
+            const { html: anchoredHtml, headings } = HtmlProcessor.anchorHeadings(html);
+
+            assert.deepEqual(headings, [
+                { id: 'getting-started', level: 2, title: 'Getting Started' },
+                { id: 'kept', level: 3, title: 'Install & Run' },
+                { id: 'getting-started-2', level: 2, title: 'Getting started' },
+                { id: 'heading-2019-notes', level: 2, title: '2019 Notes' },
+                { id: 'heading', level: 3, title: 'Привет' },
+            ]);
+            assert.include(anchoredHtml, '<h2 id="getting-started">Getting Started</h2>');
+            assert.include(anchoredHtml, '<h1>Title</h1>');
+        });
+    });
+
+    describe('Figures', () => {
+        it('fills in missing alt text from captions', () => {
+            const html = HtmlProcessor.addAltFromCaptions(
+                'figure',
+                '<figure><img src="a.jpg"><img src="b.jpg" alt="Kept"><figcaption> Sales  &amp; "costs" </figcaption></figure><img src="c.jpg">'
+            );
+            assert.equal(
+                html,
+                '<figure><img src="a.jpg" alt="Sales &amp; &quot;costs&quot;"><img src="b.jpg" alt="Kept"><figcaption> Sales  &amp; "costs" </figcaption></figure><img src="c.jpg">'
+            );
+        });
+
+        it('gives figures with a caption an id', () => {
+            const html = [
+                '<p id="figure-1"></p>',
+                '<figure><img src="a.jpg"><figcaption>Sales &amp; costs</figcaption></figure>',
+                '<figure id="kept"><img src="b.jpg" alt="Map"></figure>',
+                '<figure><img src="c.jpg"></figure>',
+            ].join('');
+            const { html: anchoredHtml, figures } = HtmlProcessor.anchorFigures(html);
+
+            assert.deepEqual(figures, [
+                { id: 'figure-1-2', caption: 'Sales & costs' },
+                { id: 'kept', caption: 'Map' },
+            ]);
+            assert.include(anchoredHtml, '<figure id="figure-1-2">');
+            assert.include(anchoredHtml, '<figure><img src="c.jpg"></figure>');
+        });
+
+        it('turns figures into divs', () => {
+            const html = HtmlProcessor.convertFiguresToDivs([
+                '<figure id="f1" class="wide"><img src="a.jpg"><figcaption>Sales</figcaption></figure>',
+                '<figure><img src="b.jpg"><figcaption><p>Costs</p><p>By year</p></figcaption></figure>',
+            ].join(''));
+            assert.equal(html, [
+                '<div id="f1" class="wide figure"><img src="a.jpg"><p class="caption">Sales</p></div>',
+                '<div class="figure"><img src="b.jpg"><div class="caption"><p>Costs</p><p>By year</p></div></div>',
+            ].join(''));
+        });
+    });
+
+    describe('Fingerprint', () => {
+        it('matches articles with the same text regardless of their title', () => {
+            const fingerprint = HtmlProcessor.getFingerprint('<h1>Title</h1><p>Some  Text</p>');
+            assert.equal(HtmlProcessor.getFingerprint('<h1>AMP Title</h1><p>Some text</p>'), fingerprint);
+            assert.notEqual(HtmlProcessor.getFingerprint('<h1>Title</h1><p>Other text</p>'), fingerprint);
+            assert.isUndefined(HtmlProcessor.getFingerprint('<h1>Title</h1>'));
+        });
+    });
+
+    describe('Language', () => {
+        it('reads the document language', () => {
+            assert.equal(HtmlProcessor.getLanguage('<html lang="fr-CA"><body></body></html>'), 'fr-CA');
+            assert.equal(
+                HtmlProcessor.getLanguage('<meta http-equiv="Content-Language" content="de">'),
+                'de'
+            );
+            assert.isUndefined(HtmlProcessor.getLanguage('<html><body></body></html>'));
+            assert.isUndefined(HtmlProcessor.getLanguage(undefined));
+        });
+    });
+
+    describe('Image Sources', () => {
+        it('parses srcset candidates', () => {
+            assert.deepEqual(
+                HtmlProcessor.parseSrcset('small.jpg 480w, https://cdn.fake/w_800,h_600/large.jpg 800w'),
+                [
+                    { url: 'small.jpg', width: 480, density: undefined },
+                    { url: 'https://cdn.fake/w_800,h_600/large.jpg', width: 800, density: undefined },
+                ]
+            );
+            assert.deepEqual(HtmlProcessor.parseSrcset('a.jpg,b.jpg 2x'), [
+                { url: 'a.jpg,b.jpg', width: undefined, density: 2 },
+            ]);
+            assert.deepEqual(HtmlProcessor.parseSrcset('a.jpg, b.jpg 2x').map(c => c.url), [
+                'a.jpg',
+                'b.jpg',
+            ]);
+        });
+
+        it('picks the largest srcset candidate that fits', () => {
+            const html = HtmlProcessor.resolveImageSources(
+                'img',
+                '<img src="s.jpg" srcset="m.jpg 800w, l.jpg 1400w, xl.jpg 3000w"><img srcset="1.jpg 1x, 2.jpg 2x" sizes="100vw, 300px">'
+            );
+            assert.equal(html, '<img src="l.jpg"><img src="2.jpg">');
+        });
+
+        it('uses the sizes images are displayed at', () => {
+            const html = HtmlProcessor.resolveImageSources(
+                'img',
+                '<img srcset="m.jpg 400w, l.jpg 1400w" sizes="(max-width: 600px) 100vw, 200px">'
+            );
+            assert.equal(html, '<img src="m.jpg">');
+        });
+
+        it('resolves lazy loaded images', () => {
+            const html = HtmlProcessor.resolveImageSources(
+                'img',
+                '<img src="placeholder.gif" data-src="a.jpg"><img data-lazy-srcset="b.jpg 600w">'
+            );
+            assert.equal(html, '<img src="a.jpg"><img src="b.jpg">');
+        });
+
+        it('uses the noscript copy of lazy loaded images', () => {
+            const html = HtmlProcessor.resolveImageSources(
+                'img',
+                '<p><img class="lazy" src="placeholder.gif"><noscript><img src="a.jpg"></noscript></p>'
+            );
+            assert.equal(html, '<p><img src="a.jpg"></p>');
+        });
+
+        it('picks the picture source readers can display', () => {
+            const html = HtmlProcessor.resolveImageSources(
+                'img',
+                [
+                    '<picture>',
+                    '<source type="image/webp" srcset="a.webp 800w">',
+                    '<source type="image/jpeg" srcset="a.jpg 800w">',
+                    '<img src="fallback.jpg">',
+                    '</picture>',
+                ].join('')
+            );
+            assert.equal(html, '<img src="a.jpg">');
+        });
+    });
+
+    describe('SVG', () => {
+        it('turns inline SVG figures into images', () => {
+            const html = HtmlProcessor.convertSvgToImages(
+                'svg',
+                '<figure><svg viewBox="0 0 400 300"><title>Growth "2x"</title><rect width="400" height="300"/></svg></figure><svg width="16" height="16"></svg>'
+            );
+            const $ = cheerio.load(html);
+            const src = $('figure img').attr('src');
+
+            assert.equal($('figure img').attr('alt'), 'Growth "2x"');
+            assert.match(src, /^data:image\/svg\+xml;base64,/);
+            assert.include(Buffer.from(src.split(',')[1], 'base64').toString(), '<rect width="400" height="300">');
+            assert.lengthOf($('svg'), 1);
+        });
+    });
+
     describe('Image Extraction', () => {
         let scope;
         beforeEach(() => {
@@ -295,6 +464,35 @@ describe('HTML Processor', () => {
                 scope.isDone();
             }));
 
+        it('only downloads the images within its limits', () =>
+            HtmlProcessor.extractImages(mockSection.url, mockSection.html, { maxCount: 1 })
+                .then((output) => {
+                    assert.lengthOf(output.images, 1);
+                    assert.isAbove(output.found, 1);
+                    assert.isAbove(output.bytes, 0);
+                }));
+
+        it('leaves a placeholder for images over the size limits', () =>
+            HtmlProcessor.extractImages(
+                mockSection.url,
+                '<figure><img src="/image.png"><figcaption>A <em>chart</em></figcaption></figure><img src="/picture.png">',
+                { maxBytes: 100 }
+            ).then((output) => {
+                assert.include(output.html, '<span class="image-placeholder">[Image not included: A chart]</span>');
+                assert.include(output.html, '<span class="image-placeholder">[Image not included]</span>');
+                assert.equal(output.skipped, 2);
+                assert.lengthOf(output.images, 0);
+            }));
+
+        it('removes images without placeholders when no bytes are left', () =>
+            HtmlProcessor.extractImages(mockSection.url, '<p>Chart <img src="/image.png"></p>', {
+                maxBytes: 0,
+            }).then((output) => {
+                assert.equal(output.html, '<p>Chart </p>');
+                assert.equal(output.skipped, 0);
+                assert.lengthOf(output.images, 0);
+            }));
+
         it('saves images in the specified folder', (done) => {
             HtmlProcessor.extractImages(mockSection.url, mockSection.html)
                 .then(() => {
@@ -326,6 +524,21 @@ describe('HTML Processor', () => {
                 .catch(done);
         });
 
+        it('sanitizes SVG images from data: urls it keeps', () => {
+            const svg = '<svg viewBox="0 0 400 300" onload="alert(1)"><script>alert(2)</script><rect width="400" height="300"/></svg>';
+            const src = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+            return HtmlProcessor.extractImages(mockSection.url, `<img src="${src}">`, { svg: 'keep' })
+                .then((output) => {
+                    assert.lengthOf(output.images, 1);
+                    const [imagePath] = output.images;
+                    const saved = fs.readFileSync(imagePath, 'utf8');
+                    fs.unlinkSync(imagePath);
+                    assert.match(imagePath, /\.svg$/);
+                    assert.notInclude(saved, 'alert');
+                    assert.include(saved, '<rect width="400" height="300">');
+                });
+        });
+
         describe('helpers', () => {
             it('can convert urls', () => {
                 const root = 'http://test.fake/hello/stuff.html';
@@ -360,6 +573,14 @@ describe('HTML Processor', () => {
                     assert.equal(HtmlProcessor.absolutifyUrl(root, test), expected[idx]);
                 });
             });
+
+            it('leaves urls alone without a root', () => {
+                assert.equal(HtmlProcessor.absolutifyUrl(undefined, 'image.png'), 'image.png');
+                assert.equal(
+                    HtmlProcessor.absolutifyUrl(undefined, '//cdn.com/image.png'),
+                    'http://cdn.com/image.png'
+                );
+            });
         });
     });
 });
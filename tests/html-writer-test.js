@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+const cheerio = require('cheerio');
+
+const HtmlWriter = require('../lib/html-writer');
+
+const image = fs.readFileSync(`${__dirname}/fixtures/placeholder.png`);
+
+function buildEpub() {
+    return {
+        getMetadata: () => ({ title: 'Tea & Biscuits', author: 'EpubPress', language: 'en' }),
+        getCover: () => ({ data: image, mediaType: 'image/png' }),
+        getImage: href => (href === 'OEBPF/images/tea.png' ? image : undefined),
+        getMediaType: () => 'image/png',
+        getStyles: () => 'p { text-indent: 1em; }',
+        getToc: () => ({
+            href: 'OEBPF/content/toc.xhtml',
+            body: [
+                '<h2>Table Of Contents</h2>',
+                '<ol class="toc-items"><li><a href="s1.xhtml">Tea</a>',
+                '<ol><li><a href="s1.xhtml#brewing">Brewing</a></li></ol></li></ol>',
+            ].join(''),
+        }),
+        getSections: () => [
+            {
+                href: 'OEBPF/content/s1.xhtml',
+                title: 'Tea',
+                lang: 'fr',
+                body: [
+                    '<h1>Tea</h1>',
+                    '<h2 id="brewing">Brewing</h2>',
+                    '<p><a href="https://tea.fake">Tea</a> <a href="s2.xhtml">References</a></p>',
+                    '<p><img src="../images/tea.png"/><img src="../images/missing.gif" alt="Cup"/></p>',
+                    '<script>steep()</script>',
+                ].join('\n'),
+            },
+            { href: 'OEBPF/content/s2.xhtml', title: 'References', body: '<ol><li>A</li></ol>' },
+        ],
+    };
+}
+
+describe('Html Writer', () => {
+    describe('#getHtml', () => {
+        const $ = cheerio.load(new HtmlWriter(buildEpub()).getHtml());
+
+        it('inlines the styles and images', () => {
+            assert.include($('style').html(), 'p { text-indent: 1em; }');
+            assert.match($('.cover img').attr('src'), /^data:image\/png;base64,/);
+            assert.equal($('#section-1 img').attr('src'), `data:image/png;base64,${image.toString('base64')}`);
+            assert.lengthOf($('img'), 2);
+            assert.include($('#section-1').text(), 'Cup');
+            assert.lengthOf($('script'), 0);
+        });
+
+        it('links the contents to the sections', () => {
+            assert.deepEqual($('#toc a').map((index, elem) => $(elem).attr('href')).get(), [
+                '#section-1',
+                '#section-1-brewing',
+            ]);
+            assert.equal($('#section-1').attr('lang'), 'fr');
+            assert.lengthOf($('#section-1-brewing'), 1);
+            assert.equal($('a:contains("References")').attr('href'), '#section-2');
+            assert.equal($('#section-1 a').first().attr('href'), 'https://tea.fake');
+        });
+    });
+
+    describe('#write', () => {
+        const filepath = `${os.tmpdir()}/tea.html`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('writes one html file', () =>
+            new HtmlWriter(buildEpub()).write(filepath).then(() => {
+                const html = fs.readFileSync(filepath, 'utf-8');
+                assert.match(html, /^<!DOCTYPE html>\n<html lang="en">/);
+                assert.include(html, '<title>Tea &amp; Biscuits</title>');
+            }));
+    });
+});
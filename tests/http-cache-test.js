@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+
+const { assert } = require('chai');
+
+const HttpCache = require('../lib/http-cache');
+
+const url = 'http://cache.fake/page';
+const response = (headers, statusCode = 200) => ({ statusCode, headers, body: Buffer.from('Page') });
+
+describe('HttpCache', () => {
+    after(() => fs.remove(HttpCache.ROOT));
+
+    describe('.getMaxAge', () => {
+        it('reads Cache-Control and Expires', () => {
+            assert.equal(HttpCache.getMaxAge({ 'cache-control': 'public, max-age=60' }), 60);
+            assert.equal(HttpCache.getMaxAge({ 'cache-control': 's-maxage=30, max-age=60' }), 30);
+            assert.equal(HttpCache.getMaxAge({ 'cache-control': 'max-age=60, no-cache' }), 0);
+            assert.equal(
+                HttpCache.getMaxAge({
+                    date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+                    expires: 'Mon, 19 Oct 2026 10:02:00 GMT',
+                }),
+                120
+            );
+            assert.equal(HttpCache.getMaxAge({}), 0);
+        });
+    });
+
+    describe('.isStorable', () => {
+        it('keeps responses that are fresh or can be revalidated', () => {
+            assert.isTrue(HttpCache.isStorable(response({ 'cache-control': 'max-age=60' })));
+            assert.isTrue(HttpCache.isStorable(response({ etag: '"v1"' })));
+            assert.isTrue(HttpCache.isStorable(response({ 'last-modified': 'Mon, 19 Oct 2026 10:00:00 GMT' })));
+        });
+
+        it('skips other responses', () => {
+            assert.isFalse(HttpCache.isStorable(response({})));
+            assert.isFalse(HttpCache.isStorable(response({ etag: '"v1"', 'cache-control': 'no-store' })));
+            assert.isFalse(HttpCache.isStorable(response({ 'cache-control': 'private, max-age=60' })));
+            assert.isFalse(HttpCache.isStorable(response({ etag: '"v1"' }, 404)));
+        });
+    });
+
+    describe('.set', () => {
+        it('stores responses with their expiry', () =>
+            HttpCache.set(url, response({ etag: '"v1"', 'cache-control': 'max-age=60' }))
+                .then(() => HttpCache.get(url))
+                .then((entry) => {
+                    assert.equal(entry.body.toString(), 'Page');
+                    assert.deepEqual(HttpCache.getValidators(entry.headers), { 'If-None-Match': '"v1"' });
+                    assert.isTrue(HttpCache.isFresh(entry));
+                }));
+
+        it('refreshes revalidated entries', () =>
+            HttpCache.set(url, response({ etag: '"v1"', 'content-type': 'text/html' }))
+                .then(entry => HttpCache.refresh(entry, { 'cache-control': 'max-age=60' }))
+                .then(() => HttpCache.get(url))
+                .then((entry) => {
+                    assert.equal(entry.body.toString(), 'Page');
+                    assert.equal(entry.headers['content-type'], 'text/html');
+                    assert.isTrue(HttpCache.isFresh(entry));
+                }));
+    });
+
+    describe('.removeOlderThan', () => {
+        it('removes entries stored before a date', () =>
+            HttpCache.set(url, response({ etag: '"v1"' }))
+                .then(() => HttpCache.removeOlderThan(new Date(Date.now() + 1000)))
+                .then(() => HttpCache.get(url))
+                .then((entry) => {
+                    assert.isNull(entry);
+                }));
+    });
+});
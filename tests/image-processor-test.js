@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const Jimp = require('jimp');
+const sharp = require('sharp');
+const { assert } = require('chai');
+
+const Config = require('../lib/config');
+const ImageProcessor = require('../lib/image-processor');
+
+const outputFolder = `${Config.TMP}/image-processor-test`;
+
+function writeImage(filename, mime, width, height) {
+    const imagePath = `${outputFolder}/${filename}`;
+    return new Promise((resolve, reject) => {
+        // eslint-disable-next-line no-new
+        new Jimp(width, height, 0xff0000ff, (error, image) => {
+            image.getBuffer(mime, (bufferError, buffer) => {
+                if (error || bufferError) {
+                    reject(error || bufferError);
+                } else {
+                    resolve(fs.outputFile(imagePath, buffer).then(() => imagePath));
+                }
+            });
+        });
+    });
+}
+
+function writeSharpImage(filename, format, channels = 3) {
+    const create = {
+        width: 40,
+        height: 30,
+        channels,
+        background: 'red',
+    };
+    return sharp({ create })[format]()
+        .toBuffer()
+        .then(buffer => fs.outputFile(`${outputFolder}/${filename}`, buffer));
+}
+
+describe('ImageProcessor', () => {
+    afterEach(() => fs.remove(outputFolder));
+
+    describe('.process', () => {
+        it('downsizes images larger than the screen', () =>
+            writeImage('large.jpg', Jimp.MIME_JPEG, 400, 200)
+                .then(imagePath => ImageProcessor.process(imagePath, { maxWidth: 100 }))
+                .then(result => Jimp.read(result.path))
+                .then((image) => {
+                    assert.equal(image.bitmap.width, 100);
+                    assert.equal(image.bitmap.height, 50);
+                }));
+
+        it('converts formats readers can not display', () =>
+            writeImage('screenshot.bmp', Jimp.MIME_BMP, 50, 50).then(imagePath =>
+                ImageProcessor.process(imagePath).then((result) => {
+                    assert.match(result.path, /screenshot\.png$/);
+                    assert.isAbove(result.savedBytes, 0);
+                    assert.isFalse(fs.existsSync(imagePath));
+                })));
+
+        it('can convert images to grayscale', () =>
+            writeImage('red.png', Jimp.MIME_PNG, 10, 10)
+                .then(imagePath => ImageProcessor.process(imagePath, { grayscale: true }))
+                .then(result => Jimp.read(result.path))
+                .then((image) => {
+                    const { r, g, b } = Jimp.intToRGBA(image.getPixelColor(0, 0));
+                    assert.equal(r, g);
+                    assert.equal(g, b);
+                }));
+
+        it('leaves other images as they are', () =>
+            fs
+                .outputFile(`${outputFolder}/animation.gif`, 'GIF89a')
+                .then(() => ImageProcessor.process(`${outputFolder}/animation.gif`))
+                .then((result) => {
+                    assert.equal(result.path, `${outputFolder}/animation.gif`);
+                    assert.equal(result.savedBytes, 0);
+                }));
+
+        it('rasterizes SVG images', () =>
+            fs
+                .outputFile(
+                    `${outputFolder}/diagram.svg`,
+                    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 20"><rect width="40" height="20"/></svg>'
+                )
+                .then(() => ImageProcessor.process(`${outputFolder}/diagram.svg`))
+                .then((result) => {
+                    assert.equal(result.path, `${outputFolder}/diagram.png`);
+                    assert.isFalse(fs.existsSync(`${outputFolder}/diagram.svg`));
+                    return Jimp.read(result.path);
+                })
+                .then((image) => {
+                    assert.equal(image.bitmap.width, 80);
+                }));
+
+        it('can keep or remove SVG images', () =>
+            fs
+                .outputFile(`${outputFolder}/diagram.svg`, '<svg xmlns="http://www.w3.org/2000/svg"/>')
+                .then(() => ImageProcessor.process(`${outputFolder}/diagram.svg`, { svg: 'keep' }))
+                .then((result) => {
+                    assert.equal(result.path, `${outputFolder}/diagram.svg`);
+                    return ImageProcessor.process(result.path, { svg: 'remove' });
+                })
+                .then(() => Promise.reject(new Error('.process should reject')))
+                .catch((error) => {
+                    assert.include(error.message, 'SVG images are left out');
+                }));
+
+        it('sanitizes SVG images it keeps', () =>
+            fs
+                .outputFile(
+                    `${outputFolder}/diagram.svg`,
+                    [
+                        '<?xml version="1.0"?>',
+                        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 20" onload="alert(1)">',
+                        '<script>alert(2)</script>',
+                        '<image href="https://tracker.fake/pixel.png"/>',
+                        '<linearGradient id="g"/><rect width="40" height="20" fill="url(#g)"/>',
+                        '</svg>',
+                    ].join('')
+                )
+                .then(() => ImageProcessor.process(`${outputFolder}/diagram.svg`, { svg: 'keep' }))
+                .then((result) => {
+                    const svg = fs.readFileSync(result.path, 'utf8');
+                    assert.notMatch(svg, /alert|tracker/);
+                    assert.include(svg, '<linearGradient id="g">');
+                    assert.include(svg, 'viewBox="0 0 40 20"');
+                    assert.isAbove(result.savedBytes, 0);
+                    assert.equal(result.size, svg.length);
+                }));
+
+        it('rejects SVG images without an svg element', () =>
+            fs
+                .outputFile(`${outputFolder}/page.svg`, '<html><script>alert(1)</script></html>')
+                .then(() => ImageProcessor.process(`${outputFolder}/page.svg`, { svg: 'keep' }))
+                .then(() => Promise.reject(new Error('.process should reject')))
+                .catch((error) => {
+                    assert.include(error.message, 'Not an SVG image');
+                }));
+
+        it('converts WebP and AVIF images', () => {
+            const written = [writeSharpImage('photo.webp', 'webp'), writeSharpImage('logo.avif', 'avif', 4)];
+            return Promise.all(written)
+                .then(() => Promise.all([
+                    ImageProcessor.process(`${outputFolder}/photo.webp`),
+                    ImageProcessor.process(`${outputFolder}/logo.avif`),
+                ]))
+                .then(([photo, logo]) => {
+                    assert.equal(photo.path, `${outputFolder}/photo.jpg`);
+                    assert.equal(logo.path, `${outputFolder}/logo.png`);
+                    assert.isFalse(fs.existsSync(`${outputFolder}/photo.webp`));
+                    return Jimp.read(photo.path);
+                })
+                .then((image) => {
+                    assert.equal(image.bitmap.width, 40);
+                    assert.equal(image.bitmap.height, 30);
+                });
+        });
+
+        it('rejects WebP images it can not decode', () =>
+            fs
+                .outputFile(`${outputFolder}/broken.webp`, 'RIFF\u0000\u0000\u0000\u0000WEBPVP8 ')
+                .then(() => ImageProcessor.process(`${outputFolder}/broken.webp`))
+                .then(() => Promise.reject(new Error('.process should reject')))
+                .catch((error) => {
+                    assert.notInclude(error.message, 'should reject');
+                }));
+
+        it('leaves out WebP images with too many pixels', () =>
+            writeSharpImage('huge.webp', 'webp')
+                .then(() => ImageProcessor.process(`${outputFolder}/huge.webp`, { maxPixels: 1000 }))
+                .then(() => Promise.reject(new Error('.process should reject')))
+                .catch((error) => {
+                    assert.include(error.message, 'Image too large: 40x30');
+                }));
+
+        it('leaves out images with too many pixels without decoding them', () =>
+            writeImage('huge.png', Jimp.MIME_PNG, 40, 30)
+                .then(imagePath => ImageProcessor.process(imagePath, { maxPixels: 1000 }))
+                .then(() => Promise.reject(new Error('.process should reject')))
+                .catch((error) => {
+                    assert.include(error.message, 'Image too large: 40x30');
+                }));
+    });
+
+    describe('.getDimensions', () => {
+        [
+            ['photo.jpg', Jimp.MIME_JPEG],
+            ['chart.png', Jimp.MIME_PNG],
+            ['screenshot.bmp', Jimp.MIME_BMP],
+        ].forEach(([filename, mime]) => {
+            it(`reads the size of ${filename} from its header`, () =>
+                writeImage(filename, mime, 40, 30).then((imagePath) => {
+                    const dimensions = ImageProcessor.getDimensions(fs.readFileSync(imagePath));
+                    assert.deepEqual(dimensions, { width: 40, height: 30 });
+                }));
+        });
+
+        it('reads the size of GIFs', () => {
+            const gif = Buffer.from([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x28, 0x00, 0x1e, 0x00]);
+            assert.deepEqual(ImageProcessor.getDimensions(gif), { width: 40, height: 30 });
+        });
+
+        it('is undefined for other files', () => {
+            assert.isUndefined(ImageProcessor.getDimensions(Buffer.from('<svg/>')));
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+const { assert } = require('chai');
+const JSZip = require('jszip');
+
+const Book = require('../../lib/book');
+
+const sections = [
+    {
+        title: 'Tea',
+        url: 'https://example.com/tea',
+        xhtml: '<h1>Tea</h1><p>Green tea &amp; thé vert.</p><h2 id="brewing">Brewing</h2>' +
+            '<p>Steep for <em>three</em> minutes.</p>',
+    },
+    {
+        title: 'Biscuits',
+        url: 'https://example.com/biscuits',
+        xhtml: '<h1>Biscuits</h1><p>Shortbread goes with every tea.</p>',
+    },
+];
+
+const checks = {
+    mobi: data => assert.equal(data.toString('ascii', 60, 68), 'BOOKMOBI'),
+    azw3: (data) => {
+        assert.equal(data.toString('ascii', 60, 68), 'BOOKMOBI');
+        const record0 = data.readUInt32BE(78);
+        assert.equal(data.readUInt32BE(record0 + 36), 8);
+    },
+    pdf: data => assert.equal(data.toString('ascii', 0, 5), '%PDF-'),
+    html: (data) => {
+        assert.include(data.toString('utf8'), 'Steep for <em>three</em> minutes.');
+        assert.include(data.toString('utf8'), 'Shortbread goes with every tea.');
+    },
+    md: data => JSZip.loadAsync(data).then((zip) => {
+        const markdown = zip.file(/\.md$/)[0];
+        return markdown.async('string').then((text) => {
+            assert.include(text, 'Steep for _three_ minutes.');
+            assert.include(text, 'Shortbread goes with every tea.');
+        });
+    }),
+    txt: (data) => {
+        assert.include(data.toString('utf8'), 'Green tea & thé vert.');
+        assert.include(data.toString('utf8'), 'Shortbread goes with every tea.');
+    },
+};
+
+describe('Format Conversions', function describeConversions() {
+    this.timeout(30000);
+    const metadata = {
+        id: 'conversions',
+        title: 'Tea & Biscuits',
+        author: 'EpubPress',
+        language: 'en',
+    };
+    const book = new Book(metadata, sections);
+
+    before(() => book.writeEpub());
+
+    after(() => book.deleteFiles());
+
+    it('checks every converted format', () => {
+        assert.sameMembers(Object.keys(checks), Object.keys(Book.CONVERTERS));
+    });
+
+    Object.keys(checks).forEach((filetype) => {
+        it(`converts the written epub to ${filetype}`, () =>
+            book
+                .writeFormat(filetype)
+                .then(() => checks[filetype](fs.readFileSync(Book.getFilePath(book, filetype)))));
+    });
+});
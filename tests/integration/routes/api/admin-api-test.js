@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { assert } = require('chai');
+
+const app = require('../../../../app');
+const Config = require('../../../../lib/config');
+const AppErrors = require('../../../../lib/app-errors');
+
+const session = request(app);
+
+describe('Admin API', () => {
+    const realToken = Config.ADMIN_TOKEN;
+    const unauthorized = {
+        errors: [AppErrors.buildApiResponse(AppErrors.getApiError('UNAUTHORIZED'))],
+    };
+
+    before(() => {
+        Config.ADMIN_TOKEN = 'secret';
+    });
+
+    after(() => {
+        Config.ADMIN_TOKEN = realToken;
+    });
+
+    describe('/api/v1/admin/site-rules', () => {
+        it('GET responds 401 without a token', () =>
+            session.get('/api/v1/admin/site-rules').expect(401, unauthorized));
+
+        it('GET responds 401 with the wrong token', () =>
+            session
+                .get('/api/v1/admin/site-rules')
+                .set('Authorization', 'Bearer wrong')
+                .expect(401, unauthorized));
+
+        it('GET lists the loaded rules', () =>
+            session
+                .get('/api/v1/admin/site-rules')
+                .set('Authorization', 'Bearer secret')
+                .expect(200)
+                .then((res) => {
+                    assert.include(res.body.rules.map(rule => rule.name), 'quora');
+                }));
+
+        it('GET shows the rules matching a url', () =>
+            session
+                .get('/api/v1/admin/site-rules')
+                .query({ url: 'https://en.wikipedia.org/wiki/EPUB' })
+                .set('Authorization', 'Bearer secret')
+                .expect(200)
+                .then((res) => {
+                    assert.deepEqual(res.body.rules, ['wikipedia']);
+                    assert.deepEqual(res.body.operations.setRootNode, ['#mw-content-text']);
+                }));
+
+        it('POST checks a rule', () =>
+            session
+                .post('/api/v1/admin/site-rules')
+                .send({
+                    rule: { name: 'blog', hosts: ['blog.fake'], operations: { mergeNodes: ['.post'] } },
+                    url: 'https://blog.fake/post',
+                })
+                .set('Authorization', 'Bearer secret')
+                .expect(200)
+                .then((res) => {
+                    assert.deepEqual(res.body.rules.map(rule => rule.name), ['blog']);
+                    assert.deepEqual(res.body.operations, { mergeNodes: ['.post'] });
+                }));
+
+        it('POST responds 400 for rules with unknown operations', () =>
+            session
+                .post('/api/v1/admin/site-rules')
+                .send({ rule: { name: 'blog', hosts: ['blog.fake'], operations: { extractImages: ['img'] } } })
+                .set('Authorization', 'Bearer secret')
+                .expect(400)
+                .then((res) => {
+                    assert.include(res.body.errors[0].detail, 'unknown operation "extractImages"');
+                }));
+    });
+});
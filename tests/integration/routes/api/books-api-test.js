@@ -45,6 +45,8 @@ function buildDescription(testCase) {
         }, '');
         reqStr = reqStr && ` with ${reqStr}`;
         reqStr = `GET${reqStr}`;
+    } else if (testCase.patch) {
+        reqStr = `PATCH with ${JSON.stringify(testCase.patch)}`;
     } else {
         reqStr = `POST with ${JSON.stringify(testCase.post || {})}`;
     }
@@ -60,7 +62,7 @@ function runTestCase(endpoint, testCase) {
             testCase.before();
         }
 
-        const method = testCase.post ? 'post' : 'get';
+        const method = ['post', 'patch'].find(key => testCase[key]) || 'get';
         const reqData = testCase[method];
         let req = session[method](endpoint);
         req = testCase.get ? req.query(reqData) : req.send(reqData);
@@ -264,6 +266,57 @@ const V1_ENDPOINTS = {
             },
         },
     ],
+    '/api/v1/books/some-id': [
+        {
+            patch: { operations: [] },
+            status: 400,
+            response: buildErrorsResponse('INVALID_OPERATION'),
+        },
+        {
+            patch: { operations: [{ op: 'rename' }] },
+            status: 400,
+            response: buildErrorsResponse('INVALID_OPERATION'),
+            before: () => {
+                const book = new Book({ id: 'some-id' }, [{ title: 'A', xhtml: '<p>A</p>' }]);
+                sandbox.stub(Book, 'load').resolves(book);
+            },
+        },
+        {
+            patch: { operations: [{ op: 'remove', index: 0 }] },
+            status: 409,
+            response: buildErrorsResponse('BOOK_NOT_EDITABLE'),
+            before: () => {
+                sandbox.stub(Book, 'load').resolves(new Book({ id: 'some-id' }, [{ title: 'A' }]));
+            },
+        },
+        {
+            patch: { operations: [{ op: 'remove', url: 'http://z.com' }] },
+            status: 404,
+            response: buildErrorsResponse('SECTION_NOT_FOUND'),
+            before: () => {
+                const book = new Book({ id: 'some-id' }, [{ title: 'A', url: 'http://a.com', xhtml: '<p>A</p>' }]);
+                sandbox.stub(Book, 'load').resolves(book);
+            },
+        },
+        {
+            patch: { operations: [{ op: 'remove', index: 0 }] },
+            status: 404,
+            response: buildErrorsResponse('BOOK_NOT_FOUND'),
+            before: () => {
+                sandbox.stub(Book, 'load').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+            },
+        },
+        {
+            patch: { operations: [{ op: 'metadata', title: 'Edited' }] },
+            status: 202,
+            response: { id: 'some-id' },
+            before: () => {
+                const book = new Book({ id: 'some-id' }, [{ title: 'A', xhtml: '<p>A</p>' }]);
+                sandbox.stub(Book, 'load').resolves(book);
+                sandbox.stub(BookServices, 'enqueue').callsFake(queuedBook => Promise.resolve(queuedBook));
+            },
+        },
+    ],
     '/api/v1/books/download': [
         {
             get: { id: 'id' },
@@ -278,6 +331,7 @@ const V1_ENDPOINTS = {
             response: buildErrorsResponse('BOOK_NOT_FOUND'),
             before: () => {
                 sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+                sandbox.stub(Book, 'load').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
             },
         },
         {
@@ -299,6 +353,55 @@ const V1_ENDPOINTS = {
                 assert.deepEqual(Book.find.args, [['some-id', 'mobi']]);
             },
         },
+        {
+            get: { filetype: 'pdf' },
+            status: 200,
+            response: fs.readFileSync(__filename, 'utf-8'),
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getPdfPath: () => __filename });
+            },
+            after: () => {
+                assert.deepEqual(Book.find.args, [['some-id', 'pdf']]);
+            },
+        },
+        {
+            get: { filetype: 'html' },
+            status: 200,
+            response: fs.readFileSync(__filename, 'utf-8'),
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getHtmlPath: () => __filename });
+            },
+            after: () => {
+                assert.deepEqual(Book.find.args, [['some-id', 'html']]);
+            },
+        },
+        {
+            get: { filetype: 'mobi' },
+            status: 422,
+            response: buildErrorsResponse('MOBI_UNAVAILABLE'),
+            before: () => {
+                sandbox.stub(Book, 'find').rejects(AppErrors.getApiError('BOOK_NOT_FOUND'));
+                sandbox.stub(Book, 'load').resolves(new Book({ id: 'unconverted-id' }));
+                sandbox.stub(Book.prototype, 'hasFile').resolves(true);
+                sandbox.stub(Book.prototype, 'writeMobi').rejects(new Error('Bad epub'));
+            },
+        },
+        {
+            get: { filetype: 'azw3' },
+            status: 200,
+            response: fs.readFileSync(__filename, 'utf-8'),
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getAzw3Path: () => __filename });
+            },
+            after: () => {
+                assert.deepEqual(Book.find.args, [['some-id', 'azw3']]);
+            },
+        },
+        {
+            get: { filetype: 'docx' },
+            status: 400,
+            response: buildErrorsResponse('UNSUPPORTED_FILETYPE'),
+        },
     ],
     '/api/v1/books/some-id/email': [
         {
@@ -331,6 +434,44 @@ const V1_ENDPOINTS = {
                 assert.deepEqual(Book.find.args, [['some-id', 'mobi']]);
             },
         },
+        {
+            get: { email: 'example@gmail.com', filetype: 'azw3' },
+            status: 200,
+            response: 'Email sent!',
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getAzw3Path: () => {} });
+                sandbox.stub(Mailer, 'sendAzw3').resolves({});
+            },
+            after: () => {
+                assert.deepEqual(Book.find.args, [['some-id', 'azw3']]);
+                assert.isTrue(Mailer.sendAzw3.called);
+            },
+        },
+        {
+            get: { email: 'example@gmail.com', filetype: 'pdf' },
+            status: 200,
+            response: 'Email sent!',
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getPdfPath: () => {} });
+                sandbox.stub(Mailer, 'sendPdf').resolves({});
+            },
+            after: () => {
+                assert.deepEqual(Book.find.args, [['some-id', 'pdf']]);
+                assert.isTrue(Mailer.sendPdf.called);
+            },
+        },
+        {
+            get: { email: 'example@gmail.com', filetype: 'md' },
+            status: 200,
+            response: 'Email sent!',
+            before: () => {
+                sandbox.stub(Book, 'find').resolves({ getMarkdownPath: () => 'some-id.md.zip' });
+                sandbox.stub(Mailer, 'sendFile').resolves({});
+            },
+            after: () => {
+                assert.equal(Mailer.sendFile.firstCall.args[2], 'some-id.md.zip');
+            },
+        },
         {
             get: { email: 'example@kindle.com', filetype: 'epub' },
             status: 200,
@@ -363,6 +504,19 @@ const V1_ENDPOINTS = {
                     .resolves(StatusTracker.buildStatus('DEFAULT'));
             },
         },
+        {
+            get: { history: 'true' },
+            status: 200,
+            response: StatusTracker.buildStatus('DEFAULT'),
+            before: () => {
+                sandbox
+                    .stub(BookServices, 'getStatus')
+                    .resolves(StatusTracker.buildStatus('DEFAULT'));
+            },
+            after: () => {
+                assert.deepEqual(BookServices.getStatus.firstCall.args[1], { history: true });
+            },
+        },
         {
             get: {},
             status: 500,
@@ -383,5 +537,30 @@ describe('Books API', () => {
 
     describe('v1', () => {
         testEndpoints(V1_ENDPOINTS);
+
+        describe('/api/v1/books/:id/events', () => {
+            it('GET responds 404 for unknown books', () =>
+                session
+                    .get('/api/v1/books/unknown-id/events')
+                    .expect(404, buildErrorsResponse('NOT_FOUND')));
+
+            it('GET streams statuses until the book is done', () => {
+                const book = new Book({ id: 'events-id' });
+                return BookServices.setStatus(book, 'DONE').then(() =>
+                    session
+                        .get('/api/v1/books/events-id/events')
+                        .expect(200)
+                        .expect('Content-Type', /text\/event-stream/)
+                        .then((res) => {
+                            const [, data] = res.text.match(/^event: status\ndata: (.*)$/m);
+                            const status = JSON.parse(data);
+                            assert.equal(status.type, 'DONE');
+                            assert.equal(
+                                status.downloads.epub,
+                                '/api/v1/books/events-id/download'
+                            );
+                        }));
+            });
+        });
     });
 });
@@ -0,0 +1,192 @@
+const { assert } = require('chai');
+
+const Config = require('../lib/config');
+const JobQueue = require('../lib/job-queue');
+
+const { STATES } = JobQueue;
+const payload = { urls: ['http://www.a.com'] };
+
+let queue;
+
+describe('JobQueue', () => {
+    beforeEach(() => {
+        queue = new JobQueue(new JobQueue.MemoryDriver());
+    });
+
+    describe('constructor', () => {
+        it('uses the configured driver', () => {
+            const defaultQueue = new JobQueue();
+            assert.instanceOf(defaultQueue.getDriver(), JobQueue.DRIVERS[Config.JOB_QUEUE_DRIVER]);
+        });
+
+        it('throws for unknown drivers', () => {
+            assert.throws(() => JobQueue.buildDriver('carrier-pigeon'), /carrier-pigeon/);
+        });
+    });
+
+    describe('#enqueue', () => {
+        it('stores a queued job', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.QUEUED);
+                    assert.deepEqual(job.payload, payload);
+                    assert.equal(job.attempts, 0);
+                }));
+    });
+
+    describe('#next', () => {
+        it('claims the oldest queued job', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.enqueue('book-2', payload))
+                .then(() => queue.next())
+                .then((job) => {
+                    assert.equal(job.uid, 'book-1');
+                    assert.equal(job.state, STATES.RUNNING);
+                    assert.equal(job.attempts, 1);
+                    return queue.next();
+                })
+                .then((job) => {
+                    assert.equal(job.uid, 'book-2');
+                    return queue.next();
+                })
+                .then((job) => {
+                    assert.isNull(job);
+                }));
+    });
+
+    describe('#recordStep', () => {
+        it('records steps of running jobs', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then(() => queue.recordStep('book-1', 'FETCHING_HTML'))
+                .then(() => queue.recordStep('book-1', 'EXTRACTING_CONTENT'))
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.step, 'EXTRACTING_CONTENT');
+                    assert.deepEqual(job.steps.map(s => s.step), [
+                        'FETCHING_HTML',
+                        'EXTRACTING_CONTENT',
+                    ]);
+                }));
+
+        it('ignores books without a running job', () =>
+            queue.recordStep('missing', 'FETCHING_HTML').then((job) => {
+                assert.isNull(job);
+            }));
+    });
+
+    describe('#complete', () => {
+        it('marks jobs as done', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then(job => queue.complete(job))
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.DONE);
+                    assert.equal(JobQueue.getStatusType(job), 'DONE');
+                }));
+
+        it('ignores attempts that are no longer running', () => {
+            let firstAttempt;
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then((job) => {
+                    firstAttempt = job;
+                    return queue.fail(job, new Error('Job interrupted.'));
+                })
+                .then(() => queue.next())
+                .then(() => queue.complete(firstAttempt))
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.RUNNING);
+                    assert.equal(job.attempts, 2);
+                });
+        });
+    });
+
+    describe('#fail', () => {
+        it('requeues jobs until they run out of attempts', () => {
+            const attempt = () => queue.next().then(job => queue.fail(job, new Error('Oops')));
+            let chain = queue.enqueue('book-1', payload);
+            for (let i = 1; i < Config.JOB_MAX_ATTEMPTS; i += 1) {
+                chain = chain.then(attempt).then((job) => {
+                    assert.equal(job.state, STATES.QUEUED);
+                });
+            }
+            return chain.then(attempt).then((job) => {
+                assert.equal(job.state, STATES.FAILED);
+                assert.include(job.error, 'Oops');
+                assert.equal(JobQueue.getStatusType(job), 'FAILED');
+            });
+        });
+    });
+
+    describe('.isRetryable', () => {
+        it('retries errors that can succeed later', () => {
+            assert.isTrue(JobQueue.isRetryable(new Error('ECONNRESET')));
+            assert.isTrue(JobQueue.isRetryable(Object.assign(new Error(), { statusCode: 503 })));
+            assert.isTrue(JobQueue.isRetryable(Object.assign(new Error(), { statusCode: 429 })));
+        });
+
+        it("doesn't retry client errors and timeouts", () => {
+            assert.isFalse(JobQueue.isRetryable(Object.assign(new Error(), { statusCode: 404 })));
+            assert.isFalse(JobQueue.isRetryable(Object.assign(new Error(), { status: '422' })));
+            assert.isFalse(JobQueue.isRetryable(Object.assign(new Error(), { code: 'JOB_TIMEOUT' })));
+        });
+    });
+
+    describe('#recover', () => {
+        it('requeues running jobs with a stale lock', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then(job => queue.getDriver().update(job, { lockedAt: new Date(0) }))
+                .then(() => queue.recover())
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.QUEUED);
+                    assert.equal(JobQueue.getStatusType(job), 'QUEUED');
+                }));
+
+        it('leaves slow jobs whose worker is still alive', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then(job =>
+                    queue
+                        .getDriver()
+                        .update(job, { lockedAt: new Date(0) })
+                        .then(() => queue.heartbeat(job)))
+                .then(() => queue.recover())
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.RUNNING);
+                }));
+
+        it('leaves jobs that are still being worked on', () =>
+            queue
+                .enqueue('book-1', payload)
+                .then(() => queue.next())
+                .then(() => queue.recover())
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, STATES.RUNNING);
+                }));
+    });
+
+    describe('.getStatusType', () => {
+        it('uses the last step of running jobs', () => {
+            assert.equal(JobQueue.getStatusType({ state: STATES.RUNNING }), 'PUBLISHING');
+            assert.equal(
+                JobQueue.getStatusType({ state: STATES.RUNNING, step: 'FETCHING_IMAGES' }),
+                'FETCHING_IMAGES'
+            );
+        });
+    });
+});
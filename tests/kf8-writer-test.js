@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+
+const Book = require('../lib/book');
+const Kf8Writer = require('../lib/kf8-writer');
+const { readRecords, readText } = require('./helpers');
+
+const image = fs.readFileSync(`${__dirname}/fixtures/placeholder.png`);
+const cover = fs.readFileSync(Book.DEFAULT_COVER_PATH);
+
+const epub = {
+    getMetadata: () => ({ title: 'Tea & Biscuits', author: 'EpubPress', language: 'en' }),
+    getCover: () => ({ data: cover }),
+    getImage: href => (href === 'OEBPF/images/tea.png' ? image : undefined),
+    getStyles: () => 'p { margin: 0; }',
+    getSections: () => [
+        {
+            href: 'OEBPF/content/s1.xhtml',
+            title: 'Tea',
+            lang: 'fr',
+            body: '<h1>Tea</h1><p>Green tea — thé vert</p><img src="../images/tea.png"/>' +
+                '<p><a href="s2.xhtml#notes">Notes</a><img src="missing.webp" alt="Cup"/></p>',
+        },
+        {
+            href: 'OEBPF/content/s2.xhtml',
+            title: 'References',
+            body: `${'<p>Long read.</p>'.repeat(1000)}<h2 id="notes">Notes</h2>` +
+                '<p><a href="s1.xhtml">Back</a><a id="empty"></a></p>',
+        },
+    ],
+};
+
+function getLinks(markup) {
+    return (markup.match(/kindle:pos:fid:[0-9A-V]{4}:off:[0-9A-V]{10}/g) || []).map(link => ({
+        fid: parseInt(link.slice(15, 19), 32),
+        offset: parseInt(link.slice(24), 32),
+    }));
+}
+
+describe('KF8 Writer', () => {
+    describe('.encodeInt', () => {
+        it('marks the last byte of variable width integers', () => {
+            assert.deepEqual(Kf8Writer.encodeInt(0), Buffer.from([0x80]));
+            assert.deepEqual(Kf8Writer.encodeInt(0x7f), Buffer.from([0xff]));
+            assert.deepEqual(Kf8Writer.encodeInt(0x80), Buffer.from([0x01, 0x80]));
+            assert.deepEqual(Kf8Writer.encodeInt(0x4000), Buffer.from([0x01, 0x00, 0x80]));
+        });
+    });
+
+    describe('#getFiles', () => {
+        const files = new Kf8Writer(epub).getFiles();
+        const fragments = [].concat(...files.map(file => file.fragments));
+        const markup = fragments.map(fragment => fragment.data.toString('utf8')).join('');
+
+        it('keeps each section as an XHTML skeleton', () => {
+            const skeleton = files[0].skeleton.toString('utf8');
+            assert.include(skeleton, '<html xmlns="http://www.w3.org/1999/xhtml" lang="fr">');
+            assert.include(skeleton, '<title>Tea</title>');
+            assert.include(skeleton, 'href="kindle:flow:0001?mime=text/css"');
+            assert.match(skeleton, /<body aid="[0-9A-V]+"><\/body><\/html>$/);
+        });
+
+        it('cuts long sections into fragments', () => {
+            assert.lengthOf(files[0].fragments, 1);
+            assert.isAbove(files[1].fragments.length, 1);
+            files[1].fragments.forEach((fragment) => {
+                assert.isAtMost(fragment.length, Kf8Writer.FRAGMENT_SIZE + 100);
+            });
+        });
+
+        it('embeds the supported images', () => {
+            assert.include(markup, 'src="kindle:embed:0002?mime=image/png"');
+            assert.include(markup, 'Cup');
+            assert.notInclude(markup, 'missing.webp');
+        });
+
+        it('writes XHTML without empty elements closing themselves', () => {
+            assert.include(markup, 'th&#xE9; vert');
+            assert.include(markup, '<a id="empty"></a>');
+        });
+
+        it('links to the fragments and offsets of sections and anchors', () => {
+            const links = getLinks(markup);
+            const targetOf = link =>
+                fragments[link.fid].data.slice(link.offset).toString('utf8');
+            assert.lengthOf(links, 2);
+            assert.match(targetOf(links[0]), /^<h2 id="notes"/);
+            assert.equal(links[1].fid, 0);
+            assert.match(targetOf(links[1]), /^<h1 aid="[0-9A-V]+">Tea<\/h1>/);
+        });
+    });
+
+    describe('#getDatabase', () => {
+        const records = readRecords(new Kf8Writer(epub).getDatabase());
+        const [record0] = records;
+
+        it('writes a version 8 MOBI header with the metadata', () => {
+            assert.equal(record0.toString('ascii', 16, 20), 'MOBI');
+            assert.equal(record0.readUInt32BE(20), 264);
+            assert.equal(record0.readUInt32BE(36), 8);
+            assert.equal(record0.toString('ascii', 280, 284), 'EXTH');
+            const nameOffset = record0.readUInt32BE(84);
+            const nameLength = record0.readUInt32BE(88);
+            assert.equal(record0.toString('utf8', nameOffset, nameOffset + nameLength), 'Tea & Biscuits');
+            assert.include(record0.toString('utf8'), 'EBOK');
+        });
+
+        it('describes the skeletons, fragments and table of contents', () => {
+            [244, 248, 252].forEach((offset) => {
+                const index = records[record0.readUInt32BE(offset)];
+                assert.equal(index.toString('ascii', 0, 4), 'INDX');
+                assert.equal(index.toString('ascii', 192, 196), 'TAGX');
+            });
+            const ncx = records[record0.readUInt32BE(244) + 2];
+            assert.include(ncx.toString('utf8'), 'References');
+        });
+
+        it('stores the markup and stylesheet flows', () => {
+            const text = readText(records);
+            const fdst = records[record0.readUInt32BE(192)];
+            assert.equal(fdst.toString('ascii', 0, 4), 'FDST');
+            assert.equal(record0.readUInt32BE(196), 2);
+            const stylesStart = fdst.readUInt32BE(20);
+            assert.equal(fdst.readUInt32BE(24), text.length);
+            assert.match(text.toString('utf8', 0, 50), /^<\?xml/);
+            assert.equal(text.toString('utf8', stylesStart), 'p { margin: 0; }');
+        });
+
+        it('stores the cover and images after the indexes', () => {
+            const firstImage = record0.readUInt32BE(108);
+            assert.deepEqual(records[firstImage], cover);
+            assert.deepEqual(records[firstImage + 1], image);
+            assert.equal(records[records.length - 1].toString('hex'), 'e98e0d0a');
+        });
+    });
+
+    describe('#write', () => {
+        const filepath = `${os.tmpdir()}/tea.azw3`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('writes a Palm database', () =>
+            new Kf8Writer(epub).write(filepath).then(() => {
+                assert.equal(fs.readFileSync(filepath).toString('ascii', 60, 68), 'BOOKMOBI');
+            }));
+    });
+});
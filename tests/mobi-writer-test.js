@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+
+const Book = require('../lib/book');
+const MobiWriter = require('../lib/mobi-writer');
+const { decompress, readRecords, readText } = require('./helpers');
+
+const image = fs.readFileSync(`${__dirname}/fixtures/placeholder.png`);
+const cover = fs.readFileSync(Book.DEFAULT_COVER_PATH);
+
+const epub = {
+    getMetadata: () => ({ title: 'Tea & Biscuits', author: 'EpubPress', language: 'en' }),
+    getCover: () => ({ data: cover }),
+    getImage: href => (href === 'OEBPF/images/tea.png' ? image : undefined),
+    getSections: () => [
+        {
+            href: 'OEBPF/content/s1.xhtml',
+            title: 'Tea',
+            body: '<h1>Tea</h1><p>Green tea — thé vert</p><img src="../images/tea.png"/>' +
+                '<p><a href="s2.xhtml#notes">Notes</a><img src="missing.webp" alt="Cup"/></p>',
+        },
+        {
+            href: 'OEBPF/content/s2.xhtml',
+            title: 'References',
+            body: `<p>${'Long read. '.repeat(500)}</p><h2 id="notes">Notes</h2>`,
+        },
+    ],
+};
+
+describe('Mobi Writer', () => {
+    describe('.compress', () => {
+        it('compresses text that decompresses to the same bytes', () => {
+            const text = Buffer.from('<p>Tea, more tea and café au lait. </p>'.repeat(40));
+            const compressed = MobiWriter.compress(text);
+            assert.isBelow(compressed.length, text.length / 2);
+            assert.deepEqual(decompress(compressed), text);
+        });
+    });
+
+    describe('.splitText', () => {
+        it('moves characters split between records to a trailing entry', () => {
+            const text = Buffer.from(`${'a'.repeat(MobiWriter.RECORD_SIZE - 1)}éb`);
+            const [first, second] = MobiWriter.splitText(text);
+            assert.equal(first[first.length - 1], 1);
+            assert.equal(first[first.length - 2], 0xa9);
+            assert.deepEqual(decompress(second.slice(0, -1)), Buffer.from([0xa9, 0x62]));
+        });
+    });
+
+    describe('#getDatabase', () => {
+        const records = readRecords(new MobiWriter(epub).getDatabase());
+        const [record0] = records;
+
+        it('writes a MOBI header with the metadata', () => {
+            assert.equal(record0.toString('ascii', 16, 20), 'MOBI');
+            assert.equal(record0.readUInt32BE(20), 232);
+            assert.equal(record0.toString('ascii', 248, 252), 'EXTH');
+            const nameOffset = record0.readUInt32BE(84);
+            const nameLength = record0.readUInt32BE(88);
+            assert.equal(record0.toString('utf8', nameOffset, nameOffset + nameLength), 'Tea & Biscuits');
+            assert.include(record0.toString('utf8'), 'EpubPress');
+        });
+
+        it('stores the cover and images after the text', () => {
+            const firstImage = record0.readUInt32BE(108);
+            assert.deepEqual(records[firstImage], cover);
+            assert.deepEqual(records[firstImage + 1], image);
+            assert.equal(records[records.length - 1].toString('hex'), 'e98e0d0a');
+        });
+
+        it('links to the offsets of sections and anchors', () => {
+            const text = readText(records);
+            const textAt = offset => text.slice(offset).toString('utf8');
+            assert.include(textAt(0), '<img recindex="00002">');
+            assert.include(textAt(0), 'Cup');
+            assert.notInclude(textAt(0), 'missing.webp');
+
+            const links = textAt(0)
+                .match(/filepos=\d{10}/g)
+                .map(link => parseInt(link.slice(8), 10));
+            assert.equal(textAt(links[0]).indexOf('<h2>Table Of Contents</h2>'), 0);
+            assert.equal(textAt(links[2]).indexOf('<mbp:pagebreak/>'), 0);
+            assert.equal(textAt(links[links.length - 1]).indexOf('<h2>Notes</h2>'), 0);
+        });
+    });
+
+    describe('#write', () => {
+        const filepath = `${os.tmpdir()}/tea.mobi`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('writes a Palm database', () =>
+            new MobiWriter(epub).write(filepath).then(() => {
+                assert.equal(fs.readFileSync(filepath).toString('ascii', 60, 68), 'BOOKMOBI');
+            }));
+    });
+});
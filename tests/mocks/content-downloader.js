@@ -1,6 +1,7 @@
 function MockContentDownloader(overrides) {
     const defaults = {
         isComplete: () => true,
+        getMetadata: () => ({}),
         download: () => Promise.resolve(),
     };
 
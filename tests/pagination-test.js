@@ -0,0 +1,80 @@
+const { assert } = require('chai');
+
+const Pagination = require('../lib/pagination');
+
+describe('Pagination', () => {
+    const url = 'http://news.fake/story';
+
+    describe('findNextPageUrl', () => {
+        it('follows rel="next" links', () => {
+            const html = '<head><link rel="next" href="/story?page=2"></head>';
+            assert.equal(Pagination.findNextPageUrl(html, url), 'http://news.fake/story?page=2');
+        });
+
+        it('follows "Continue reading" links', () => {
+            const html = '<p>Intro</p><a href="story/2">Continue reading →</a>';
+            assert.equal(Pagination.findNextPageUrl(html, url), 'http://news.fake/story/2');
+        });
+
+        it('ignores "Next" links to other articles', () => {
+            const html = [
+                '<a href="/another-story">Next</a>',
+                '<a href="/story/12345">Next page</a>',
+                '<a href="/story/page/2">Continue reading</a>',
+            ].join('');
+            assert.equal(Pagination.findNextPageUrl(html, url), 'http://news.fake/story/page/2');
+
+            const otherHtml = '<p>Intro</p><a href="/2017/another-story">Next →</a>';
+            assert.isUndefined(Pagination.findNextPageUrl(otherHtml, url));
+        });
+
+        it('follows numbered page links', () => {
+            const html = [
+                '<a href="/other?page=2">Other story</a>',
+                '<a href="/story?page=1">1</a>',
+                '<a href="/story?page=2">2</a>',
+            ].join('');
+            assert.equal(Pagination.findNextPageUrl(html, url), 'http://news.fake/story?page=2');
+
+            const pathHtml = '<a href="/blog/post/page/3/">3</a>';
+            const pathUrl = 'http://b.fake/blog/post/page/2/';
+            assert.equal(
+                Pagination.findNextPageUrl(pathHtml, pathUrl),
+                'http://b.fake/blog/post/page/3/'
+            );
+        });
+
+        it('uses a site rule selector', () => {
+            const html = '<a href="/ad">Next</a><a class="more" href="/story/2">More</a>';
+            assert.equal(
+                Pagination.findNextPageUrl(html, url, 'a.more'),
+                'http://news.fake/story/2'
+            );
+        });
+
+        it('ignores links to other sites or the same page', () => {
+            const html = [
+                '<a rel="next" href="http://elsewhere.fake/story?page=2">Next</a>',
+                '<a href="#comments">Next</a>',
+            ].join('');
+            assert.isUndefined(Pagination.findNextPageUrl(html, url));
+        });
+    });
+
+    describe('mergeArticles', () => {
+        it('joins pages and drops repeated headers', () => {
+            const merged = Pagination.mergeArticles([
+                { title: 'Story', content: '<h1>Story</h1><h2>Part</h2><p>One</p>' },
+                { title: 'Story - Page 2', content: '<h1>Story</h1><h2>Part</h2><p>Two</p>' },
+            ]);
+            assert.equal(merged.title, 'Story');
+            assert.equal(merged.content, '<h2>Part</h2><p>One</p>\n<p>Two</p>');
+        });
+
+        it('returns a single article as is', () => {
+            const article = { title: 'Story', content: '<p>One</p>' };
+            assert.equal(Pagination.mergeArticles([article]), article);
+            assert.isUndefined(Pagination.mergeArticles([]));
+        });
+    });
+});
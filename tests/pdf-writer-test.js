@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+
+const { assert } = require('chai');
+const cheerio = require('cheerio');
+
+const Book = require('../lib/book');
+const PdfWriter = require('../lib/pdf-writer');
+
+const fontkit = require('fontkit');
+
+const image = fs.readFileSync(`${__dirname}/fixtures/placeholder.png`);
+
+function buildEpub() {
+    return {
+        getMetadata: () => ({ title: 'Tea & Biscuits', author: 'EpubPress' }),
+        getCover: () => ({ data: fs.readFileSync(Book.DEFAULT_COVER_PATH) }),
+        getImage: href => (href === 'OEBPF/images/tea.png' ? image : undefined),
+        getSections: () => [
+            {
+                href: 'OEBPF/content/s1.xhtml',
+                title: 'Tea',
+                body: [
+                    '<h1>Tea</h1>',
+                    '<p>Green <em>tea</em> from <a href="https://tea.fake">Tea</a></p>',
+                    '<h2 id="brewing">Brewing</h2>',
+                    '<ol><li>Boil</li><li><p>Steep</p></li></ol>',
+                    '<p><img src="../images/tea.png"/><img src="../images/missing.gif"/></p>',
+                    '<pre>let cups = 2;\n  cups += 1;</pre>',
+                    '<table><tr><th>Tea</th><th>Time</th></tr><tr><td>Green</td><td>2</td></tr></table>',
+                    '<hr/><blockquote><p>Quote</p></blockquote>',
+                ].join('\n'),
+            },
+            { href: 'OEBPF/content/s2.xhtml', title: 'References', body: '<ol><li>A</li></ol>' },
+        ],
+    };
+}
+
+function buildUnicodeEpub() {
+    return {
+        getMetadata: () => ({ title: 'Чай', author: 'Τσάι' }),
+        getCover: () => undefined,
+        getImage: () => undefined,
+        getSections: () => [{
+            href: 'OEBPF/content/s1.xhtml',
+            title: 'Чай',
+            body: '<h1>Чай</h1><p>Зелёный <em>чай</em> — τσάι, شاي</p><pre>чашки = 2;</pre>',
+        }],
+    };
+}
+
+// The text of the PDF streams, inflated where compressed
+function readStreams(filepath) {
+    const pdf = fs.readFileSync(filepath);
+    const streams = [];
+    let start = pdf.indexOf('stream\n');
+    while (start !== -1) {
+        const end = pdf.indexOf('\nendstream', start);
+        const data = pdf.slice(start + 'stream\n'.length, end);
+        try {
+            streams.push(zlib.inflateSync(data).toString('latin1'));
+        } catch (error) {
+            streams.push(data.toString('latin1'));
+        }
+        start = pdf.indexOf('stream\n', end + '\nendstream'.length);
+    }
+    return streams.join('\n');
+}
+
+describe('Pdf Writer', () => {
+    describe('.getPageSize', () => {
+        it('falls back to A4', () => {
+            assert.deepEqual(PdfWriter.getPageSize('6-inch').size, [259, 346]);
+            assert.equal(PdfWriter.getPageSize('Scroll').size, 'A4');
+        });
+    });
+
+    describe('.normalizeRuns', () => {
+        it('collapses whitespace across runs', () => {
+            const runs = PdfWriter.normalizeRuns([
+                { text: '\n  Green ', style: {} },
+                { text: ' tea', style: { italic: true } },
+                { text: '\n', br: true },
+                { text: ' from\tChina  ', style: {} },
+                { text: ' ', style: {} },
+            ]);
+            assert.deepEqual(runs.map(run => run.text), ['Green ', 'tea', '\n', 'from China']);
+        });
+    });
+
+    describe('.collectInline', () => {
+        it('keeps the style of inline elements', () => {
+            const $ = cheerio.load('<p><strong>Hot <a href="http://a.fake">tea</a></strong><br/><img src="a.png"/></p>');
+            const items = PdfWriter.collectInline($('p').get(0), {}, []);
+            assert.deepEqual(items, [
+                { text: 'Hot ', style: { bold: true } },
+                { text: 'tea', style: { bold: true, link: 'http://a.fake' } },
+                { text: '\n', style: {}, br: true },
+                { image: 'a.png', alt: undefined },
+            ]);
+        });
+    });
+
+    describe('.splitByFont', () => {
+        it('keeps text in the font when it has the characters', () => {
+            assert.deepEqual(PdfWriter.splitByFont('Зелёный τσάι', PdfWriter.FONTS.regular), [
+                { text: 'Зелёный τσάι', font: PdfWriter.FONTS.regular },
+            ]);
+        });
+
+        it('falls back for characters the font is missing', () => {
+            const segments = PdfWriter.splitByFont('Tea شاي', PdfWriter.FONTS.regular);
+            assert.deepEqual(segments, [
+                { text: 'Tea ', font: PdfWriter.FONTS.regular },
+                { text: 'شاي', font: 'DejaVuSans' },
+            ]);
+            segments.forEach((segment) => {
+                const font = fontkit.openSync(require.resolve(`dejavu-fonts-ttf/ttf/${segment.font}.ttf`));
+                Array.from(segment.text.trim()).forEach((char) => {
+                    assert.isTrue(font.hasGlyphForCodePoint(char.codePointAt(0)), char);
+                });
+            });
+        });
+    });
+
+    describe('#write', () => {
+        const filepath = `${os.tmpdir()}/tea.pdf`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('writes the sections with bookmarks', () =>
+            new PdfWriter(buildEpub(), { pageSize: 'A5', tocDepth: 2 })
+                .write(filepath)
+                .then(() => {
+                    const pdf = fs.readFileSync(filepath).toString('latin1');
+                    assert.equal(pdf.slice(0, 5), '%PDF-');
+                    assert.include(pdf, '/Title (Tea)');
+                    assert.include(pdf, '/Title (Brewing)');
+                    assert.include(pdf, '/Title (References)');
+                    assert.include(pdf, '/URI (https://tea.fake)');
+                    assert.include(pdf, '/Subtype /Image');
+                }));
+
+        it('embeds fonts for text that is not latin', () =>
+            new PdfWriter(buildUnicodeEpub())
+                .write(filepath)
+                .then(() => {
+                    const pdf = fs.readFileSync(filepath).toString('latin1');
+                    assert.include(pdf, '/FontFile2');
+                    assert.include(pdf, 'DejaVuSerif');
+                    assert.include(pdf, 'DejaVuSans');
+                    assert.notInclude(pdf, 'Times-Roman');
+                    assert.notInclude(pdf, 'Helvetica');
+
+                    const streams = readStreams(filepath);
+                    ['0427', '0451', '03C4', '0634'].forEach((codePoint) => {
+                        assert.match(streams, new RegExp(`<${codePoint}>`, 'i'), codePoint);
+                    });
+                }));
+    });
+});
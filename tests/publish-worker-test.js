@@ -0,0 +1,209 @@
+const { assert } = require('chai');
+const Sinon = require('sinon');
+
+const Book = require('../lib/book');
+const BookServices = require('../lib/book-services');
+const JobQueue = require('../lib/job-queue');
+const PublishWorker = require('../lib/publish-worker');
+
+const payload = { title: 'Queued Book', urls: ['http://www.a.com'] };
+
+let queue;
+let worker;
+let sandbox;
+
+describe('PublishWorker', () => {
+    beforeEach(() => {
+        sandbox = Sinon.sandbox.create();
+        queue = new JobQueue(new JobQueue.MemoryDriver());
+        worker = new PublishWorker(queue);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#tick', () => {
+        it('publishes the next queued job', () => {
+            sandbox.stub(BookServices, 'publish').callsFake(book => Promise.resolve(book));
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => {
+                    const book = BookServices.publish.firstCall.args[0];
+                    assert.equal(book.getId(), 'book-1');
+                    assert.equal(book.getTitle(), payload.title);
+                    assert.deepEqual(book.getUrls(), payload.urls);
+                    return queue.find('book-1');
+                })
+                .then((job) => {
+                    assert.equal(job.state, JobQueue.STATES.DONE);
+                    assert.isFalse(worker.isBusy());
+                });
+        });
+
+        it('edits published books', () => {
+            const storedBook = new Book({ id: 'book-1' });
+            const operations = [{ op: 'remove', index: 0 }];
+            sandbox.stub(Book, 'load').resolves(storedBook);
+            sandbox.stub(BookServices, 'edit').callsFake(book => Promise.resolve(book));
+            sandbox.stub(BookServices, 'publish');
+
+            return queue
+                .enqueue('book-1', { operations })
+                .then(() => worker.tick())
+                .then(() => {
+                    assert.deepEqual(BookServices.edit.firstCall.args, [storedBook, operations]);
+                    assert.isFalse(BookServices.publish.called);
+                    return queue.find('book-1');
+                })
+                .then((job) => {
+                    assert.equal(job.state, JobQueue.STATES.DONE);
+                });
+        });
+
+        it('requeues jobs that fail to publish', () => {
+            sandbox.stub(BookServices, 'publish').rejects(new Error('Publish failed'));
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, JobQueue.STATES.QUEUED);
+                    assert.include(job.error, 'Publish failed');
+                });
+        });
+
+        it('keeps retried books queued until they publish', () => {
+            const statuses = [];
+            const unsubscribe = BookServices.subscribe(new Book({ id: 'book-1' }), (status) => {
+                statuses.push(status.type);
+            });
+            sandbox.stub(BookServices, 'publish')
+                .onFirstCall()
+                .rejects(new Error('ECONNRESET'))
+                .onSecondCall()
+                .callsFake(book => BookServices.setStatus(book, 'DONE'));
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => BookServices.getStatus(new Book({ id: 'book-1' })))
+                .then((status) => {
+                    assert.equal(status.type, 'QUEUED');
+                    return worker.tick();
+                })
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    unsubscribe();
+                    assert.equal(job.state, JobQueue.STATES.DONE);
+                    assert.deepEqual(statuses, ['QUEUED', 'DONE']);
+                });
+        });
+
+        it('fails books once they are out of attempts', () => {
+            const error = new Error('Not found');
+            error.statusCode = 404;
+            sandbox.stub(BookServices, 'publish').rejects(error);
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => BookServices.getStatus(new Book({ id: 'book-1' })))
+                .then((status) => {
+                    assert.equal(status.type, 'FAILED');
+                });
+        });
+
+        it("doesn't retry jobs that would fail again", () => {
+            const error = new Error('Not found');
+            error.statusCode = 404;
+            sandbox.stub(BookServices, 'publish').rejects(error);
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => queue.find('book-1'))
+                .then((job) => {
+                    assert.equal(job.state, JobQueue.STATES.FAILED);
+                    assert.equal(job.attempts, 1);
+                });
+        });
+
+        it('fails jobs that take too long and moves on to the next', () => {
+            const timeout = PublishWorker.TIMEOUT;
+            PublishWorker.TIMEOUT = 10;
+            sandbox.stub(BookServices, 'publish')
+                .onFirstCall()
+                .returns(new Promise(() => {}))
+                .onSecondCall()
+                .callsFake(book => Promise.resolve(book));
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => queue.enqueue('book-2', payload))
+                .then(() => worker.tick())
+                .then(() => {
+                    assert.isFalse(worker.isBusy());
+                    return worker.tick();
+                })
+                .then(() => Promise.all([queue.find('book-1'), queue.find('book-2')]))
+                .then(([timedOutJob, nextJob]) => {
+                    assert.equal(timedOutJob.state, JobQueue.STATES.FAILED);
+                    assert.include(timedOutJob.error, 'timed out');
+                    assert.equal(nextJob.state, JobQueue.STATES.DONE);
+                })
+                .finally(() => {
+                    PublishWorker.TIMEOUT = timeout;
+                });
+        });
+
+        it('cancels publishes that take too long', () => {
+            const timeout = PublishWorker.TIMEOUT;
+            PublishWorker.TIMEOUT = 10;
+            sandbox.stub(BookServices, 'publish').returns(new Promise(() => {}));
+
+            return queue
+                .enqueue('book-1', payload)
+                .then(() => worker.tick())
+                .then(() => {
+                    const book = BookServices.publish.firstCall.args[0];
+                    return BookServices.checkCancelled(book)
+                        .then(() => Promise.reject(new Error('Expected book to be cancelled.')))
+                        .catch((error) => {
+                            assert.equal(error.code, 'JOB_CANCELLED');
+                        });
+                })
+                .finally(() => {
+                    PublishWorker.TIMEOUT = timeout;
+                });
+        });
+
+        it('does nothing when the queue is empty', () => {
+            sandbox.stub(BookServices, 'publish');
+
+            return worker.tick().then(() => {
+                assert.isFalse(BookServices.publish.called);
+            });
+        });
+    });
+
+    describe('#start', () => {
+        it('recovers interrupted jobs and polls for more', () => {
+            const clock = Sinon.useFakeTimers();
+            sandbox.stub(queue, 'recover').resolves([]);
+            sandbox.stub(worker, 'tick').resolves(null);
+
+            return worker.start().then(() => {
+                clock.tick(1000);
+                worker.stop();
+                clock.restore();
+
+                assert.isTrue(queue.recover.calledOnce);
+                assert.isTrue(worker.tick.called);
+            });
+        });
+    });
+});
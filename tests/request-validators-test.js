@@ -1,6 +1,7 @@
 const { assert } = require('chai');
 const { isError } = require('./helpers');
 
+const AppErrors = require('../lib/app-errors');
 const RequestValidators = require('../routes/helpers/request-validators');
 
 function mockRequest(data) {
@@ -26,6 +27,34 @@ describe('RequestValidators', () => {
             });
         });
 
+        it('accepts feeds in the body', () => {
+            const req = mockRequest({ feeds: ['http://blog.fake/feed'] });
+            return RequestValidators.validatePublishRequest(req).then((validReq) => {
+                assert.equal(validReq, req);
+            });
+        });
+
+        it('requires a valid number of feeds', () => {
+            const req = mockRequest({ feeds: urls.slice(0, 10) });
+            return RequestValidators.validatePublishRequest(req)
+                .then(() => Promise.reject(new Error('Expected too many feeds not to be valid')))
+                .catch(isError)
+                .then((err) => {
+                    assert.equal(err.status, 422);
+                });
+        });
+
+        it('rejects urls of private networks', () => {
+            const req = mockRequest({ urls: ['http://169.254.169.254/latest/meta-data/'] });
+            return RequestValidators.validatePublishRequest(req)
+                .then(() => Promise.reject(new Error('Expected a private url not to be valid')))
+                .catch(isError)
+                .then((err) => {
+                    assert.equal(err.status, 400);
+                    assert.equal(err.message, AppErrors.api.URL_NOT_ALLOWED.message);
+                });
+        });
+
         it('requires sections/urls to be in the body', () => {
             const req = mockRequest({});
             return RequestValidators.validatePublishRequest(req)
@@ -60,4 +89,31 @@ describe('RequestValidators', () => {
                 });
         });
     });
+
+    describe('#validateEditRequest', () => {
+        it('accepts operations in the body', () => {
+            const req = mockRequest({ operations: [{ op: 'remove', index: 0 }] });
+            return RequestValidators.validateEditRequest(req).then((validReq) => {
+                assert.equal(validReq, req);
+            });
+        });
+
+        it('requires operations', () =>
+            RequestValidators.validateEditRequest(mockRequest({ operations: [] }))
+                .then(() => Promise.reject(new Error('Expected no operations not to be valid.')))
+                .catch(isError)
+                .then((err) => {
+                    assert.equal(err.status, 400);
+                }));
+
+        it('requires a valid number of appended sections', () => {
+            const req = mockRequest({ operations: [{ op: 'append', sections: urls }] });
+            return RequestValidators.validateEditRequest(req)
+                .then(() => Promise.reject(new Error('Expected too many sections not to be valid.')))
+                .catch(isError)
+                .then((err) => {
+                    assert.equal(err.status, 422);
+                });
+        });
+    });
 });
@@ -45,6 +45,13 @@ describe('Results validator', () => {
         });
     });
 
+    it('collects warnings for failed validations', () => {
+        const validator = new ResultsValidator(badSection);
+        validator.validate();
+        assert.lengthOf(validator.getWarnings(), 2);
+        assert.match(validator.getWarnings()[0], /Remaining content/);
+    });
+
     it('has an array of validators', () => {
         const IGNORE = [
             'name',
@@ -0,0 +1,55 @@
+const { assert } = require('chai');
+
+const Robots = require('../lib/robots');
+
+const userAgent = 'EpubPress/1.0.0 (+https://epub.press)';
+const robotsTxt = [
+    '# Comments are ignored',
+    'User-agent: *',
+    'Disallow: /private',
+    'Allow: /private/shared',
+    'Disallow: /*.pdf$',
+    '',
+    'User-agent: BadBot',
+    'User-agent: EpubPress',
+    'Disallow: /drafts/',
+].join('\n');
+
+describe('Robots', () => {
+    const groups = Robots.parse(robotsTxt);
+
+    describe('.parse', () => {
+        it('groups rules by user agent', () => {
+            assert.lengthOf(groups, 2);
+            assert.deepEqual(groups[1].agents, ['badbot', 'epubpress']);
+            assert.deepEqual(groups[1].rules, [{ allow: false, path: '/drafts/' }]);
+        });
+    });
+
+    describe('.isAllowed', () => {
+        it('uses the group naming our user agent', () => {
+            assert.isFalse(Robots.isAllowed(groups, 'http://a.com/drafts/post', userAgent));
+            assert.isTrue(Robots.isAllowed(groups, 'http://a.com/private', userAgent));
+        });
+
+        it('falls back to the * group', () => {
+            const otherAgent = 'Reader/2.0';
+            assert.isFalse(Robots.isAllowed(groups, 'http://a.com/private/page', otherAgent));
+            assert.isTrue(Robots.isAllowed(groups, 'http://a.com/private/shared/page', otherAgent));
+            assert.isFalse(Robots.isAllowed(groups, 'http://a.com/files/book.pdf', otherAgent));
+            assert.isTrue(Robots.isAllowed(groups, 'http://a.com/files/book.pdf?v=2', otherAgent));
+            assert.isTrue(Robots.isAllowed(groups, 'http://a.com/', otherAgent));
+        });
+
+        it('allows everything without rules', () => {
+            assert.isTrue(Robots.isAllowed(Robots.ALLOW_ALL, 'http://a.com/page', userAgent));
+            assert.isFalse(Robots.isAllowed(Robots.DISALLOW_ALL, 'http://a.com/page', userAgent));
+        });
+    });
+
+    describe('.getRobotsUrl', () => {
+        it('points to the root of the site', () => {
+            assert.equal(Robots.getRobotsUrl('https://a.com:8080/post?id=1'), 'https://a.com:8080/robots.txt');
+        });
+    });
+});
@@ -1,5 +1,12 @@
 const fs = require('fs');
 
+const { assert } = require('chai');
+const Sinon = require('sinon');
+
+const BlobStore = require('../lib/blob-store');
+const BookModel = require('../models/').Book;
+const BookStatusModel = require('../models/').BookStatus;
+const HttpCache = require('../lib/http-cache');
 const ScheduledJobs = require('../lib/scheduled-jobs');
 const Config = require('../lib/config');
 const TestHelpers = require('./helpers');
@@ -17,4 +24,66 @@ describe('ScheduledJobs', () => {
             return ScheduledJobs.cleanEbooks().then(() => TestHelpers.assertNoFile(fakeBook));
         });
     });
+
+    describe('.cleanContent', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('forgets content past the retention period', () => {
+            sandbox.stub(BookModel, 'update').resolves([1]);
+            sandbox.stub(BlobStore, 'removeOlderThan').resolves();
+
+            return ScheduledJobs.cleanContent().then(() => {
+                const [attrs, { where }] = BookModel.update.firstCall.args;
+                const [cutoff] = BlobStore.removeOlderThan.firstCall.args;
+                const retention = Date.now() - cutoff.getTime();
+                assert.deepEqual(attrs, { content: null });
+                assert.closeTo(retention, Config.CONTENT_RETENTION_DAYS * ScheduledJobs.DAY, 1000);
+                assert.equal(Object.getOwnPropertySymbols(where.createdAt).length, 1);
+            });
+        });
+    });
+
+    describe('.cleanStatuses', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('deletes finished statuses past the retention period', () => {
+            sandbox.stub(BookStatusModel, 'destroy').resolves(1);
+
+            return ScheduledJobs.cleanStatuses().then(() => {
+                const [{ where }] = BookStatusModel.destroy.firstCall.args;
+                const [inOp] = Object.getOwnPropertySymbols(where.status);
+                const [ltOp] = Object.getOwnPropertySymbols(where.updatedAt);
+                const retention = Date.now() - where.updatedAt[ltOp].getTime();
+                assert.deepEqual(where.status[inOp], ['DONE', 'FAILED']);
+                assert.closeTo(retention, Config.CONTENT_RETENTION_DAYS * ScheduledJobs.DAY, 1000);
+            });
+        });
+    });
+
+    describe('.cleanHttpCache', () => {
+        const sandbox = Sinon.sandbox.create();
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('removes cached responses past the retention period', () => {
+            sandbox.stub(HttpCache, 'removeOlderThan').resolves();
+
+            return ScheduledJobs.cleanHttpCache().then(() => {
+                const [cutoff] = HttpCache.removeOlderThan.firstCall.args;
+                const retention = Date.now() - cutoff.getTime();
+                const expected = Config.HTTP_CACHE_RETENTION_DAYS * ScheduledJobs.DAY;
+                assert.closeTo(retention, expected, 1000);
+            });
+        });
+    });
 });
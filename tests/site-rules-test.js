@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { assert } = require('chai');
+
+const SiteRules = require('../lib/site-rules');
+
+describe('Site Rules', () => {
+    const operationNames = ['setRootNode', 'removeElement', 'replaceWithChildren'];
+
+    describe('validate', () => {
+        it('accepts a valid rule', () => {
+            const rule = {
+                name: 'example',
+                hosts: ['example.com'],
+                paths: ['^/posts/'],
+                priority: 2,
+                root: 'article',
+                remove: ['.ad'],
+                operations: { replaceWithChildren: ['.wrapper'] },
+            };
+            assert.deepEqual(SiteRules.validate(rule, operationNames), []);
+        });
+
+        it('reports invalid fields', () => {
+            const rule = {
+                hosts: [],
+                paths: ['('],
+                priority: 'high',
+                remove: '.ad',
+                operations: { deleteEverything: ['*'], removeElement: '.ad' },
+                color: 'red',
+            };
+            const errors = SiteRules.validate(rule, operationNames);
+            assert.include(errors, 'unknown key "color"');
+            assert.include(errors, '"name" must be a string');
+            assert.include(errors, '"hosts" must be a list of hostnames');
+            assert.include(errors, '"(" is not a valid path pattern');
+            assert.include(errors, '"priority" must be a number');
+            assert.include(errors, '"remove" must be a list of selectors');
+            assert.include(errors, 'unknown operation "deleteEverything"');
+            assert.include(errors, '"removeElement" must be a list of selectors');
+        });
+
+        it('throws when constructed with an invalid rule', () => {
+            assert.throws(
+                () => new SiteRules([{ name: 'broken', hosts: 'example.com' }]),
+                /Invalid site rule broken/
+            );
+        });
+
+        it('only accepts the listed cleanup operations', () => {
+            const rule = { name: 'blog', hosts: ['blog.fake'] };
+            const operations = { mergeNodes: ['.post'], extractImages: ['img'], runHtmlOperations: ['*'] };
+            const errors = SiteRules.validate(Object.assign({ operations }, rule));
+            assert.deepEqual(errors, [
+                'unknown operation "extractImages"',
+                'unknown operation "runHtmlOperations"',
+            ]);
+
+            try {
+                // eslint-disable-next-line no-new
+                new SiteRules([Object.assign({ operations }, rule)]);
+                assert.fail('should throw');
+            } catch (error) {
+                assert.equal(error.status, '400');
+            }
+        });
+    });
+
+    describe('load', () => {
+        const dir = path.join(os.tmpdir(), `site-rules-${process.pid}`);
+
+        before(() => {
+            fs.mkdirSync(dir);
+            fs.writeFileSync(
+                `${dir}/a.json`,
+                JSON.stringify({ name: 'a', hosts: ['a.com'], remove: ['.ad'] })
+            );
+            fs.writeFileSync(
+                `${dir}/b.js`,
+                "module.exports = [{ name: 'b1', hosts: ['b.com'] }, { name: 'b2', hosts: ['b.org'] }];"
+            );
+            fs.writeFileSync(`${dir}/README.md`, 'Not a rule');
+        });
+
+        after(() => {
+            fs.readdirSync(dir).forEach(file => fs.unlinkSync(`${dir}/${file}`));
+            fs.rmdirSync(dir);
+        });
+
+        it('loads json and js rule files', () => {
+            const siteRules = SiteRules.load(dir, operationNames);
+            const rules = siteRules.getRules();
+            assert.deepEqual(rules.map(rule => rule.name), ['a', 'b1', 'b2']);
+            assert.equal(rules[0].file, 'a.json');
+            assert.equal(rules[0].priority, 0);
+        });
+    });
+
+    describe('match', () => {
+        const siteRules = new SiteRules([
+            { name: 'blog', hosts: ['blog.com'], root: '.post' },
+            {
+                name: 'blog-articles',
+                hosts: ['blog.com'],
+                paths: ['^/articles/'],
+                priority: 5,
+                root: 'article',
+            },
+            { name: 'other', hosts: ['other.com'] },
+        ]);
+
+        it('matches hosts and subdomains', () => {
+            assert.deepEqual(siteRules.match('https://blog.com/').map(r => r.name), ['blog']);
+            assert.deepEqual(siteRules.match('http://www.blog.com').map(r => r.name), ['blog']);
+            assert.deepEqual(siteRules.match('notblog.com/articles/1'), []);
+        });
+
+        it('matches urls without a protocol', () => {
+            assert.deepEqual(siteRules.match('other.com/page').map(r => r.name), ['other']);
+        });
+
+        it('sorts matching rules by priority', () => {
+            const names = siteRules.match('https://blog.com/articles/1').map(r => r.name);
+            assert.deepEqual(names, ['blog-articles', 'blog']);
+        });
+
+        it('matches nothing without a url', () => {
+            assert.deepEqual(siteRules.match(undefined), []);
+        });
+    });
+
+    describe('getOperations', () => {
+        const siteRules = new SiteRules([
+            {
+                name: 'base',
+                hosts: ['site.com'],
+                root: 'main',
+                remove: ['.ad'],
+                operations: { replaceWithChildren: ['.wrapper'] },
+            },
+            {
+                name: 'special',
+                hosts: ['site.com'],
+                paths: ['^/special'],
+                priority: 1,
+                root: '.special',
+                remove: ['.banner'],
+            },
+        ]);
+
+        it('merges matching rules', () => {
+            assert.deepEqual(siteRules.getOperations('https://site.com/special'), {
+                setRootNode: ['.special'],
+                removeElement: ['.banner', '.ad'],
+                replaceWithChildren: ['.wrapper'],
+            });
+        });
+
+        it('returns undefined when nothing matches', () => {
+            assert.isUndefined(siteRules.getOperations('https://elsewhere.com'));
+        });
+    });
+
+    describe('getPagination', () => {
+        const siteRules = new SiteRules([
+            { name: 'forum', hosts: ['forum.com'], pagination: true },
+            {
+                name: 'forum-threads',
+                hosts: ['forum.com'],
+                paths: ['^/threads/'],
+                priority: 1,
+                pagination: 'a.next-page',
+            },
+            { name: 'no-pages', hosts: ['single.com'], pagination: false },
+        ]);
+
+        it('uses the highest priority pagination setting', () => {
+            assert.isTrue(siteRules.getPagination('https://forum.com/news'));
+            assert.equal(siteRules.getPagination('https://forum.com/threads/1'), 'a.next-page');
+            assert.isFalse(siteRules.getPagination('https://single.com/'));
+            assert.isUndefined(siteRules.getPagination('https://elsewhere.com/'));
+        });
+    });
+});
@@ -1,57 +1,247 @@
 const { assert } = require('chai');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const Config = require('../lib/config');
 const StatusTracker = require('../lib/status-tracker');
 
 const id = 'id-123';
-const status = StatusTracker.buildStatus();
+const status = 'FETCHING_HTML';
 
 // eslint-disable-next-line prefer-spread
-const statuses = Array.apply(null, { length: StatusTracker.MAX_STATUSES }).map((a, i) => i);
+const statuses = Array.apply(null, { length: StatusTracker.MAX_STATUSES + 1 }).map((a, i) => i);
 
 let tracker;
 
 describe('StatusTracker', () => {
     beforeEach(() => {
-        tracker = new StatusTracker();
+        tracker = new StatusTracker(new StatusTracker.MemoryStore());
+    });
+
+    describe('constructor', () => {
+        it('uses the configured store', () => {
+            const defaultTracker = new StatusTracker();
+            assert.instanceOf(defaultTracker.getStore(), StatusTracker.STORES[Config.STATUS_STORE]);
+        });
     });
 
     describe('#setStatus', () => {
-        it('can set a status', () => {
-            assert.isUndefined(tracker.setStatus(id, status));
+        it('can set a status', () =>
+            tracker.setStatus(id, status).then((record) => {
+                assert.equal(record.type, status);
+                assert.lengthOf(record.history, 1);
+            }));
+
+        it('clears excessive finished statuses first', () => {
+            const store = tracker.getStore();
+            return tracker
+                .setStatus('in-progress', 'FETCHING_HTML')
+                .then(() => Promise.all(statuses.map(el => tracker.setStatus(el, 'DONE'))))
+                .then(() => {
+                    assert.lengthOf(store.keys, StatusTracker.MAX_STATUSES);
+                    assert.include(store.keys, 'in-progress');
+                    assert.notInclude(store.keys, 0);
+                });
         });
 
-        it('clears excessive statuses', () => {
-            statuses.forEach((el) => {
-                tracker.setStatus(el, status);
+        it('only tracks unique keys', () => {
+            const { keys } = tracker.getStore();
+            assert.lengthOf(keys, 0);
+            return tracker
+                .setStatus(id, status)
+                .then(() => tracker.setStatus(id, status))
+                .then(() => {
+                    assert.lengthOf(tracker.getStore().keys, 1);
+                });
+        });
+
+        it('keeps every transition in order', () => {
+            tracker.setStatus(id, 'PUBLISHING');
+            tracker.setStatus(id, 'FETCHING_HTML');
+            return tracker.setStatus(id, 'DONE').then((record) => {
+                assert.deepEqual(record.history.map(entry => entry.status), [
+                    'PUBLISHING',
+                    'FETCHING_HTML',
+                    'DONE',
+                ]);
             });
+        });
+    });
 
-            assert.isUndefined(tracker.getStatus(0));
+    describe('#getStatus', () => {
+        it('can get a status', () =>
+            tracker
+                .setStatus(id, status)
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.equal(builtStatus.message, StatusTracker.buildStatus(status).message);
+                    assert.isString(builtStatus.startedAt);
+                    assert.isString(builtStatus.updatedAt);
+                    assert.isUndefined(builtStatus.history);
+                }));
 
-            statuses.forEach((el) => {
-                if (el) assert.isDefined(tracker.getStatus(el));
-            });
+        it('can include the status history', () =>
+            tracker
+                .setStatus(id, 'PUBLISHING')
+                .then(() => tracker.setStatus(id, status))
+                .then(() => tracker.getStatus(id, { history: true }))
+                .then((builtStatus) => {
+                    const [first, last] = builtStatus.history;
+                    assert.equal(first.status, 'PUBLISHING');
+                    assert.isNumber(first.duration);
+                    assert.equal(first.finishedAt, last.startedAt);
+                    assert.equal(last.status, status);
+                    assert.isUndefined(last.duration);
+                }));
+
+        it('resolves nothing for unknown ids', () =>
+            tracker.getStatus('unknown').then((builtStatus) => {
+                assert.isUndefined(builtStatus);
+            }));
+    });
+
+    describe('#setProgress', () => {
+        it('adds section progress to the current status', () =>
+            tracker
+                .setStatus(id, 'EXTRACTING_CONTENT')
+                .then(() => tracker.setProgress(id, { completed: 7, total: 23 }))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.deepEqual(builtStatus.sections, { completed: 7, total: 23 });
+                    const { EXTRACTING_CONTENT } = StatusTracker.STATUSES;
+                    assert.isAbove(builtStatus.progress, EXTRACTING_CONTENT.progress);
+                }));
+
+        it('drops progress from previous statuses', () =>
+            tracker
+                .setStatus(id, 'EXTRACTING_CONTENT')
+                .then(() => tracker.setProgress(id, { completed: 1, total: 2 }))
+                .then(() => tracker.setStatus(id, 'FETCHING_IMAGES'))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.isUndefined(builtStatus.sections);
+                }));
+
+        it('ignores unknown ids', () =>
+            tracker.setProgress('unknown', { completed: 1, total: 2 }).then((record) => {
+                assert.isNull(record);
+            }));
+    });
+
+    describe('#setReport', () => {
+        it('keeps the report through later statuses', () => {
+            const report = [{ url: 'http://a.com', extracted: true }];
+            return tracker
+                .setStatus(id, 'EXTRACTING_CONTENT')
+                .then(() => tracker.setReport(id, report))
+                .then(() => tracker.setStatus(id, 'DONE'))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.deepEqual(builtStatus.report, report);
+                });
         });
 
-        it('only tracks unique keys', () => {
-            assert.lengthOf(tracker.keys, 0);
-            tracker.setStatus(id, status);
-            tracker.setStatus(id, status);
-            assert.lengthOf(tracker.keys, 1);
+        it('lists duplicate sections', () => {
+            const report = [
+                { url: 'http://a.com', extracted: true },
+                { url: 'http://a.com/amp', duplicateOf: 'http://a.com', duplicateReason: 'canonical' },
+            ];
+            return tracker
+                .setStatus(id, 'EXTRACTING_CONTENT')
+                .then(() => tracker.setReport(id, report))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.deepEqual(builtStatus.duplicates, [
+                        { url: 'http://a.com/amp', duplicateOf: 'http://a.com', reason: 'canonical' },
+                    ]);
+                });
         });
     });
 
-    describe('#getStatus', () => {
-        it('can get a status', () => {
-            tracker.setStatus(id, status);
-            assert.equal(tracker.getStatus(id), status);
+    describe('events', () => {
+        it('emits every status change', () => {
+            const events = [];
+            tracker.on('status', (statusId, builtStatus) => events.push([statusId, builtStatus]));
+
+            return tracker
+                .setStatus(id, 'EXTRACTING_CONTENT')
+                .then(() => tracker.setProgress(id, { completed: 1, total: 2 }))
+                .then(() => {
+                    assert.lengthOf(events, 2);
+                    assert.equal(events[0][0], id);
+                    assert.equal(events[0][1].type, 'EXTRACTING_CONTENT');
+                    assert.deepEqual(events[1][1].sections, { completed: 1, total: 2 });
+                });
         });
     });
 
     describe('#clearStatus', () => {
-        it('can clear a status', () => {
-            tracker.setStatus(id, status);
-            tracker.clearStatus(id);
+        it('can clear a status', () =>
+            tracker
+                .setStatus(id, status)
+                .then(() => tracker.clearStatus(id))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.isUndefined(builtStatus);
+                }));
+    });
+
+    describe('FileStore', () => {
+        const dir = path.join(os.tmpdir(), 'epub-press-statuses');
+
+        beforeEach(() => {
+            tracker = new StatusTracker(new StatusTracker.FileStore(dir));
+        });
+
+        after(() => fs.remove(dir));
 
-            assert.isUndefined(tracker.getStatus(id));
+        it('persists statuses between trackers', () =>
+            tracker
+                .setStatus(id, status)
+                .then(() => new StatusTracker(new StatusTracker.FileStore(dir)).getStatus(id))
+                .then((builtStatus) => {
+                    assert.equal(builtStatus.message, StatusTracker.buildStatus(status).message);
+                }));
+
+        it('keeps ids inside its folder', () => {
+            const store = tracker.getStore();
+            assert.equal(path.dirname(store.getFilepath('../../etc/passwd')), dir);
+        });
+
+        it('can clear a status', () =>
+            tracker
+                .setStatus(id, status)
+                .then(() => tracker.clearStatus(id))
+                .then(() => tracker.getStatus(id))
+                .then((builtStatus) => {
+                    assert.isUndefined(builtStatus);
+                }));
+    });
+
+    describe('.buildHistory', () => {
+        it('calculates the duration of each step', () => {
+            const history = StatusTracker.buildHistory([
+                { status: 'PUBLISHING', startedAt: '2018-01-01T00:00:00.000Z' },
+                { status: 'DONE', startedAt: '2018-01-01T00:00:02.500Z' },
+            ]);
+            assert.equal(history[0].duration, 2500);
+            assert.equal(history[0].message, StatusTracker.buildStatus('PUBLISHING').message);
+        });
+    });
+
+    describe('.interpolateProgress', () => {
+        it('moves towards the next status', () => {
+            const { FETCHING_IMAGES, FORMATTING_HTML } = StatusTracker.STATUSES;
+            const halfway = StatusTracker.interpolateProgress('FETCHING_IMAGES', {
+                completed: 1,
+                total: 2,
+            });
+            assert.equal(halfway, (FETCHING_IMAGES.progress + FORMATTING_HTML.progress) / 2);
+            assert.equal(
+                StatusTracker.interpolateProgress('FETCHING_IMAGES'),
+                FETCHING_IMAGES.progress
+            );
         });
     });
 
@@ -0,0 +1,71 @@
+const cheerio = require('cheerio');
+const { assert } = require('chai');
+
+const SvgProcessor = require('../lib/svg-processor');
+
+function loadSvg(html) {
+    const $ = cheerio.load(html, { decodeEntities: false });
+    return $('svg').first();
+}
+
+describe('SvgProcessor', () => {
+    describe('.isFigure', () => {
+        it('accepts diagrams and equations', () => {
+            assert.isTrue(SvgProcessor.isFigure(loadSvg('<svg viewBox="0 0 400 300"><path d="M0 0L400 300"/></svg>')));
+            assert.isTrue(SvgProcessor.isFigure(loadSvg('<svg width="12.5ex" height="2.8ex"><defs><path id="g"/></defs><use href="#g"/></svg>')));
+        });
+
+        it('rejects icons', () => {
+            assert.isFalse(SvgProcessor.isFigure(loadSvg('<svg viewBox="0 0 400 300" aria-hidden="true"></svg>')));
+            assert.isFalse(SvgProcessor.isFigure(loadSvg('<svg width="24" height="24"><path d="M0 0"/></svg>')));
+            assert.isFalse(SvgProcessor.isFigure(loadSvg('<svg viewBox="0 0 400 300"><use xlink:href="#icon-share"/></svg>')));
+            assert.isFalse(SvgProcessor.isFigure(loadSvg('<svg><path d="M0 0"/></svg>')));
+        });
+    });
+
+    describe('.sanitize', () => {
+        it('removes scripts and references to other files', () => {
+            const svg = SvgProcessor.sanitize(loadSvg([
+                '<svg viewBox="0 0 100 100" onload="alert(1)">',
+                '<script>alert(2)</script>',
+                '<image href="https://tracker.fake/pixel.png"/>',
+                '<a xlink:href="javascript:alert(3)"><rect width="10" height="10" fill="url(#g)"/></a>',
+                '<foreignObject><p>Hello</p></foreignObject>',
+                '</svg>',
+            ].join('')));
+
+            assert.notMatch(svg, /alert|tracker|Hello/);
+            assert.include(svg, 'fill="url(#g)"');
+        });
+
+        it('removes imports and urls of other files from stylesheets', () => {
+            const svg = SvgProcessor.sanitizeDocument([
+                '<svg viewBox="0 0 10 10"><style>',
+                '@import url(https://evil.example/x.css); @import "https://evil.example/y.css";',
+                'rect{fill:url(https://evil.example/p.png)} circle{fill:url(#g);stroke:red}',
+                '</style><rect width="10" height="10"/></svg>',
+            ].join(''));
+
+            assert.notInclude(svg, 'evil.example');
+            assert.notInclude(svg, '@import');
+            assert.include(svg, 'rect{fill:none}');
+            assert.include(svg, 'circle{fill:url(#g);stroke:red}');
+        });
+
+        it('drops stylesheets with escapes', () => {
+            const svg = SvgProcessor.sanitizeDocument('<svg><style>rect{fill:\\75rl(https://evil.example/p.png)}</style></svg>');
+
+            assert.notInclude(svg, 'evil.example');
+            assert.include(svg, '<style></style>');
+        });
+
+        it('makes a standalone SVG document', () => {
+            const svg = SvgProcessor.sanitize(loadSvg('<svg viewBox="0 0 10 10"><linearGradient id="g" gradientUnits="userSpaceOnUse"></linearGradient><text>A &nbsp;B</text></svg>'));
+
+            assert.match(svg, /^<svg [^>]*xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+            assert.include(svg, 'viewBox="0 0 10 10"');
+            assert.include(svg, '<linearGradient id="g" gradientUnits="userSpaceOnUse">');
+            assert.include(svg, '<text>A &#160;B</text>');
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+
+const { assert } = require('chai');
+const JSZip = require('jszip');
+
+const TextWriter = require('../lib/text-writer');
+
+const image = fs.readFileSync(`${__dirname}/fixtures/placeholder.png`);
+
+function buildEpub() {
+    return {
+        getMetadata: () => ({ title: 'Tea & Biscuits', author: 'EpubPress' }),
+        getImage: href => (href === 'OEBPF/images/tea.png' ? image : undefined),
+        getToc: () => ({
+            href: 'OEBPF/content/toc.xhtml',
+            body: '<h2>Table Of Contents</h2><ol><li><a href="s1.xhtml">Tea</a></li></ol>',
+        }),
+        getSections: () => [
+            {
+                href: 'OEBPF/content/s1.xhtml',
+                title: 'Tea',
+                body: [
+                    '<h1>Tea</h1>',
+                    '<p>Green <em>tea</em> from <a href="https://tea.fake">China</a><br/>Hot</p>',
+                    '<ul><li>Boil</li><li><p>Steep</p><ol><li>Wait</li></ol></li></ul>',
+                    '<p><img src="../images/tea.png" alt="Cup"/><img src="../images/missing.gif"/></p>',
+                    '<pre>let cups = 2;\n  cups += 1;</pre>',
+                    '<table><tr><th>Tea</th><th>Time</th></tr><tr><td>Green</td><td>2</td></tr></table>',
+                    '<blockquote><p>Quote</p></blockquote>',
+                ].join('\n'),
+            },
+        ],
+    };
+}
+
+describe('Text Writer', () => {
+    describe('#getText', () => {
+        it('writes markdown', () => {
+            const writer = new TextWriter(buildEpub(), { markdown: true });
+            assert.equal(writer.getText(), [
+                '# Tea \\& Biscuits',
+                'EpubPress',
+                '## Table Of Contents',
+                '1. Tea',
+                '# Tea',
+                'Green _tea_ from [China](https://tea.fake)\\\nHot',
+                '- Boil\n- Steep\n\n  1. Wait',
+                '![Cup](images/tea.png)',
+                '```\nlet cups = 2;\n  cups += 1;\n```',
+                '| Tea | Time |\n| --- | --- |\n| Green | 2 |',
+                '> Quote\n',
+            ].join('\n\n'));
+            assert.deepEqual(writer.images, { 'OEBPF/images/tea.png': 'images/tea.png' });
+        });
+
+        it('escapes html and line start markers in markdown', () => {
+            const epub = Object.assign(buildEpub(), {
+                getToc: () => undefined,
+                getSections: () => [{
+                    href: 'OEBPF/content/s1.xhtml',
+                    body: [
+                        '<p>Hello &lt;script&gt;alert(1)&lt;/script&gt; &amp;amp; *World*</p>',
+                        '<p># Not a heading<br/>&gt; Not a quote<br/>- Not a list<br/>1. Not a list</p>',
+                        '<p>2018. A year</p>',
+                    ].join(''),
+                }],
+            });
+            const text = new TextWriter(epub, { markdown: true }).getText();
+            assert.include(text, 'Hello \\<script\\>alert(1)\\</script\\> \\&amp; \\*World\\*');
+            assert.include(text, '\\# Not a heading\\\n\\> Not a quote\\\n\\- Not a list\\\n1\\. Not a list');
+            assert.include(text, '2018\\. A year');
+            assert.notMatch(text, /[^\\]</);
+        });
+
+        it('writes plain text', () => {
+            const text = new TextWriter(buildEpub()).getText();
+            assert.match(text, /^Tea & Biscuits\n==============\n\nEpubPress\n/);
+            assert.include(text, 'Green tea from China\nHot');
+            assert.include(text, '[Cup]');
+            assert.include(text, '    let cups = 2;\n      cups += 1;');
+            assert.include(text, 'Tea | Time\nGreen | 2');
+        });
+    });
+
+    describe('#write', () => {
+        const filepath = `${os.tmpdir()}/tea.md.zip`;
+
+        after(() => {
+            fs.unlinkSync(filepath);
+        });
+
+        it('zips markdown with its images', () =>
+            new TextWriter(buildEpub(), { markdown: true })
+                .write(filepath)
+                .then(() => JSZip.loadAsync(fs.readFileSync(filepath)))
+                .then((zip) => {
+                    assert.sameMembers(Object.keys(zip.files), ['book.md', 'images/', 'images/tea.png']);
+                    return zip.file('images/tea.png').async('nodebuffer');
+                })
+                .then((data) => {
+                    assert.deepEqual(data, image);
+                }));
+    });
+});
@@ -0,0 +1,64 @@
+const { assert } = require('chai');
+
+const UrlNormalizer = require('../lib/url-normalizer');
+
+describe('UrlNormalizer', () => {
+    describe('.normalize', () => {
+        it('removes tracking params and fragments', () => {
+            assert.equal(
+                UrlNormalizer.normalize('http://www.A.com/post/?utm_source=feed&id=3&fbclid=x#comments'),
+                'http://www.a.com/post/?id=3'
+            );
+            assert.equal(UrlNormalizer.normalize('https://a.com:443?gclid=1'), 'https://a.com');
+        });
+
+        it('keeps other urls as they are', () => {
+            ['http://www.a.com', 'http://a.com/p?a&b=2', 'http://a.com:8080/p'].forEach((url) => {
+                assert.equal(UrlNormalizer.normalize(url), url);
+            });
+            assert.equal(UrlNormalizer.normalize('mailto:me@a.com'), 'mailto:me@a.com');
+            assert.isUndefined(UrlNormalizer.normalize(undefined));
+        });
+
+        it('unwraps AMP cache urls', () => {
+            assert.equal(
+                UrlNormalizer.normalize('https://www-a-com.cdn.ampproject.org/c/s/www.a.com/post'),
+                'https://www.a.com/post'
+            );
+            assert.equal(
+                UrlNormalizer.normalize('https://www.google.com/amp/a.com/post'),
+                'http://a.com/post'
+            );
+        });
+    });
+
+    describe('.getKey', () => {
+        it('matches variants of a url', () => {
+            const key = UrlNormalizer.getKey('http://a.com/post');
+            ['https://www.a.com/post/', 'http://a.com/post?utm_medium=rss'].forEach((url) => {
+                assert.equal(UrlNormalizer.getKey(url), key);
+            });
+            assert.notEqual(UrlNormalizer.getKey('http://a.com/post?page=2'), key);
+        });
+    });
+
+    describe('.findCanonicalUrl', () => {
+        const url = 'https://a.com/post/amp';
+
+        it('reads canonical links and og:url', () => {
+            assert.equal(
+                UrlNormalizer.findCanonicalUrl('<link rel="canonical" href="/post/">', url),
+                'https://a.com/post/'
+            );
+            assert.equal(
+                UrlNormalizer.findCanonicalUrl('<meta property="og:url" content="https://b.com/p">', url),
+                'https://b.com/p'
+            );
+        });
+
+        it('ignores missing links and home pages', () => {
+            assert.isUndefined(UrlNormalizer.findCanonicalUrl('<p>No link</p>', url));
+            assert.isUndefined(UrlNormalizer.findCanonicalUrl('<link rel="canonical" href="/">', url));
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const { assert } = require('chai');
+
+const UrlPolicy = require('../lib/url-policy');
+
+describe('UrlPolicy', () => {
+    describe('.isPrivateAddress', () => {
+        it('detects private IPv4 addresses', () => {
+            ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.31.0.1', '192.168.1.1', '0.0.0.0'].forEach((address) => {
+                assert.isTrue(UrlPolicy.isPrivateAddress(address), address);
+            });
+            ['8.8.8.8', '172.32.0.1', '93.184.216.34'].forEach((address) => {
+                assert.isFalse(UrlPolicy.isPrivateAddress(address), address);
+            });
+        });
+
+        it('detects private IPv6 addresses', () => {
+            ['::1', '::', 'fd00::1', 'fe80::1%eth0', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'].forEach((address) => {
+                assert.isTrue(UrlPolicy.isPrivateAddress(address), address);
+            });
+            ['2606:4700::1111', '::ffff:8.8.8.8'].forEach((address) => {
+                assert.isFalse(UrlPolicy.isPrivateAddress(address), address);
+            });
+        });
+    });
+
+    describe('.isAllowed', () => {
+        const { ALLOWED_HOSTS, DENIED_HOSTS } = UrlPolicy;
+
+        afterEach(() => {
+            UrlPolicy.ALLOWED_HOSTS = ALLOWED_HOSTS;
+            UrlPolicy.DENIED_HOSTS = DENIED_HOSTS;
+        });
+
+        it('allows public http urls', () => {
+            assert.isTrue(UrlPolicy.isAllowed('https://example.com/post'));
+            assert.isTrue(UrlPolicy.isAllowed('http://93.184.216.34/post'));
+        });
+
+        it('rejects other schemes', () => {
+            ['file:///etc/passwd', 'ftp://example.com/file', 'gopher://example.com', 'not a url'].forEach((url) => {
+                assert.isFalse(UrlPolicy.isAllowed(url), url);
+            });
+        });
+
+        it('rejects private addresses', () => {
+            ['http://127.0.0.1:8080/', 'http://10.0.0.1/', 'http://[::1]/', 'http://[::ffff:169.254.169.254]/'].forEach((url) => {
+                assert.isFalse(UrlPolicy.isAllowed(url), url);
+            });
+        });
+
+        it('uses the allowed and denied hosts', () => {
+            UrlPolicy.ALLOWED_HOSTS = ['10.0.0.1'];
+            UrlPolicy.DENIED_HOSTS = ['example.com'];
+
+            assert.isTrue(UrlPolicy.isAllowed('http://10.0.0.1/'));
+            assert.isFalse(UrlPolicy.isAllowed('https://example.com/'));
+            assert.isFalse(UrlPolicy.isAllowed('https://blog.example.com/'));
+        });
+    });
+
+    describe('.lookup', () => {
+        it('fails for hosts resolving to private addresses', (done) => {
+            UrlPolicy.lookup('localhost', {}, (error) => {
+                assert.equal(error.code, 'URL_NOT_ALLOWED');
+                done();
+            });
+        });
+    });
+});
@@ -24,4 +24,25 @@ describe('Utilities', () => {
             })
             .catch(done);
     });
+
+    it('can run tasks for the same key one after another', () => {
+        const serialize = Utilities.createSerializer();
+        const order = [];
+        const task = (name, delay) => () =>
+            new Promise((resolve) => {
+                setTimeout(() => {
+                    order.push(name);
+                    resolve(name);
+                }, delay);
+            });
+
+        return Promise.all([
+            serialize('a', task('a1', 20)),
+            serialize('a', task('a2', 0)),
+            serialize('b', task('b1', 5)),
+        ]).then((results) => {
+            assert.deepEqual(results, ['a1', 'a2', 'b1']);
+            assert.deepEqual(order, ['b1', 'a1', 'a2']);
+        });
+    });
 });